@@ -6,6 +6,7 @@ const config = {
   lenskart: {
     name: 'Lenskart',
     baseUrl: 'https://www.lenskart.com',
+    adapter: './sites/lenskart',
     selectors: {
       // Auth selectors
       signInButton: 'a[href*="customer/account"]',
@@ -57,6 +58,71 @@ const config = {
     hasCustomization: true,
     customizationType: 'lens',
 
+    // Cart page opened by getCart() when the cart is not already on screen
+    cartPath: '/cart',
+
+    // Empty the cart around each run: none | before | after | both (--reset-cart overrides)
+    resetCart: 'none',
+
+    // Keep each search's listing in history/ for `node automation.js diff` (--history turns it on for one run)
+    history: false,
+
+    // Record each run next to the screenshots: off | on | failed (needs ffmpeg; --video overrides)
+    video: 'off',
+
+    // Save the network log as <report>.har, with JSON API bodies if harBodies (--har, --har-bodies)
+    har: false,
+    harBodies: false,
+
+    // Browser errors per step (lib/page-errors.js): warn, or fail a step on an uncaught page exception (--page-errors)
+    pageErrors: 'warn',
+    // Known noise left out of the browser errors: strings match anywhere in the message or URL
+    ignoreErrors: [
+      /ResizeObserver loop/,
+      // /^Script error\.$/,
+    ],
+
+    // Requests aborted to speed up page loads (lib/blocking.js): resource types and URL patterns.
+    // allowRequests always gets through, e.g. a script a flow turns out to need (--no-block loads everything)
+    blockRequests: {
+      resourceTypes: ['font', 'media'],
+      urls: [
+        'google-analytics.com', 'googletagmanager.com', 'doubleclick.net', 'googlesyndication.com',
+        'connect.facebook.net', 'clarity.ms', 'hotjar.com', 'criteo.com',
+      ],
+    },
+    allowRequests: [
+      // 'lenskart.com/fonts/',
+    ],
+
+    // Which search result to open (lib/selection.js); empty takes the first one. --pick overrides per key
+    pick: {
+      // brand: 'Vincent Chase', price: '1000-3000', minRating: 4, sponsored: false,
+    },
+
+    // Lens type and package for SELECT LENSES products (lib/customization.js); empty takes the first.
+    // --lens-type, --lens-package and --lens-max-price override
+    lenses: {
+      // type: 'Single Vision', package: '/blu screen/i', maxPrice: 1500,
+    },
+
+    // Flows run by the step runner (lib/flow-runner.js); pick one with --flow <name>
+    flows: {
+      default: [
+        { name: 'signin', action: 'callAdapter', method: 'signin', optional: true },
+        { name: 'search', action: 'callAdapter', method: 'search', args: ['{searchTerm}'] },
+        { name: 'addToCart', action: 'callAdapter', method: 'addToCart' },
+      ],
+      // `scrape` command: export the listing (lib/scrape.js)
+      scrape: [
+        { name: 'search', action: 'callAdapter', method: 'search', args: ['{searchTerm}'] },
+        { name: 'scrapeResults', action: 'scrapeResults', limit: 20 },
+      ],
+    },
+
+    // Where the sign-in OTP comes from: manual | env | file | http | totp (see lib/otp.js)
+    otp: { provider: 'manual' },
+
     // Signup/Signin data
     signupData: {
       phone: '**********',
@@ -70,6 +136,7 @@ const config = {
   swiggy: {
     name: 'Swiggy',
     baseUrl: 'https://www.swiggy.com',
+    adapter: './sites/swiggy',
     selectors: {
       // Auth selectors
       signInButton: 'a:has-text("Sign in")',
@@ -125,6 +192,76 @@ const config = {
     hasCustomization: true,
     customizationType: 'food',
 
+    // Cart page opened by getCart() when the cart is not already on screen
+    cartPath: '/checkout',
+
+    // Empty the cart around each run: none | before | after | both (--reset-cart overrides)
+    resetCart: 'none',
+
+    // Keep each search's listing in history/ for `node automation.js diff` (--history turns it on for one run)
+    history: false,
+
+    // Record each run next to the screenshots: off | on | failed (needs ffmpeg; --video overrides)
+    video: 'off',
+
+    // Save the network log as <report>.har, with JSON API bodies if harBodies (--har, --har-bodies)
+    har: false,
+    harBodies: false,
+
+    // Browser errors per step (lib/page-errors.js): warn, or fail a step on an uncaught page exception (--page-errors)
+    pageErrors: 'warn',
+    // Known noise left out of the browser errors: strings match anywhere in the message or URL
+    ignoreErrors: [
+      /ResizeObserver loop/,
+      // 'google-analytics.com', /Minified React error #418/,
+    ],
+
+    // Requests aborted to speed up page loads (lib/blocking.js): resource types and URL patterns.
+    // allowRequests always gets through, e.g. a script a flow turns out to need (--no-block loads everything)
+    blockRequests: {
+      resourceTypes: ['font', 'media'],
+      urls: [
+        'google-analytics.com', 'googletagmanager.com', 'doubleclick.net', 'googlesyndication.com',
+        'connect.facebook.net', 'clarity.ms', 'hotjar.com', 'branch.io',
+      ],
+    },
+    allowRequests: [
+      // /maps\.googleapis\.com/,
+    ],
+
+    // Which dish to ADD (lib/selection.js); empty takes the first one. --pick overrides per key
+    pick: {
+      // name: '/margherita/i', veg: true, price: '100-400', minRating: 4.2,
+    },
+
+    // Options in the customization dialog (lib/customization.js); --choose / --fallback override
+    customization: {
+      choose: {
+        // Size: 'Large', Toppings: ['Extra Cheese'], Remove: 'No Onion',
+      },
+      fallback: 'first', // groups not in choose: first | cheapest | skip-optional
+    },
+
+    // Flows run by the step runner (lib/flow-runner.js); pick one with --flow <name>
+    flows: {
+      default: [
+        { name: 'signin', action: 'callAdapter', method: 'signin', optional: true },
+        { name: 'setLocation', action: 'callAdapter', method: 'setLocation', optional: true },
+        { name: 'search', action: 'callAdapter', method: 'search', args: ['{searchTerm}'] },
+        { name: 'addToCart', action: 'callAdapter', method: 'addToCart' },
+        { name: 'openCart', action: 'callAdapter', method: 'openCart', optional: true },
+      ],
+      // `scrape` command: export the dishes and restaurants (lib/scrape.js)
+      scrape: [
+        { name: 'setLocation', action: 'callAdapter', method: 'setLocation', optional: true },
+        { name: 'search', action: 'callAdapter', method: 'search', args: ['{searchTerm}'] },
+        { name: 'scrapeResults', action: 'scrapeResults', limit: 20 },
+      ],
+    },
+
+    // Where the sign-in OTP comes from: manual | env | file | http | totp (see lib/otp.js)
+    otp: { provider: 'manual' },
+
     // Signup/Signin data
     signupData: {
       phone: "**********",
@@ -0,0 +1,104 @@
+// Catalog data served by the mock storefronts
+
+const swiggy = {
+    restaurants: [
+        { id: 'pizza-palace', name: 'Pizza Palace', cuisine: 'Pizzas, Italian', rating: 4.3, deliveryTime: '25-30 mins' },
+        { id: 'burger-barn', name: 'Burger Barn', cuisine: 'Burgers, American', rating: 4.1, deliveryTime: '20-25 mins' },
+        { id: 'biryani-house', name: 'Biryani House', cuisine: 'Biryani, North Indian', rating: 4.5, deliveryTime: '35-40 mins' },
+        { id: 'scoops', name: 'Scoops & Cones', cuisine: 'Desserts, Ice Cream', rating: 4.6, deliveryTime: '15-20 mins' },
+    ],
+
+    // groups: customization steps shown in the modal, in order
+    dishes: [
+        {
+            id: 'margherita', restaurantId: 'pizza-palace', name: 'Margherita Pizza', price: 249, rating: 4.2, veg: true,
+            groups: [
+                { name: 'Size', type: 'radio', min: 1, max: 1, options: [
+                    { name: 'Regular', price: 0 }, { name: 'Medium', price: 100 }, { name: 'Large', price: 200 },
+                ] },
+                { name: 'Toppings', type: 'checkbox', min: 0, max: 2, options: [
+                    { name: 'Extra Cheese', price: 50 }, { name: 'Olives', price: 30 }, { name: 'Jalapenos', price: 30 },
+                ] },
+                { name: 'Remove', type: 'checkbox', min: 0, max: 2, options: [
+                    { name: 'No Onion', price: 0 }, { name: 'No Tomato', price: 0 },
+                ] },
+            ],
+        },
+        {
+            id: 'farmhouse', restaurantId: 'pizza-palace', name: 'Farmhouse Pizza', price: 329, rating: 4.4, veg: true,
+            groups: [
+                { name: 'Size', type: 'radio', min: 1, max: 1, options: [
+                    { name: 'Regular', price: 0 }, { name: 'Medium', price: 120 }, { name: 'Large', price: 240 },
+                ] },
+                { name: 'Crust', type: 'radio', min: 1, max: 1, options: [
+                    { name: 'Classic Hand Tossed', price: 0 }, { name: 'Thin Crust', price: 40 }, { name: 'Cheese Burst', price: 90 },
+                ] },
+            ],
+        },
+        {
+            id: 'pepperoni', restaurantId: 'pizza-palace', name: 'Chicken Pepperoni Pizza', price: 399, rating: 4.0, veg: false,
+            groups: [
+                { name: 'Size', type: 'radio', min: 1, max: 1, options: [
+                    { name: 'Regular', price: 0 }, { name: 'Large', price: 220 },
+                ] },
+            ],
+        },
+        { id: 'garlic-bread', restaurantId: 'pizza-palace', name: 'Garlic Bread', price: 129, rating: 4.1, veg: true, groups: [] },
+        { id: 'veg-burger', restaurantId: 'burger-barn', name: 'Classic Veg Burger', price: 149, rating: 3.9, veg: true, groups: [] },
+        {
+            id: 'chicken-burger', restaurantId: 'burger-barn', name: 'Crispy Chicken Burger', price: 199, rating: 4.2, veg: false,
+            groups: [
+                { name: 'Add-ons', type: 'checkbox', min: 0, max: 2, options: [
+                    { name: 'Cheese Slice', price: 25 }, { name: 'Fries', price: 79 }, { name: 'Coke', price: 60 },
+                ] },
+            ],
+        },
+        { id: 'veg-biryani', restaurantId: 'biryani-house', name: 'Veg Dum Biryani', price: 229, rating: 4.0, veg: true, groups: [] },
+        { id: 'chicken-biryani', restaurantId: 'biryani-house', name: 'Chicken Biryani', price: 299, rating: 4.6, veg: false, groups: [] },
+        {
+            id: 'sundae', restaurantId: 'scoops', name: 'Hot Fudge Ice Cream Sundae', price: 179, rating: 4.7, veg: true,
+            groups: [
+                { name: 'Scoops', type: 'radio', min: 1, max: 1, options: [
+                    { name: 'Single', price: 0 }, { name: 'Double', price: 80 },
+                ] },
+            ],
+        },
+        { id: 'cone', restaurantId: 'scoops', name: 'Chocolate Ice Cream Cone', price: 99, rating: 4.4, veg: true, groups: [] },
+    ],
+
+    localities: [
+        'Bangalore, Karnataka, India',
+        'Bangalore Palace, Vasanth Nagar, Bengaluru',
+        'Koramangala, Bengaluru, Karnataka',
+        'Indiranagar, Bengaluru, Karnataka',
+        'Mumbai, Maharashtra, India',
+        'Andheri West, Mumbai, Maharashtra',
+    ],
+
+    fees: { delivery: 40, platform: 5 },
+};
+
+const lenskart = {
+    products: [
+        { id: 'vc-aviator', brand: 'Vincent Chase', name: 'Vincent Chase Gold Aviator Sunglasses', category: 'sunglasses', gender: 'men', price: 2000, discountedPrice: 1000, rating: 4.6 },
+        { id: 'jj-wayfarer', brand: 'John Jacobs', name: 'John Jacobs Black Wayfarer Sunglasses', category: 'sunglasses', gender: 'unisex', price: 5500, discountedPrice: 4500, rating: 4.7 },
+        { id: 'vc-round', brand: 'Vincent Chase', name: 'Vincent Chase Tortoise Round Sunglasses', category: 'sunglasses', gender: 'women', price: 1800, discountedPrice: 1200, rating: 4.3 },
+        { id: 'air-rect', brand: 'Lenskart Air', name: 'Lenskart Air Blue Rectangle Eyeglasses', category: 'eyeglasses', gender: 'men', price: 2500, discountedPrice: 1500, rating: 4.5 },
+        { id: 'vc-full-rim', brand: 'Vincent Chase', name: 'Vincent Chase Black Full Rim Eyeglasses', category: 'eyeglasses', gender: 'men', price: 1500, discountedPrice: 1000, rating: 4.4 },
+        { id: 'jj-cat-eye', brand: 'John Jacobs', name: 'John Jacobs Transparent Cat Eye Eyeglasses', category: 'eyeglasses', gender: 'women', price: 4000, discountedPrice: 3500, rating: 4.8 },
+    ],
+
+    lensTypes: [
+        { id: 'single-vision', name: 'Single Vision', description: 'For distance or near vision' },
+        { id: 'zero-power', name: 'Zero Power', description: 'Block 98% of harmful rays' },
+        { id: 'bifocal', name: 'Bifocal/Progressive', description: 'For distance & near vision' },
+    ],
+
+    lensPackages: [
+        { id: 'hydrophobic', name: 'Hydrophobic Anti-Glare', price: 1000 },
+        { id: 'blu-screen', name: 'BLU Screen Lenses', price: 1500 },
+        { id: 'thin-blu', name: 'Thinnest BLU Screen Lenses', price: 2500 },
+    ],
+};
+
+module.exports = { swiggy, lenskart };
@@ -0,0 +1,81 @@
+// Shared helpers for the mock storefront pages
+
+(function () {
+    const MOCK = window.MOCK || {};
+
+    MOCK.api = async function (method, path, body) {
+        const response = await fetch(`${MOCK.base}/api${path}`, {
+            method,
+            headers: body ? { 'Content-Type': 'application/json' } : {},
+            body: body ? JSON.stringify(body) : undefined,
+            credentials: 'same-origin',
+        });
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            const error = new Error(data.error || `HTTP ${response.status}`);
+            error.status = response.status;
+            error.data = data;
+            throw error;
+        }
+        return data;
+    };
+
+    MOCK.html = function (markup) {
+        const template = document.createElement('template');
+        template.innerHTML = markup.trim();
+        return template.content.firstElementChild;
+    };
+
+    MOCK.esc = function (value) {
+        return String(value == null ? '' : value).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+    };
+
+    MOCK.openDialog = function (className, markup) {
+        MOCK.closeDialog();
+        const dialog = MOCK.html(`<div role="dialog" aria-modal="true" class="mock-dialog ${className}">${markup}</div>`);
+        document.body.appendChild(dialog);
+        return dialog;
+    };
+
+    MOCK.closeDialog = function () {
+        document.querySelectorAll('[role="dialog"]').forEach(d => d.remove());
+    };
+
+    MOCK.toast = function (message) {
+        const toast = MOCK.html(`<div class="mock-toast">${MOCK.esc(message)}</div>`);
+        document.body.appendChild(toast);
+        setTimeout(() => toast.remove(), 2500);
+    };
+
+    // Cart steppers shared by both cart pages
+    MOCK.bindCartSteppers = function () {
+        document.querySelectorAll('.cart-line[data-item-id]').forEach(row => {
+            const id = row.getAttribute('data-item-id');
+            const qty = parseInt(row.getAttribute('data-quantity'), 10);
+            const update = async (quantity) => {
+                await MOCK.api('PATCH', `/cart/${id}`, { quantity });
+                window.location.reload();
+            };
+            row.querySelector('[data-action="decrease"]')?.addEventListener('click', () => update(qty - 1));
+            row.querySelector('[data-action="increase"]')?.addEventListener('click', () => update(qty + 1));
+            row.querySelector('[data-action="remove"]')?.addEventListener('click', () => update(0));
+        });
+    };
+
+    // Wire a group of single-character OTP boxes: auto-advance and submit when full
+    MOCK.bindOtpGrid = function (inputs, onComplete) {
+        inputs.forEach((input, i) => {
+            input.addEventListener('input', () => {
+                input.value = input.value.replace(/\D/g, '').slice(-1);
+                if (input.value && inputs[i + 1]) inputs[i + 1].focus();
+                const code = inputs.map(x => x.value).join('');
+                if (code.length === inputs.length) onComplete(code);
+            });
+            input.addEventListener('keydown', (event) => {
+                if (event.key === 'Backspace' && !input.value && inputs[i - 1]) inputs[i - 1].focus();
+            });
+        });
+    };
+
+    window.MOCK = MOCK;
+})();
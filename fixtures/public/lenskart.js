@@ -0,0 +1,165 @@
+// Mock Lenskart client: sign in / create account dialog, OTP grid, search, lens selection
+
+(function () {
+    const MOCK = window.MOCK;
+
+    // ---- Auth -----------------------------------------------------------
+
+    function authDialog(inner) {
+        const dialog = MOCK.openDialog('auth-dialog', `<div id="sign-in-form" class="auth-panel">
+<button aria-label="Close" class="dialog-close">×</button>
+${inner}
+</div>`);
+        dialog.querySelector('.dialog-close').addEventListener('click', () => MOCK.closeDialog());
+        return dialog;
+    }
+
+    async function sendOtp(dialog, phone) {
+        try {
+            await MOCK.api('POST', '/otp/send', { phone });
+            showOtp(phone);
+        } catch (error) {
+            dialog.querySelector('.auth-error').textContent = error.message;
+        }
+    }
+
+    function showSignIn() {
+        const dialog = authDialog(`
+<h2>Sign In</h2>
+<input name="emailOrPhone" type="text" placeholder="Mobile / Email">
+<div class="auth-error"></div>
+<button id="remove-button" data-testid="button-testid" class="primary-button">Sign In</button>
+<p class="auth-switch">New member? <button aria-label="Create an Account" class="link-button">Create an Account</button></p>`);
+        dialog.querySelector('#remove-button').addEventListener('click', () => {
+            sendOtp(dialog, dialog.querySelector('input[name="emailOrPhone"]').value.trim());
+        });
+        dialog.querySelector('button[aria-label="Create an Account"]').addEventListener('click', showSignUp);
+    }
+
+    function showSignUp() {
+        const dialog = authDialog(`
+<h2>Create an Account</h2>
+<input name="firstName" type="text" placeholder="First Name">
+<input name="lastName" type="text" placeholder="Last Name">
+<input name="mobile" type="tel" placeholder="Mobile">
+<input name="email" type="email" placeholder="Email">
+<input name="password" type="password" placeholder="Password">
+<div class="auth-error"></div>
+<button id="remove-button" data-testid="button-testid" class="primary-button">Create an Account</button>
+<p class="auth-switch">Have an account? <span role="button" aria-label="Sign In" class="link-button">Sign In</span></p>`);
+        dialog.querySelector('#remove-button').addEventListener('click', () => {
+            sendOtp(dialog, dialog.querySelector('input[name="mobile"]').value.trim());
+        });
+        dialog.querySelector('[aria-label="Sign In"]').addEventListener('click', showSignIn);
+    }
+
+    function showOtp(phone) {
+        const boxes = Array.from({ length: MOCK.otpLength }, (_, i) =>
+            `<input type="tel" inputmode="numeric" maxlength="1" aria-label="OTP digit ${i + 1}" class="otp-box">`).join('');
+        const dialog = authDialog(`
+<h2>Verify OTP</h2>
+<p class="auth-sub">Enter the OTP sent to ${MOCK.esc(phone)}</p>
+<div class="otp-grid">${boxes}</div>
+<div class="auth-error"></div>
+<p class="auth-resend">Didn't receive OTP? Resend</p>`);
+        const inputs = Array.from(dialog.querySelectorAll('.otp-box'));
+        MOCK.bindOtpGrid(inputs, async (otp) => {
+            try {
+                await MOCK.api('POST', '/otp/verify', { otp });
+                MOCK.closeDialog();
+                const link = document.getElementById('signin-link');
+                if (link) link.outerHTML = '<button aria-label="User account menu" class="account-menu">Jane</button>';
+                MOCK.loggedIn = true;
+            } catch (error) {
+                dialog.querySelector('.auth-error').textContent = error.message;
+                inputs.forEach(i => { i.value = ''; });
+                inputs[0].focus();
+            }
+        });
+        inputs[0].focus();
+    }
+
+    document.getElementById('signin-link')?.addEventListener('click', (event) => {
+        event.preventDefault();
+        showSignIn();
+    });
+    if (MOCK.openSignIn) showSignIn();
+
+    // ---- Search ---------------------------------------------------------
+
+    const searchInput = document.getElementById('autocomplete-0-input');
+    searchInput?.addEventListener('keydown', (event) => {
+        if (event.key !== 'Enter' || !searchInput.value.trim()) return;
+        window.location.href = `${MOCK.base}/search?q=${encodeURIComponent(searchInput.value.trim())}`;
+    });
+
+    // ---- Product page ---------------------------------------------------
+
+    async function addProduct(selection = {}) {
+        await MOCK.api('POST', '/cart', { productId: MOCK.product.id, ...selection });
+        window.location.href = `${MOCK.base}/cart`;
+    }
+
+    function showLensTypes() {
+        const options = MOCK.lensTypes.map(type => `<div data-cy="PackageItemWrapper" role="button" tabindex="0" class="lens-type" data-lens-type="${MOCK.esc(type.id)}">
+<h3>${MOCK.esc(type.name)}</h3>
+<p>${MOCK.esc(type.description)}</p>
+</div>`).join('');
+        const dialog = MOCK.openDialog('lens-dialog', `<div class="lens-panel">
+<button aria-label="Close" class="dialog-close">×</button>
+<h2>Select Lens Type</h2>
+${options}
+</div>`);
+        dialog.querySelector('.dialog-close').addEventListener('click', () => MOCK.closeDialog());
+        dialog.querySelectorAll('[data-cy="PackageItemWrapper"]').forEach(option => {
+            option.addEventListener('click', () => showPackages(option.getAttribute('data-lens-type')));
+        });
+    }
+
+    function showPackages(lensType) {
+        // Each card reuses id="package-card-wrapper", as the live site does
+        const cards = MOCK.lensPackages.map(pkg => `<div id="package-card-wrapper" class="package-card" data-package="${MOCK.esc(pkg.id)}">
+<div role="button" tabindex="0" class="package-card-body">
+<h3>${MOCK.esc(pkg.name)}</h3>
+<p class="package-price">₹${pkg.price}</p>
+</div>
+</div>`).join('');
+        const dialog = MOCK.openDialog('lens-dialog', `<div class="lens-panel">
+<button aria-label="Close" class="dialog-close">×</button>
+<h2>Choose Lens Package</h2>
+${cards}
+<button data-cy="packageBtnContinue" class="primary-button" disabled>CONTINUE</button>
+</div>`);
+        let selected = null;
+        const continueButton = dialog.querySelector('[data-cy="packageBtnContinue"]');
+        dialog.querySelector('.dialog-close').addEventListener('click', () => MOCK.closeDialog());
+        dialog.querySelectorAll('.package-card').forEach(card => {
+            card.addEventListener('click', () => {
+                dialog.querySelectorAll('.package-card').forEach(c => c.classList.remove('selected'));
+                card.classList.add('selected');
+                selected = card.getAttribute('data-package');
+                continueButton.disabled = false;
+            });
+        });
+        continueButton.addEventListener('click', () => {
+            if (!selected) return;
+            addProduct({ lensType, lensPackage: selected });
+        });
+    }
+
+    document.getElementById('btn-primary')?.addEventListener('click', () => {
+        if (MOCK.needsLenses) {
+            showLensTypes();
+        } else {
+            addProduct();
+        }
+    });
+
+    // ---- Cart -----------------------------------------------------------
+
+    document.querySelector('[data-cy="cart-cta-desktop"]')?.addEventListener('click', () => {
+        window.location.href = `${MOCK.base}/checkout`;
+    });
+
+    MOCK.bindCartSteppers();
+})();
@@ -0,0 +1,286 @@
+// Mock Swiggy client: login dialog, location picker, search opener, ADD + customization modal,
+// "repeat last customization" and "items already in cart" prompts
+
+(function () {
+    const MOCK = window.MOCK;
+
+    function setCartCount(count) {
+        const badge = document.querySelector('a[href*="/checkout"] span');
+        if (badge) badge.textContent = String(count);
+    }
+
+    // ---- Login ----------------------------------------------------------
+
+    function showLogin() {
+        const dialog = MOCK.openDialog('auth-dialog', `
+<div class="auth-panel">
+<button aria-label="Close" class="dialog-close">×</button>
+<h2>Login</h2>
+<p class="auth-sub">or <a href="#" class="create-account">create an account</a></p>
+<form id="login-form" novalidate>
+<input type="tel" id="mobile" name="mobile" placeholder="Phone number" maxlength="10" autocomplete="tel">
+<div class="auth-error"></div>
+<a href="#" class="login-cta">LOGIN</a>
+</form>
+<p class="auth-terms">By clicking on Login, I accept the Terms &amp; Conditions</p>
+</div>`);
+        dialog.querySelector('.dialog-close').addEventListener('click', () => MOCK.closeDialog());
+        const form = dialog.querySelector('#login-form');
+        const submit = async (event) => {
+            event && event.preventDefault();
+            const phone = form.querySelector('#mobile').value.trim();
+            try {
+                await MOCK.api('POST', '/otp/send', { phone });
+                showOtp(phone);
+            } catch (error) {
+                form.querySelector('.auth-error').textContent = error.message;
+            }
+        };
+        form.addEventListener('submit', submit);
+        form.querySelector('.login-cta').addEventListener('click', submit);
+        form.querySelector('#mobile').addEventListener('keydown', (event) => {
+            if (event.key === 'Enter') submit(event);
+        });
+    }
+
+    function showOtp(phone) {
+        const dialog = MOCK.openDialog('auth-dialog', `
+<div class="auth-panel">
+<button aria-label="Close" class="dialog-close">×</button>
+<h2>Verify OTP</h2>
+<p class="auth-sub">Enter the OTP sent to +91 ${MOCK.esc(phone)}</p>
+<form id="otp-form" novalidate>
+<input type="tel" name="otp" autocomplete="one-time-code" placeholder="One time password (OTP)" maxlength="${MOCK.otpLength}">
+<div class="auth-error"></div>
+<a href="#" class="verify-cta">VERIFY OTP</a>
+</form>
+<p class="auth-resend">Didn't receive OTP? Resend</p>
+</div>`);
+        dialog.querySelector('.dialog-close').addEventListener('click', () => MOCK.closeDialog());
+        const input = dialog.querySelector('input[name="otp"]');
+        const verify = async (event) => {
+            event && event.preventDefault();
+            try {
+                await MOCK.api('POST', '/otp/verify', { otp: input.value });
+                MOCK.closeDialog();
+                const link = document.getElementById('signin-link');
+                if (link) link.outerHTML = '<a href="#" class="nav-account">Profile</a>';
+                MOCK.loggedIn = true;
+            } catch (error) {
+                dialog.querySelector('.auth-error').textContent = error.message;
+            }
+        };
+        input.addEventListener('input', () => {
+            if (input.value.length === MOCK.otpLength) verify();
+        });
+        dialog.querySelector('#otp-form').addEventListener('submit', verify);
+        dialog.querySelector('.verify-cta').addEventListener('click', verify);
+        input.focus();
+    }
+
+    document.getElementById('signin-link')?.addEventListener('click', (event) => {
+        event.preventDefault();
+        showLogin();
+    });
+
+    // ---- Location -------------------------------------------------------
+
+    const locationInput = document.getElementById('location-input');
+    const suggestions = document.getElementById('location-suggestions');
+    if (locationInput && suggestions) {
+        locationInput.addEventListener('input', () => {
+            const text = locationInput.value.trim().toLowerCase();
+            suggestions.innerHTML = '';
+            if (text.length < 3) return;
+            const matches = MOCK.localities.filter(l => l.toLowerCase().includes(text));
+            const options = matches.length ? matches : [`${locationInput.value.trim()}, India`];
+            suggestions.appendChild(MOCK.html('<div role="button" class="location-current">Use my current location</div>'));
+            options.forEach(address => {
+                const option = MOCK.html(`<div role="button" class="location-option">${MOCK.esc(address)}</div>`);
+                option.addEventListener('click', async () => {
+                    await MOCK.api('POST', '/location', { address });
+                    document.getElementById('location-label').textContent = address;
+                    locationInput.value = address;
+                    suggestions.innerHTML = '';
+                });
+                suggestions.appendChild(option);
+            });
+        });
+    }
+
+    // ---- Search ---------------------------------------------------------
+
+    document.querySelector('.search-opener')?.addEventListener('click', () => {
+        window.location.href = `${MOCK.base}/search`;
+    });
+
+    // ---- Add to cart + customization -------------------------------------
+
+    async function addDish(dishId, options) {
+        const cart = await MOCK.api('POST', '/cart', { dishId, options });
+        setCartCount(cart.count);
+        MOCK.toast('Item added to cart');
+        return cart;
+    }
+
+    function optionMarkup(group, groupIndex) {
+        return group.options.map((option, i) => {
+            const checked = group.type === 'radio' && group.min > 0 && i === 0 ? ' checked' : '';
+            return `<label class="addon-option">
+<input type="${group.type}" name="group-${groupIndex}" value="${MOCK.esc(option.name)}"${checked}>
+<span>${MOCK.esc(option.name)}</span>
+<span class="addon-price">${option.price ? `+ ₹${option.price}` : ''}</span>
+</label>`;
+        }).join('');
+    }
+
+    function groupHint(group) {
+        if (group.type === 'radio') return group.min > 0 ? 'Required · Select any 1' : 'Optional · Select up to 1';
+        return group.min > 0 ? `Required · Select ${group.min} to ${group.max}` : `Optional · Select up to ${group.max}`;
+    }
+
+    function showCustomization(dish) {
+        const chosen = dish.groups.map(() => []);
+        let step = 0;
+
+        const dialog = MOCK.openDialog('customize-dialog', '<div id="customise-content"></div>');
+        const content = dialog.querySelector('#customise-content');
+
+        const total = () => dish.price + dish.groups.reduce((sum, g, gi) =>
+            sum + g.options.filter(o => chosen[gi].includes(o.name)).reduce((s, o) => s + o.price, 0), 0);
+
+        const readStep = () => {
+            chosen[step] = Array.from(content.querySelectorAll('.addon-group input:checked')).map(i => i.value);
+        };
+
+        const render = () => {
+            const group = dish.groups[step];
+            const last = step === dish.groups.length - 1;
+            content.innerHTML = `
+<div class="customize-header">
+<button aria-label="Close" class="dialog-close">×</button>
+<p class="customize-dish">${MOCK.esc(dish.name)} · ₹${dish.price}</p>
+<h3>Customise as per your taste</h3>
+<p class="customize-step">Step ${step + 1}/${dish.groups.length}</p>
+</div>
+<div class="addon-group">
+<h4>${MOCK.esc(group.name)}</h4>
+<p>${groupHint(group)}</p>
+${optionMarkup(group, step)}
+</div>
+<div class="customize-footer">
+<div class="item-total">Item total ₹<span class="item-total-value">${total()}</span></div>
+${last
+        ? '<button data-cy="customize-footer-add-button" class="customize-add">Add Item to cart</button>'
+        : `<button data-testid="menu-customize-continue-button" aria-label="Step ${step + 1} out of ${dish.groups.length}" class="customize-continue">Continue</button>`}
+</div>`;
+
+            // Restore earlier picks when stepping back through the same group
+            content.querySelectorAll('.addon-group input').forEach(input => {
+                if (chosen[step].includes(input.value)) input.checked = true;
+            });
+            readStep();
+
+            const inputs = Array.from(content.querySelectorAll('.addon-group input'));
+            const enforceMax = () => {
+                if (group.type !== 'checkbox') return;
+                const count = inputs.filter(i => i.checked).length;
+                inputs.forEach(i => { i.disabled = !i.checked && count >= group.max; });
+            };
+            enforceMax();
+            inputs.forEach(input => input.addEventListener('change', () => {
+                enforceMax();
+                readStep();
+                content.querySelector('.item-total-value').textContent = String(total());
+            }));
+
+            content.querySelector('.dialog-close').addEventListener('click', () => MOCK.closeDialog());
+
+            const advance = (event) => {
+                readStep();
+                if (chosen[step].length < group.min) {
+                    event.preventDefault();
+                    MOCK.toast(`Please select ${group.name}`);
+                    return false;
+                }
+                return true;
+            };
+            content.querySelector('.customize-continue')?.addEventListener('click', (event) => {
+                if (!advance(event)) return;
+                step += 1;
+                render();
+            });
+            content.querySelector('.customize-add')?.addEventListener('click', async (event) => {
+                if (!advance(event)) return;
+                MOCK.closeDialog();
+                await addDish(dish.id, chosen.flat());
+            });
+        };
+
+        render();
+    }
+
+    // Adding a customized dish that is already in the cart asks first, like the live site
+    async function showRepeatPrompt(dish) {
+        const cart = await MOCK.api('GET', '/cart');
+        const last = cart.items.filter(item => item.dishId === dish.id).pop();
+        if (!last) return false;
+        const dialog = MOCK.openDialog('repeat-dialog', `<div class="repeat-panel">
+<button aria-label="Close" class="dialog-close">×</button>
+<h3>Repeat last used customization?</h3>
+<p class="repeat-dish">${MOCK.esc(dish.name)}</p>
+<p class="repeat-variant">${MOCK.esc(last.variant.join(', ') || 'No customization')}</p>
+<div class="repeat-actions">
+<button data-testid="choose-customization-button" class="repeat-choose">I'll choose</button>
+<button data-testid="repeat-customization-button" class="repeat-last">Repeat</button>
+</div>
+</div>`);
+        dialog.querySelector('.dialog-close').addEventListener('click', () => MOCK.closeDialog());
+        dialog.querySelector('.repeat-choose').addEventListener('click', () => showCustomization(dish));
+        dialog.querySelector('.repeat-last').addEventListener('click', async () => {
+            MOCK.closeDialog();
+            await addDish(dish.id, last.variant);
+        });
+        return true;
+    }
+
+    // A cart holding another restaurant's dishes must be reset first, like the live site
+    async function confirmReplaceCart(dish) {
+        const cart = await MOCK.api('GET', '/cart');
+        if (!cart.items.length || cart.restaurantId === dish.restaurantId) return true;
+        return new Promise((resolve) => {
+            const dialog = MOCK.openDialog('replace-dialog', `<div class="replace-panel">
+<h3>Items already in cart</h3>
+<p>Your cart contains items from ${MOCK.esc(cart.restaurant)}. Would you like to reset your cart for adding items from this restaurant?</p>
+<div class="repeat-actions">
+<button data-testid="replace-cart-no" class="replace-no">No</button>
+<button data-testid="replace-cart-yes" class="replace-yes">Yes, start afresh</button>
+</div>
+</div>`);
+            dialog.querySelector('.replace-no').addEventListener('click', () => {
+                MOCK.closeDialog();
+                resolve(false);
+            });
+            dialog.querySelector('.replace-yes').addEventListener('click', async () => {
+                MOCK.closeDialog();
+                const emptied = await MOCK.api('DELETE', '/cart');
+                setCartCount(emptied.count);
+                resolve(true);
+            });
+        });
+    }
+
+    document.querySelectorAll('button[data-dish-id]').forEach(button => {
+        button.addEventListener('click', async () => {
+            const dish = MOCK.dishes[button.getAttribute('data-dish-id')];
+            if (!dish || !(await confirmReplaceCart(dish))) return;
+            if (dish.groups.length) {
+                if (!(await showRepeatPrompt(dish))) showCustomization(dish);
+            } else {
+                await addDish(dish.id, []);
+            }
+        });
+    });
+
+    MOCK.bindCartSteppers();
+})();
@@ -0,0 +1,400 @@
+// Offline mock storefronts for Lenskart and Swiggy
+//
+// Serves pages that mirror the DOM the site adapters depend on (auth dialogs, OTP inputs,
+// search, product/dish cards, customization modals, the Swiggy one-restaurant cart lock,
+// cart badge and checkout CTA), so a
+// full run can be pointed at it with --base-url and repeated without the live sites.
+//
+// Usage:
+//   node fixtures/server.js [--port 4100]
+//   node automation.js swiggy pizza --base-url http://localhost:4100/swiggy
+//
+// The OTP accepted by both sites is MOCK_OTP (default 123456).
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const catalog = require('./catalog');
+const views = require('./views');
+
+const PUBLIC_DIR = path.join(__dirname, 'public');
+const CONTENT_TYPES = { '.js': 'application/javascript', '.css': 'text/css' };
+const STOP_WORDS = new Set(['for', 'and', 'the', 'with', 'a', 'of']);
+
+class MockStorefrontServer {
+    constructor(options = {}) {
+        this.port = options.port ?? 4100;
+        this.otp = String(options.otp || process.env.MOCK_OTP || '123456');
+        this.sessions = new Map();
+        this.server = http.createServer((req, res) => {
+            this.handle(req, res).catch(error => {
+                this.send(res, 500, { error: error.message });
+            });
+        });
+    }
+
+    get url() {
+        return `http://localhost:${this.port}`;
+    }
+
+    // Listen on the port (0 picks a free one); a busy port rejects with a message saying how to pick another
+    async start() {
+        await new Promise((resolve, reject) => {
+            this.server.once('error', error => reject(error.code === 'EADDRINUSE'
+                ? new Error(`Port ${this.port} is already in use; pass --port or set MOCK_PORT`)
+                : error));
+            this.server.listen(this.port, resolve);
+        });
+        this.port = this.server.address().port;
+        return this.url;
+    }
+
+    async stop() {
+        await new Promise(resolve => this.server.close(resolve));
+    }
+
+    // Per-browser state, keyed by the mock_sid cookie
+    session(req, res) {
+        const cookies = Object.fromEntries((req.headers.cookie || '').split(';')
+            .map(c => c.trim().split('='))
+            .filter(([k]) => k));
+        let sid = cookies.mock_sid;
+        if (!sid || !this.sessions.has(sid)) {
+            sid = crypto.randomBytes(8).toString('hex');
+            this.sessions.set(sid, {
+                auth: { swiggy: false, lenskart: false },
+                otpSent: { swiggy: false, lenskart: false },
+                location: null,
+                carts: {
+                    swiggy: { restaurantId: null, items: [] },
+                    lenskart: { items: [] },
+                },
+            });
+            res.setHeader('Set-Cookie', `mock_sid=${sid}; Path=/; HttpOnly`);
+        }
+        return this.sessions.get(sid);
+    }
+
+    send(res, status, body, type = 'application/json') {
+        if (res.headersSent) return;
+        const payload = typeof body === 'string' ? body : JSON.stringify(body);
+        res.writeHead(status, { 'Content-Type': `${type}; charset=utf-8`, 'Cache-Control': 'no-store' });
+        res.end(payload);
+    }
+
+    html(res, body) {
+        this.send(res, 200, body, 'text/html');
+    }
+
+    redirect(res, location) {
+        res.writeHead(302, { Location: location });
+        res.end();
+    }
+
+    async readBody(req) {
+        let raw = '';
+        for await (const chunk of req) raw += chunk;
+        if (!raw) return {};
+        try {
+            return JSON.parse(raw);
+        } catch {
+            return {};
+        }
+    }
+
+    async handle(req, res) {
+        const url = new URL(req.url, this.url);
+        const parts = url.pathname.split('/').filter(Boolean);
+
+        if (parts[0] === 'assets') {
+            return this.serveAsset(res, parts.slice(1).join('/'));
+        }
+        if (parts.length === 0) {
+            return this.html(res, views.index());
+        }
+
+        const [site, ...rest] = parts;
+        if (site !== 'swiggy' && site !== 'lenskart') {
+            return this.send(res, 404, 'Not found', 'text/plain');
+        }
+
+        const state = this.session(req, res);
+        if (rest[0] === 'api') {
+            const body = req.method === 'GET' ? {} : await this.readBody(req);
+            return site === 'swiggy'
+                ? this.swiggyApi(req, res, rest.slice(1), body, state)
+                : this.lenskartApi(req, res, rest.slice(1), body, state);
+        }
+
+        return site === 'swiggy'
+            ? this.swiggyPage(res, rest, url, state)
+            : this.lenskartPage(res, rest, url, state);
+    }
+
+    serveAsset(res, name) {
+        const file = path.join(PUBLIC_DIR, path.normalize(name));
+        if (!file.startsWith(PUBLIC_DIR) || !fs.existsSync(file)) {
+            return this.send(res, 404, 'Not found', 'text/plain');
+        }
+        this.send(res, 200, fs.readFileSync(file, 'utf8'), CONTENT_TYPES[path.extname(file)] || 'text/plain');
+    }
+
+    // Words of the query that must all appear in the searched text
+    queryTokens(query) {
+        return (query || '').toLowerCase().split(/\s+/).filter(t => t && !STOP_WORDS.has(t));
+    }
+
+    matches(tokens, text) {
+        const words = text.toLowerCase().split(/[^a-z0-9]+/);
+        return tokens.length > 0 && tokens.every(t => words.some(w => w === t || w === `${t}s` || (t.length > 3 && w.startsWith(t))));
+    }
+
+    // Auth endpoints shared by both sites
+    authApi(res, site, action, body, state) {
+        if (action === 'send') {
+            if (!/^\d{10}$/.test(String(body.phone || '').replace(/\D/g, '').slice(-10))) {
+                return this.send(res, 400, { error: 'Enter a valid phone number' });
+            }
+            state.otpSent[site] = true;
+            return this.send(res, 200, { sent: true, length: this.otp.length });
+        }
+        if (action === 'verify') {
+            if (!state.otpSent[site] || String(body.otp) !== this.otp) {
+                return this.send(res, 401, { error: 'Invalid OTP' });
+            }
+            state.auth[site] = true;
+            return this.send(res, 200, { verified: true });
+        }
+        return this.send(res, 404, { error: 'Unknown auth action' });
+    }
+
+    // ---- Swiggy ---------------------------------------------------------
+
+    swiggyCart(state) {
+        const cart = state.carts.swiggy;
+        const subtotal = cart.items.reduce((sum, item) => sum + item.unitPrice * item.quantity, 0);
+        const fees = cart.items.length ? catalog.swiggy.fees : { delivery: 0, platform: 0 };
+        const restaurant = catalog.swiggy.restaurants.find(r => r.id === cart.restaurantId) || null;
+        return {
+            restaurantId: cart.restaurantId,
+            restaurant: restaurant && restaurant.name,
+            items: cart.items,
+            count: cart.items.reduce((sum, item) => sum + item.quantity, 0),
+            subtotal,
+            fees,
+            total: subtotal + fees.delivery + fees.platform,
+        };
+    }
+
+    swiggyApi(req, res, parts, body, state) {
+        const [resource, action] = parts;
+
+        if (resource === 'otp') {
+            return this.authApi(res, 'swiggy', action, body, state);
+        }
+        if (resource === 'session') {
+            return this.send(res, 200, { loggedIn: state.auth.swiggy, location: state.location, cart: this.swiggyCart(state) });
+        }
+        if (resource === 'location' && req.method === 'POST') {
+            state.location = String(body.address || '').trim() || null;
+            return this.send(res, 200, { location: state.location });
+        }
+        if (resource === 'cart') {
+            const cart = state.carts.swiggy;
+            if (req.method === 'GET') {
+                return this.send(res, 200, this.swiggyCart(state));
+            }
+            if (req.method === 'DELETE' && !action) {
+                cart.items = [];
+                cart.restaurantId = null;
+                return this.send(res, 200, this.swiggyCart(state));
+            }
+            if (req.method === 'POST' && !action) {
+                const dish = catalog.swiggy.dishes.find(d => d.id === body.dishId);
+                if (!dish) return this.send(res, 404, { error: 'Unknown dish' });
+                // Like the live site, a cart holds one restaurant's dishes
+                if (cart.items.length && cart.restaurantId !== dish.restaurantId) {
+                    return this.send(res, 409, { error: 'Items already in cart', cart: this.swiggyCart(state) });
+                }
+                const chosen = Array.isArray(body.options) ? body.options : [];
+                const extra = dish.groups
+                    .flatMap(g => g.options)
+                    .filter(o => chosen.includes(o.name))
+                    .reduce((sum, o) => sum + o.price, 0);
+                const key = `${dish.id}|${chosen.join(',')}`;
+                const existing = cart.items.find(item => item.key === key);
+                if (existing) {
+                    existing.quantity += 1;
+                } else {
+                    cart.items.push({
+                        id: crypto.randomBytes(4).toString('hex'),
+                        key,
+                        dishId: dish.id,
+                        name: dish.name,
+                        variant: chosen,
+                        quantity: 1,
+                        unitPrice: dish.price + extra,
+                    });
+                }
+                cart.restaurantId = dish.restaurantId;
+                return this.send(res, 200, this.swiggyCart(state));
+            }
+            if (req.method === 'PATCH' && action) {
+                const item = cart.items.find(i => i.id === action);
+                if (!item) return this.send(res, 404, { error: 'Unknown cart item' });
+                item.quantity = Math.max(0, parseInt(body.quantity, 10) || 0);
+                cart.items = cart.items.filter(i => i.quantity > 0);
+                if (!cart.items.length) cart.restaurantId = null;
+                return this.send(res, 200, this.swiggyCart(state));
+            }
+        }
+        return this.send(res, 404, { error: 'Unknown endpoint' });
+    }
+
+    swiggyPage(res, parts, url, state) {
+        const [page, id] = parts;
+        const data = catalog.swiggy;
+        const ctx = { state, cart: this.swiggyCart(state), otpLength: this.otp.length };
+
+        if (!page) {
+            return this.html(res, views.swiggy.home(ctx));
+        }
+        if (page === 'search') {
+            const query = url.searchParams.get('query') || '';
+            const tokens = this.queryTokens(query);
+            const restaurants = data.restaurants.filter(r => this.matches(tokens, `${r.name} ${r.cuisine}`));
+            const dishes = data.dishes.filter(d => {
+                const r = data.restaurants.find(x => x.id === d.restaurantId);
+                return this.matches(tokens, `${d.name} ${r.name} ${r.cuisine}`);
+            });
+            return this.html(res, views.swiggy.search({ ...ctx, query, restaurants, dishes }));
+        }
+        if (page === 'restaurants' && id) {
+            const restaurant = data.restaurants.find(r => r.id === id);
+            if (!restaurant) return this.send(res, 404, 'Restaurant not found', 'text/plain');
+            const dishes = data.dishes.filter(d => d.restaurantId === id);
+            return this.html(res, views.swiggy.restaurant({ ...ctx, restaurant, dishes }));
+        }
+        if (page === 'checkout') {
+            return this.html(res, views.swiggy.checkout(ctx));
+        }
+        return this.send(res, 404, 'Not found', 'text/plain');
+    }
+
+    // ---- Lenskart -------------------------------------------------------
+
+    lenskartCart(state) {
+        const items = state.carts.lenskart.items;
+        const subtotal = items.reduce((sum, item) => sum + item.unitPrice * item.quantity, 0);
+        return {
+            items,
+            count: items.reduce((sum, item) => sum + item.quantity, 0),
+            subtotal,
+            fees: { convenience: 0 },
+            total: subtotal,
+        };
+    }
+
+    lenskartApi(req, res, parts, body, state) {
+        const [resource, action] = parts;
+
+        if (resource === 'otp') {
+            return this.authApi(res, 'lenskart', action, body, state);
+        }
+        if (resource === 'session') {
+            return this.send(res, 200, { loggedIn: state.auth.lenskart, cart: this.lenskartCart(state) });
+        }
+        if (resource === 'cart') {
+            const cart = state.carts.lenskart;
+            if (req.method === 'GET') {
+                return this.send(res, 200, this.lenskartCart(state));
+            }
+            if (req.method === 'DELETE' && !action) {
+                cart.items = [];
+                return this.send(res, 200, this.lenskartCart(state));
+            }
+            if (req.method === 'POST' && !action) {
+                const product = catalog.lenskart.products.find(p => p.id === body.productId);
+                if (!product) return this.send(res, 404, { error: 'Unknown product' });
+                const lensType = catalog.lenskart.lensTypes.find(t => t.id === body.lensType);
+                const lensPackage = catalog.lenskart.lensPackages.find(p => p.id === body.lensPackage);
+                const variant = [lensType && lensType.name, lensPackage && lensPackage.name].filter(Boolean);
+                const key = `${product.id}|${variant.join(',')}`;
+                const existing = cart.items.find(item => item.key === key);
+                if (existing) {
+                    existing.quantity += 1;
+                } else {
+                    cart.items.push({
+                        id: crypto.randomBytes(4).toString('hex'),
+                        key,
+                        productId: product.id,
+                        name: product.name,
+                        variant,
+                        quantity: 1,
+                        unitPrice: product.discountedPrice + (lensPackage ? lensPackage.price : 0),
+                    });
+                }
+                return this.send(res, 200, this.lenskartCart(state));
+            }
+            if (req.method === 'PATCH' && action) {
+                const item = cart.items.find(i => i.id === action);
+                if (!item) return this.send(res, 404, { error: 'Unknown cart item' });
+                item.quantity = Math.max(0, parseInt(body.quantity, 10) || 0);
+                cart.items = cart.items.filter(i => i.quantity > 0);
+                return this.send(res, 200, this.lenskartCart(state));
+            }
+        }
+        return this.send(res, 404, { error: 'Unknown endpoint' });
+    }
+
+    lenskartPage(res, parts, url, state) {
+        const [page, id] = parts;
+        const data = catalog.lenskart;
+        const ctx = { state, cart: this.lenskartCart(state), otpLength: this.otp.length };
+
+        if (!page) {
+            return this.html(res, views.lenskart.home(ctx));
+        }
+        if (page === 'customer' && id === 'account') {
+            return this.html(res, views.lenskart.home({ ...ctx, openSignIn: !state.auth.lenskart }));
+        }
+        if (page === 'search') {
+            const query = url.searchParams.get('q') || '';
+            const tokens = this.queryTokens(query);
+            const products = data.products.filter(p => this.matches(tokens, `${p.name} ${p.brand} ${p.category} ${p.gender}`));
+            return this.html(res, views.lenskart.search({ ...ctx, query, products }));
+        }
+        if (page === 'product' && id) {
+            const product = data.products.find(p => p.id === id);
+            if (!product) return this.send(res, 404, 'Product not found', 'text/plain');
+            return this.html(res, views.lenskart.product({ ...ctx, product, lensTypes: data.lensTypes, lensPackages: data.lensPackages }));
+        }
+        if (page === 'cart') {
+            return this.html(res, views.lenskart.cart(ctx));
+        }
+        if (page === 'checkout') {
+            if (!ctx.cart.items.length) return this.redirect(res, '/lenskart/cart');
+            return this.html(res, views.lenskart.checkout(ctx));
+        }
+        return this.send(res, 404, 'Not found', 'text/plain');
+    }
+}
+
+module.exports = MockStorefrontServer;
+
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const portIndex = args.indexOf('--port');
+    const port = portIndex >= 0 ? parseInt(args[portIndex + 1], 10) : parseInt(process.env.MOCK_PORT || '4100', 10);
+    const server = new MockStorefrontServer({ port });
+    server.start().then(url => {
+        console.log(`🧪 Mock storefronts running at ${url}`);
+        console.log(`   Swiggy:   ${url}/swiggy`);
+        console.log(`   Lenskart: ${url}/lenskart`);
+        console.log(`   OTP:      ${server.otp}`);
+    }).catch(error => {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    });
+}
@@ -0,0 +1,296 @@
+// HTML templates for the mock storefronts
+//
+// Markup copies what the site adapters look for on the live sites: ids, data-cy/data-testid
+// attributes and texts (cart lines and bill rows carry no hooks there, so none here either).
+// data-item-id/data-action only wire up the mock's own scripts; styling is only enough for
+// readable screenshots.
+
+const catalog = require('./catalog');
+
+function esc(value) {
+    return String(value ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+}
+
+function rupees(amount) {
+    return `₹${amount}`;
+}
+
+function layout({ site, title, header, body, client = {} }) {
+    const boot = JSON.stringify({ site, base: `/${site}`, ...client }).replace(/</g, '\\u003c');
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${esc(title)}</title>
+<link rel="stylesheet" href="/assets/style.css">
+</head>
+<body class="site-${site}">
+${header}
+<main>
+${body}
+</main>
+<script>window.MOCK = ${boot};</script>
+<script src="/assets/common.js"></script>
+<script src="/assets/${site}.js"></script>
+</body>
+</html>`;
+}
+
+function index() {
+    return `<!DOCTYPE html>
+<html lang="en">
+<head><meta charset="utf-8"><title>Mock storefronts</title><link rel="stylesheet" href="/assets/style.css"></head>
+<body>
+<main>
+<h1>Mock storefronts</h1>
+<ul>
+<li><a href="/swiggy">Swiggy</a></li>
+<li><a href="/lenskart">Lenskart</a></li>
+</ul>
+</main>
+</body>
+</html>`;
+}
+
+// ---- Swiggy -------------------------------------------------------------
+
+const swiggy = {
+    header({ state, cart }) {
+        const account = state.auth.swiggy
+            ? '<a href="#" class="nav-account">Profile</a>'
+            : '<a href="#" class="nav-signin" id="signin-link">Sign in</a>';
+        return `<header class="sw-header">
+<a href="/swiggy" class="logo">Swiggy</a>
+<span id="location-label" class="location-label">${esc(state.location || 'Other')}</span>
+<nav>
+<a href="/swiggy/search" class="nav-search">Search</a>
+${account}
+<a href="/swiggy/checkout" class="nav-cart"><span class="cart-badge">${cart.count}</span> Cart</a>
+</nav>
+</header>`;
+    },
+
+    dishCard(dish) {
+        const restaurant = catalog.swiggy.restaurants.find(r => r.id === dish.restaurantId);
+        return `<div data-testid="normal-dish-item" class="dish-card">
+<div class="dish-info">
+<div class="veg-mark ${dish.veg ? 'veg' : 'non-veg'}" role="img" aria-label="${dish.veg ? 'Veg' : 'Non-veg'} item"></div>
+<div class="dish-title">${esc(dish.name)}</div>
+<div>By ${esc(restaurant.name)}</div>
+<div>${rupees(dish.price)}</div>
+<div>★ ${dish.rating}</div>
+<div>${esc(restaurant.deliveryTime)}</div>
+${dish.groups.length ? '<div class="dish-note">Customisable</div>' : ''}
+</div>
+<div class="dish-action">
+<button class="add-button-center-container" data-dish-id="${esc(dish.id)}"><div>ADD</div></button>
+</div>
+</div>`;
+    },
+
+    restaurantCard(restaurant) {
+        return `<a href="/swiggy/restaurants/${esc(restaurant.id)}" class="restaurant-card" data-testid="resturant-card">
+<div class="restaurant-title">${esc(restaurant.name)}</div>
+<div>★ ${restaurant.rating} · ${esc(restaurant.deliveryTime)}</div>
+<div>${esc(restaurant.cuisine)}</div>
+</a>`;
+    },
+
+    client(ctx, dishes = []) {
+        return {
+            otpLength: ctx.otpLength,
+            loggedIn: ctx.state.auth.swiggy,
+            localities: catalog.swiggy.localities,
+            dishes: Object.fromEntries(dishes.map(d => [d.id, d])),
+        };
+    },
+
+    home(ctx) {
+        const body = `<section class="hero">
+<h1>Order food &amp; groceries. Discover best restaurants.</h1>
+<div class="location-box">
+<input type="text" id="location-input" placeholder="Enter your delivery location" autocomplete="off">
+<div id="location-suggestions" class="location-suggestions"></div>
+</div>
+<div class="search-opener"><div>Search for restaurant, item or more</div></div>
+</section>
+<section class="restaurants">
+<h2>Top restaurant chains</h2>
+${catalog.swiggy.restaurants.map(r => swiggy.restaurantCard(r)).join('\n')}
+</section>`;
+        return layout({ site: 'swiggy', title: 'Swiggy', header: swiggy.header(ctx), body, client: swiggy.client(ctx) });
+    },
+
+    search(ctx) {
+        const { query, restaurants, dishes } = ctx;
+        let results = '';
+        if (query) {
+            results = `<div class="search-tabs"><span class="tab active">Dishes</span><span class="tab">Restaurants</span></div>
+<section class="dish-results" data-testid="search-pl-dish-first-v2-card">
+${dishes.length ? dishes.map(d => swiggy.dishCard(d)).join('\n') : `<p class="no-results">No dishes found for "${esc(query)}"</p>`}
+</section>
+<section class="restaurant-results">
+${restaurants.map(r => swiggy.restaurantCard(r)).join('\n')}
+</section>`;
+        }
+        const body = `<section class="search-page">
+<form id="search-form" action="/swiggy/search">
+<input type="search" name="query" placeholder="Search for restaurants and food" value="${esc(query)}" autocomplete="off">
+</form>
+${results}
+</section>`;
+        return layout({ site: 'swiggy', title: 'Swiggy Search', header: swiggy.header(ctx), body, client: swiggy.client(ctx, dishes || []) });
+    },
+
+    restaurant(ctx) {
+        const { restaurant, dishes } = ctx;
+        const body = `<section class="restaurant-page">
+<h1>${esc(restaurant.name)}</h1>
+<p class="restaurant-meta">★ ${restaurant.rating} · ${esc(restaurant.deliveryTime)} · ${esc(restaurant.cuisine)}</p>
+<h2>Recommended (${dishes.length})</h2>
+${dishes.map(d => swiggy.dishCard(d)).join('\n')}
+</section>`;
+        return layout({ site: 'swiggy', title: restaurant.name, header: swiggy.header(ctx), body, client: swiggy.client(ctx, dishes) });
+    },
+
+    checkout(ctx) {
+        const { cart } = ctx;
+        const body = cart.items.length ? `<section class="checkout">
+<h2 class="cart-restaurant">${esc(cart.restaurant)}</h2>
+${cart.items.map(item => `<div class="cart-line" data-item-id="${esc(item.id)}" data-quantity="${item.quantity}">
+<div class="line-info">
+<div>${esc(item.name)}</div>
+${item.variant.length ? `<div class="line-variant">${esc(item.variant.join(', '))}</div>` : ''}
+</div>
+<div class="stepper">
+<div data-action="decrease">−</div>
+<div>${item.quantity}</div>
+<div data-action="increase">+</div>
+</div>
+<div class="line-price">${rupees(item.unitPrice * item.quantity)}</div>
+</div>`).join('\n')}
+<div class="bill-details">
+<div class="bill-title">Bill Details</div>
+<div class="bill-line"><div>Item Total</div><div>${rupees(cart.subtotal)}</div></div>
+<div class="bill-line"><div>Delivery Fee</div><div>${rupees(cart.fees.delivery)}</div></div>
+<div class="bill-line"><div>Platform Fee</div><div>${rupees(cart.fees.platform)}</div></div>
+<div class="bill-line bill-total"><div>TO PAY</div><div>${rupees(cart.total)}</div></div>
+</div>
+</section>` : `<section class="checkout empty-cart">
+<h2>Your cart is empty</h2>
+<p>You can go to home page to view more restaurants</p>
+</section>`;
+        return layout({ site: 'swiggy', title: 'Secure Checkout', header: swiggy.header(ctx), body, client: swiggy.client(ctx) });
+    },
+};
+
+// ---- Lenskart -----------------------------------------------------------
+
+const lenskart = {
+    header({ state, cart }) {
+        const account = state.auth.lenskart
+            ? '<button aria-label="User account menu" class="account-menu">Jane</button>'
+            : '<a href="/lenskart/customer/account" id="signin-link" class="signin-link">Sign In &amp; Sign Up</a>';
+        return `<header id="header-wrapper">
+<a href="/lenskart" class="logo">Lenskart</a>
+<div class="search-box">
+<input id="autocomplete-0-input" class="aa-Input" type="search" placeholder="What are you looking for?" autocomplete="off">
+</div>
+${account}
+<a href="/lenskart/cart" class="cart-link">Cart <span class="cart-count">${cart.count}</span></a>
+</header>`;
+    },
+
+    client(ctx, extra = {}) {
+        return { otpLength: ctx.otpLength, loggedIn: ctx.state.auth.lenskart, ...extra };
+    },
+
+    home(ctx) {
+        const body = `<section class="hero">
+<h1>Eyeglasses, sunglasses &amp; contact lenses</h1>
+<div class="categories">
+<a href="/lenskart/search?q=eyeglasses">Eyeglasses</a>
+<a href="/lenskart/search?q=sunglasses">Sunglasses</a>
+</div>
+</section>`;
+        return layout({ site: 'lenskart', title: 'Lenskart', header: lenskart.header(ctx), body, client: lenskart.client(ctx, { openSignIn: !!ctx.openSignIn }) });
+    },
+
+    search(ctx) {
+        const { query, products } = ctx;
+        const cards = products.map(p => `<div class="product-card">
+<a class="sc-23b7d3eb-7 gZcHRJ" href="/lenskart/product/${esc(p.id)}" target="_blank">
+<div data-cy="plpCardContainerProductImage" class="product-image"><span>${esc(p.category)}</span></div>
+</a>
+<div class="product-meta">
+<p>${esc(p.brand)}</p>
+<p class="product-title">${esc(p.name)}</p>
+<div><span>${rupees(p.discountedPrice)}</span> <s class="price-struck">${rupees(p.price)}</s></div>
+<span>${p.rating}★</span>
+</div>
+</div>`).join('\n');
+        const body = `<section class="plp">
+<h1 class="plp-title">Results for "${esc(query)}" (${products.length})</h1>
+<div class="plp-grid">
+${cards || '<p class="no-results">No products found</p>'}
+</div>
+</section>`;
+        return layout({ site: 'lenskart', title: `Search: ${query}`, header: lenskart.header(ctx), body, client: lenskart.client(ctx) });
+    },
+
+    product(ctx) {
+        const { product, lensTypes, lensPackages } = ctx;
+        const needsLenses = product.category === 'eyeglasses';
+        const body = `<section class="pdp" data-product-id="${esc(product.id)}">
+<div class="pdp-image"><span>${esc(product.category)}</span></div>
+<div class="pdp-info">
+<p>${esc(product.brand)}</p>
+<h1>${esc(product.name)}</h1>
+<div><span>${rupees(product.discountedPrice)}</span> <s class="price-struck">${rupees(product.price)}</s></div>
+<button id="btn-primary" class="primary-button">${needsLenses ? 'SELECT LENSES' : 'BUY NOW'}</button>
+</div>
+</section>`;
+        const client = lenskart.client(ctx, { product, lensTypes, lensPackages, needsLenses });
+        return layout({ site: 'lenskart', title: product.name, header: lenskart.header(ctx), body, client });
+    },
+
+    cart(ctx) {
+        const { cart } = ctx;
+        const body = cart.items.length ? `<section class="cart">
+<h1>Cart (${cart.count} items)</h1>
+${cart.items.map(item => `<div class="cart-line" data-item-id="${esc(item.id)}" data-quantity="${item.quantity}">
+<div class="line-info">
+<a href="/lenskart/product/${esc(item.productId)}">${esc(item.name)}</a>
+${item.variant.length ? `<div class="line-variant">${esc(item.variant.join(' + '))}</div>` : ''}
+</div>
+<div class="stepper">
+<div data-action="decrease">−</div>
+<div>${item.quantity}</div>
+<div data-action="increase">+</div>
+</div>
+<div class="line-price">${rupees(item.unitPrice * item.quantity)}</div>
+<div class="line-actions"><span data-action="remove">Remove</span></div>
+</div>`).join('\n')}
+<div class="bill-details">
+<div class="bill-title">Bill Details</div>
+<div class="bill-line"><div>Total item price</div><div>${rupees(cart.subtotal)}</div></div>
+<div class="bill-line"><div>Convenience fee</div><div>${rupees(cart.fees.convenience)}</div></div>
+<div class="bill-line bill-total"><div>Total payable</div><div>${rupees(cart.total)}</div></div>
+</div>
+<div data-cy="cart-cta-desktop" class="cart-cta" role="button">Proceed To Checkout</div>
+</section>` : `<section class="cart empty-cart">
+<h1>Your cart is empty</h1>
+</section>`;
+        return layout({ site: 'lenskart', title: 'Cart', header: lenskart.header(ctx), body, client: lenskart.client(ctx) });
+    },
+
+    checkout(ctx) {
+        const body = `<section class="checkout">
+<h1>Select Address</h1>
+<p class="checkout-total">Total payable ${rupees(ctx.cart.total)}</p>
+</section>`;
+        return layout({ site: 'lenskart', title: 'Checkout', header: lenskart.header(ctx), body, client: lenskart.client(ctx) });
+    },
+};
+
+module.exports = { index, swiggy, lenskart };
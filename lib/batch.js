@@ -0,0 +1,386 @@
+// Batch runner
+//
+// Runs a list of scenarios (site, auth mode, search term, expectations) read from a JSON or
+// CSV file through a pool of EcommerceAutomation instances. All scenarios share one Chrome;
+// each gets its own browser context (cookies, storage, cache), screenshot folder and report,
+// and the batch ends with one pass/fail summary.
+//
+// JSON: a list of scenarios, or { defaults: {...}, scenarios: [...] }:
+//   [{ "site": "swiggy", "searchTerm": "pizza", "auth": "none", "expect": { "text": "Margherita" } }]
+//
+// CSV: one scenario per row, expectations as expect.* columns (several texts separated by |),
+// the pick strategy as pick.* columns and customization choices as choose.* columns:
+//   site,auth,searchTerm,pick.name,pick.veg,choose.Size,choose.Toppings,expect.text,expect.cartItem
+//   swiggy,none,pizza,/margherita/i,true,Large,Extra Cheese|Olives,Margherita,/pizza/i
+//
+// `pick` chooses the search result to open (lib/selection.js), e.g. { "brand": "Vincent Chase", "minRating": 4 };
+// `choose` and `fallback` the customization options (lib/customization.js), e.g. { "Size": "Large" },
+// and `lenses` the Lenskart lens type and package, e.g. { "type": "Zero Power", "maxPrice": 1500 }
+// (CSV: lenses.type, lenses.package and lenses.maxPrice columns). `quantity` and `quantityVia` set how
+// many units of the item to end up with and `resetCart` (none | before | after | both) empties the cart
+// around the scenario (see lib/cart.js). `video` (off | on | failed) records the scenario into its
+// screenshot folder (lib/video.js); --video sets it for scenarios without one.
+//
+// Expectations:
+//   text    the final page contains this text (or each of these texts)
+//   url     the final page URL contains this
+//   cart    an assertCart expectation, e.g. { "items": [{ "name": "/pizza/i", "quantity": 1 }] }
+//           (CSV: expect.cartItem and expect.cartQty for one item)
+//   status  the run outcome the scenario expects, passed (default) or failed
+// text, url and cart are appended to the flow as assertText/assertUrl/assertCart steps, so they
+// show up in the report.
+
+const fs = require('fs');
+const path = require('path');
+const puppeteer = require('puppeteer');
+const EcommerceAutomation = require('../automation');
+const { createOtpProvider, parseOtpSpec } = require('./otp');
+const { validateExpectation, resolveQuantity, resolveResetCart } = require('./cart');
+const { normalizeStrategy } = require('./selection');
+const { resolveCustomization, resolveLenses } = require('./customization');
+const { resolveVideoMode } = require('./video');
+
+const FIELDS = ['name', 'site', 'auth', 'searchTerm', 'flow', 'baseUrl', 'startUrl', 'otp', 'account', 'reuseSession', 'pick', 'choose', 'fallback', 'lenses', 'quantity', 'quantityVia', 'resetCart', 'video', 'expect'];
+const EXPECT_FIELDS = ['text', 'url', 'cart', 'status'];
+const AUTH_MODES = ['auto', 'signin', 'signup', 'none'];
+
+// Split CSV text into rows of fields; handles quotes, "" escapes and CRLF
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+        if (quoted) {
+            if (ch === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (ch === '"') {
+                quoted = false;
+            } else {
+                field += ch;
+            }
+        } else if (ch === '"') {
+            quoted = true;
+        } else if (ch === ',') {
+            row.push(field);
+            field = '';
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += ch;
+        }
+    }
+    if (field || row.length) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows.filter(r => r.some(f => f.trim()) && !r[0].trim().startsWith('#'));
+}
+
+// CSV rows -> scenario objects; "expect.text" columns become { expect: { text } }, "pick.name" { pick: { name } }
+// and "choose.Size" { choose: { Size: [...] } }
+function scenariosFromCsv(text) {
+    const [header, ...rows] = parseCsv(text);
+    if (!header) return [];
+    const columns = header.map(h => h.trim());
+    return rows.map((row) => {
+        const scenario = {};
+        columns.forEach((column, i) => {
+            const value = (row[i] || '').trim();
+            if (!value) return;
+            if (column.startsWith('expect.')) {
+                const key = column.slice('expect.'.length);
+                scenario.expect = scenario.expect || {};
+                scenario.expect[key] = key === 'text' && value.includes('|') ? value.split('|').map(v => v.trim()) : value;
+            } else if (column.startsWith('choose.')) {
+                scenario.choose = scenario.choose || {};
+                scenario.choose[column.slice('choose.'.length)] = value.split('|').map(v => v.trim());
+            } else if (column.startsWith('lenses.')) {
+                scenario.lenses = scenario.lenses || {};
+                scenario.lenses[column.slice('lenses.'.length)] = value;
+            } else if (column.startsWith('pick.')) {
+                scenario.pick = scenario.pick || {};
+                scenario.pick[column.slice('pick.'.length)] = value;
+            } else if (column === 'reuseSession') {
+                scenario.reuseSession = /^(1|true|yes|y)$/i.test(value);
+            } else {
+                scenario[column] = value;
+            }
+        });
+        const { cartItem, cartQty, ...expect } = scenario.expect || {};
+        if (cartItem) {
+            expect.cart = { items: [cartQty ? { name: cartItem, quantity: Number(cartQty) } : { name: cartItem }] };
+            scenario.expect = expect;
+        }
+        return scenario;
+    });
+}
+
+// Read scenarios from a .json or .csv file
+function loadScenarios(file) {
+    const text = fs.readFileSync(file, 'utf8');
+    if (/\.csv$/i.test(file)) {
+        return scenariosFromCsv(text);
+    }
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw new Error(`${file} is not valid JSON: ${error.message}`);
+    }
+    const list = Array.isArray(data) ? data : data.scenarios;
+    if (!Array.isArray(list)) {
+        throw new Error(`${file} must hold a list of scenarios or { "scenarios": [...] }`);
+    }
+    const defaults = Array.isArray(data) ? {} : (data.defaults || {});
+    return list.map(s => ({
+        ...defaults,
+        ...s,
+        pick: { ...(defaults.pick || {}), ...(s.pick || {}) },
+        choose: { ...(defaults.choose || {}), ...(s.choose || {}) },
+        expect: { ...(defaults.expect || {}), ...(s.expect || {}) },
+    }));
+}
+
+// Throw on anything that would only fail once the browser is up
+function validateScenario(scenario, index, sites) {
+    const where = `Scenario ${index + 1}${scenario.name ? ` (${scenario.name})` : ''}`;
+    const unknown = Object.keys(scenario).filter(k => !FIELDS.includes(k));
+    if (unknown.length) {
+        throw new Error(`${where}: unknown field(s) ${unknown.join(', ')}. Allowed: ${FIELDS.join(', ')}`);
+    }
+    const badExpect = Object.keys(scenario.expect || {}).filter(k => !EXPECT_FIELDS.includes(k));
+    if (badExpect.length) {
+        throw new Error(`${where}: unknown expectation(s) ${badExpect.join(', ')}. Allowed: ${EXPECT_FIELDS.join(', ')}`);
+    }
+    if (!sites[scenario.site]) {
+        throw new Error(`${where}: unknown site "${scenario.site || ''}". Available: ${Object.keys(sites).join(', ')}`);
+    }
+    const auth = scenario.auth || 'auto';
+    if (!AUTH_MODES.includes(auth)) {
+        throw new Error(`${where}: auth must be one of ${AUTH_MODES.join(', ')} (got "${auth}")`);
+    }
+    if (scenario.reuseSession && (auth === 'none' || auth === 'signup')) {
+        throw new Error(`${where}: reuseSession cannot be combined with auth ${auth}`);
+    }
+    const flow = scenario.flow || 'default';
+    const steps = (sites[scenario.site].flows || {})[flow];
+    if (!steps) {
+        throw new Error(`${where}: flow "${flow}" is not defined for ${sites[scenario.site].name}`);
+    }
+    if (!scenario.searchTerm && JSON.stringify(steps).includes('{searchTerm}')) {
+        throw new Error(`${where}: flow "${flow}" needs a searchTerm`);
+    }
+    try {
+        normalizeStrategy({ ...sites[scenario.site].pick, ...scenario.pick });
+    } catch (error) {
+        throw new Error(`${where}: pick: ${error.message}`);
+    }
+    try {
+        resolveCustomization(sites[scenario.site].customization, { choose: scenario.choose, fallback: scenario.fallback });
+        resolveLenses(sites[scenario.site].lenses, scenario.lenses);
+        resolveQuantity(scenario.quantity ?? 1, scenario.quantityVia);
+        resolveResetCart(scenario.resetCart || sites[scenario.site].resetCart);
+        resolveVideoMode(scenario.video || sites[scenario.site].video);
+        if (scenario.otp) createOtpProvider(scenario.otp);
+    } catch (error) {
+        throw new Error(`${where}: ${error.message}`);
+    }
+    if ((scenario.expect || {}).cart) {
+        validateExpectation(scenario.expect.cart, `${where}: expect.cart`);
+    }
+    const status = (scenario.expect || {}).status;
+    if (status && !['passed', 'failed'].includes(status)) {
+        throw new Error(`${where}: expect.status must be passed or failed (got "${status}")`);
+    }
+}
+
+// The assertText/assertUrl steps that check a scenario's expectations
+function expectationSteps(expect = {}) {
+    const steps = [];
+    for (const text of [].concat(expect.text || [])) {
+        steps.push({ name: `expect text "${text}"`, action: 'assertText', text: String(text) });
+    }
+    if (expect.url) {
+        steps.push({ name: `expect url ${expect.url}`, action: 'assertUrl', url: String(expect.url) });
+    }
+    if (expect.cart) {
+        steps.push({ name: 'expect cart', action: 'assertCart', ...expect.cart });
+    }
+    return steps;
+}
+
+// "01_swiggy_ice-cream": folder name for one scenario's screenshots and report
+function scenarioId(scenario, index) {
+    const slug = String(scenario.name || scenario.searchTerm || scenario.flow || 'run')
+        .toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 40);
+    return `${String(index + 1).padStart(2, '0')}_${scenario.site}_${slug || 'run'}`;
+}
+
+// Run every scenario; resolves to the summary (also written to <reportRoot>/summary.json)
+async function runBatch(scenarios, options = {}) {
+    const {
+        sites,
+        configDir,
+        concurrency = 2,
+        headless = false,
+        viewport,
+        baseUrl,
+        otp,
+        video,
+        har,
+        harBodies,
+        pageErrors,
+        block,
+        runId = new Date().toISOString().replace(/[:.]/g, '-'),
+    } = options;
+    const screenshotRoot = options.screenshotRoot || path.join(__dirname, '..', 'screenshots', 'batch', runId);
+    const reportRoot = options.reportRoot || path.join(__dirname, '..', 'reports', 'batch', runId);
+
+    scenarios.forEach((scenario, i) => validateScenario(scenario, i, sites));
+    if (scenarios.length === 0) {
+        throw new Error('No scenarios to run');
+    }
+    if (otp) createOtpProvider(otp);
+    const otpProvider = (scenario) => {
+        const spec = scenario.otp || otp || sites[scenario.site].otp;
+        return typeof spec === 'string' ? parseOtpSpec(spec).provider : (spec && spec.provider) || 'manual';
+    };
+    const httpOtp = scenarios.filter(s => s.auth !== 'none' && otpProvider(s) === 'http');
+    if (concurrency > 1 && httpOtp.length > 1) {
+        throw new Error('Several scenarios use the http OTP provider, which listens on a single port: run them with --concurrency 1');
+    }
+
+    const startedAt = new Date();
+    const browser = await puppeteer.launch(EcommerceAutomation.launchOptions({ headless, viewport }));
+    const results = new Array(scenarios.length);
+
+    const runScenario = async (scenario, index) => {
+        const id = scenarioId(scenario, index);
+        const expected = (scenario.expect || {}).status || 'passed';
+        const started = Date.now();
+        let automation = null;
+        let error = null;
+        try {
+            automation = new EcommerceAutomation(scenario.site, scenario.auth || 'auto', {
+                config: sites,
+                configDir,
+                browser,
+                headless,
+                viewport,
+                keepOpen: 0,
+                baseUrl: scenario.baseUrl || baseUrl,
+                flow: scenario.flow,
+                startUrl: scenario.startUrl,
+                otp: scenario.otp || otp,
+                account: scenario.account,
+                reuseSession: !!scenario.reuseSession,
+                pick: scenario.pick,
+                customization: { choose: scenario.choose, fallback: scenario.fallback },
+                lenses: scenario.lenses,
+                quantity: scenario.quantity && Number(scenario.quantity),
+                quantityVia: scenario.quantityVia,
+                resetCart: scenario.resetCart,
+                video: scenario.video || video,
+                har,
+                harBodies,
+                pageErrors,
+                block,
+                screenshotDir: path.join(screenshotRoot, id),
+                reportDir: path.join(reportRoot, id),
+                logPrefix: `[${id}]`,
+                extraSteps: expectationSteps(scenario.expect),
+            });
+            await automation.run(scenario.searchTerm || '');
+        } catch (e) {
+            error = e;
+        }
+        const status = automation && automation.report ? automation.report.status : 'failed';
+        return {
+            id,
+            name: scenario.name || null,
+            site: scenario.site,
+            auth: scenario.auth || 'auto',
+            searchTerm: scenario.searchTerm || '',
+            status,
+            expected,
+            ok: status === expected,
+            error: error ? error.message : null,
+            durationMs: Date.now() - started,
+            report: automation && automation.reportFiles ? automation.reportFiles.json : null,
+        };
+    };
+
+    // Every worker pulls the next scenario off the shared iterator until none are left
+    const queue = scenarios.entries();
+    const worker = async () => {
+        for (const [index, scenario] of queue) {
+            results[index] = await runScenario(scenario, index);
+        }
+    };
+
+    try {
+        const size = Math.max(1, Math.min(concurrency, scenarios.length));
+        await Promise.all(Array.from({ length: size }, worker));
+    } finally {
+        await browser.close();
+    }
+
+    const summary = {
+        runId,
+        startedAt: startedAt.toISOString(),
+        durationMs: Date.now() - startedAt,
+        concurrency,
+        total: results.length,
+        passed: results.filter(r => r.ok).length,
+        failed: results.filter(r => !r.ok).length,
+        scenarios: results.map(r => ({ ...r, report: r.report && path.relative(reportRoot, r.report) })),
+    };
+    fs.mkdirSync(reportRoot, { recursive: true });
+    summary.file = path.join(reportRoot, 'summary.json');
+    fs.writeFileSync(summary.file, JSON.stringify(summary, null, 2));
+    return summary;
+}
+
+function pad(value, width) {
+    const text = String(value);
+    return text.length >= width ? text : text + ' '.repeat(width - text.length);
+}
+
+// Render the batch summary as a fixed-width table for the console
+function formatSummary(summary) {
+    const header = ['result', 'scenario', 'auth', 'status', 'time', 'error'];
+    const lines = summary.scenarios.map(r => [
+        r.ok ? 'PASS' : 'FAIL',
+        r.id,
+        r.auth,
+        r.expected === 'passed' ? r.status : `${r.status} (expected ${r.expected})`,
+        `${(r.durationMs / 1000).toFixed(1)} s`,
+        r.ok || !r.error ? '' : r.error.split('\n')[0],
+    ]);
+    const widths = header.map((h, i) => Math.max(h.length, ...lines.map(l => l[i].length)));
+    const render = cols => cols.map((c, i) => pad(c, widths[i])).join('  ').trimEnd();
+
+    return [
+        render(header),
+        render(widths.map(w => '-'.repeat(w))),
+        ...lines.map(render),
+        '',
+        `Passed: ${summary.passed}/${summary.total}  Failed: ${summary.failed}  Time: ${(summary.durationMs / 1000).toFixed(1)} s  Concurrency: ${summary.concurrency}`,
+    ].join('\n');
+}
+
+module.exports = {
+    loadScenarios,
+    parseCsv,
+    validateScenario,
+    expectationSteps,
+    runBatch,
+    formatSummary,
+};
@@ -0,0 +1,66 @@
+// Request blocking: ads, analytics and heavy media per site (`blockRequests` / `allowRequests`, --no-block)
+
+const { PageWatcher } = require('./page-watch');
+
+// Whether any pattern matches the URL
+function matchesUrl(patterns, url) {
+    return [].concat(patterns || []).some(pattern => (pattern instanceof RegExp
+        ? pattern.test(url)
+        : url.toLowerCase().includes(String(pattern).toLowerCase())));
+}
+
+class RequestBlocker extends PageWatcher {
+    constructor({ block = {}, allow = [] } = {}) {
+        super();
+        this.resourceTypes = block.resourceTypes || [];
+        this.urls = block.urls || [];
+        this.allow = allow;
+        this.counts = {}; // reason ("font", "url") -> requests blocked
+    }
+
+    get enabled() {
+        return this.resourceTypes.length > 0 || this.urls.length > 0;
+    }
+
+    get total() {
+        return Object.values(this.counts).reduce((sum, n) => sum + n, 0);
+    }
+
+    // Why a request should be blocked ("media", "url"), or null to let it through; the page's own
+    // navigations and allowlisted URLs always pass
+    reason(request) {
+        const url = request.url();
+        const frame = request.frame();
+        if ((request.isNavigationRequest() && !(frame && frame.parentFrame())) || matchesUrl(this.allow, url)) return null;
+        if (this.resourceTypes.includes(request.resourceType())) return request.resourceType();
+        if (matchesUrl(this.urls, url)) return 'url';
+        return null;
+    }
+
+    // Turn on interception for a page; blocked requests fail with net::ERR_BLOCKED_BY_CLIENT
+    async watch(page) {
+        if (!this.enabled) return;
+        await page.setRequestInterception(true);
+        page.on('request', request => {
+            if (request.isInterceptResolutionHandled()) return;
+            const reason = this.reason(request);
+            if (reason) {
+                this.counts[reason] = (this.counts[reason] || 0) + 1;
+                request.abort('blockedbyclient').catch(() => {});
+            } else {
+                request.continue().catch(() => {});
+            }
+        });
+    }
+
+    // "37 request(s) blocked (url: 30, font: 5, media: 2)"
+    summary() {
+        const parts = Object.entries(this.counts).sort((a, b) => b[1] - a[1]).map(([reason, n]) => `${reason}: ${n}`);
+        return `${this.total} request(s) blocked${parts.length ? ` (${parts.join(', ')})` : ''}`;
+    }
+}
+
+module.exports = {
+    RequestBlocker,
+    matchesUrl,
+};
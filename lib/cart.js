@@ -0,0 +1,217 @@
+// Cart contents and cart expectations
+//
+// adapter.getCart() reads the cart page into
+//   { url, items: [{ name, variant, quantity, unitPrice, lineTotal }], subtotal, fees: [{ label, amount }], total }
+//
+// An `assertCart` flow step (or a batch scenario's expect.cart) checks it against:
+//   items     [{ name, variant, quantity, unitPrice, lineTotal }]  each must match a line of the cart
+//   count     number of lines in the cart
+//   quantity  sum of the line quantities
+//   subtotal  item total before fees
+//   total     amount payable
+//   empty     true when the cart must be empty
+// Numbers compare exactly, or as a range with { min, max }. `name` and `variant` match as
+// case-insensitive substrings, RegExps, or "/pattern/flags" strings (for JSON and CSV files).
+//
+//   { action: 'assertCart', items: [{ name: /pizza/i, quantity: 1 }], total: { max: 600 } }
+//
+// Quantities: --quantity <n> brings the item just added to n units, via the cart page's +/- steppers
+// (cart) or by adding it again (repeat / choose: how Swiggy's "Repeat last used customization?"
+// prompt is answered). A `setQuantity` step sets any line, 0 removes it:
+//
+//   { action: 'setQuantity', item: /pizza/i, quantity: 0 }
+//
+// The line is found by its product link when the site shows one (the item just added), else by
+// name: a RegExp or "/pattern/flags" tests it, a plain name must equal it or be a prefix of it
+// (either way round: carts cut long names short), ignoring case, punctuation and spacing.
+//
+// Cart reset: adapter.clearCart() empties the cart. --reset-cart before|after|both (or the site's
+// `resetCart`) runs it right after the start page loads and/or when the run ends, pass or fail, so
+// scheduled runs start from the same cart; a `clearCart` step empties it anywhere in a flow.
+
+const EXPECTATION_KEYS = ['items', 'count', 'quantity', 'subtotal', 'total', 'empty'];
+const ITEM_KEYS = ['name', 'variant', 'quantity', 'unitPrice', 'lineTotal'];
+const QUANTITY_VIA = ['cart', 'repeat', 'choose'];
+const RESET_CART = ['none', 'before', 'after', 'both'];
+
+// "₹1,299.50" -> 1299.5; null when there is no number
+function parseAmount(text) {
+    if (text == null) return null;
+    if (typeof text === 'number') return text;
+    const match = String(text).replace(/,/g, '').match(/-?\d+(\.\d+)?/);
+    return match ? Number(match[0]) : null;
+}
+
+// Turn a string, "/pattern/flags" string or RegExp into a RegExp
+function textPattern(value) {
+    if (value instanceof RegExp) return value;
+    const literal = /^\/(.+)\/([a-z]*)$/.exec(String(value));
+    if (literal) return new RegExp(literal[1], literal[2]);
+    return new RegExp(String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+}
+
+// A number expectation: 3, { min: 1 }, { min: 100, max: 500 }
+function inRange(actual, expected) {
+    if (actual == null) return false;
+    if (typeof expected === 'number') return Math.abs(actual - expected) < 0.005;
+    if (expected.min != null && actual < expected.min) return false;
+    if (expected.max != null && actual > expected.max) return false;
+    return true;
+}
+
+function describeRange(expected) {
+    if (typeof expected === 'number') return String(expected);
+    return [expected.min != null ? `>= ${expected.min}` : null, expected.max != null ? `<= ${expected.max}` : null].filter(Boolean).join(' and ');
+}
+
+function describeItem(matcher) {
+    return Object.entries(matcher)
+        .map(([key, value]) => (typeof value === 'object' && !(value instanceof RegExp) ? `${key} ${describeRange(value)}` : `${key} ${value}`))
+        .join(', ');
+}
+
+function itemMatches(item, matcher) {
+    return Object.entries(matcher).every(([key, expected]) => {
+        if (key === 'name' || key === 'variant') {
+            return textPattern(expected).test(item[key] || '');
+        }
+        return inRange(item[key], expected);
+    });
+}
+
+// Throw on misspelled keys, so a typo cannot turn into an expectation that always passes
+function validateExpectation(expectation, where = 'Cart expectation') {
+    const keys = Object.keys(expectation);
+    const unknown = keys.filter(k => !EXPECTATION_KEYS.includes(k));
+    if (unknown.length) {
+        throw new Error(`${where}: unknown key(s) ${unknown.join(', ')}. Allowed: ${EXPECTATION_KEYS.join(', ')}`);
+    }
+    if (keys.length === 0) {
+        throw new Error(`${where}: nothing to check. Use ${EXPECTATION_KEYS.join(', ')}`);
+    }
+    for (const matcher of [].concat(expectation.items || [])) {
+        const bad = Object.keys(matcher).filter(k => !ITEM_KEYS.includes(k));
+        if (bad.length) {
+            throw new Error(`${where}: unknown item key(s) ${bad.join(', ')}. Allowed: ${ITEM_KEYS.join(', ')}`);
+        }
+    }
+}
+
+// Every way the cart misses the expectation (empty when it matches)
+function checkCart(cart, expectation) {
+    const problems = [];
+    const items = cart.items || [];
+    if (expectation.empty === true && items.length > 0) {
+        problems.push(`expected an empty cart, found ${items.length} item(s)`);
+    }
+    if (expectation.empty === false && items.length === 0) {
+        problems.push('expected items in the cart, it is empty');
+    }
+    for (const matcher of [].concat(expectation.items || [])) {
+        if (!items.some(item => itemMatches(item, matcher))) {
+            problems.push(`no item with ${describeItem(matcher)}`);
+        }
+    }
+    if (expectation.count != null && !inRange(items.length, expectation.count)) {
+        problems.push(`expected ${describeRange(expectation.count)} line(s), found ${items.length}`);
+    }
+    const quantity = items.reduce((sum, item) => sum + (item.quantity || 0), 0);
+    if (expectation.quantity != null && !inRange(quantity, expectation.quantity)) {
+        problems.push(`expected quantity ${describeRange(expectation.quantity)}, found ${quantity}`);
+    }
+    for (const key of ['subtotal', 'total']) {
+        if (expectation[key] != null && !inRange(cart[key], expectation[key])) {
+            problems.push(`expected ${key} ${describeRange(expectation[key])}, found ${cart[key] ?? 'none'}`);
+        }
+    }
+    return problems;
+}
+
+// Check --quantity / --quantity-via (or a scenario's quantity / quantityVia) into { count, via }
+function resolveQuantity(count = 1, via = 'cart') {
+    const n = Number(count);
+    if (!Number.isInteger(n) || n < 1) {
+        throw new Error(`quantity must be a whole number >= 1 (got "${count}")`);
+    }
+    if (!QUANTITY_VIA.includes(via)) {
+        throw new Error(`quantity via must be one of ${QUANTITY_VIA.join(', ')} (got "${via}")`);
+    }
+    return { count: n, via };
+}
+
+// Check --reset-cart (or a site's / scenario's resetCart) into { before, after }
+function resolveResetCart(when = 'none') {
+    if (!RESET_CART.includes(when)) {
+        throw new Error(`resetCart must be one of ${RESET_CART.join(', ')} (got "${when}")`);
+    }
+    return { before: when === 'before' || when === 'both', after: when === 'after' || when === 'both' };
+}
+
+// One log line per cart line plus the bill
+function formatCart(cart) {
+    const items = cart.items || [];
+    if (items.length === 0) return ['🛒 Cart is empty'];
+    return [
+        `🛒 Cart (${items.length} line(s)):`,
+        ...items.map(i => `   ${i.quantity} x ${i.name}${i.variant ? ` [${i.variant}]` : ''} @ ${i.unitPrice ?? '?'} = ${i.lineTotal ?? '?'}`),
+        `   subtotal ${cart.subtotal ?? '?'}${(cart.fees || []).map(f => `, ${f.label} ${f.amount}`).join('')}, total ${cart.total ?? '?'}`,
+    ];
+}
+
+// Lower-case words only: "Margherita Pizza (Medium)" -> "margherita pizza medium"
+function normalizeName(text) {
+    return String(text ?? '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+}
+
+// The path of a product link, to compare links read on different pages
+function productPath(url) {
+    try {
+        return new URL(url, 'http://localhost').pathname.replace(/\/+$/, '');
+    } catch {
+        return null;
+    }
+}
+
+// The cart lines ({ name, url }) that are `item`: a name (string, RegExp or "/pattern/flags")
+// or { name, url } for a product whose link is known
+function matchCartLines(lines, item) {
+    const wanted = item && typeof item === 'object' && !(item instanceof RegExp) ? item : { name: item };
+    if (wanted.url) {
+        const path = productPath(wanted.url);
+        const byUrl = lines.filter(l => l.url && productPath(l.url) === path);
+        if (byUrl.length) return byUrl;
+    }
+    if (wanted.name instanceof RegExp || /^\/.+\/[a-z]*$/.test(String(wanted.name))) {
+        return lines.filter(l => textPattern(wanted.name).test(l.name || ''));
+    }
+    const name = normalizeName(wanted.name);
+    if (!name) return [];
+    const exact = lines.filter(l => normalizeName(l.name) === name);
+    if (exact.length) return exact;
+    return lines.filter((l) => {
+        const other = normalizeName(l.name);
+        return !!other && (other.startsWith(name) || name.startsWith(other));
+    });
+}
+
+// "Margherita Pizza" / /pizza/i, for messages
+function describeCartItem(item) {
+    const name = item && typeof item === 'object' && !(item instanceof RegExp) ? item.name ?? item.url : item;
+    return name instanceof RegExp ? String(name) : `"${name}"`;
+}
+
+module.exports = {
+    parseAmount,
+    textPattern,
+    normalizeName,
+    matchCartLines,
+    describeCartItem,
+    validateExpectation,
+    checkCart,
+    formatCart,
+    resolveQuantity,
+    resolveResetCart,
+    EXPECTATION_KEYS,
+    QUANTITY_VIA,
+    RESET_CART,
+};
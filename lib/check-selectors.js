@@ -0,0 +1,180 @@
+// Selector health check
+//
+// Loads saved HTML snapshots and/or live URLs in a headless browser and counts how many
+// elements every selector of a site matches: the `selectors` map in config.js plus the
+// selectors its adapter uses inline (the adapter's static `selectors`). Meant to run
+// nightly so selector rot shows up before the real flows break.
+//
+// A selector is
+//   matched    exactly one hit on at least one page
+//   ambiguous  only ever multiple hits (the helpers would act on the first one)
+//   missing    no hits on any page
+//   invalid    the selector itself does not parse
+
+const fs = require('fs');
+const path = require('path');
+const puppeteer = require('puppeteer');
+const selectorEngine = require('./selectors');
+
+// Flatten { key: selector | [fallbacks] } into rows; fallbacks are checked one by one
+function flatten(source, map) {
+    const entries = [];
+    for (const [key, value] of Object.entries(map || {})) {
+        if (Array.isArray(value)) {
+            value.forEach((selector, i) => entries.push({ source, key: `${key}[${i}]`, selector }));
+        } else if (typeof value === 'string') {
+            entries.push({ source, key, selector: value });
+        }
+    }
+    return entries;
+}
+
+// Every selector a site depends on: config.selectors first, then the adapter's inline ones
+function collectSelectors(siteConfig, Adapter) {
+    return [
+        ...flatten('config', siteConfig.selectors),
+        ...flatten('adapter', Adapter && Adapter.selectors),
+    ];
+}
+
+// Build the list of pages to load: snapshot files (or directories of .html files) and URLs
+function resolvePages({ snapshots = [], urls = [], baseUrl }) {
+    const pages = [];
+    for (const entry of snapshots) {
+        const stat = fs.statSync(entry);
+        const files = stat.isDirectory()
+            ? fs.readdirSync(entry).filter(f => /\.html?$/i.test(f)).sort().map(f => path.join(entry, f))
+            : [entry];
+        files.forEach(file => pages.push({ label: path.basename(file), file }));
+    }
+    for (const url of urls) {
+        const full = /^https?:\/\//i.test(url) ? url : `${baseUrl.replace(/\/$/, '')}/${url.replace(/^\//, '')}`;
+        pages.push({ label: full, url: full });
+    }
+    return pages;
+}
+
+// Count matches for every entry on the page that is currently loaded
+async function countOnPage(page, entries) {
+    const counts = [];
+    for (const entry of entries) {
+        try {
+            counts.push(await selectorEngine.count(page, entry.selector));
+        } catch (error) {
+            if (!(error instanceof selectorEngine.SelectorSyntaxError)) throw error;
+            counts.push(error);
+        }
+    }
+    return counts;
+}
+
+// Open a snapshot offline: no page scripts and no network beyond the document itself
+async function openSnapshot(page, file) {
+    await page.setJavaScriptEnabled(false);
+    await page.setRequestInterception(true);
+    const onRequest = request => (request.isNavigationRequest() ? request.continue() : request.abort());
+    page.on('request', onRequest);
+    try {
+        await page.setContent(fs.readFileSync(file, 'utf8'), { waitUntil: 'domcontentloaded' });
+    } finally {
+        page.off('request', onRequest);
+        await page.setRequestInterception(false);
+    }
+}
+
+async function openUrl(page, url, settleMs) {
+    await page.setJavaScriptEnabled(true);
+    await page.goto(url, { waitUntil: 'networkidle2', timeout: 60000 });
+    if (settleMs) await new Promise(resolve => setTimeout(resolve, settleMs));
+}
+
+function statusFor(counts) {
+    if (counts.some(c => c instanceof Error)) return 'invalid';
+    if (counts.some(c => c === 1)) return 'matched';
+    if (counts.some(c => c > 1)) return 'ambiguous';
+    return 'missing';
+}
+
+// Run the check; resolves to { pages, rows, summary, ok }
+async function checkSelectors({ siteConfig, Adapter, snapshots = [], urls = [], baseUrl, settleMs = 2000 }) {
+    const entries = collectSelectors(siteConfig, Adapter);
+    const pages = resolvePages({ snapshots, urls, baseUrl: baseUrl || siteConfig.baseUrl });
+    if (pages.length === 0) {
+        throw new Error('Nothing to check: pass HTML snapshot files/directories or --url');
+    }
+
+    const launchOptions = { headless: true, args: ['--no-sandbox', '--disable-setuid-sandbox'] };
+    if (process.env.CHROME_PATH) {
+        launchOptions.executablePath = process.env.CHROME_PATH;
+    }
+    const browser = await puppeteer.launch(launchOptions);
+    const perPage = [];
+    try {
+        const page = await browser.newPage();
+        for (const target of pages) {
+            if (target.file) {
+                await openSnapshot(page, target.file);
+            } else {
+                await openUrl(page, target.url, settleMs);
+            }
+            perPage.push(await countOnPage(page, entries));
+        }
+    } finally {
+        await browser.close();
+    }
+
+    const rows = entries.map((entry, i) => {
+        const counts = perPage.map(c => c[i]);
+        const error = counts.find(c => c instanceof Error);
+        return {
+            ...entry,
+            status: statusFor(counts),
+            hits: error ? [] : counts.map((count, p) => ({ page: pages[p].label, count })).filter(h => h.count > 0),
+            error: error ? error.reason : null,
+        };
+    });
+    const summary = { matched: 0, ambiguous: 0, missing: 0, invalid: 0 };
+    rows.forEach(row => { summary[row.status]++; });
+
+    return {
+        pages: pages.map(p => p.label),
+        rows,
+        summary,
+        ok: summary.missing === 0 && summary.invalid === 0,
+    };
+}
+
+function pad(value, width) {
+    const text = String(value);
+    return text.length >= width ? text : text + ' '.repeat(width - text.length);
+}
+
+// Render the result as a fixed-width table for the console
+function formatTable(result) {
+    const header = ['status', 'source', 'key', 'hits', 'selector'];
+    const lines = result.rows.map(row => [
+        row.status,
+        row.source,
+        row.key,
+        row.error || row.hits.map(h => (result.pages.length > 1 ? `${h.count}@${h.page}` : h.count)).join(', ') || '0',
+        row.selector,
+    ]);
+    const widths = header.map((h, i) => Math.max(h.length, ...lines.map(l => String(l[i]).length)));
+    const render = cols => cols.map((c, i) => pad(c, widths[i])).join('  ').trimEnd();
+
+    return [
+        `Pages: ${result.pages.join(', ')}`,
+        '',
+        render(header),
+        render(widths.map(w => '-'.repeat(w))),
+        ...lines.map(render),
+        '',
+        `Matched: ${result.summary.matched}  Ambiguous: ${result.summary.ambiguous}  Missing: ${result.summary.missing}  Invalid: ${result.summary.invalid}`,
+    ].join('\n');
+}
+
+module.exports = {
+    checkSelectors,
+    collectSelectors,
+    formatTable,
+};
@@ -0,0 +1,804 @@
+// Command line interface
+//
+//   node automation.js <command> [options]
+//
+//   run              run a flow against a site (default command)
+//   batch            run many scenarios from a JSON/CSV file in parallel
+//   scrape           search a site and export the results as JSON/CSV
+//   diff             compare two saved listings of a search (prices, new/gone items, ratings)
+//   list-sites       print the configured sites, their flows and adapters
+//   check-selectors  count selector matches on saved pages or live URLs
+//   report           summarise a saved run report, or rebuild its HTML/XML
+//
+// The options of every command are declared in COMMANDS below; parsing, validation and
+// the --help text are all generated from those declarations. The command may be left out
+// (`node automation.js swiggy pizza`), which keeps the old positional form working.
+
+const fs = require('fs');
+const path = require('path');
+const FlowRunner = require('./flow-runner');
+const { QUANTITY_VIA, RESET_CART, resolveQuantity, resolveResetCart } = require('./cart');
+const { VIDEO_MODES, resolveVideoMode } = require('./video');
+const { PAGE_ERROR_POLICIES, resolvePageErrorPolicy } = require('./page-errors');
+const { normalizeStrategy, parsePickOptions } = require('./selection');
+const { FALLBACKS, parseChooseOptions, resolveCustomization, resolveLenses } = require('./customization');
+const { FORMATS, formatFor } = require('./scrape');
+const { createOtpProvider } = require('./otp');
+
+const ROOT = path.join(__dirname, '..');
+const BIN = 'node automation.js';
+
+// A usage mistake: printed without a stack trace, exit code 2
+class CliError extends Error {}
+
+const CONFIG_OPTION = { name: 'config', value: 'file', description: 'load sites from another config file', default: 'config.js' };
+const HELP_OPTION = { name: 'help', alias: 'h', type: 'boolean', description: 'show this help' };
+
+const COMMANDS = {
+    run: {
+        usage: 'run <site> [searchTerm...] [options]',
+        summary: 'Run a flow against a site and write a JSON/JUnit/HTML report',
+        options: [
+            { name: 'site', value: 'name', description: 'site to run (instead of the first argument)' },
+            { name: 'auth', value: 'mode', choices: ['auto', 'signin', 'signup', 'none'], default: 'auto', description: 'auto | signin | signup | none (none skips sign-in)' },
+            { name: 'flow', value: 'name', default: 'default', description: 'flow from the site config to run' },
+            { name: 'from', value: 'step', description: 'start the flow at this step (name or number); init always runs' },
+            { name: 'to', value: 'step', description: 'stop the flow after this step' },
+            { name: 'skip', value: 'step', type: 'list', description: 'leave a step out; repeatable or comma-separated' },
+            { name: 'start-url', value: 'url', description: 'open this page instead of the homepage (path or full URL)' },
+            { name: 'pick', value: 'key=value', type: 'list', description: 'which result to open: index, name, brand, price, minRating, veg, sponsored; repeatable' },
+            { name: 'choose', value: 'group=option', type: 'list', description: 'customization option to choose, e.g. Size=Large; repeatable' },
+            { name: 'fallback', value: 'policy', choices: FALLBACKS, default: 'config, else first', description: 'customization groups not in --choose: first | cheapest | skip-optional' },
+            { name: 'quantity', value: 'n', type: 'number', default: '1', description: 'units of the added item to end up with' },
+            { name: 'quantity-via', value: 'how', choices: QUANTITY_VIA, default: 'cart', description: 'cart (+/- steppers) | repeat | choose (add again, answering Swiggy\'s repeat prompt)' },
+            { name: 'reset-cart', value: 'when', choices: RESET_CART, default: 'config, else none', description: 'empty the cart before and/or after the run (after runs even on failure)' },
+            { name: 'lens-type', value: 'name', description: 'Lenskart lens type, e.g. "Single Vision"' },
+            { name: 'lens-package', value: 'name', description: 'Lenskart lens package, e.g. "BLU Screen"' },
+            { name: 'lens-max-price', value: 'n', type: 'number', description: 'take a lens package costing at most this' },
+            { name: 'headless', type: 'boolean', description: 'run Chrome without a window' },
+            { name: 'viewport', value: 'WxH', default: '1920x1080', description: 'browser viewport size' },
+            { name: 'keep-open', value: 'sec', type: 'number', default: '10, 0 with --headless', description: 'leave the browser open after a successful run' },
+            { name: 'screenshots', value: 'dir', default: 'screenshots/<site>', description: 'where to save screenshots' },
+            { name: 'report-dir', value: 'dir', default: 'reports/<site>', description: 'where to write the JSON/JUnit/HTML report' },
+            { name: 'video', value: 'mode', choices: VIDEO_MODES, default: 'config, else off', description: 'record the run next to the screenshots: on | failed (kept only when the run fails) | off' },
+            { name: 'har', type: 'boolean', description: 'save every request and response as <report>.har (headers and cookies redacted)' },
+            { name: 'har-bodies', type: 'boolean', description: 'also keep JSON API bodies in the HAR (implies --har)' },
+            { name: 'page-errors', value: 'policy', choices: PAGE_ERROR_POLICIES, default: 'config, else warn', description: 'warn | fail (an uncaught page exception fails its step)' },
+            { name: 'base-url', value: 'url', description: 'point at another storefront (e.g. fixtures/server.js)' },
+            { name: 'otp', value: 'spec', description: 'manual | env[:VAR] | file:<path> | http[:port] | totp:<secret>' },
+            { name: 'account', value: 'id', default: 'phone number in the config', description: 'name of the saved session' },
+            { name: 'reuse-session', type: 'boolean', description: 'restore the saved login and skip sign-in while it is valid' },
+            { name: 'history', type: 'boolean', description: 'save the search listing for `diff`' },
+            { name: 'no-block', type: 'boolean', description: 'load everything, ignoring the site\'s blockRequests' },
+            CONFIG_OPTION,
+            HELP_OPTION,
+        ],
+        examples: [
+            'run swiggy pizza',
+            'run swiggy "ice cream" --headless --screenshots out/shots',
+            'run lenskart sunglasses --auth signin --otp env:OTP_CODE',
+            'run swiggy --base-url http://localhost:4100/swiggy --start-url /restaurants/pizza-palace --from addToCart',
+            'run --site swiggy pizza --auth none --base-url http://localhost:4100/swiggy',
+            'run swiggy pizza --pick veg --pick price=200-400 --pick minRating=4.3',
+            'run lenskart sunglasses --pick "brand=Vincent Chase" --pick index=2',
+            'run swiggy margherita --quantity 3 --quantity-via repeat',
+            'run swiggy pizza --reuse-session --reset-cart both',
+            'run lenskart sunglasses --headless --video failed',
+            'run swiggy pizza --har-bodies --base-url http://localhost:4100/swiggy',
+            'run lenskart eyeglasses --page-errors fail',
+            'run lenskart eyeglasses --lens-type "Zero Power" --lens-max-price 1500',
+            'run swiggy margherita --choose Size=Large --choose "Toppings=Extra Cheese" --choose "Remove=No Onion"',
+        ],
+        handler: runCommand,
+    },
+    batch: {
+        usage: 'batch <scenarios.json | scenarios.csv> [options]',
+        summary: 'Run scenarios from a JSON/CSV file in parallel browser contexts and print a pass/fail summary',
+        options: [
+            { name: 'concurrency', value: 'n', type: 'number', default: '2', description: 'scenarios to run at the same time' },
+            { name: 'headless', type: 'boolean', description: 'run Chrome without a window' },
+            { name: 'viewport', value: 'WxH', default: '1920x1080', description: 'browser viewport size' },
+            { name: 'screenshots', value: 'dir', default: 'screenshots/batch/<run>', description: 'root folder; one subfolder per scenario' },
+            { name: 'report-dir', value: 'dir', default: 'reports/batch/<run>', description: 'root folder for the scenario reports and summary.json' },
+            { name: 'video', value: 'mode', choices: VIDEO_MODES, description: 'on | failed | off for scenarios without their own video' },
+            { name: 'har', type: 'boolean', description: 'save each scenario\'s network log as <report>.har' },
+            { name: 'har-bodies', type: 'boolean', description: 'also keep JSON API bodies in the HAR (implies --har)' },
+            { name: 'page-errors', value: 'policy', choices: PAGE_ERROR_POLICIES, description: 'warn | fail for every scenario' },
+            { name: 'no-block', type: 'boolean', description: 'load everything, ignoring the sites\' blockRequests' },
+            { name: 'base-url', value: 'url', description: 'storefront for scenarios without their own baseUrl' },
+            { name: 'otp', value: 'spec', description: 'OTP provider for scenarios without their own otp' },
+            CONFIG_OPTION,
+            HELP_OPTION,
+        ],
+        examples: [
+            'batch scenarios.json --headless --concurrency 4',
+            'batch scenarios.csv --base-url http://localhost:4100/swiggy --otp env',
+            'batch scenarios.json --headless --video failed',
+        ],
+        handler: batchCommand,
+    },
+    scrape: {
+        usage: 'scrape <site> <searchTerm...> [options]',
+        summary: 'Search a site and export the result listing (names, prices, ratings, links) as JSON or CSV',
+        options: [
+            { name: 'site', value: 'name', description: 'site to scrape (instead of the first argument)' },
+            { name: 'limit', value: 'n', type: 'number', default: '20', description: 'results to export (of each kind: Swiggy dishes and restaurants)' },
+            { name: 'max-scrolls', value: 'n', type: 'number', default: '5', description: 'scroll down at most this often to load more results' },
+            { name: 'out', value: 'file', default: 'exports/<site>/<searchTerm>_<time>.json', description: 'file to write; .csv or .json picks the format' },
+            { name: 'format', value: 'fmt', choices: FORMATS, default: 'from --out, else json', description: 'json | csv' },
+            { name: 'flow', value: 'name', default: 'scrape', description: 'flow from the site config that ends in a scrapeResults step' },
+            { name: 'auth', value: 'mode', choices: ['auto', 'signin', 'signup', 'none'], default: 'none', description: 'sign in first (most listings do not need it)' },
+            { name: 'start-url', value: 'url', description: 'open this page instead of the homepage (path or full URL)' },
+            { name: 'headless', type: 'boolean', description: 'run Chrome without a window' },
+            { name: 'viewport', value: 'WxH', default: '1920x1080', description: 'browser viewport size' },
+            { name: 'screenshots', value: 'dir', default: 'screenshots/<site>', description: 'where to save screenshots' },
+            { name: 'report-dir', value: 'dir', default: 'reports/<site>', description: 'where to write the JSON/JUnit/HTML report' },
+            { name: 'base-url', value: 'url', description: 'point at another storefront (e.g. fixtures/server.js)' },
+            { name: 'otp', value: 'spec', description: 'OTP provider when signing in' },
+            { name: 'history', type: 'boolean', description: 'save the search listing for `diff`' },
+            { name: 'no-block', type: 'boolean', description: 'load everything, ignoring the site\'s blockRequests' },
+            CONFIG_OPTION,
+            HELP_OPTION,
+        ],
+        examples: [
+            'scrape lenskart sunglasses --limit 50 --out sunglasses.csv',
+            'scrape swiggy biryani --headless --max-scrolls 10',
+            'scrape swiggy pizza --base-url http://localhost:4100/swiggy --format csv',
+        ],
+        handler: scrapeCommand,
+    },
+    diff: {
+        usage: 'diff <site> <searchTerm...> [options] | diff <old.json> <new.json>',
+        summary: 'Compare two saved listings of a search: price changes, new and gone items, ratings, availability',
+        options: [
+            { name: 'site', value: 'name', description: 'site the search ran on (instead of the first argument)' },
+            { name: 'location', value: 'place', default: 'the site\'s defaultLocation, if it needs one', description: 'delivery location the runs used; "any" for none' },
+            { name: 'from', value: 'snapshot', default: 'the one before --to', description: 'older snapshot: number from --list, id, or latest' },
+            { name: 'to', value: 'snapshot', default: 'latest', description: 'newer snapshot' },
+            { name: 'list', type: 'boolean', description: 'list the saved snapshots instead' },
+            { name: 'rating-change', value: 'n', type: 'number', default: '0.1', description: 'smallest rating shift to report' },
+            { name: 'json', type: 'boolean', description: 'print the differences as JSON' },
+            CONFIG_OPTION,
+            HELP_OPTION,
+        ],
+        examples: [
+            'diff swiggy pizza',
+            'diff swiggy biryani --location Mumbai --from 1 --to latest',
+            'diff lenskart sunglasses --list',
+            'diff history/swiggy/pizza@bangalore/old.json history/swiggy/pizza@bangalore/new.json --json',
+        ],
+        handler: diffCommand,
+    },
+    'list-sites': {
+        usage: 'list-sites [options]',
+        summary: 'List the configured sites, their flows and adapters',
+        options: [CONFIG_OPTION, HELP_OPTION],
+        examples: ['list-sites', 'list-sites --config ./staging.config.js'],
+        handler: listSitesCommand,
+    },
+    'check-selectors': {
+        usage: 'check-selectors <site> [snapshot.html | dir ...] [options]',
+        summary: 'Count how many elements every site selector matches on saved pages or URLs',
+        options: [
+            { name: 'site', value: 'name', description: 'site to check (instead of the first argument)' },
+            { name: 'url', value: 'url', type: 'list', description: 'live page to check; repeatable, relative to the base URL' },
+            { name: 'base-url', value: 'url', description: 'resolve relative --url values against another storefront' },
+            CONFIG_OPTION,
+            HELP_OPTION,
+        ],
+        examples: [
+            'check-selectors swiggy snapshots/swiggy/',
+            'check-selectors swiggy --base-url http://localhost:4100/swiggy --url / --url /search?query=pizza',
+        ],
+        handler: checkSelectorsCommand,
+    },
+    report: {
+        usage: 'report <report.json | dir> [options]',
+        summary: 'Summarise a saved run report (the newest one in a directory); exits 1 if that run failed',
+        options: [
+            { name: 'rebuild', type: 'boolean', description: 'regenerate the .html and .xml next to the .json' },
+            HELP_OPTION,
+        ],
+        examples: ['report reports/swiggy', 'report reports/swiggy/swiggy_2024-05-01T10-00-00-000Z.json --rebuild'],
+        handler: reportCommand,
+    },
+};
+
+// Split argv into { options, positionals } following the option specs; defaults are not applied
+function parseArgs(argv, specs) {
+    const options = {};
+    const positionals = [];
+    const lookup = name => specs.find(s => s.name === name || s.alias === name);
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--') {
+            positionals.push(...argv.slice(i + 1));
+            break;
+        }
+        if (!arg.startsWith('-') || arg === '-') {
+            positionals.push(arg);
+            continue;
+        }
+
+        const eq = arg.indexOf('=');
+        const given = eq === -1 ? arg : arg.slice(0, eq);
+        const name = given.startsWith('--') ? given.slice(2) : given.length === 2 ? given.slice(1) : null;
+        const spec = name && lookup(name);
+        if (!spec) {
+            throw new CliError(`Unknown option ${given}`);
+        }
+        const flag = `--${spec.name}`;
+
+        if (spec.type === 'boolean') {
+            if (eq !== -1) throw new CliError(`${flag} does not take a value`);
+            options[spec.name] = true;
+            continue;
+        }
+
+        let value;
+        if (eq !== -1) {
+            value = arg.slice(eq + 1);
+        } else if (i + 1 < argv.length && !argv[i + 1].startsWith('--')) {
+            value = argv[++i];
+        }
+        if (value === undefined || value === '') {
+            throw new CliError(`${flag} needs a value (${flag} <${spec.value}>)`);
+        }
+        if (spec.choices && !spec.choices.includes(value)) {
+            throw new CliError(`${flag} must be one of ${spec.choices.join(', ')} (got "${value}")`);
+        }
+        if (spec.type === 'number') {
+            const number = Number(value);
+            if (!Number.isFinite(number) || number < 0) {
+                throw new CliError(`${flag} must be a number of ${spec.value} >= 0 (got "${value}")`);
+            }
+            value = number;
+        }
+        if (spec.type === 'list') {
+            (options[spec.name] = options[spec.name] || []).push(value);
+        } else {
+            options[spec.name] = value;
+        }
+    }
+    return { options, positionals };
+}
+
+function pad(value, width) {
+    const text = String(value);
+    return text.length >= width ? text : text + ' '.repeat(width - text.length);
+}
+
+// Help for one command, built from its option specs
+function commandHelp(name) {
+    const command = COMMANDS[name];
+    const flags = command.options.map((o) => {
+        const short = o.alias ? `-${o.alias}, ` : '';
+        return `${short}--${o.name}${o.value ? ` <${o.value}>` : ''}`;
+    });
+    const width = Math.max(...flags.map(f => f.length)) + 2;
+    const lines = command.options.map((o, i) => {
+        let text = o.description;
+        if (o.default) text += ` (default: ${o.default})`;
+        return `  ${pad(flags[i], width)}${text}`;
+    });
+    return [
+        `Usage: ${BIN} ${command.usage}`,
+        '',
+        command.summary,
+        '',
+        'Options:',
+        ...lines,
+        '',
+        'Examples:',
+        ...command.examples.map(e => `  ${BIN} ${e}`),
+        '',
+    ].join('\n');
+}
+
+function mainHelp() {
+    const width = Math.max(...Object.keys(COMMANDS).map(n => n.length)) + 2;
+    return [
+        `Usage: ${BIN} <command> [options]`,
+        '',
+        'Commands:',
+        ...Object.entries(COMMANDS).map(([name, c]) => `  ${pad(name, width)}${c.summary}`),
+        '',
+        `Run "${BIN} <command> --help" for the options of a command.`,
+        `The command may be left out: "${BIN} swiggy pizza" is "${BIN} run swiggy pizza".`,
+        '',
+    ].join('\n');
+}
+
+// The sites map from config.js, or from --config <file>; adapter paths resolve against its folder
+function loadSites(file) {
+    if (!file) {
+        return { sites: require('../config'), configDir: ROOT, label: 'config.js' };
+    }
+    const full = path.resolve(file);
+    if (!fs.existsSync(full)) {
+        throw new CliError(`Config file not found: ${file}`);
+    }
+    const sites = require(full);
+    if (!sites || typeof sites !== 'object' || Object.keys(sites).length === 0) {
+        throw new CliError(`${file} must export a map of sites, like config.js`);
+    }
+    return { sites, configDir: path.dirname(full), label: path.relative(process.cwd(), full) };
+}
+
+// Take the site from --site or the first positional; the rest of the positionals are returned
+function pickSite(options, positionals, sites, { legacy = false } = {}) {
+    const available = Object.keys(sites).join(', ');
+    let rest = positionals;
+    let site = options.site;
+    if (site) {
+        if (rest[0] === site) {
+            rest = rest.slice(1);
+        } else if (sites[rest[0]]) {
+            throw new CliError(`--site ${site} conflicts with the site argument "${rest[0]}"; give the site once`);
+        }
+    } else {
+        [site, ...rest] = rest;
+    }
+    if (!site) {
+        throw new CliError(`No site given. Available: ${available}`);
+    }
+    if (!sites[site]) {
+        const what = legacy && !options.site ? 'site or command' : 'site';
+        const commands = legacy && !options.site ? `; commands: ${Object.keys(COMMANDS).join(', ')}` : '';
+        throw new CliError(`Unknown ${what} "${site}". Sites: ${available}${commands}`);
+    }
+    return { site, rest };
+}
+
+// "1366x768" -> { width: 1366, height: 768 }
+function parseViewport(value) {
+    const match = /^(\d{2,5})x(\d{2,5})$/i.exec(value);
+    if (!match) {
+        throw new CliError(`--viewport must look like 1366x768 (got "${value}")`);
+    }
+    return { width: Number(match[1]), height: Number(match[2]) };
+}
+
+async function runCommand(options, positionals, { legacy }) {
+    const { sites, configDir } = loadSites(options.config);
+    const { site, rest } = pickSite(options, positionals, sites, { legacy });
+    const siteConfig = sites[site];
+
+    // Old form: `lenskart signin sunglasses`
+    let terms = rest;
+    let auth = options.auth;
+    if (legacy && rest.length >= 2 && /^(signin|signup)$/i.test(rest[0])) {
+        const mode = rest[0].toLowerCase();
+        if (auth && auth !== mode) {
+            throw new CliError(`--auth ${auth} conflicts with the auth argument "${rest[0]}"`);
+        }
+        auth = mode;
+        terms = rest.slice(1);
+    }
+    auth = auth || 'auto';
+
+    const flow = options.flow || 'default';
+    const steps = (siteConfig.flows || {})[flow];
+    if (!steps) {
+        throw new CliError(`Flow "${flow}" is not defined for ${siteConfig.name}. Available: ${Object.keys(siteConfig.flows || {}).join(', ') || 'none'}`);
+    }
+    const selection = {
+        from: options.from,
+        to: options.to,
+        skip: (options.skip || []).flatMap(s => s.split(',')).map(s => s.trim()).filter(Boolean),
+    };
+    let skipReasons;
+    try {
+        skipReasons = new FlowRunner({ authMode: auth }).plan(steps, selection, flow);
+    } catch (error) {
+        throw new CliError(error.message);
+    }
+    const searchTerm = terms.join(' '); // Join all remaining args for multi-word search
+    if (!searchTerm && steps.some((step, i) => !skipReasons[i] && JSON.stringify(step).includes('{searchTerm}'))) {
+        throw new CliError(`Flow "${flow}" searches for something: add a search term, e.g. ${BIN} run ${site} pizza`);
+    }
+
+    if (auth === 'none' && options['reuse-session']) {
+        throw new CliError('--reuse-session does nothing with --auth none (there is no sign-in to skip)');
+    }
+    if (auth === 'none' && options.otp) {
+        throw new CliError('--otp does nothing with --auth none (no OTP is requested)');
+    }
+    if (auth === 'signup' && options['reuse-session']) {
+        throw new CliError('--reuse-session cannot be combined with --auth signup (signup always creates a new account)');
+    }
+    if (options.headless && options['keep-open'] > 0) {
+        throw new CliError('--keep-open needs a visible browser; drop --headless or --keep-open');
+    }
+    const pick = parsePickOptions(options.pick);
+    try {
+        normalizeStrategy({ ...siteConfig.pick, ...pick });
+    } catch (error) {
+        throw new CliError(`--pick: ${error.message}`);
+    }
+    let customization;
+    try {
+        customization = { choose: parseChooseOptions(options.choose), fallback: options.fallback };
+        resolveCustomization(siteConfig.customization, customization);
+    } catch (error) {
+        throw new CliError(error.message);
+    }
+    try {
+        resolveQuantity(options.quantity ?? 1, options['quantity-via']);
+        resolveResetCart(options['reset-cart'] || siteConfig.resetCart);
+        resolveVideoMode(options.video || siteConfig.video);
+        resolvePageErrorPolicy(options['page-errors'] || siteConfig.pageErrors);
+        createOtpProvider(options.otp || siteConfig.otp);
+    } catch (error) {
+        throw new CliError(error.message);
+    }
+    const lenses = { type: options['lens-type'], package: options['lens-package'], maxPrice: options['lens-max-price'] };
+    if (Object.values(lenses).some(v => v != null) && siteConfig.customizationType !== 'lens') {
+        throw new CliError(`--lens-type, --lens-package and --lens-max-price only apply to sites with lenses (not ${siteConfig.name})`);
+    }
+    try {
+        resolveLenses(siteConfig.lenses, lenses);
+    } catch (error) {
+        throw new CliError(error.message);
+    }
+
+    const EcommerceAutomation = require('../automation');
+    const automation = new EcommerceAutomation(site, auth, {
+        config: sites,
+        configDir,
+        baseUrl: options['base-url'],
+        flow,
+        ...selection,
+        startUrl: options['start-url'],
+        pick,
+        customization,
+        lenses,
+        quantity: options.quantity,
+        quantityVia: options['quantity-via'],
+        resetCart: options['reset-cart'],
+        video: options.video,
+        har: options.har || undefined,
+        harBodies: options['har-bodies'] || undefined,
+        pageErrors: options['page-errors'],
+        reportDir: options['report-dir'] && path.resolve(options['report-dir']),
+        otp: options.otp,
+        account: options.account,
+        reuseSession: !!options['reuse-session'],
+        history: options.history || undefined,
+        block: options['no-block'] ? false : undefined,
+        headless: !!options.headless,
+        viewport: options.viewport ? parseViewport(options.viewport) : undefined,
+        keepOpen: options['keep-open'] ?? (options.headless ? 0 : 10),
+        screenshotDir: options.screenshots,
+    });
+    await automation.run(searchTerm);
+    return 0;
+}
+
+async function batchCommand(options, positionals) {
+    if (positionals.length !== 1) {
+        throw new CliError('batch needs exactly one scenarios .json or .csv file');
+    }
+    const [file] = positionals;
+    if (!fs.existsSync(file)) {
+        throw new CliError(`Scenario file not found: ${file}`);
+    }
+    const concurrency = options.concurrency ?? 2;
+    if (!Number.isInteger(concurrency) || concurrency < 1) {
+        throw new CliError(`--concurrency must be a whole number >= 1 (got ${concurrency})`);
+    }
+    const { sites, configDir } = loadSites(options.config);
+    const { loadScenarios, validateScenario, runBatch, formatSummary } = require('./batch');
+    let scenarios;
+    try {
+        if (options.otp) createOtpProvider(options.otp);
+        scenarios = loadScenarios(file);
+        scenarios.forEach((scenario, i) => validateScenario(scenario, i, sites));
+    } catch (error) {
+        throw new CliError(error.message);
+    }
+    if (scenarios.length === 0) {
+        throw new CliError(`${file} has no scenarios`);
+    }
+
+    console.log(`\n📋 Running ${scenarios.length} scenario(s) from ${file}, ${Math.min(concurrency, scenarios.length)} at a time\n`);
+    const summary = await runBatch(scenarios, {
+        sites,
+        configDir,
+        concurrency,
+        headless: !!options.headless,
+        viewport: options.viewport ? parseViewport(options.viewport) : undefined,
+        baseUrl: options['base-url'],
+        otp: options.otp,
+        video: options.video,
+        har: options.har || undefined,
+        harBodies: options['har-bodies'] || undefined,
+        pageErrors: options['page-errors'],
+        block: options['no-block'] ? false : undefined,
+        screenshotRoot: options.screenshots && path.resolve(options.screenshots),
+        reportRoot: options['report-dir'] && path.resolve(options['report-dir']),
+    });
+    console.log(`\n📋 Batch summary\n`);
+    console.log(formatSummary(summary));
+    console.log(`\n🧾 Summary saved: ${path.relative(process.cwd(), summary.file)}\n`);
+    return summary.failed === 0 ? 0 : 1;
+}
+
+async function scrapeCommand(options, positionals) {
+    const { sites, configDir } = loadSites(options.config);
+    const { site, rest } = pickSite(options, positionals, sites);
+    const siteConfig = sites[site];
+    const searchTerm = rest.join(' ');
+    if (!searchTerm) {
+        throw new CliError(`scrape needs a search term, e.g. ${BIN} scrape ${site} <searchTerm>`);
+    }
+    const flow = options.flow || 'scrape';
+    const steps = (siteConfig.flows || {})[flow];
+    if (!steps) {
+        throw new CliError(`Flow "${flow}" is not defined for ${siteConfig.name}. Available: ${Object.keys(siteConfig.flows || {}).join(', ') || 'none'}`);
+    }
+    if (!steps.some(step => step.action === 'scrapeResults')) {
+        throw new CliError(`Flow "${flow}" has no scrapeResults step to export with`);
+    }
+    if (options.limit != null && !(Number.isInteger(options.limit) && options.limit >= 1)) {
+        throw new CliError(`--limit must be a whole number >= 1 (got ${options.limit})`);
+    }
+    if (options['max-scrolls'] != null && !Number.isInteger(options['max-scrolls'])) {
+        throw new CliError(`--max-scrolls must be a whole number (got ${options['max-scrolls']})`);
+    }
+    const auth = options.auth || 'none';
+    if (auth === 'none' && options.otp) {
+        throw new CliError('--otp does nothing with --auth none (no OTP is requested); add --auth signin');
+    }
+    try {
+        formatFor(options.out, options.format);
+        createOtpProvider(options.otp || siteConfig.otp);
+    } catch (error) {
+        throw new CliError(error.message);
+    }
+
+    const EcommerceAutomation = require('../automation');
+    const automation = new EcommerceAutomation(site, auth, {
+        config: sites,
+        configDir,
+        baseUrl: options['base-url'],
+        flow,
+        startUrl: options['start-url'],
+        scrape: {
+            limit: options.limit,
+            maxScrolls: options['max-scrolls'],
+            file: options.out,
+            format: options.format,
+        },
+        reportDir: options['report-dir'] && path.resolve(options['report-dir']),
+        otp: options.otp,
+        history: options.history || undefined,
+        block: options['no-block'] ? false : undefined,
+        headless: !!options.headless,
+        viewport: options.viewport ? parseViewport(options.viewport) : undefined,
+        keepOpen: 0,
+        screenshotDir: options.screenshots,
+    });
+    await automation.run(searchTerm);
+    return 0;
+}
+
+async function diffCommand(options, positionals) {
+    const { HistoryStore, diffSnapshots, formatDiff } = require('./history');
+    const readSnapshot = (file) => {
+        try {
+            return JSON.parse(fs.readFileSync(file, 'utf8'));
+        } catch (error) {
+            throw new CliError(`${file} is not a listing snapshot: ${error.message}`);
+        }
+    };
+
+    let before;
+    let after;
+    if (!options.site && positionals.length === 2 && positionals.every(p => p.endsWith('.json'))) {
+        const missing = positionals.filter(p => !fs.existsSync(p));
+        if (missing.length) {
+            throw new CliError(`Snapshot not found: ${missing.join(', ')}`);
+        }
+        [before, after] = positionals.map(readSnapshot);
+    } else {
+        const { sites } = loadSites(options.config);
+        const { site, rest } = pickSite(options, positionals, sites);
+        const searchTerm = rest.join(' ');
+        if (!searchTerm) {
+            throw new CliError(`diff needs the search term of the runs, e.g. ${BIN} diff ${site} <searchTerm>`);
+        }
+        const siteConfig = sites[site];
+        let location = options.location ?? (siteConfig.requiresLocation ? siteConfig.defaultLocation : null);
+        let store = new HistoryStore(site, searchTerm, location === 'any' ? null : location);
+        if (options.location == null && location && store.list().length === 0) {
+            // Runs whose optional setLocation failed were saved under "any"
+            location = null;
+            store = new HistoryStore(site, searchTerm, null);
+        }
+        const snapshots = store.list();
+
+        if (options.list) {
+            console.log(`
+🗂️  ${snapshots.length} snapshot(s) in ${path.relative(process.cwd(), store.dir)}
+`);
+            snapshots.forEach((s, i) => {
+                const { observedAt, items } = readSnapshot(s.file);
+                console.log(`  ${pad(i + 1, 4)}${pad(s.id, 28)}${observedAt}  ${items.length} item(s)`);
+            });
+            console.log('');
+            return 0;
+        }
+        let to;
+        let from;
+        try {
+            to = store.find(options.to || 'latest');
+            from = options.from ? store.find(options.from) : snapshots[snapshots.findIndex(s => s.id === to.id) - 1];
+        } catch (error) {
+            throw new CliError(error.message);
+        }
+        if (!from) {
+            throw new CliError(`Nothing to compare: ${snapshots.length} snapshot(s) of "${searchTerm}" @ ${location || 'any'} before ${to.id}. Run the search again first`);
+        }
+        [before, after] = [readSnapshot(from.file), readSnapshot(to.file)];
+    }
+
+    const diff = diffSnapshots(before, after, { ratingChange: options['rating-change'] ?? 0.1 });
+    if (options.json) {
+        console.log(JSON.stringify({ from: before.observedAt, to: after.observedAt, ...diff }, null, 2));
+    } else {
+        console.log(`\n${formatDiff(diff, before, after).join('\n')}\n`);
+    }
+    return 0;
+}
+
+async function listSitesCommand(options, positionals) {
+    if (positionals.length) {
+        throw new CliError(`list-sites takes no arguments (got "${positionals.join(' ')}")`);
+    }
+    const { sites, label } = loadSites(options.config);
+    const rows = Object.entries(sites).map(([key, site]) => [
+        key,
+        site.name || '-',
+        site.baseUrl || '-',
+        Object.keys(site.flows || {}).join(', ') || '-',
+        typeof site.adapter === 'function' ? `class ${site.adapter.name}` : (site.adapter || `./sites/${key}`),
+    ]);
+    const header = ['site', 'name', 'base URL', 'flows', 'adapter'];
+    const widths = header.map((h, i) => Math.max(h.length, ...rows.map(r => r[i].length)));
+    const render = cols => `  ${cols.map((c, i) => pad(c, widths[i])).join('  ').trimEnd()}`;
+
+    console.log(`\nSites in ${label}:\n`);
+    console.log(render(header));
+    console.log(render(widths.map(w => '-'.repeat(w))));
+    rows.forEach(row => console.log(render(row)));
+    console.log('');
+    return 0;
+}
+
+async function checkSelectorsCommand(options, positionals) {
+    const { sites, configDir } = loadSites(options.config);
+    const { site, rest: snapshots } = pickSite(options, positionals, sites);
+    const urls = options.url || [];
+    if (snapshots.length === 0 && urls.length === 0) {
+        throw new CliError('Nothing to check: pass HTML snapshot files/directories or --url');
+    }
+    const missing = snapshots.filter(s => !fs.existsSync(s));
+    if (missing.length) {
+        throw new CliError(`Snapshot not found: ${missing.join(', ')}`);
+    }
+
+    const { loadAdapter } = require('../automation');
+    const { checkSelectors, formatTable } = require('./check-selectors');
+    const result = await checkSelectors({
+        siteConfig: sites[site],
+        Adapter: loadAdapter(site, sites[site], configDir),
+        snapshots,
+        urls,
+        baseUrl: options['base-url'],
+    });
+    console.log(`\n🔎 Selector check for ${sites[site].name}\n`);
+    console.log(formatTable(result));
+    console.log(result.ok ? '\n✅ All selectors found\n' : '\n❌ Some selectors are missing or invalid\n');
+    return result.ok ? 0 : 1;
+}
+
+// A report .json, or the most recent one in a directory
+function resolveReportFile(target) {
+    if (!fs.existsSync(target)) {
+        throw new CliError(`No report at ${target}`);
+    }
+    if (!fs.statSync(target).isDirectory()) {
+        return target;
+    }
+    const newest = fs.readdirSync(target)
+        .filter(f => f.endsWith('.json'))
+        .map(f => path.join(target, f))
+        .sort((a, b) => fs.statSync(b).mtimeMs - fs.statSync(a).mtimeMs)[0];
+    if (!newest) {
+        throw new CliError(`No .json reports in ${target}`);
+    }
+    return newest;
+}
+
+async function reportCommand(options, positionals) {
+    if (positionals.length !== 1) {
+        throw new CliError('report needs exactly one report .json file or directory');
+    }
+    const file = resolveReportFile(positionals[0]);
+    let data;
+    try {
+        data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        throw new CliError(`${file} is not a run report: ${error.message}`);
+    }
+    if (!Array.isArray(data.steps) || !data.id) {
+        throw new CliError(`${file} is not a run report (no id/steps)`);
+    }
+
+    const icons = { passed: '✅', failed: '❌', warning: '⚠️', skipped: '⏭️' };
+    const width = Math.max(4, ...data.steps.map(s => s.name.length)) + 2;
+    console.log(`\n🧾 ${data.siteName} / ${data.flow}: ${data.status} in ${((data.durationMs || 0) / 1000).toFixed(1)} s`);
+    console.log(`   ${path.relative(process.cwd(), file)}`);
+    console.log(`   started ${data.startedAt}, search "${data.searchTerm || ''}", ${data.baseUrl}\n`);
+    for (const step of data.steps) {
+        const took = step.durationMs == null ? '' : `${(step.durationMs / 1000).toFixed(1)} s`;
+        const error = step.error ? `  ${step.error.split('\n')[0]}` : '';
+        console.log(`   ${icons[step.status] || '•'} ${pad(step.name, width)}${pad(took, 8)}${error}`);
+    }
+    const counts = Object.entries(data.summary || {}).map(([key, value]) => `${key} ${value}`).join(', ');
+    console.log(`\n   ${counts}`);
+    if (data.error) {
+        console.log(`   error: ${data.error.split('\n')[0]}`);
+    }
+
+    if (options.rebuild) {
+        const RunReport = require('./report');
+        const dir = path.dirname(file);
+        const files = RunReport.fromJSON(data, dir).write(dir);
+        console.log(`\n🔁 Rebuilt ${path.relative(process.cwd(), files.html)} and ${path.relative(process.cwd(), files.xml)}`);
+    }
+    console.log('');
+    return data.status === 'failed' ? 1 : 0;
+}
+
+// Entry point; resolves to the process exit code
+async function main(argv) {
+    let name = null;
+    try {
+        if (argv.length === 0) {
+            console.log(mainHelp());
+            return 2;
+        }
+        if (argv[0] === '--help' || argv[0] === '-h' || argv[0] === 'help') {
+            console.log(argv[1] && COMMANDS[argv[1]] ? commandHelp(argv[1]) : mainHelp());
+            return 0;
+        }
+
+        const legacy = !COMMANDS[argv[0]];
+        name = legacy ? 'run' : argv[0];
+        const command = COMMANDS[name];
+        const { options, positionals } = parseArgs(legacy ? argv : argv.slice(1), command.options);
+        if (options.help) {
+            console.log(commandHelp(name));
+            return 0;
+        }
+        return await command.handler(options, positionals, { legacy });
+    } catch (error) {
+        if (error instanceof CliError) {
+            console.error(`\n❌ ${error.message}`);
+            console.error(`   See: ${BIN} ${name ? `${name} ` : ''}--help\n`);
+            return 2;
+        }
+        console.error(`\n❌ Fatal error: ${error.message}\n`);
+        return 1;
+    }
+}
+
+module.exports = {
+    main,
+    parseArgs,
+    CliError,
+    COMMANDS,
+};
@@ -0,0 +1,175 @@
+// Customization preferences
+//
+// Which options to choose in a product's customization dialog (Swiggy add-ons and sizes),
+// group by group:
+//
+//   choose    { "Size": "Large", "Toppings": ["Extra Cheese"], "Remove": "No Onion", "Add-ons": [] }
+//             keys match the group label and values the option labels, as case-insensitive
+//             substrings or "/pattern/flags"; [] leaves an optional group empty
+//   fallback  what to do with groups that `choose` does not name:
+//             first          required groups get their first option(s), optional ones stay as shown
+//             cheapest       required groups get their cheapest option(s), optional ones stay as shown
+//             skip-optional  like first, but optional groups are cleared
+//
+// Set it per site with `customization: { choose, fallback }` in config.js, per run with
+// `--choose group=option` (repeatable) and `--fallback <policy>`, or per batch scenario
+// with `choose` and `fallback`.
+//
+// Lens preferences (Lenskart's SELECT LENSES dialogs) pick one lens type and one package:
+//
+//   lenses    { "type": "Single Vision", "package": "/blu/i", "maxPrice": 1500 }
+//             type and package match like the labels above; maxPrice keeps packages at or under
+//             that price. Without a preference the first option is taken.
+//
+// Set them per site with `lenses` in config.js, per run with --lens-type, --lens-package and
+// --lens-max-price, or per batch scenario with `lenses`.
+
+const { textPattern } = require('./cart');
+
+const FALLBACKS = ['first', 'cheapest', 'skip-optional'];
+const LENS_KEYS = ['type', 'package', 'maxPrice'];
+
+// ["Size=Large", "Toppings=Extra Cheese", "Toppings=Olives", "Add-ons="] ->
+//   { Size: ['Large'], Toppings: ['Extra Cheese', 'Olives'], 'Add-ons': [] }
+function parseChooseOptions(values = []) {
+    const choose = {};
+    for (const value of values) {
+        const eq = value.indexOf('=');
+        if (eq < 1) {
+            throw new Error(`--choose must look like group=option (got "${value}")`);
+        }
+        const group = value.slice(0, eq).trim();
+        const option = value.slice(eq + 1).trim();
+        choose[group] = choose[group] || [];
+        if (option) choose[group].push(option);
+    }
+    return choose;
+}
+
+// Merge preferences (later ones win per group) and check the fallback policy
+function resolveCustomization(...layers) {
+    const merged = { choose: {}, fallback: 'first' };
+    for (const layer of layers.filter(Boolean)) {
+        Object.assign(merged.choose, layer.choose || {});
+        if (layer.fallback) merged.fallback = layer.fallback;
+    }
+    if (!FALLBACKS.includes(merged.fallback)) {
+        throw new Error(`fallback must be one of ${FALLBACKS.join(', ')} (got "${merged.fallback}")`);
+    }
+    for (const [group, options] of Object.entries(merged.choose)) {
+        if (![].concat(options).every(o => typeof o === 'string' || o instanceof RegExp)) {
+            throw new Error(`choose["${group}"] must be an option label or a list of them`);
+        }
+    }
+    return merged;
+}
+
+// Options of a group with the lowest price first (the page order breaks ties)
+function cheapestFirst(options) {
+    return options
+        .map((option, i) => ({ option, i }))
+        .sort((a, b) => (a.option.price || 0) - (b.option.price || 0) || a.i - b.i)
+        .map(({ option }) => option);
+}
+
+// Decide the options of one group read from the page:
+//   group = { label, type: 'radio' | 'checkbox', min, max, options: [{ name, price, checked }] }
+// Returns { names, source, key } (key: the `choose` entry used, if any); throws when `choose`
+// names options the group does not have or breaks its min/max.
+function planGroup(group, customization) {
+    const { choose, fallback } = customization;
+    const key = Object.keys(choose).find(k => textPattern(k).test(group.label || ''));
+    const available = group.options.map(o => o.name).join(', ');
+
+    if (key !== undefined) {
+        const names = [];
+        for (const wanted of [].concat(choose[key])) {
+            const option = group.options.find(o => textPattern(wanted).test(o.name));
+            if (!option) {
+                throw new Error(`${group.label}: no option matches "${wanted}". Options: ${available}`);
+            }
+            if (!names.includes(option.name)) names.push(option.name);
+        }
+        if (names.length < group.min) {
+            throw new Error(`${group.label}: choose at least ${group.min} option(s), got ${names.length}. Options: ${available}`);
+        }
+        if (names.length > group.max) {
+            throw new Error(`${group.label}: choose at most ${group.max} option(s), got ${names.length} (${names.join(', ')})`);
+        }
+        return { names, source: `choose "${key}"`, key };
+    }
+
+    if (group.min > 0) {
+        const ordered = fallback === 'cheapest' ? cheapestFirst(group.options) : group.options;
+        return { names: ordered.slice(0, group.min).map(o => o.name), source: `fallback ${fallback}` };
+    }
+    if (fallback === 'skip-optional') {
+        return { names: [], source: 'fallback skip-optional' };
+    }
+    return { names: group.options.filter(o => o.checked).map(o => o.name), source: `fallback ${fallback} (as shown)` };
+}
+
+// "Size: Large (+₹200)" / "Toppings: none"
+function describeChoice(group, names) {
+    const chosen = names.map((name) => {
+        const option = group.options.find(o => o.name === name);
+        return option && option.price ? `${name} (+₹${option.price})` : name;
+    });
+    return `${group.label}: ${chosen.join(', ') || 'none'}`;
+}
+
+// Merge lens preferences (later ones win per key) and check them
+function resolveLenses(...layers) {
+    const merged = {};
+    for (const layer of layers.filter(Boolean)) {
+        const unknown = Object.keys(layer).filter(k => !LENS_KEYS.includes(k));
+        if (unknown.length) {
+            throw new Error(`Unknown lens preference(s) ${unknown.join(', ')}. Allowed: ${LENS_KEYS.join(', ')}`);
+        }
+        for (const key of LENS_KEYS) {
+            if (layer[key] != null && layer[key] !== '') merged[key] = layer[key];
+        }
+    }
+    if (merged.maxPrice != null) {
+        const maxPrice = Number(merged.maxPrice);
+        if (!Number.isFinite(maxPrice) || maxPrice < 0) {
+            throw new Error(`lens maxPrice must be a number >= 0 (got "${merged.maxPrice}")`);
+        }
+        merged.maxPrice = maxPrice;
+    }
+    return merged;
+}
+
+// Choose one option of a lens dialog ({ name, price } each) by name and/or price ceiling; the first
+// option without either. Returns { option, reason }; throws listing the options on offer.
+function chooseLensOption(kind, options, { name, maxPrice } = {}) {
+    const offered = options.map(o => (o.price != null ? `${o.name} (₹${o.price})` : o.name)).join(', ');
+    if (options.length === 0) {
+        throw new Error(`No ${kind} options found in the dialog`);
+    }
+    let pool = options;
+    const wanted = [];
+    if (name != null) {
+        pool = pool.filter(o => textPattern(name).test(o.name));
+        wanted.push(`"${name}"`);
+    }
+    if (maxPrice != null) {
+        pool = pool.filter(o => o.price != null && o.price <= maxPrice);
+        wanted.push(`at most ₹${maxPrice}`);
+    }
+    if (pool.length === 0) {
+        throw new Error(`No ${kind} matches ${wanted.join(', ')}. Available: ${offered}`);
+    }
+    return { option: pool[0], reason: wanted.length ? `requested ${wanted.join(', ')}` : 'first option' };
+}
+
+module.exports = {
+    FALLBACKS,
+    LENS_KEYS,
+    resolveLenses,
+    chooseLensOption,
+    parseChooseOptions,
+    resolveCustomization,
+    planGroup,
+    describeChoice,
+};
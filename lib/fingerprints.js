@@ -0,0 +1,271 @@
+// Element fingerprints for self-healing clicks
+//
+// Every successful Utils.clickElement() records what the clicked element looked like
+// (tag, text, data-cy/data-testid, aria-label, DOM path, position...) under the page
+// (origin + path) and the selector list it was asked to click, in .fingerprints/<site>.json
+// (written once when the run ends, merged into what other runs saved meanwhile).
+// When a click that opts in with { heal: true } finds none of its selectors on a later run,
+// the closest visible element on the same page is clicked instead and a selector for it is
+// suggested, so one renamed hashed class (Swiggy's `a.lyOGZ`, `div._1cmcE`) does not fail
+// the whole run. A candidate must keep the text, aria-label or id of the recorded element.
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_DIR = path.join(__dirname, '..', '.fingerprints');
+const MIN_SCORE = 0.6; // below this the best candidate is not trusted
+
+// Runs in the page: describe an element so it can be found again later
+function fingerprintElement(el) {
+    const norm = s => (s || '').replace(/\s+/g, ' ').trim();
+    const segments = [];
+    for (let node = el; node && node.nodeType === 1 && node !== document.body; node = node.parentElement) {
+        const tag = node.tagName.toLowerCase();
+        const siblings = node.parentElement
+            ? Array.from(node.parentElement.children).filter(c => c.tagName === node.tagName)
+            : [node];
+        segments.unshift(`${tag}:nth-of-type(${siblings.indexOf(node) + 1})`);
+    }
+    const rect = el.getBoundingClientRect();
+    return {
+        tag: el.tagName.toLowerCase(),
+        text: norm(el.innerText || el.textContent).slice(0, 120),
+        id: el.id || null,
+        testId: el.getAttribute('data-testid'),
+        cy: el.getAttribute('data-cy'),
+        ariaLabel: el.getAttribute('aria-label'),
+        name: el.getAttribute('name'),
+        role: el.getAttribute('role'),
+        href: el.getAttribute('href'),
+        classes: Array.from(el.classList),
+        path: ['body', ...segments].join(' > '),
+        position: {
+            x: Math.round(rect.left + rect.width / 2 + window.scrollX),
+            y: Math.round(rect.top + rect.height / 2 + window.scrollY),
+            width: Math.round(rect.width),
+            height: Math.round(rect.height),
+        },
+    };
+}
+
+// Runs in the page: find the visible element closest to a fingerprint.
+// Returns { element, meta: { score, selector, description } } or null below minScore.
+function findClosestInPage(fp, minScore) {
+    const norm = s => (s || '').replace(/\s+/g, ' ').trim().toLowerCase();
+    const visible = (el) => {
+        const r = el.getBoundingClientRect();
+        const st = window.getComputedStyle(el);
+        return r.width > 0 && r.height > 0 && st.visibility !== 'hidden' && st.display !== 'none';
+    };
+    const pathOf = (el) => {
+        const segments = [];
+        for (let node = el; node && node !== document.body; node = node.parentElement) {
+            const siblings = Array.from(node.parentElement.children).filter(c => c.tagName === node.tagName);
+            segments.unshift(`${node.tagName.toLowerCase()}:nth-of-type(${siblings.indexOf(node) + 1})`);
+        }
+        return ['body', ...segments];
+    };
+    const same = (a, b) => (a != null && b != null && norm(a) === norm(b) ? 1 : 0);
+    const fpPath = fp.path.split(' > ');
+    const fpText = norm(fp.text);
+    // Similar structure alone is not enough: the element must still say or be called the same thing
+    const sameIdentity = el => (!!fpText && norm(el.innerText || el.textContent) === fpText)
+        || (!!fp.ariaLabel && same(el.getAttribute('aria-label'), fp.ariaLabel) === 1)
+        || (!!fp.id && el.id === fp.id);
+
+    const features = [
+        { weight: 1, present: true, score: el => (el.tagName.toLowerCase() === fp.tag ? 1 : 0) },
+        { weight: 4, present: !!fp.testId, score: el => same(el.getAttribute('data-testid'), fp.testId) },
+        { weight: 4, present: !!fp.cy, score: el => same(el.getAttribute('data-cy'), fp.cy) },
+        { weight: 3, present: !!fp.id, score: el => same(el.id, fp.id) },
+        { weight: 3, present: !!fp.ariaLabel, score: el => same(el.getAttribute('aria-label'), fp.ariaLabel) },
+        { weight: 2, present: !!fp.name, score: el => same(el.getAttribute('name'), fp.name) },
+        { weight: 1, present: !!fp.role, score: el => same(el.getAttribute('role'), fp.role) },
+        { weight: 2, present: !!fp.href, score: el => same(el.getAttribute('href'), fp.href) },
+        {
+            weight: 3,
+            present: !!fpText,
+            score: (el) => {
+                const text = norm(el.innerText || el.textContent);
+                if (text === fpText) return 1;
+                if (!text || !(text.includes(fpText) || fpText.includes(text))) return 0;
+                return 0.6 * Math.min(text.length, fpText.length) / Math.max(text.length, fpText.length);
+            },
+        },
+        {
+            weight: 1,
+            present: fp.classes.length > 0,
+            score: (el) => {
+                const mine = new Set(el.classList);
+                const shared = fp.classes.filter(c => mine.has(c)).length;
+                return shared / new Set([...fp.classes, ...mine]).size;
+            },
+        },
+        {
+            weight: 2,
+            present: true,
+            score: (el) => {
+                const mine = pathOf(el);
+                let common = 0;
+                while (common < mine.length && common < fpPath.length
+                    && mine[mine.length - 1 - common] === fpPath[fpPath.length - 1 - common]) common++;
+                return common / Math.max(mine.length, fpPath.length);
+            },
+        },
+        {
+            weight: 1,
+            present: !!fp.position,
+            score: (el) => {
+                const r = el.getBoundingClientRect();
+                const dx = r.left + r.width / 2 + window.scrollX - fp.position.x;
+                const dy = r.top + r.height / 2 + window.scrollY - fp.position.y;
+                return 1 - Math.min(Math.hypot(dx, dy) / 600, 1);
+            },
+        },
+    ].filter(f => f.present);
+    const total = features.reduce((sum, f) => sum + f.weight, 0);
+
+    let best = null;
+    for (const el of document.querySelectorAll('body *')) {
+        if (!visible(el) || !sameIdentity(el)) continue;
+        const score = features.reduce((sum, f) => sum + f.weight * f.score(el), 0) / total;
+        const area = el.getBoundingClientRect().width * el.getBoundingClientRect().height;
+        // On a tie prefer the smaller (more specific) element over its wrappers
+        if (!best || score > best.score + 1e-6 || (Math.abs(score - best.score) <= 1e-6 && area < best.area)) {
+            best = { el, score, area };
+        }
+    }
+    if (!best || best.score < minScore) return null;
+
+    // Suggest the most stable selector that is unique on this page
+    const el = best.el;
+    const tag = el.tagName.toLowerCase();
+    const quote = v => `"${v.replace(/["\\]/g, '\\$&')}"`;
+    const unique = (sel) => {
+        try {
+            return document.querySelectorAll(sel).length === 1;
+        } catch {
+            return false;
+        }
+    };
+    const candidates = [];
+    if (el.getAttribute('data-testid')) candidates.push(`${tag}[data-testid=${quote(el.getAttribute('data-testid'))}]`);
+    if (el.getAttribute('data-cy')) candidates.push(`${tag}[data-cy=${quote(el.getAttribute('data-cy'))}]`);
+    if (el.id) candidates.push(`#${CSS.escape(el.id)}`);
+    if (el.getAttribute('aria-label')) candidates.push(`${tag}[aria-label=${quote(el.getAttribute('aria-label'))}]`);
+    if (el.getAttribute('name')) candidates.push(`${tag}[name=${quote(el.getAttribute('name'))}]`);
+    let selector = candidates.find(unique);
+    const text = (el.innerText || el.textContent || '').replace(/\s+/g, ' ').trim();
+    if (!selector && text && text.length <= 40) selector = `${tag}:has-text(${quote(text)})`;
+    if (!selector) selector = pathOf(el).join(' > ');
+
+    return {
+        element: el,
+        meta: {
+            score: Math.round(best.score * 100) / 100,
+            selector,
+            description: `<${tag}>${text ? ` "${text.slice(0, 40)}"` : ''}`,
+        },
+    };
+}
+
+class FingerprintStore {
+    constructor(siteName, dir = DEFAULT_DIR) {
+        this.file = path.join(dir, `${siteName}.json`);
+        this.entries = null;
+        this.pending = {}; // page -> { key: fingerprint } recorded since the last save()
+    }
+
+    // Fingerprints are keyed by the selector list the caller asked for
+    static keyFor(selectors) {
+        return (Array.isArray(selectors) ? selectors : [selectors]).join(' || ');
+    }
+
+    // ...and grouped by the page they were recorded on: "https://www.swiggy.com/search"
+    static pageFor(url) {
+        try {
+            const { origin, pathname } = new URL(url);
+            return `${origin}${pathname.replace(/\/+$/, '') || '/'}`;
+        } catch {
+            return String(url || '');
+        }
+    }
+
+    load() {
+        if (this.entries) return this.entries;
+        try {
+            this.entries = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+        } catch {
+            this.entries = {};
+        }
+        return this.entries;
+    }
+
+    get(selectors, url) {
+        const page = this.load()[FingerprintStore.pageFor(url)];
+        return (page && page[FingerprintStore.keyFor(selectors)]) || null;
+    }
+
+    // Keep the fingerprint of the element a selector list resolved to on the page at `url`; save() writes it
+    record(selectors, matchedSelector, fingerprint, url) {
+        const entries = this.load();
+        const page = FingerprintStore.pageFor(url);
+        const entry = {
+            ...fingerprint,
+            selector: matchedSelector,
+            url,
+            recordedAt: new Date().toISOString(),
+        };
+        const key = FingerprintStore.keyFor(selectors);
+        entries[page] = { ...entries[page], [key]: entry };
+        this.pending[page] = { ...this.pending[page], [key]: entry };
+    }
+
+    // Write what was recorded into the store as it is on disk now: batch scenarios share the file,
+    // so each replaces only the fingerprints it recorded. Returns whether anything was written.
+    save() {
+        const pages = Object.keys(this.pending);
+        if (pages.length === 0) return false;
+        let stored = {};
+        try {
+            stored = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+        } catch {
+            // no store yet, or an unreadable one that this write replaces
+        }
+        for (const page of pages) {
+            stored[page] = { ...stored[page], ...this.pending[page] };
+        }
+        // Through a temp file, so parallel runs never read a half-written store
+        const temp = `${this.file}.${process.pid}.tmp`;
+        fs.mkdirSync(path.dirname(this.file), { recursive: true });
+        fs.writeFileSync(temp, JSON.stringify(stored, null, 2));
+        fs.renameSync(temp, this.file);
+        this.pending = {};
+        return true;
+    }
+
+    // Fingerprint the element behind an ElementHandle
+    async capture(element) {
+        return element.evaluate(fingerprintElement);
+    }
+
+    // Find the element closest to the recorded fingerprint; resolves to
+    // { element: ElementHandle, score, selector, description } or null. The caller disposes element.
+    async heal(page, selectors) {
+        const fingerprint = this.get(selectors, page.url());
+        if (!fingerprint) return null;
+
+        const handle = await page.evaluateHandle(findClosestInPage, fingerprint, MIN_SCORE);
+        if (!(await handle.evaluate(result => !!result))) {
+            await handle.dispose();
+            return null;
+        }
+        const metaHandle = await handle.getProperty('meta');
+        const meta = await metaHandle.jsonValue();
+        const element = (await handle.getProperty('element')).asElement();
+        await Promise.all([metaHandle.dispose(), handle.dispose()]);
+        return { element, ...meta };
+    }
+}
+
+module.exports = FingerprintStore;
@@ -0,0 +1,361 @@
+// Step runner for the declarative flows in config.js
+//
+// A flow is an ordered list of steps such as:
+//   { name: 'search', action: 'callAdapter', method: 'search', args: ['{searchTerm}'] }
+//   { action: 'click', selector: 'a[href*="/wishlist"]', heal: true }  (see lib/fingerprints.js)
+//   { action: 'assertText', text: /my wishlist/i, selector: 'h1' }
+//   { action: 'assertUrl', url: '/checkout' }
+//   { action: 'assertCart', items: [{ name: /pizza/i, quantity: 1 }] }   (see lib/cart.js)
+//   { action: 'setQuantity', item: /pizza/i, quantity: 2 }               (0 removes the line)
+//   { action: 'clearCart' }                                               (empties the cart)
+//   { action: 'scrapeResults', limit: 50, file: 'exports/pizza.csv' }     (see lib/scrape.js)
+//
+// Any string in a step may use {placeholders} filled from the run variables.
+// A failing step stops the flow unless it is marked `optional: true`.
+// A run can be narrowed with { from, to, skip } (step names or 1-based numbers); the steps
+// left out are recorded as "skipped" so the report still shows the whole flow.
+
+const selectorEngine = require('./selectors');
+const cart = require('./cart');
+const { formatFor } = require('./scrape');
+const { describeRequest } = require('./network');
+const { describeError } = require('./page-errors');
+
+const ACTIONS = {
+    navigate: { required: ['url'] },
+    click: { required: ['selector'] },
+    type: { required: ['selector', 'text'] },
+    waitFor: { required: ['selector'] },
+    assertText: { required: ['text'] },
+    assertUrl: { required: ['url'] },
+    assertCart: { required: [] },
+    setQuantity: { required: ['quantity'] },
+    clearCart: { required: [] },
+    scrapeResults: { required: [] },
+    screenshot: { required: ['name'] },
+    wait: { required: ['ms'] },
+    callAdapter: { required: ['method'] },
+};
+
+class FlowRunner {
+    constructor(automation) {
+        this.automation = automation;
+        this.results = [];
+    }
+
+    get page() {
+        return this.automation.page;
+    }
+
+    get utils() {
+        return this.automation.utils;
+    }
+
+    get config() {
+        return this.automation.config;
+    }
+
+    // Check every step up front so a typo in config.js fails before the browser does any work
+    validate(steps, flowName) {
+        if (!Array.isArray(steps) || steps.length === 0) {
+            throw new Error(`Flow "${flowName}" must be a non-empty list of steps`);
+        }
+        steps.forEach((step, i) => {
+            const where = `Flow "${flowName}" step ${i + 1}`;
+            const spec = ACTIONS[step.action];
+            if (!spec) {
+                throw new Error(`${where}: unknown action "${step.action}". Available: ${Object.keys(ACTIONS).join(', ')}`);
+            }
+            for (const field of spec.required) {
+                if (step[field] === undefined) {
+                    throw new Error(`${where} (${step.action}): missing "${field}"`);
+                }
+            }
+            for (const selector of [].concat(step.selector ?? [])) {
+                try {
+                    selectorEngine.parseSelector(selector);
+                } catch (error) {
+                    throw new Error(`${where} (${step.action}): ${error.message}`);
+                }
+            }
+            if (step.action === 'assertCart') {
+                cart.validateExpectation(this.cartExpectation(step), `${where} (assertCart)`);
+            }
+            if (step.action === 'setQuantity' && !(Number.isInteger(step.quantity) && step.quantity >= 0)) {
+                throw new Error(`${where} (setQuantity): quantity must be a whole number >= 0`);
+            }
+            if (step.action === 'scrapeResults') {
+                for (const [field, min] of [['limit', 1], ['maxScrolls', 0]]) {
+                    if (step[field] != null && !(Number.isInteger(step[field]) && step[field] >= min)) {
+                        throw new Error(`${where} (scrapeResults): ${field} must be a whole number >= ${min}`);
+                    }
+                }
+                try {
+                    formatFor(step.file, step.format);
+                } catch (error) {
+                    throw new Error(`${where} (scrapeResults): ${error.message}`);
+                }
+            }
+            if (step.action === 'callAdapter' && typeof this.automation.adapter[step.method] !== 'function') {
+                throw new Error(`${where}: adapter for ${this.config.name} has no method "${step.method}"`);
+            }
+        });
+    }
+
+    // Replace {name} placeholders in strings (recursively through arrays/objects)
+    interpolate(value, vars) {
+        if (typeof value === 'string') {
+            return value.replace(/\{(\w+)\}/g, (match, key) => (vars[key] !== undefined ? String(vars[key]) : match));
+        }
+        if (Array.isArray(value)) {
+            return value.map(v => this.interpolate(v, vars));
+        }
+        if (value && typeof value === 'object' && !(value instanceof RegExp)) {
+            return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, this.interpolate(v, vars)]));
+        }
+        return value;
+    }
+
+    stepName(step, index) {
+        return step.name || (step.action === 'callAdapter' ? step.method : `${step.action}_${index + 1}`);
+    }
+
+    // Why each step will not run (null for the ones that will), for --from/--to/--skip.
+    // Throws on step names the flow does not have, so a typo fails before the browser starts.
+    plan(steps, { from, to, skip = [] } = {}, flowName = 'default') {
+        const names = steps.map((step, i) => this.stepName(step, i));
+        const indexOf = (ref, option) => {
+            const index = /^\d+$/.test(String(ref)) ? Number(ref) - 1 : names.indexOf(ref);
+            if (index < 0 || index >= names.length) {
+                throw new Error(`--${option} "${ref}" is not a step of flow "${flowName}". Steps: ${names.join(', ')}`);
+            }
+            return index;
+        };
+        const first = from ? indexOf(from, 'from') : 0;
+        const last = to ? indexOf(to, 'to') : names.length - 1;
+        if (first > last) {
+            throw new Error(`--from ${names[first]} comes after --to ${names[last]} in flow "${flowName}"`);
+        }
+        const skipped = new Set(skip.map(ref => indexOf(ref, 'skip')));
+
+        return steps.map((step, i) => {
+            if (i < first) return `before --from ${names[first]}`;
+            if (i > last) return `after --to ${names[last]}`;
+            if (skipped.has(i)) return '--skip';
+            if (this.automation.authMode === 'none' && step.action === 'callAdapter' && step.method === 'signin') return '--auth none';
+            return null;
+        });
+    }
+
+    // Run the steps in order; returns the results of every step run so far
+    async run(steps, vars = {}, flowName = 'default', selection = {}) {
+        this.validate(steps, flowName);
+        const skipReasons = this.plan(steps, selection, flowName);
+
+        for (let i = 0; i < steps.length; i++) {
+            const step = this.interpolate(steps[i], vars);
+            const name = this.stepName(step, i);
+            if (skipReasons[i]) {
+                this.skipStep(name, step.action, skipReasons[i], `Step ${i + 1}/${steps.length}: ${name}`);
+                continue;
+            }
+            this.utils.log(`Step ${i + 1}/${steps.length}: ${name}`, 'step');
+            await this.runStep(name, step.action, () => this.execute(step), !!step.optional);
+        }
+        return this.results;
+    }
+
+    // Record a step that was left out of this run
+    skipStep(name, action, reason, label = name) {
+        const logsBefore = this.utils ? this.utils.logLines.length : 0;
+        if (this.utils) {
+            this.utils.log(`${label} skipped (${reason})`, 'skip');
+        }
+        const result = {
+            name,
+            action,
+            optional: false,
+            status: 'skipped',
+            durationMs: 0,
+            error: null,
+            reason,
+            url: this.currentUrl(),
+            screenshots: [],
+            logs: this.utils ? this.utils.logLines.slice(logsBefore) : [],
+            failedRequests: [],
+            pageErrors: [],
+        };
+        this.results.push(result);
+        return result;
+    }
+
+    // Time one unit of work and record its outcome, final URL, the screenshots it took, the
+    // requests it started that got a 4xx/5xx and the browser errors that happened meanwhile.
+    // Throws when a required step fails; optional failures are recorded as warnings. With
+    // --page-errors fail, an uncaught page exception fails the step too.
+    async runStep(name, action, fn, optional = false) {
+        const started = Date.now();
+        const shotsBefore = this.utils ? this.utils.screenshots.length : 0;
+        const logsBefore = this.utils ? this.utils.logLines.length : 0;
+        const network = this.automation.network;
+        const browserErrors = this.automation.pageErrors;
+        const stepTag = this.automation.watchers ? this.automation.watchers.beginStep(name) : null;
+
+        let error = null;
+        try {
+            const ok = await fn();
+            if (ok === false) {
+                error = new Error(`Step "${name}" failed`);
+            }
+        } catch (e) {
+            error = e;
+        }
+        if (network) await network.settleStep(stepTag);
+        const failedRequests = network ? network.failures(stepTag) : [];
+        if (failedRequests.length > 0 && this.utils) {
+            this.utils.log(`🌐 ${failedRequests.length} failed request(s) during ${name}:\n${failedRequests.map(r => `   ${describeRequest(r)}`).join('\n')}`, 'warning');
+        }
+        const pageErrors = browserErrors ? browserErrors.during(stepTag) : [];
+        if (pageErrors.length > 0 && this.utils) {
+            this.utils.log(`🧨 ${pageErrors.length} browser error(s) during ${name}:\n${pageErrors.map(e => `   ${describeError(e)}`).join('\n')}`, 'warning');
+        }
+        const uncaught = pageErrors.find(e => e.type === 'pageerror');
+        if (!error && uncaught && this.automation.pageErrorPolicy === 'fail') {
+            error = new Error(`Uncaught page error during ${name}: ${uncaught.text}`);
+        }
+
+        const result = {
+            name,
+            action,
+            optional,
+            status: error ? (optional ? 'warning' : 'failed') : 'passed',
+            durationMs: Date.now() - started,
+            error: error ? error.message : null,
+            url: this.currentUrl(),
+            screenshots: this.utils ? this.utils.screenshots.slice(shotsBefore).map(s => s.path) : [],
+            logs: this.utils ? this.utils.logLines.slice(logsBefore) : [],
+            failedRequests,
+            pageErrors,
+        };
+        this.results.push(result);
+
+        if (error) {
+            if (!optional) throw error;
+            this.utils.log(`Optional step "${name}" failed: ${error.message}`, 'warning');
+        }
+        return result;
+    }
+
+    currentUrl() {
+        try {
+            return this.page ? this.page.url() : null;
+        } catch {
+            return null;
+        }
+    }
+
+    // Execute one step; returns false (or throws) on failure
+    async execute(step) {
+        const timeout = step.timeout ?? this.config.timing.longWait;
+
+        switch (step.action) {
+            case 'navigate': {
+                const url = this.automation.resolveUrl(step.url);
+                this.utils.log(`Navigating to ${url}`, 'info');
+                await this.page.goto(url, { waitUntil: step.waitUntil || 'networkidle2', timeout: step.timeout });
+                return true;
+            }
+            case 'click':
+                return this.utils.clickElement(step.selector, { timeout, heal: !!step.heal });
+            case 'type':
+                return this.utils.typeText(step.selector, step.text, {
+                    timeout,
+                    clearFirst: step.clearFirst ?? true,
+                    pressEnter: !!step.pressEnter,
+                });
+            case 'waitFor':
+                await this.utils.waitForSelector(step.selector, timeout);
+                return true;
+            case 'assertText':
+                return this.assertText(step, timeout);
+            case 'assertUrl':
+                return this.assertUrl(step, timeout);
+            case 'assertCart':
+                return this.assertCart(step);
+            case 'setQuantity':
+                return this.automation.adapter.setCartQuantity(step.item ?? null, step.quantity);
+            case 'clearCart':
+                return this.automation.adapter.clearCart();
+            case 'scrapeResults':
+                return this.automation.scrapeResults({ limit: step.limit, maxScrolls: step.maxScrolls, file: step.file, format: step.format });
+            case 'screenshot':
+                return !!(await this.utils.screenshot(step.name));
+            case 'wait':
+                await this.utils.wait(step.ms);
+                return true;
+            case 'callAdapter':
+                return this.automation.adapter[step.method](...(step.args || []));
+            default:
+                throw new Error(`Unknown action "${step.action}"`);
+        }
+    }
+
+    // The expectation part of an assertCart step (everything but the common step fields)
+    cartExpectation(step) {
+        const { name, action, optional, timeout, ...expectation } = step;
+        return expectation;
+    }
+
+    // Read the cart through the adapter and fail with every expectation it misses
+    async assertCart(step) {
+        const contents = await this.automation.adapter.getCart();
+        cart.formatCart(contents).forEach(line => this.utils.log(line, 'info'));
+        const problems = cart.checkCart(contents, this.cartExpectation(step));
+        if (problems.length) {
+            throw new Error(`Cart check failed: ${problems.join('; ')}`);
+        }
+        this.utils.log('Cart matches the expectations', 'success');
+        return true;
+    }
+
+    // Wait until the page URL contains the text (or matches the pattern)
+    async assertUrl(step, timeout) {
+        const matches = url => (step.url instanceof RegExp ? step.url.test(url) : url.includes(step.url));
+        const deadline = Date.now() + timeout;
+        while (!matches(this.page.url())) {
+            if (Date.now() >= deadline) {
+                throw new Error(`URL ${this.page.url()} does not match ${step.url} within ${timeout}ms`);
+            }
+            await this.utils.wait(250);
+        }
+        this.utils.log(`URL matches ${step.url}`, 'success');
+        return true;
+    }
+
+    // Wait until the page (or the first element matching `selector`) contains the text/pattern
+    async assertText(step, timeout) {
+        const pattern = step.text instanceof RegExp
+            ? { source: step.text.source, flags: step.text.flags }
+            : { source: step.text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), flags: 'i' };
+        const started = Date.now();
+        let element = null;
+        try {
+            if (step.selector) {
+                element = await selectorEngine.waitFor(this.page, step.selector, { timeout, visible: false });
+            }
+            await this.page.waitForFunction((el, { source, flags }) => {
+                const target = el || document.body;
+                return new RegExp(source, flags).test(target.innerText || target.textContent || '');
+            }, { timeout: Math.max(timeout - (Date.now() - started), 1) }, element, pattern);
+            this.utils.log(`Found text ${step.text}`, 'success');
+            return true;
+        } catch (error) {
+            if (error instanceof selectorEngine.SelectorSyntaxError) throw error;
+            throw new Error(`Text ${step.text} not found${step.selector ? ` in ${step.selector}` : ''} within ${timeout}ms`);
+        } finally {
+            if (element) await element.dispose();
+        }
+    }
+}
+
+module.exports = FlowRunner;
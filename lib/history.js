@@ -0,0 +1,152 @@
+// Listing history
+//
+// With --history (or `history: true` in config.js), after every successful search() the listing on
+// screen (no scrolling; see lib/scrape.js) is kept as a snapshot in history/<site>/<query>@<location>/<time>.json:
+//
+//   { site, query, location, url, observedAt, items: [{ type, name, restaurant, brand, price, rating, available, ... }] }
+//
+// The location is where the adapter delivered to (Swiggy's setLocation()), or "any". `diff` compares
+// two snapshots of one key: price changes, items that appeared or disappeared, rating shifts and
+// availability.
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_DIR = path.join(__dirname, '..', 'history');
+
+// "Chicken Biryani", "Koramangala, Bangalore" -> "chicken-biryani", "koramangala-bangalore"
+function slug(value) {
+    return String(value || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'any';
+}
+
+// One item across snapshots: its kind, name and restaurant/brand (not the price, which may change)
+function itemKey(item) {
+    return [item.type, item.name, item.restaurant || item.brand].map(v => String(v ?? '').toLowerCase()).join('|');
+}
+
+class HistoryStore {
+    constructor(siteName, query, location, dir = DEFAULT_DIR) {
+        this.siteName = siteName;
+        this.query = query;
+        this.location = location || null;
+        this.dir = path.join(dir, siteName, `${slug(query)}@${slug(location)}`);
+    }
+
+    // Snapshots oldest first, as [{ id, file }]; ids are the file names without .json
+    list() {
+        if (!fs.existsSync(this.dir)) return [];
+        return fs.readdirSync(this.dir)
+            .filter(f => f.endsWith('.json'))
+            .sort()
+            .map(f => ({ id: f.slice(0, -5), file: path.join(this.dir, f) }));
+    }
+
+    load(file) {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    }
+
+    // Store what search() returned; returns the file written
+    save({ url, items, observedAt = new Date() }) {
+        const snapshot = {
+            site: this.siteName,
+            query: this.query,
+            location: this.location,
+            url,
+            observedAt: observedAt.toISOString(),
+            items,
+        };
+        const file = path.join(this.dir, `${snapshot.observedAt.replace(/[:.]/g, '-')}.json`);
+        fs.mkdirSync(this.dir, { recursive: true });
+        fs.writeFileSync(file, JSON.stringify(snapshot, null, 2));
+        return file;
+    }
+
+    // A snapshot by id, by its 1-based number in list(), or "latest"; throws listing what there is
+    find(ref) {
+        const snapshots = this.list();
+        const found = ref === 'latest' ? snapshots[snapshots.length - 1]
+            : /^\d+$/.test(String(ref)) ? snapshots[Number(ref) - 1]
+                : snapshots.find(s => s.id === ref);
+        if (!found) {
+            throw new Error(`No snapshot "${ref}" in ${path.relative(process.cwd(), this.dir) || '.'} (${snapshots.length} saved)`);
+        }
+        return found;
+    }
+}
+
+// Everything that changed from one snapshot to the next
+function diffSnapshots(before, after, { ratingChange = 0.1 } = {}) {
+    const index = items => new Map(items.map(item => [itemKey(item), item]));
+    const old = index(before.items || []);
+    const now = index(after.items || []);
+    const diff = { prices: [], added: [], removed: [], ratings: [], availability: [] };
+
+    for (const [key, item] of now) {
+        const was = old.get(key);
+        if (!was) {
+            diff.added.push(item);
+            continue;
+        }
+        if (was.price != null && item.price != null && was.price !== item.price) {
+            diff.prices.push({ item, from: was.price, to: item.price });
+        }
+        if (was.rating != null && item.rating != null && Math.abs(item.rating - was.rating) >= ratingChange - 1e-9) {
+            diff.ratings.push({ item, from: was.rating, to: item.rating });
+        }
+        if (was.available != null && item.available != null && was.available !== item.available) {
+            diff.availability.push({ item, from: was.available, to: item.available });
+        }
+    }
+    for (const [key, item] of old) {
+        if (!now.has(key)) diff.removed.push(item);
+    }
+    return diff;
+}
+
+function isEmptyDiff(diff) {
+    return Object.values(diff).every(list => list.length === 0);
+}
+
+// 'dish "Margherita Pizza" (Pizza Palace)'
+function describeItem(item) {
+    const where = item.restaurant || item.brand;
+    return `${item.type ? `${item.type} ` : ''}"${item.name}"${where ? ` (${where})` : ''}`;
+}
+
+function describePrice(from, to) {
+    const change = from ? ` (${to > from ? '+' : ''}${(((to - from) / from) * 100).toFixed(1)}%)` : '';
+    return `₹${from} → ₹${to}${change}`;
+}
+
+// The diff as report lines
+function formatDiff(diff, before, after) {
+    const where = `"${after.query}" @ ${after.location || 'any location'}`;
+    const lines = [
+        `📈 ${after.site} ${where}: ${before.observedAt} → ${after.observedAt} (${(before.items || []).length} → ${(after.items || []).length} item(s))`,
+    ];
+    if (isEmptyDiff(diff)) {
+        lines.push('', 'No changes');
+        return lines;
+    }
+    const section = (title, entries, render) => {
+        if (entries.length === 0) return;
+        lines.push('', `${title} (${entries.length}):`, ...entries.map(entry => `  ${render(entry)}`));
+    };
+    const summary = item => [describeItem(item), item.price != null ? `₹${item.price}` : null, item.rating != null ? `★${item.rating}` : null]
+        .filter(Boolean).join(' ');
+    section('Price changes', diff.prices, c => `${describeItem(c.item)}: ${describePrice(c.from, c.to)}`);
+    section('New', diff.added, summary);
+    section('Gone', diff.removed, summary);
+    section('Rating changes', diff.ratings, c => `${describeItem(c.item)}: ★${c.from} → ★${c.to}`);
+    section('Availability', diff.availability, c => `${describeItem(c.item)}: ${c.from ? 'available' : 'unavailable'} → ${c.to ? 'available' : 'unavailable'}`);
+    return lines;
+}
+
+module.exports = {
+    HistoryStore,
+    diffSnapshots,
+    formatDiff,
+    isEmptyDiff,
+    itemKey,
+    slug,
+};
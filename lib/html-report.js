@@ -0,0 +1,175 @@
+// Self-contained HTML run report
+//
+// Renders the JSON run report as a single page: a screenshot timeline across the run,
+// then every step in order with its status, duration, failed requests, browser errors, log lines
+// and inline screenshots.
+// Screenshots are embedded as data URIs so the file opens from any artifact folder; videos
+// (--video) are too large for that and are linked by their path relative to the report.
+
+const fs = require('fs');
+const path = require('path');
+const { describeRequest } = require('./network');
+const { describeError } = require('./page-errors');
+
+const STATUS_COLORS = { passed: '#1a7f37', failed: '#cf222e', warning: '#9a6700', skipped: '#6e7781' };
+
+function esc(value) {
+    return String(value ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+}
+
+function duration(ms) {
+    if (ms == null) return '-';
+    return ms < 1000 ? `${ms} ms` : `${(ms / 1000).toFixed(1)} s`;
+}
+
+function time(timestamp) {
+    return new Date(timestamp).toISOString().slice(11, 23);
+}
+
+// Read a screenshot into a data URI; null when the file is gone
+function inline(file, baseDir) {
+    const full = path.resolve(baseDir, file);
+    try {
+        return `data:image/png;base64,${fs.readFileSync(full).toString('base64')}`;
+    } catch {
+        return null;
+    }
+}
+
+// "04_search_results_1712345.png" -> "04_search_results"
+function shotLabel(file) {
+    return path.basename(file, '.png').replace(/_\d{10,}$/, '');
+}
+
+function renderShot(file, baseDir, id) {
+    const label = shotLabel(file);
+    const src = inline(file, baseDir);
+    const isError = /^error_/.test(label);
+    const img = src
+        ? `<img src="${src}" alt="${esc(label)}" loading="lazy">`
+        : `<p class="missing">Screenshot not found: ${esc(file)}</p>`;
+    return `<figure id="${id}" class="shot${isError ? ' shot-error' : ''}">
+<figcaption>${isError ? '⚠ ' : ''}${esc(label)}</figcaption>
+${img}
+</figure>`;
+}
+
+function renderStep(step, index, baseDir) {
+    const color = STATUS_COLORS[step.status] || STATUS_COLORS.skipped;
+    const logs = (step.logs || []).map(l =>
+        `<div class="log log-${esc(l.level)}"><span class="log-time">${time(l.timestamp)}</span> ${esc(l.line)}</div>`).join('\n');
+    const shots = step.screenshots.map((file, i) => renderShot(file, baseDir, `step${index}-shot${i}`)).join('\n');
+    const requests = (step.failedRequests || []).map(r => `<li>${esc(describeRequest(r))}</li>`).join('\n');
+    const errors = (step.pageErrors || []).map(e => `<li>${esc(describeError(e))}</li>`).join('\n');
+    const open = step.status === 'failed' ? ' open' : '';
+    return `<details class="step"${open} id="step${index}">
+<summary>
+<span class="badge" style="background:${color}">${esc(step.status)}</span>
+<span class="step-name">${index + 1}. ${esc(step.name)}</span>
+<span class="step-meta">${esc(step.action)} · ${duration(step.durationMs)}${step.screenshots.length ? ` · ${step.screenshots.length} screenshot(s)` : ''}${requests ? ` · ${step.failedRequests.length} failed request(s)` : ''}${errors ? ` · ${step.pageErrors.length} browser error(s)` : ''}</span>
+</summary>
+${step.error ? `<pre class="error">${esc(step.error)}</pre>` : ''}
+${step.reason ? `<p class="muted">Skipped: ${esc(step.reason)}</p>` : ''}
+${step.url ? `<p class="url">URL: <a href="${esc(step.url)}">${esc(step.url)}</a></p>` : ''}
+${requests ? `<ul class="requests">${requests}</ul>` : ''}
+${errors ? `<ul class="page-errors">${errors}</ul>` : ''}
+${logs ? `<div class="logs">${logs}</div>` : '<p class="muted">No log lines</p>'}
+${shots ? `<div class="shots">${shots}</div>` : ''}
+</details>`;
+}
+
+// Videos play from their relative path, so they only show while next to the report as written
+function renderVideos(videos, baseDir) {
+    if (!videos || videos.length === 0) return '';
+    const parts = videos.map(file => {
+        const src = path.isAbsolute(file) ? path.relative(baseDir, file) : file;
+        return `<figure class="video">
+<figcaption>${esc(path.basename(file))}</figcaption>
+<video src="${esc(src.split(path.sep).join('/'))}" controls preload="metadata"></video>
+</figure>`;
+    });
+    return `<h2>Video</h2>\n<div class="videos">${parts.join('\n')}</div>`;
+}
+
+function renderTimeline(steps) {
+    const items = [];
+    steps.forEach((step, index) => {
+        step.screenshots.forEach((file, i) => {
+            const label = shotLabel(file);
+            const cls = /^error_/.test(label) ? ' class="timeline-error"' : '';
+            items.push(`<li${cls}><a href="#step${index}-shot${i}">${esc(label)}</a><span>${esc(step.name)}</span></li>`);
+        });
+    });
+    return items.length ? `<ol class="timeline">${items.join('\n')}</ol>` : '<p class="muted">No screenshots captured</p>';
+}
+
+// Build the HTML for a report object (RunReport#toJSON output) whose screenshot paths are relative to baseDir
+function renderHtmlReport(report, baseDir) {
+    const color = STATUS_COLORS[report.status] || STATUS_COLORS.skipped;
+    const summary = Object.entries(report.summary).map(([k, v]) => `<span>${esc(k)}: <b>${v}</b></span>`).join(' ');
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${esc(report.siteName)} ${esc(report.flow)} - ${esc(report.status)}</title>
+<style>
+body { margin: 0; padding: 24px; font-family: -apple-system, Segoe UI, Helvetica, Arial, sans-serif; color: #1f2328; background: #f6f8fa; }
+h1 { margin: 0 0 8px; font-size: 22px; }
+h2 { margin: 24px 0 8px; font-size: 16px; }
+.card { padding: 16px; background: #fff; border: 1px solid #d0d7de; border-radius: 6px; }
+.badge { display: inline-block; min-width: 64px; padding: 2px 8px; border-radius: 12px; color: #fff; font-size: 12px; text-align: center; text-transform: uppercase; }
+.meta span, .summary span { margin-right: 16px; }
+.muted { color: #6e7781; }
+.timeline { display: flex; flex-wrap: wrap; gap: 8px; padding: 0; list-style: none; counter-reset: shot; }
+.timeline li { padding: 6px 10px; background: #fff; border: 1px solid #d0d7de; border-radius: 6px; font-size: 13px; }
+.timeline li span { display: block; color: #6e7781; font-size: 11px; }
+.timeline li.timeline-error { border-color: #cf222e; }
+.step { margin: 8px 0; background: #fff; border: 1px solid #d0d7de; border-radius: 6px; }
+.step summary { display: flex; gap: 12px; align-items: center; padding: 10px 12px; cursor: pointer; }
+.step-name { font-weight: 600; }
+.step-meta { margin-left: auto; color: #6e7781; font-size: 13px; }
+.step > :not(summary) { margin: 8px 12px; }
+.error { padding: 8px; background: #ffebe9; border: 1px solid #ff818266; white-space: pre-wrap; }
+.requests { padding: 8px 8px 8px 28px; background: #fff8c5; border: 1px solid #d4a72c66; font: 12px/1.5 ui-monospace, Menlo, Consolas, monospace; word-break: break-all; }
+.page-errors { padding: 8px 8px 8px 28px; background: #ffebe9; border: 1px solid #ff818266; font: 12px/1.5 ui-monospace, Menlo, Consolas, monospace; word-break: break-all; }
+.logs { max-height: 320px; overflow: auto; padding: 8px; background: #0d1117; color: #e6edf3; font: 12px/1.5 ui-monospace, Menlo, Consolas, monospace; white-space: pre-wrap; }
+.log-time { color: #7d8590; }
+.log-error { color: #ff7b72; }
+.log-warning { color: #d29922; }
+.log-skip { color: #7d8590; }
+.shots { display: grid; grid-template-columns: repeat(auto-fill, minmax(360px, 1fr)); gap: 12px; }
+.shot { margin: 0; padding: 8px; border: 1px solid #d0d7de; border-radius: 6px; }
+.shot-error { border-color: #cf222e; background: #ffebe9; }
+.shot img { width: 100%; border: 1px solid #eaeef2; }
+.shot figcaption { margin-bottom: 6px; font-size: 13px; font-weight: 600; }
+.video { margin: 0 0 12px; }
+.video video { max-width: 100%; border: 1px solid #d0d7de; }
+.video figcaption { margin-bottom: 6px; font-size: 13px; font-weight: 600; }
+</style>
+</head>
+<body>
+<div class="card">
+<h1><span class="badge" style="background:${color}">${esc(report.status)}</span> ${esc(report.siteName)} · ${esc(report.flow)}</h1>
+<div class="meta">
+<span>Search: <b>${esc(report.searchTerm)}</b></span>
+<span>Base URL: ${esc(report.baseUrl)}</span>
+<span>Started: ${esc(report.startedAt)}</span>
+<span>Duration: ${duration(report.durationMs)}</span>
+${report.blocked && report.blocked.total ? `<span>Blocked: ${report.blocked.total} request(s)</span>` : ''}
+${report.har ? `<span>Network: <a href="${esc(path.basename(report.har))}">${esc(path.basename(report.har))}</a></span>` : ''}
+</div>
+<div class="summary">${summary}</div>
+${report.error ? `<pre class="error">${esc(report.error)}</pre>` : ''}
+${(report.teardownErrors || []).length ? `<pre class="error">Cleanup failed:\n${esc(report.teardownErrors.join('\n'))}</pre>` : ''}
+</div>
+${renderVideos(report.videos, baseDir)}
+<h2>Screenshot timeline</h2>
+${renderTimeline(report.steps)}
+<h2>Steps</h2>
+${report.steps.map((step, i) => renderStep(step, i, baseDir)).join('\n')}
+</body>
+</html>
+`;
+}
+
+module.exports = renderHtmlReport;
@@ -0,0 +1,251 @@
+// Network log per step and HAR export (--har, --har-bodies)
+
+const fs = require('fs');
+const path = require('path');
+const { PageWatcher } = require('./page-watch');
+
+const REDACTED = '[redacted]';
+const SENSITIVE_HEADER = /^(cookie|set-cookie|authorization|proxy-authorization)$|token|secret|session|api-?key|csrf/i;
+const SENSITIVE_FIELD = /otp|password|passcode|token|secret|phone|mobile|email|address/i;
+const MAX_BODY = 256 * 1024; // larger JSON bodies are left out of the HAR
+const API_TYPES = ['xhr', 'fetch']; // requests settleStep() waits for
+
+function isJson(mimeType) {
+    return /[/+]json\b/i.test(mimeType || '');
+}
+
+function redactHeaders(headers = {}) {
+    return Object.entries(headers).map(([name, value]) => ({ name, value: SENSITIVE_HEADER.test(name) ? REDACTED : String(value) }));
+}
+
+// "a=1; b=2" (Cookie) or "a=1; Path=/" (one Set-Cookie line each) -> [{ name, value: '[redacted]' }]
+function redactCookies(header, perLine = false) {
+    if (!header) return [];
+    const pairs = perLine ? String(header).split('\n').map(line => line.split(';')[0]) : String(header).split(';');
+    return pairs.map(pair => pair.trim().split('=')[0]).filter(Boolean).map(name => ({ name, value: REDACTED }));
+}
+
+// Redact sensitive keys anywhere in a JSON body, whatever their value; bodies that do not parse are kept as they are
+function redactJson(text) {
+    try {
+        return JSON.stringify(JSON.parse(text), (key, value) => (key && SENSITIVE_FIELD.test(key) && value != null ? REDACTED : value));
+    } catch {
+        return text;
+    }
+}
+
+function headerValue(headers, name) {
+    const key = Object.keys(headers || {}).find(k => k.toLowerCase() === name);
+    return key ? headers[key] : undefined;
+}
+
+// "...?otp=123456&page=2" -> "...?otp=[redacted]&page=2"
+function redactUrl(url) {
+    try {
+        const parsed = new URL(url);
+        const params = Array.from(parsed.searchParams);
+        if (!params.some(([name]) => SENSITIVE_FIELD.test(name))) return url;
+        parsed.search = params.map(([name, value]) => `${encodeURIComponent(name)}=${SENSITIVE_FIELD.test(name) ? REDACTED : encodeURIComponent(value)}`).join('&');
+        return parsed.href;
+    } catch {
+        return url;
+    }
+}
+
+function queryString(url) {
+    try {
+        return Array.from(new URL(url).searchParams, ([name, value]) => ({ name, value: SENSITIVE_FIELD.test(name) ? REDACTED : value }));
+    } catch {
+        return [];
+    }
+}
+
+// "POST http://.../api/cart → 409 Conflict"
+function describeRequest(entry) {
+    return `${entry.method} ${entry.url} → ${`${entry.status} ${entry.statusText || ''}`.trim()}`;
+}
+
+class NetworkLog extends PageWatcher {
+    constructor({ bodies = false } = {}) {
+        super();
+        this.bodies = bodies; // keep JSON bodies for the HAR
+        this.entries = [];
+        this.byRequest = new WeakMap();
+        this.pending = new Set(); // body reads still in flight
+    }
+
+    // Record a page's requests, each stamped with the step that started it
+    watch(page) {
+        page.on('request', request => this.onRequest(request));
+        page.on('response', response => this.onResponse(response));
+        page.on('requestfinished', request => this.onFinished(request));
+        page.on('requestfailed', request => this.onFailed(request));
+    }
+
+    onRequest(request) {
+        const entry = {
+            step: this.step,
+            answered: null, // resolves once a response or failure arrives (see settleStep)
+            startedAt: Date.now(),
+            finishedAt: null,
+            method: request.method(),
+            url: request.url(),
+            resourceType: request.resourceType(),
+            requestHeaders: request.headers(),
+            postData: request.postData(),
+            status: null,
+            statusText: '',
+            responseHeaders: {},
+            mimeType: '',
+            timing: null,
+            respondedAt: null,
+            error: null,
+            body: null,
+        };
+        entry.answered = new Promise(resolve => { entry.answer = resolve; });
+        this.byRequest.set(request, entry);
+        this.entries.push(entry);
+    }
+
+    onResponse(response) {
+        const entry = this.byRequest.get(response.request());
+        if (!entry) return;
+        entry.status = response.status();
+        entry.statusText = response.statusText();
+        entry.responseHeaders = response.headers();
+        entry.mimeType = headerValue(entry.responseHeaders, 'content-type') || '';
+        entry.timing = response.timing();
+        entry.respondedAt = Date.now();
+        entry.answer();
+    }
+
+    onFinished(request) {
+        const entry = this.byRequest.get(request);
+        if (!entry) return;
+        entry.finishedAt = Date.now();
+        const response = request.response();
+        if (!this.bodies || !response || !isJson(entry.mimeType)) return;
+        const read = response.text()
+            .then(text => { if (text.length <= MAX_BODY) entry.body = text; })
+            .catch(() => {})
+            .finally(() => this.pending.delete(read));
+        this.pending.add(read);
+    }
+
+    onFailed(request) {
+        const entry = this.byRequest.get(request);
+        if (!entry) return;
+        entry.finishedAt = Date.now();
+        entry.error = (request.failure() || {}).errorText || 'failed';
+        entry.answer();
+    }
+
+    // Wait up to timeoutMs for the API calls a step started to be answered, so a late 409 still counts for it
+    async settleStep(step, timeoutMs = 2000) {
+        const open = this.entries.filter(e => e.step === step && e.status == null && !e.error && API_TYPES.includes(e.resourceType));
+        if (open.length === 0) return;
+        let timer;
+        await Promise.race([
+            Promise.all(open.map(e => e.answered)),
+            new Promise(resolve => { timer = setTimeout(resolve, timeoutMs); }),
+        ]);
+        clearTimeout(timer);
+    }
+
+    // Requests started during a step that got a 4xx/5xx answer, as { method, url, status, statusText }
+    failures(step) {
+        return this.entries
+            .filter(e => e.step === step && e.status >= 400)
+            .map(({ method, url, status, statusText }) => ({ method, url: redactUrl(url), status, statusText }));
+    }
+
+    // Wait for the body reads; call before the browser closes
+    async settle() {
+        await Promise.all(Array.from(this.pending));
+    }
+
+    toHar() {
+        return {
+            log: {
+                version: '1.2',
+                creator: { name: 'e2e-auto', version: '1.0' },
+                pages: [],
+                entries: this.entries.map(entry => this.harEntry(entry)),
+            },
+        };
+    }
+
+    harEntry(entry) {
+        // CDP's ResourceTiming gives phase starts and ends in ms from the request start (-1: no such
+        // phase); the body download is only seen as our own response and finish events
+        const t = entry.timing || {};
+        const phase = (start, end) => (start >= 0 && end >= start ? end - start : -1);
+        const firstPhase = [t.dnsStart, t.connectStart, t.sendStart].find(v => v >= 0);
+        const timings = {
+            blocked: phase(0, firstPhase ?? -1),
+            dns: phase(t.dnsStart, t.dnsEnd),
+            connect: phase(t.connectStart, t.connectEnd),
+            ssl: phase(t.sslStart, t.sslEnd),
+            send: phase(t.sendStart, t.sendEnd),
+            wait: phase(t.sendEnd, t.receiveHeadersEnd),
+            receive: phase(entry.respondedAt ?? -1, entry.finishedAt ?? -1),
+        };
+        // HAR's total is the sum of the phases (ssl is part of connect); without timings, the wall clock
+        const phases = ['blocked', 'dns', 'connect', 'send', 'wait', 'receive'].map(k => timings[k]).filter(v => v >= 0);
+        const total = entry.timing ? phases.reduce((sum, v) => sum + v, 0) : (entry.finishedAt || entry.startedAt) - entry.startedAt;
+        const requestType = headerValue(entry.requestHeaders, 'content-type') || '';
+        const request = {
+            method: entry.method,
+            url: redactUrl(entry.url),
+            httpVersion: 'HTTP/1.1',
+            cookies: redactCookies(headerValue(entry.requestHeaders, 'cookie')),
+            headers: redactHeaders(entry.requestHeaders),
+            queryString: queryString(entry.url),
+            headersSize: -1,
+            bodySize: entry.postData ? Buffer.byteLength(entry.postData) : 0,
+        };
+        if (this.bodies && entry.postData && isJson(requestType)) {
+            request.postData = { mimeType: requestType, text: redactJson(entry.postData) };
+        }
+        return {
+            startedDateTime: new Date(entry.startedAt).toISOString(),
+            time: total,
+            _step: entry.step ? entry.step.name : null,
+            _resourceType: entry.resourceType,
+            ...(entry.error ? { _error: entry.error } : {}),
+            request,
+            response: {
+                status: entry.status || 0,
+                statusText: entry.statusText || '',
+                httpVersion: 'HTTP/1.1',
+                cookies: redactCookies(headerValue(entry.responseHeaders, 'set-cookie'), true),
+                headers: redactHeaders(entry.responseHeaders),
+                content: {
+                    size: entry.body != null ? Buffer.byteLength(entry.body) : -1,
+                    mimeType: entry.mimeType,
+                    ...(entry.body != null ? { text: redactJson(entry.body) } : {}),
+                },
+                redirectURL: headerValue(entry.responseHeaders, 'location') || '',
+                headersSize: -1,
+                bodySize: -1,
+            },
+            cache: {},
+            timings,
+        };
+    }
+
+    // Write the HAR; returns the file written
+    writeHar(file) {
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(file, JSON.stringify(this.toHar(), null, 2));
+        return file;
+    }
+}
+
+module.exports = {
+    NetworkLog,
+    describeRequest,
+    redactHeaders,
+    redactJson,
+    redactUrl,
+};
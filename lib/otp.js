@@ -0,0 +1,313 @@
+// OTP providers
+//
+// signin() asks the run's provider for the code once the site shows its OTP screen, then
+// types it into the OTP inputs itself. `manual` keeps the old behaviour (a person types it).
+//
+//   manual                     wait for a person to enter the code in the browser
+//   env[:VAR]                  read process.env.VAR (default OTP_CODE)
+//   file:<path>                watch a file (or named pipe) for a code written after the request
+//   http[:port]                accept POST /otp on 127.0.0.1 (default 4180), e.g. from an SMS forwarder
+//   totp:<base32 secret>       generate an RFC 6238 code
+//
+// Pick one per site with `otp: { provider: 'env', variable: 'OTP_CODE' }` in config.js,
+// or per run with `--otp <spec>` (the strings above).
+
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+
+const CODE_PATTERN = /\b(\d{4,8})\b/;
+const POLL_MS = 500;
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function extractCode(text) {
+    const match = String(text || '').match(CODE_PATTERN);
+    return match ? match[1] : null;
+}
+
+// Base class: start() before the browser opens, getCode() once the OTP screen is up, stop() at the end
+class OtpProvider {
+    // True when a person enters the code (the automation only waits)
+    get manual() {
+        return false;
+    }
+
+    describe() {
+        return this.constructor.name;
+    }
+
+    async start() {}
+
+    // Resolve with the code; { since } is when the OTP was requested
+    async getCode() {
+        throw new Error(`${this.constructor.name} does not implement getCode()`);
+    }
+
+    async stop() {}
+}
+
+class ManualOtpProvider extends OtpProvider {
+    get manual() {
+        return true;
+    }
+
+    describe() {
+        return 'manual entry';
+    }
+
+    async getCode() {
+        return null;
+    }
+}
+
+class EnvOtpProvider extends OtpProvider {
+    constructor({ variable = 'OTP_CODE' } = {}) {
+        super();
+        this.variable = variable;
+    }
+
+    describe() {
+        return `environment variable ${this.variable}`;
+    }
+
+    async getCode() {
+        const code = extractCode(process.env[this.variable]);
+        if (!code) {
+            throw new Error(`${this.variable} is not set to a 4-8 digit code`);
+        }
+        return code;
+    }
+}
+
+class FileOtpProvider extends OtpProvider {
+    constructor({ path: file } = {}) {
+        super();
+        if (!file) throw new Error('OTP provider "file" needs a path (file:<path>)');
+        this.file = file;
+    }
+
+    describe() {
+        return `file ${this.file}`;
+    }
+
+    // Resolve with the first code written after `since`; a FIFO is read as a stream
+    async getCode({ since = Date.now(), timeoutMs = 120000 } = {}) {
+        let stat = null;
+        try {
+            stat = fs.statSync(this.file);
+        } catch {}
+        if (stat && stat.isFIFO()) {
+            return this.readPipe(timeoutMs);
+        }
+
+        const deadline = Date.now() + timeoutMs;
+        while (Date.now() < deadline) {
+            try {
+                const { mtimeMs } = fs.statSync(this.file);
+                if (mtimeMs >= since - 1000) {
+                    const code = extractCode(fs.readFileSync(this.file, 'utf8'));
+                    if (code) return code;
+                }
+            } catch {}
+            await sleep(POLL_MS);
+        }
+        throw new Error(`No OTP written to ${this.file} within ${timeoutMs / 1000}s`);
+    }
+
+    // Opened read-write so the open never blocks waiting for a writer
+    readPipe(timeoutMs) {
+        return new Promise((resolve, reject) => {
+            const stream = fs.createReadStream(this.file, { flags: 'r+', encoding: 'utf8' });
+            let buffer = '';
+            const timer = setTimeout(() => {
+                stream.destroy();
+                reject(new Error(`No OTP written to ${this.file} within ${timeoutMs / 1000}s`));
+            }, timeoutMs);
+            stream.on('data', (chunk) => {
+                buffer += chunk;
+                const code = extractCode(buffer);
+                if (code) {
+                    clearTimeout(timer);
+                    stream.destroy();
+                    resolve(code);
+                }
+            });
+            stream.on('error', (error) => {
+                clearTimeout(timer);
+                reject(error);
+            });
+        });
+    }
+}
+
+class HttpOtpProvider extends OtpProvider {
+    constructor({ port = 4180, host = '127.0.0.1' } = {}) {
+        super();
+        this.port = Number(port);
+        if (!Number.isInteger(this.port) || this.port < 1 || this.port > 65535) {
+            throw new Error(`OTP provider "http" needs a port between 1 and 65535 (got "${port}")`);
+        }
+        this.host = host;
+        this.server = null;
+        this.received = null; // { code, at }
+    }
+
+    describe() {
+        return `POST http://${this.host}:${this.port}/otp`;
+    }
+
+    // Listen before the OTP is requested so an early SMS is not lost
+    async start() {
+        if (this.server) return;
+        this.server = http.createServer((req, res) => {
+            if (req.url.split('?')[0] !== '/otp') {
+                res.writeHead(404, { 'Content-Type': 'text/plain' });
+                res.end('Not found\n');
+                return;
+            }
+            if (req.method === 'GET') {
+                res.writeHead(200, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ waiting: true, received: !!this.received }));
+                return;
+            }
+            if (req.method !== 'POST') {
+                res.writeHead(405, { Allow: 'GET, POST' });
+                res.end();
+                return;
+            }
+            let body = '';
+            req.on('data', (chunk) => { body += chunk; });
+            req.on('end', () => {
+                let text = body;
+                try {
+                    const json = JSON.parse(body);
+                    text = json.code ?? json.otp ?? json.message ?? json.text ?? body;
+                } catch {}
+                const code = extractCode(text);
+                if (!code) {
+                    res.writeHead(400, { 'Content-Type': 'text/plain' });
+                    res.end('No 4-8 digit code found\n');
+                    return;
+                }
+                this.received = { code, at: Date.now() };
+                res.writeHead(202, { 'Content-Type': 'text/plain' });
+                res.end('OK\n');
+            });
+        });
+        await new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(this.port, this.host, resolve);
+        });
+    }
+
+    async getCode({ since = Date.now(), timeoutMs = 120000 } = {}) {
+        await this.start();
+        const deadline = Date.now() + timeoutMs;
+        while (Date.now() < deadline) {
+            if (this.received && this.received.at >= since - 1000) {
+                const { code } = this.received;
+                this.received = null;
+                return code;
+            }
+            await sleep(POLL_MS);
+        }
+        throw new Error(`No OTP POSTed to ${this.describe()} within ${timeoutMs / 1000}s`);
+    }
+
+    async stop() {
+        if (!this.server) return;
+        await new Promise(resolve => this.server.close(resolve));
+        this.server = null;
+    }
+}
+
+function base32Decode(secret) {
+    const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+    const clean = secret.toUpperCase().replace(/[\s=-]/g, '');
+    let bits = '';
+    for (const ch of clean) {
+        const value = alphabet.indexOf(ch);
+        if (value === -1) throw new Error(`Invalid base32 character "${ch}" in TOTP secret`);
+        bits += value.toString(2).padStart(5, '0');
+    }
+    const bytes = [];
+    for (let i = 0; i + 8 <= bits.length; i += 8) {
+        bytes.push(parseInt(bits.slice(i, i + 8), 2));
+    }
+    return Buffer.from(bytes);
+}
+
+class TotpOtpProvider extends OtpProvider {
+    constructor({ secret = process.env.OTP_TOTP_SECRET, digits = 6, period = 30, algorithm = 'sha1' } = {}) {
+        super();
+        if (!secret) throw new Error('OTP provider "totp" needs a secret (totp:<base32> or OTP_TOTP_SECRET)');
+        this.key = base32Decode(secret);
+        this.digits = Number(digits);
+        this.period = Number(period);
+        this.algorithm = algorithm;
+    }
+
+    describe() {
+        return `TOTP (${this.digits} digits, ${this.period}s)`;
+    }
+
+    // RFC 6238 code for a point in time
+    generate(time = Date.now()) {
+        const counter = Buffer.alloc(8);
+        counter.writeBigUInt64BE(BigInt(Math.floor(time / 1000 / this.period)));
+        const hmac = crypto.createHmac(this.algorithm, this.key).update(counter).digest();
+        const offset = hmac[hmac.length - 1] & 0x0f;
+        const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+        return String(binary % 10 ** this.digits).padStart(this.digits, '0');
+    }
+
+    // Avoid handing out a code that expires while it is being typed
+    async getCode() {
+        const remainingMs = this.period * 1000 - (Date.now() % (this.period * 1000));
+        if (remainingMs < 3000) await sleep(remainingMs + 100);
+        return this.generate();
+    }
+}
+
+const PROVIDERS = {
+    manual: ManualOtpProvider,
+    env: EnvOtpProvider,
+    file: FileOtpProvider,
+    http: HttpOtpProvider,
+    totp: TotpOtpProvider,
+};
+
+// "env:MY_VAR" -> { provider: 'env', variable: 'MY_VAR' }, "http:4181" -> { provider: 'http', port: 4181 }, ...
+function parseOtpSpec(spec) {
+    const [name, ...rest] = String(spec).split(':');
+    const arg = rest.join(':');
+    const provider = name.toLowerCase();
+    if (!arg) return { provider };
+    const key = { env: 'variable', file: 'path', http: 'port', totp: 'secret' }[provider];
+    return key ? { provider, [key]: arg } : { provider };
+}
+
+// Build a provider from a config object ({ provider, ...options }) or a CLI spec string
+function createOtpProvider(spec) {
+    const options = typeof spec === 'string' ? parseOtpSpec(spec) : { ...(spec || {}) };
+    const name = options.provider || 'manual';
+    const Provider = PROVIDERS[name];
+    if (!Provider) {
+        throw new Error(`Unknown OTP provider "${name}". Available: ${Object.keys(PROVIDERS).join(', ')}`);
+    }
+    return new Provider(options);
+}
+
+module.exports = {
+    createOtpProvider,
+    parseOtpSpec,
+    OtpProvider,
+    ManualOtpProvider,
+    EnvOtpProvider,
+    FileOtpProvider,
+    HttpOtpProvider,
+    TotpOtpProvider,
+};
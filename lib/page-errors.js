@@ -0,0 +1,73 @@
+// Browser errors per step: uncaught exceptions, console errors, failed loads (--page-errors warn|fail)
+
+const { PageWatcher } = require('./page-watch');
+
+const PAGE_ERROR_POLICIES = ['warn', 'fail'];
+// Failures that are not errors: requests lib/blocking.js aborted, and ones the page itself dropped
+// (a navigation that superseded them, a cancelled XHR or prefetch)
+const EXPECTED_FAILURES = ['net::ERR_BLOCKED_BY_CLIENT', 'net::ERR_ABORTED'];
+
+function resolvePageErrorPolicy(policy = 'warn') {
+    if (!PAGE_ERROR_POLICIES.includes(policy)) {
+        throw new Error(`pageErrors must be one of ${PAGE_ERROR_POLICIES.join(', ')} (got "${policy}")`);
+    }
+    return policy;
+}
+
+// "pageerror: TypeError: x is undefined" / "requestfailed: GET https://... → net::ERR_FAILED"
+function describeError(entry) {
+    return `${entry.type}: ${entry.text}`;
+}
+
+class PageErrorLog extends PageWatcher {
+    constructor({ ignore = [] } = {}) {
+        super();
+        this.ignore = [].concat(ignore); // site `ignoreErrors`: strings match anywhere in the message or URL
+        this.entries = [];
+        this.ignored = 0; // messages dropped by the ignore list
+    }
+
+    // Chrome's "Failed to load resource" lines are left out: the network log reports those responses
+    watch(page) {
+        page.on('pageerror', error => {
+            this.add('pageerror', error && error.message ? error.message : String(error), page.url());
+        });
+        page.on('console', message => {
+            if (message.type() !== 'error' || /^Failed to load resource/.test(message.text())) return;
+            this.add('console', message.text(), (message.location() || {}).url || page.url());
+        });
+        page.on('requestfailed', request => {
+            const reason = (request.failure() || {}).errorText || 'failed';
+            if (EXPECTED_FAILURES.includes(reason)) return;
+            this.add('requestfailed', `${request.method()} ${request.url()} → ${reason}`, request.url());
+        });
+    }
+
+    // Whether the site's ignoreErrors match the message or its URL
+    isIgnored(text, url) {
+        return this.ignore.some(pattern => (pattern instanceof RegExp
+            ? pattern.test(text) || pattern.test(url || '')
+            : `${text}\n${url || ''}`.toLowerCase().includes(String(pattern).toLowerCase())));
+    }
+
+    // Keep an error, tagged with the running step, unless the ignore list drops it
+    add(type, text, url) {
+        if (this.isIgnored(text, url)) {
+            this.ignored += 1;
+            return;
+        }
+        this.entries.push({ step: this.step, type, text, url: url || null, timestamp: Date.now() });
+    }
+
+    // Errors that happened during a step, as { type, text, url }
+    during(step) {
+        return this.entries.filter(e => e.step === step).map(({ type, text, url }) => ({ type, text, url }));
+    }
+}
+
+module.exports = {
+    PAGE_ERROR_POLICIES,
+    PageErrorLog,
+    describeError,
+    resolvePageErrorPolicy,
+};
@@ -0,0 +1,49 @@
+// Page listeners of a run and the step they tag what they see with
+
+// A listener hooked up to each page once; subclasses add their handlers in watch(page)
+class PageWatcher {
+    constructor() {
+        this.pages = new WeakSet();
+        this.group = null; // the PageWatchers it belongs to, which knows the running step
+    }
+
+    // { name } of the step running now, or null outside a step
+    get step() {
+        return this.group ? this.group.step : null;
+    }
+
+    async attach(page) {
+        if (this.pages.has(page)) return;
+        this.pages.add(page);
+        await this.watch(page);
+    }
+
+    async watch() {
+        throw new Error(`${this.constructor.name} does not implement watch()`);
+    }
+}
+
+// The watchers of one run: attached to every page it uses, told by the runner which step is running
+class PageWatchers {
+    constructor(watchers) {
+        this.watchers = watchers;
+        this.step = null;
+        for (const watcher of watchers) watcher.group = this;
+    }
+
+    // In order, so request interception is on before anything else listens
+    async attach(page) {
+        for (const watcher of this.watchers) await watcher.attach(page);
+    }
+
+    // Tag what happens from now on with this step; returns the tag to look it up by
+    beginStep(name) {
+        this.step = { name };
+        return this.step;
+    }
+}
+
+module.exports = {
+    PageWatcher,
+    PageWatchers,
+};
@@ -0,0 +1,150 @@
+// Run report (JSON for dashboards, JUnit XML for CI, HTML for people)
+//
+// One report per run() with one entry per step: status, duration, error message,
+// final URL, log lines, the screenshots captured while the step ran, the requests it started that
+// failed (lib/network.js) and the browser errors meanwhile (lib/page-errors.js), plus the run's
+// video parts (--video), HAR file (--har) and how many requests were blocked (lib/blocking.js).
+// Step status is passed | failed | warning (an optional step that failed) | skipped
+// (left out with --from/--to/--skip; `reason` says why).
+
+const fs = require('fs');
+const path = require('path');
+const renderHtmlReport = require('./html-report');
+const { describeRequest } = require('./network');
+const { describeError } = require('./page-errors');
+
+function xmlEscape(value) {
+    return String(value ?? '').replace(/[<>&'"]/g, c => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', "'": '&apos;', '"': '&quot;' })[c]);
+}
+
+function seconds(ms) {
+    return ((ms || 0) / 1000).toFixed(3);
+}
+
+class RunReport {
+    constructor({ site, siteName, flow, searchTerm, baseUrl }) {
+        this.site = site;
+        this.siteName = siteName;
+        this.flow = flow;
+        this.searchTerm = searchTerm;
+        this.baseUrl = baseUrl;
+        this.startedAt = new Date();
+        this.finishedAt = null;
+        this.status = 'running';
+        this.error = null;
+        this.steps = [];
+        this.videos = []; // screencast files, one per page recorded
+        this.har = null; // <id>.har when the network log was saved
+        this.blocked = { total: 0 }; // requests aborted by request blocking, with counts by reason
+        this.teardownErrors = []; // "browser: ..." for cleanup calls that failed after the steps
+        this.id = `${site}_${this.startedAt.toISOString().replace(/[:.]/g, '-')}`;
+    }
+
+    // Rebuild a report from its JSON; screenshot paths are resolved against baseDir (the JSON's folder)
+    static fromJSON(data, baseDir) {
+        const report = new RunReport(data);
+        report.id = data.id;
+        report.startedAt = new Date(data.startedAt);
+        report.finishedAt = data.finishedAt ? new Date(data.finishedAt) : null;
+        report.status = data.status;
+        report.error = data.error;
+        report.steps = (data.steps || []).map(s => ({ ...s, screenshots: (s.screenshots || []).map(f => path.resolve(baseDir, f)) }));
+        report.videos = (data.videos || []).map(f => path.resolve(baseDir, f));
+        report.har = data.har ? path.resolve(baseDir, data.har) : null;
+        report.blocked = data.blocked || { total: 0 };
+        report.teardownErrors = data.teardownErrors || [];
+        return report;
+    }
+
+    // Record the final outcome of the run
+    finish(steps, error = null) {
+        this.steps = steps;
+        this.finishedAt = new Date();
+        this.error = error ? error.message : null;
+        this.status = error || steps.some(s => s.status === 'failed') ? 'failed' : 'passed';
+    }
+
+    get durationMs() {
+        return (this.finishedAt || new Date()) - this.startedAt;
+    }
+
+    toJSON(baseDir) {
+        const rel = file => (baseDir ? path.relative(baseDir, file) : file);
+        return {
+            id: this.id,
+            site: this.site,
+            siteName: this.siteName,
+            flow: this.flow,
+            searchTerm: this.searchTerm,
+            baseUrl: this.baseUrl,
+            status: this.status,
+            error: this.error,
+            startedAt: this.startedAt.toISOString(),
+            finishedAt: this.finishedAt ? this.finishedAt.toISOString() : null,
+            durationMs: this.durationMs,
+            summary: {
+                total: this.steps.length,
+                passed: this.steps.filter(s => s.status === 'passed').length,
+                failed: this.steps.filter(s => s.status === 'failed').length,
+                warning: this.steps.filter(s => s.status === 'warning').length,
+                skipped: this.steps.filter(s => s.status === 'skipped').length,
+            },
+            steps: this.steps.map(s => ({ ...s, screenshots: s.screenshots.map(rel) })),
+            videos: this.videos.map(rel),
+            har: this.har ? rel(this.har) : null,
+            blocked: this.blocked,
+            teardownErrors: this.teardownErrors,
+        };
+    }
+
+    toJUnit(baseDir) {
+        const data = this.toJSON(baseDir);
+        const classname = `${this.site}.${this.flow}`;
+        const cases = data.steps.map(step => {
+            const out = [
+                `url: ${step.url || '-'}`,
+                ...step.screenshots.map(s => `screenshot: ${s}`),
+                ...(step.failedRequests || []).map(r => `failed request: ${describeRequest(r)}`),
+                ...(step.pageErrors || []).map(e => `browser error: ${describeError(e)}`),
+            ].join('\n');
+            let body = '';
+            if (step.status === 'failed') {
+                body += `\n      <failure message="${xmlEscape(step.error)}" type="StepFailure">${xmlEscape(step.error)}</failure>`;
+            } else if (step.status === 'warning') {
+                body += `\n      <system-err>${xmlEscape(`Optional step failed: ${step.error}`)}</system-err>`;
+            } else if (step.status === 'skipped') {
+                body += `\n      <skipped message="${xmlEscape(step.reason)}"/>`;
+            }
+            body += `\n      <system-out>${xmlEscape(out)}</system-out>`;
+            return `    <testcase classname="${xmlEscape(classname)}" name="${xmlEscape(step.name)}" time="${seconds(step.durationMs)}">${body}\n    </testcase>`;
+        });
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            `<testsuites name="e2e-auto" tests="${data.summary.total}" failures="${data.summary.failed}" time="${seconds(data.durationMs)}">`,
+            `  <testsuite name="${xmlEscape(`${this.siteName} ${this.flow}`)}" tests="${data.summary.total}" failures="${data.summary.failed}" errors="0" skipped="${data.summary.skipped}" timestamp="${data.startedAt}" time="${seconds(data.durationMs)}">`,
+            `    <properties>`,
+            `      <property name="searchTerm" value="${xmlEscape(this.searchTerm)}"/>`,
+            `      <property name="baseUrl" value="${xmlEscape(this.baseUrl)}"/>`,
+            `      <property name="blockedRequests" value="${this.blocked.total || 0}"/>`,
+            `    </properties>`,
+            ...cases,
+            '  </testsuite>',
+            '</testsuites>',
+            '',
+        ].join('\n');
+    }
+
+    // Write <id>.json, <id>.xml and <id>.html into dir; returns the three paths
+    write(dir) {
+        fs.mkdirSync(dir, { recursive: true });
+        const json = path.join(dir, `${this.id}.json`);
+        const xml = path.join(dir, `${this.id}.xml`);
+        const html = path.join(dir, `${this.id}.html`);
+        fs.writeFileSync(json, JSON.stringify(this.toJSON(dir), null, 2));
+        fs.writeFileSync(xml, this.toJUnit(dir));
+        fs.writeFileSync(html, renderHtmlReport(this.toJSON(dir), dir));
+        return { json, xml, html };
+    }
+}
+
+module.exports = RunReport;
@@ -0,0 +1,103 @@
+// Search result export ("scrape")
+//
+// adapter.scrapeResults() reads the listing after a search into rows, scrolling for more until it
+// has `limit` rows of each kind or the page stops growing:
+//
+//   Lenskart  { type: 'product', name, brand, price, discountedPrice, rating, url, available }
+//   Swiggy    { type: 'dish', name, restaurant, price, rating, veg, deliveryTime, available }
+//             { type: 'restaurant', name, rating, deliveryTime, cuisine, url, available }
+//
+// `available` is false when the card says sold out / unavailable.
+//
+// Adapters describe their listings with `scrapeListings`: [{ type, card, fields: { key: css } }],
+// where a field may be a list of fallbacks or { text: kind } (read from the card's text, see
+// sites/base.js readCardText) and `url` reads the link's href. writeResults() saves
+// the rows as JSON ({ site, searchTerm, url, scrapedAt, count, results }) or CSV (one row each).
+//
+// Run it with `node automation.js scrape <site> <searchTerm>`, or a `scrapeResults` flow step:
+//
+//   { action: 'scrapeResults', limit: 50, maxScrolls: 10, file: 'exports/pizza.csv' }
+
+const fs = require('fs');
+const path = require('path');
+const { parseAmount } = require('./cart');
+
+const FORMATS = ['json', 'csv'];
+const AMOUNT_FIELDS = ['price', 'discountedPrice'];
+
+// Turn the texts read from one card into typed values
+function normalizeRow(type, raw) {
+    const row = { type };
+    for (const [key, value] of Object.entries(raw)) {
+        if (value == null || typeof value !== 'string') {
+            row[key] = value ?? null;
+        } else if (AMOUNT_FIELDS.includes(key)) {
+            row[key] = parseAmount(value);
+        } else if (key === 'rating') {
+            // "★ 4.3 · 25-30 mins" / "4.5★" -> 4.3 / 4.5
+            const star = value.match(/★\s*(\d+(?:\.\d+)?)|(\d+(?:\.\d+)?)\s*★/);
+            row[key] = star ? Number(star[1] || star[2]) : parseAmount(value);
+        } else if (key === 'deliveryTime') {
+            // "★ 4.3 · 25-30 mins" -> "25-30 mins"
+            const match = value.match(/\d+(?:\s*-\s*\d+)?\s*(?:mins?|minutes|hrs?|hours)/i);
+            row[key] = match ? match[0] : value;
+        } else if (key === 'restaurant') {
+            row[key] = value.replace(/^by\s+/i, '');
+        } else {
+            row[key] = value;
+        }
+    }
+    return row;
+}
+
+// Rows that describe the same result (seen again after scrolling) share a key
+function rowKey(row) {
+    return [row.type, row.url, row.name, row.restaurant, row.price].map(v => v ?? '').join('|');
+}
+
+// The format asked for, else the file's extension, else json
+function formatFor(file, format) {
+    const chosen = format || (file && path.extname(file).slice(1).toLowerCase()) || 'json';
+    if (!FORMATS.includes(chosen)) {
+        throw new Error(`Export format must be one of ${FORMATS.join(', ')} (got "${chosen}")`);
+    }
+    return chosen;
+}
+
+function csvCell(value) {
+    const text = value == null ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Rows -> CSV text; the columns are every key in order of first appearance
+function toCsv(rows) {
+    const columns = [];
+    for (const row of rows) {
+        for (const key of Object.keys(row)) {
+            if (!columns.includes(key)) columns.push(key);
+        }
+    }
+    return [columns, ...rows.map(row => columns.map(c => row[c]))]
+        .map(cells => cells.map(csvCell).join(','))
+        .join('\n') + '\n';
+}
+
+// Save rows as JSON or CSV; returns the file written
+function writeResults(file, rows, { format, meta = {} } = {}) {
+    const chosen = formatFor(file, format);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const body = chosen === 'csv'
+        ? toCsv(rows)
+        : `${JSON.stringify({ ...meta, count: rows.length, results: rows }, null, 2)}\n`;
+    fs.writeFileSync(file, body);
+    return file;
+}
+
+module.exports = {
+    FORMATS,
+    normalizeRow,
+    rowKey,
+    formatFor,
+    toCsv,
+    writeResults,
+};
@@ -0,0 +1,145 @@
+// Product selection ("pick") strategies
+//
+// Instead of clicking whatever result is on top (often sponsored), adapters read the result
+// cards into candidates { index, name, price, rating, brand, veg, sponsored } and let a pick
+// strategy choose one:
+//
+//   name       "/margherita/i" (or a RegExp, or a case-insensitive substring)
+//   brand      same matching as name (Lenskart)
+//   price      { min, max }, or "100-300", "-500", "1000-" on the command line
+//   minRating  4.2
+//   veg        true for veg only, false for non-veg only (Swiggy)
+//   sponsored  false to ignore ads
+//   index      1-based position among the results left after the filters (default 1)
+//
+// Set one per site with `pick: { ... }` in config.js, per run with `--pick key=value` (repeatable),
+// or per batch scenario with `pick`.
+
+const { textPattern } = require('./cart');
+
+const KEYS = ['index', 'name', 'brand', 'price', 'minRating', 'veg', 'sponsored'];
+
+// "100-300" / "-500" / "1000-" / 250 -> { min, max }
+function parseRange(value) {
+    if (typeof value === 'number') return { min: value, max: value };
+    if (value && typeof value === 'object') return value;
+    const match = /^\s*(\d+(?:\.\d+)?)?\s*-\s*(\d+(?:\.\d+)?)?\s*$/.exec(String(value));
+    if (!match || (match[1] == null && match[2] == null)) {
+        const exact = Number(value);
+        if (Number.isFinite(exact)) return { min: exact, max: exact };
+        throw new Error(`price must look like 100-300, -500 or 1000- (got "${value}")`);
+    }
+    return { min: match[1] != null ? Number(match[1]) : null, max: match[2] != null ? Number(match[2]) : null };
+}
+
+function parseBoolean(key, value) {
+    if (typeof value === 'boolean') return value;
+    if (/^(true|yes|1)$/i.test(value)) return true;
+    if (/^(false|no|0)$/i.test(value)) return false;
+    if (key === 'veg' && /^non-?veg$/i.test(value)) return false;
+    if (key === 'veg' && /^veg$/i.test(value)) return true;
+    throw new Error(`${key} must be true or false (got "${value}")`);
+}
+
+// Check and normalise a strategy from config.js, a batch file or --pick; throws on unknown keys
+function normalizeStrategy(strategy = {}) {
+    const unknown = Object.keys(strategy).filter(k => !KEYS.includes(k));
+    if (unknown.length) {
+        throw new Error(`Unknown pick option(s) ${unknown.join(', ')}. Allowed: ${KEYS.join(', ')}`);
+    }
+    const out = {};
+    if (strategy.index != null) {
+        out.index = Number(strategy.index);
+        if (!Number.isInteger(out.index) || out.index < 1) {
+            throw new Error(`index must be a whole number >= 1 (got "${strategy.index}")`);
+        }
+    }
+    if (strategy.name != null) out.name = textPattern(strategy.name);
+    if (strategy.brand != null) out.brand = textPattern(strategy.brand);
+    if (strategy.price != null) out.price = parseRange(strategy.price);
+    if (strategy.minRating != null) {
+        out.minRating = Number(strategy.minRating);
+        if (!Number.isFinite(out.minRating)) throw new Error(`minRating must be a number (got "${strategy.minRating}")`);
+    }
+    if (strategy.veg != null) out.veg = parseBoolean('veg', strategy.veg);
+    if (strategy.sponsored != null) out.sponsored = parseBoolean('sponsored', strategy.sponsored);
+    return out;
+}
+
+// ["name=/pizza/i", "veg", "price=100-300"] -> { name: '/pizza/i', veg: 'true', price: '100-300' }
+function parsePickOptions(values = []) {
+    const strategy = {};
+    for (const value of values) {
+        const eq = value.indexOf('=');
+        const key = (eq === -1 ? value : value.slice(0, eq)).trim();
+        strategy[key] = eq === -1 ? 'true' : value.slice(eq + 1).trim();
+    }
+    return strategy;
+}
+
+function isEmpty(strategy) {
+    return !strategy || Object.keys(strategy).length === 0;
+}
+
+function describeRange(range) {
+    if (range.min != null && range.max != null) return range.min === range.max ? `${range.min}` : `${range.min}-${range.max}`;
+    return range.min != null ? `>= ${range.min}` : `<= ${range.max}`;
+}
+
+// The filters of a strategy, in the order they are applied
+function filtersOf(strategy) {
+    const filters = [];
+    if (strategy.name) filters.push({ label: `name ~ ${strategy.name}`, test: c => strategy.name.test(c.name || '') });
+    if (strategy.brand) filters.push({ label: `brand ~ ${strategy.brand}`, test: c => strategy.brand.test(c.brand || '') });
+    if (strategy.price) {
+        const { min, max } = strategy.price;
+        filters.push({ label: `price ${describeRange(strategy.price)}`, test: c => c.price != null && (min == null || c.price >= min) && (max == null || c.price <= max) });
+    }
+    if (strategy.minRating != null) filters.push({ label: `rating >= ${strategy.minRating}`, test: c => c.rating != null && c.rating >= strategy.minRating });
+    if (strategy.veg != null) filters.push({ label: strategy.veg ? 'veg' : 'non-veg', test: c => c.veg === strategy.veg });
+    if (strategy.sponsored != null) filters.push({ label: strategy.sponsored ? 'sponsored' : 'not sponsored', test: c => !!c.sponsored === strategy.sponsored });
+    return filters;
+}
+
+// Choose a candidate; resolves to { candidate, reason } (candidate null when nothing qualifies)
+function choose(candidates, strategy = {}) {
+    let pool = candidates;
+    const applied = [];
+    for (const filter of filtersOf(strategy)) {
+        pool = pool.filter(filter.test);
+        applied.push(filter.label);
+        if (pool.length === 0) {
+            return { candidate: null, reason: `no result left after ${applied.join(', ')} (${candidates.length} result(s) on the page)` };
+        }
+    }
+    const index = strategy.index || 1;
+    if (index > pool.length) {
+        return { candidate: null, reason: `index ${index} asked for, but only ${pool.length} result(s) match${applied.length ? ` ${applied.join(', ')}` : ''}` };
+    }
+    const reason = applied.length
+        ? `${applied.join(', ')}: ${pool.length} of ${candidates.length} matched, took match ${index}`
+        : `result ${index} of ${candidates.length}`;
+    return { candidate: pool[index - 1], reason };
+}
+
+// '#3 "Farmhouse Pizza" ₹329 ★4.4 veg'
+function describeCandidate(c) {
+    return [
+        `#${c.index}`,
+        c.brand ? `${c.brand} /` : null,
+        `"${c.name || '?'}"`,
+        c.price != null ? `₹${c.price}` : null,
+        c.rating != null ? `★${c.rating}` : null,
+        c.veg == null ? null : (c.veg ? 'veg' : 'non-veg'),
+        c.sponsored ? 'sponsored' : null,
+    ].filter(Boolean).join(' ');
+}
+
+module.exports = {
+    normalizeStrategy,
+    parsePickOptions,
+    choose,
+    describeCandidate,
+    isEmpty,
+    KEYS,
+};
@@ -0,0 +1,374 @@
+// Selector engine used by every Utils helper
+//
+// Understands the selector syntaxes found in config.js and the adapters:
+//   plain CSS                       'input[type="tel"]'
+//   CSS + :has-text()               'button:has-text("BUY NOW")'   (case-insensitive substring, innermost match, may repeat)
+//   text/                           'text/Sign in'                 (deepest element containing the text)
+//   xpath/                          'xpath///button[contains(., "Sign In")]'
+//   aria/                           'aria/Close[role="button"]'    (exact accessible name, optional role)
+//   role=                           'role=button[name="Sign In"]'  (case-insensitive name substring)
+//
+// Selectors are parsed in Node (syntax errors throw SelectorSyntaxError with the reason)
+// and matched inside the page by one self-contained function, so every syntax behaves
+// the same in waitFor/click/type/exists and in tools that only count matches.
+
+const HAS_TEXT = ':has-text(';
+
+const ROLES = new Set([
+    'alert', 'alertdialog', 'article', 'banner', 'button', 'cell', 'checkbox', 'columnheader', 'combobox',
+    'complementary', 'contentinfo', 'dialog', 'document', 'form', 'grid', 'gridcell', 'group', 'heading', 'img',
+    'link', 'list', 'listbox', 'listitem', 'main', 'menu', 'menubar', 'menuitem', 'menuitemcheckbox',
+    'menuitemradio', 'navigation', 'option', 'progressbar', 'radio', 'radiogroup', 'region', 'row', 'rowgroup',
+    'rowheader', 'search', 'searchbox', 'separator', 'slider', 'spinbutton', 'status', 'switch', 'tab', 'table',
+    'tablist', 'tabpanel', 'textbox', 'toolbar', 'tooltip', 'tree', 'treeitem',
+]);
+
+class SelectorSyntaxError extends Error {
+    constructor(selector, reason) {
+        super(`Invalid selector "${selector}": ${reason}`);
+        this.name = 'SelectorSyntaxError';
+        this.selector = selector;
+        this.reason = reason;
+    }
+}
+
+// Read a quoted string starting at `start` (which holds the quote); returns [value, indexAfter]
+function readQuoted(selector, start, source = selector) {
+    const quote = selector[start];
+    let value = '';
+    for (let i = start + 1; i < selector.length; i++) {
+        const ch = selector[i];
+        if (ch === '\\' && i + 1 < selector.length) {
+            value += selector[++i];
+        } else if (ch === quote) {
+            return [value, i + 1];
+        } else {
+            value += ch;
+        }
+    }
+    throw new SelectorSyntaxError(source, `unterminated string in ${selector.slice(start)}`);
+}
+
+// Split 'button.x:has-text("A"):has-text("B")' into its CSS part and the required texts
+function parseHasText(selector) {
+    let css = '';
+    const texts = [];
+    let bracketDepth = 0;
+    let i = 0;
+
+    while (i < selector.length) {
+        const ch = selector[i];
+
+        if (ch === '"' || ch === "'") {
+            const [, end] = readQuoted(selector, i);
+            css += selector.slice(i, end);
+            i = end;
+            continue;
+        }
+        if (ch === '[') bracketDepth++;
+        if (ch === ']') bracketDepth--;
+
+        if (bracketDepth === 0 && selector.startsWith(HAS_TEXT, i)) {
+            let j = i + HAS_TEXT.length;
+            while (selector[j] === ' ') j++;
+            let text;
+            if (selector[j] === '"' || selector[j] === "'") {
+                [text, j] = readQuoted(selector, j);
+                while (selector[j] === ' ') j++;
+                if (selector[j] !== ')') {
+                    throw new SelectorSyntaxError(selector, `expected ")" after the :has-text() argument at position ${j}`);
+                }
+            } else {
+                const end = selector.indexOf(')', j);
+                if (end === -1) {
+                    throw new SelectorSyntaxError(selector, ':has-text( is missing its closing ")"');
+                }
+                text = selector.slice(j, end);
+                j = end;
+            }
+            if (!text.trim()) {
+                throw new SelectorSyntaxError(selector, ':has-text() needs a non-empty text');
+            }
+            texts.push(text.trim());
+            i = j + 1;
+
+            const rest = selector.slice(i);
+            if (rest.trim() && !rest.startsWith(HAS_TEXT)) {
+                throw new SelectorSyntaxError(selector, ':has-text() must be the last part of the selector');
+            }
+            continue;
+        }
+
+        css += ch;
+        i++;
+    }
+
+    if (bracketDepth !== 0) {
+        throw new SelectorSyntaxError(selector, 'unbalanced [ ]');
+    }
+    return { css: css.trim() || '*', texts };
+}
+
+// Parse `[name="value"]` attribute lists used by role= and aria/ selectors
+function parseAttributes(selector, text) {
+    const attrs = {};
+    let rest = text.trim();
+    while (rest) {
+        const m = rest.match(/^\[\s*([a-z-]+)\s*=\s*/i);
+        if (!m) {
+            throw new SelectorSyntaxError(selector, `expected [attribute="value"] but found "${rest}"`);
+        }
+        let i = m[0].length;
+        let value;
+        if (rest[i] === '"' || rest[i] === "'") {
+            [value, i] = readQuoted(rest, i, selector);
+        } else {
+            const end = rest.indexOf(']', i);
+            if (end === -1) throw new SelectorSyntaxError(selector, 'missing "]"');
+            value = rest.slice(i, end).trim();
+            i = end;
+        }
+        while (rest[i] === ' ') i++;
+        if (rest[i] !== ']') {
+            throw new SelectorSyntaxError(selector, `missing "]" after ${m[1]}`);
+        }
+        attrs[m[1].toLowerCase()] = value;
+        rest = rest.slice(i + 1).trim();
+    }
+    return attrs;
+}
+
+function checkRole(selector, role) {
+    if (!ROLES.has(role)) {
+        throw new SelectorSyntaxError(selector, `unknown ARIA role "${role}"`);
+    }
+}
+
+// Turn a selector string into a spec the in-page matcher understands
+function parseSelector(selector) {
+    if (typeof selector !== 'string' || !selector.trim()) {
+        throw new SelectorSyntaxError(String(selector), 'selector must be a non-empty string');
+    }
+    const input = selector.trim();
+
+    if (input.startsWith('text/')) {
+        const text = input.slice(5).trim();
+        if (!text) throw new SelectorSyntaxError(selector, 'text/ needs a non-empty text');
+        return { kind: 'text', text, source: selector };
+    }
+
+    if (input.startsWith('xpath/')) {
+        const expression = input.slice(6).trim();
+        if (!expression) throw new SelectorSyntaxError(selector, 'xpath/ needs an expression');
+        return { kind: 'xpath', expression, source: selector };
+    }
+
+    if (input.startsWith('aria/')) {
+        const m = input.slice(5).match(/^([^[]*)(\[.*\])?$/);
+        if (!m) throw new SelectorSyntaxError(selector, 'expected aria/<name>[role="<role>"]');
+        const attrs = parseAttributes(selector, m[2] || '');
+        const unknown = Object.keys(attrs).filter(k => k !== 'role');
+        if (unknown.length) throw new SelectorSyntaxError(selector, `aria/ only accepts [role=...], got [${unknown.join('], [')}]`);
+        const name = m[1].trim();
+        if (!name && !attrs.role) throw new SelectorSyntaxError(selector, 'aria/ needs a name or a [role=...]');
+        if (attrs.role) checkRole(selector, attrs.role);
+        return { kind: 'aria', name: name || null, role: attrs.role || null, exact: true, source: selector };
+    }
+
+    if (input.startsWith('role=')) {
+        const m = input.slice(5).match(/^([a-z]+)(.*)$/i);
+        if (!m) throw new SelectorSyntaxError(selector, 'expected role=<role>[name="..."]');
+        const role = m[1].toLowerCase();
+        checkRole(selector, role);
+        const attrs = parseAttributes(selector, m[2]);
+        const unknown = Object.keys(attrs).filter(k => k !== 'name');
+        if (unknown.length) throw new SelectorSyntaxError(selector, `role= only accepts [name=...], got [${unknown.join('], [')}]`);
+        return { kind: 'aria', name: attrs.name ?? null, role, exact: false, source: selector };
+    }
+
+    if (/>>/.test(input.replace(/(["'])(?:\\.|(?!\1).)*\1/g, ''))) {
+        throw new SelectorSyntaxError(selector, 'selector chaining with ">>" is not supported');
+    }
+
+    if (input.includes(HAS_TEXT)) {
+        const { css, texts } = parseHasText(input);
+        if (texts.length) return { kind: 'css', css, texts, source: selector };
+    }
+
+    return { kind: 'css', css: input, texts: [], source: selector };
+}
+
+// Runs in the page. Returns matching elements (or the first one / null with firstOnly),
+// or { error } when the browser rejects the CSS/XPath. With a root element only its
+// descendants match, and XPath is evaluated from it (so './/' is relative to it).
+function queryInPage(spec, visibleOnly, firstOnly, root) {
+    const scope = root || document;
+    const descendants = () => Array.from(scope.querySelectorAll(root ? '*' : 'body *'));
+    const norm = s => (s || '').replace(/\s+/g, ' ').trim();
+    const textOf = el => norm(el.innerText || el.textContent);
+    const isVisible = (el) => {
+        const r = el.getBoundingClientRect();
+        const st = window.getComputedStyle(el);
+        return r.width > 0 && r.height > 0 && st.visibility !== 'hidden' && st.display !== 'none';
+    };
+    const implicitRole = (el) => {
+        const tag = el.tagName.toLowerCase();
+        const type = (el.getAttribute('type') || 'text').toLowerCase();
+        if (tag === 'a' && el.hasAttribute('href')) return 'link';
+        if (tag === 'button') return 'button';
+        if (tag === 'input') {
+            if (['button', 'submit', 'reset', 'image'].includes(type)) return 'button';
+            if (type === 'checkbox') return 'checkbox';
+            if (type === 'radio') return 'radio';
+            if (type === 'search') return 'searchbox';
+            if (['text', 'email', 'tel', 'url', 'password', 'number'].includes(type)) return 'textbox';
+        }
+        if (tag === 'textarea') return 'textbox';
+        if (tag === 'select') return 'combobox';
+        if (/^h[1-6]$/.test(tag)) return 'heading';
+        if (tag === 'img') return 'img';
+        if (tag === 'ul' || tag === 'ol') return 'list';
+        if (tag === 'li') return 'listitem';
+        if (tag === 'nav') return 'navigation';
+        if (tag === 'dialog') return 'dialog';
+        if (tag === 'form') return 'form';
+        if (tag === 'option') return 'option';
+        return null;
+    };
+    const roleOf = el => (el.getAttribute('role') || '').trim().split(/\s+/)[0].toLowerCase() || implicitRole(el);
+    const nameOf = (el) => {
+        const label = el.getAttribute('aria-label');
+        if (label && label.trim()) return norm(label);
+        const labelledBy = el.getAttribute('aria-labelledby');
+        if (labelledBy) {
+            const text = labelledBy.split(/\s+/).map(id => document.getElementById(id)).filter(Boolean).map(textOf).join(' ');
+            if (text) return norm(text);
+        }
+        const tag = el.tagName.toLowerCase();
+        if (tag === 'input' || tag === 'textarea' || tag === 'select') {
+            if (el.id) {
+                const forLabel = document.querySelector(`label[for="${CSS.escape(el.id)}"]`);
+                if (forLabel) return textOf(forLabel);
+            }
+            const wrapping = el.closest('label');
+            if (wrapping) return textOf(wrapping);
+            if (['button', 'submit', 'reset'].includes((el.getAttribute('type') || '').toLowerCase())) return norm(el.value);
+            return norm(el.getAttribute('placeholder') || el.getAttribute('title'));
+        }
+        if (tag === 'img') return norm(el.getAttribute('alt') || el.getAttribute('title'));
+        return textOf(el) || norm(el.getAttribute('title'));
+    };
+
+    let found = [];
+    try {
+        if (spec.kind === 'css') {
+            found = Array.from(scope.querySelectorAll(spec.css));
+            if (spec.texts.length) {
+                const needles = spec.texts.map(t => norm(t).toLowerCase());
+                found = found.filter(el => needles.every(n => textOf(el).toLowerCase().includes(n)));
+                // Keep the innermost matches so 'div:has-text("ADD")' is the button wrapper, not <body>'s first div
+                found = found.filter(el => !found.some(other => other !== el && el.contains(other)));
+            }
+        } else if (spec.kind === 'text') {
+            const needle = norm(spec.text).toLowerCase();
+            const has = el => !['SCRIPT', 'STYLE', 'NOSCRIPT'].includes(el.tagName) && textOf(el).toLowerCase().includes(needle);
+            found = descendants()
+                .filter(has)
+                .filter(el => !Array.from(el.children).some(has));
+        } else if (spec.kind === 'xpath') {
+            const snapshot = document.evaluate(spec.expression, scope, null, XPathResult.ORDERED_NODE_SNAPSHOT_TYPE, null);
+            for (let i = 0; i < snapshot.snapshotLength; i++) {
+                const node = snapshot.snapshotItem(i);
+                if (node.nodeType === Node.ELEMENT_NODE) found.push(node);
+            }
+        } else if (spec.kind === 'aria') {
+            const wanted = spec.name == null ? null : norm(spec.name);
+            found = descendants().filter((el) => {
+                if (spec.role && roleOf(el) !== spec.role) return false;
+                if (wanted == null) return true;
+                const name = nameOf(el);
+                return spec.exact ? name === wanted : name.toLowerCase().includes(wanted.toLowerCase());
+            });
+        }
+    } catch (error) {
+        return firstOnly ? null : { error: error.message };
+    }
+
+    if (visibleOnly) found = found.filter(isVisible);
+    return firstOnly ? (found[0] || null) : found;
+}
+
+// Ask the browser whether the CSS/XPath part is valid; throws SelectorSyntaxError if not
+async function assertValid(page, spec) {
+    if (spec.kind !== 'css' && spec.kind !== 'xpath') return;
+    const error = await page.evaluate((s) => {
+        try {
+            if (s.kind === 'css') document.querySelector(s.css);
+            else document.evaluate(s.expression, document, null, XPathResult.ANY_TYPE, null);
+            return null;
+        } catch (e) {
+            return e.message;
+        }
+    }, spec);
+    if (error) {
+        throw new SelectorSyntaxError(spec.source, error.replace(/^.*?: /, ''));
+    }
+}
+
+// All elements matching the selector right now; `within` (an ElementHandle) limits them to its descendants
+async function findAll(page, selector, { visible = false, within = null } = {}) {
+    const spec = parseSelector(selector);
+    await assertValid(page, spec);
+    const handle = await page.evaluateHandle(queryInPage, spec, visible, false, within);
+    const elements = [];
+    for (const property of (await handle.getProperties()).values()) {
+        const element = property.asElement();
+        if (element) elements.push(element);
+        else await property.dispose();
+    }
+    await handle.dispose();
+    return elements;
+}
+
+// Number of elements matching the selector right now
+async function count(page, selector, { visible = false } = {}) {
+    const spec = parseSelector(selector);
+    await assertValid(page, spec);
+    const handle = await page.evaluateHandle(queryInPage, spec, visible, false);
+    const total = await handle.evaluate(list => list.length);
+    await handle.dispose();
+    return total;
+}
+
+// Wait for the first element matching the selector; resolves to its ElementHandle
+async function waitFor(page, selector, { timeout = 10000, visible = true } = {}) {
+    const spec = parseSelector(selector);
+    await assertValid(page, spec);
+
+    if (timeout <= 0) {
+        const handle = await page.evaluateHandle(queryInPage, spec, visible, true);
+        const element = handle.asElement();
+        if (element) return element;
+        await handle.dispose();
+        throw new Error(`No element matches ${selector}`);
+    }
+
+    try {
+        const handle = await page.waitForFunction(queryInPage, { timeout, polling: 100 }, spec, visible, true);
+        return handle.asElement();
+    } catch (error) {
+        if (error.name === 'TimeoutError') {
+            throw new Error(`Timed out after ${timeout}ms waiting for ${visible ? 'visible ' : ''}${selector}`);
+        }
+        throw error;
+    }
+}
+
+module.exports = {
+    SelectorSyntaxError,
+    parseSelector,
+    queryInPage,
+    findAll,
+    count,
+    waitFor,
+};
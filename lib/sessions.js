@@ -0,0 +1,101 @@
+// Saved login sessions
+//
+// After a successful signin() the browser's cookies plus the localStorage/sessionStorage of the
+// page's origin are written to sessions/<site>/<account>.json. With --reuse-session they are put
+// back before init() opens the homepage, and signin() only logs in again when the adapter's
+// isLoggedIn() says the saved session has expired.
+//
+// The files hold live auth tokens: they are git-ignored and written readable by the owner only.
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_DIR = path.join(__dirname, '..', 'sessions');
+
+// "+91 98765 43210" -> "919876543210"; masked or missing numbers fall back to "default"
+function accountId(account) {
+    const id = String(account || '').replace(/[^\w.@-]+/g, '').replace(/^[._-]+|[._-]+$/g, '');
+    return id && /[a-z0-9]/i.test(id) ? id : 'default';
+}
+
+class SessionStore {
+    constructor(siteName, account, dir = DEFAULT_DIR) {
+        this.siteName = siteName;
+        this.account = accountId(account);
+        this.file = path.join(dir, siteName, `${this.account}.json`);
+    }
+
+    exists() {
+        return fs.existsSync(this.file);
+    }
+
+    load() {
+        try {
+            return JSON.parse(fs.readFileSync(this.file, 'utf8'));
+        } catch {
+            return null;
+        }
+    }
+
+    // Snapshot the cookies of the page's browser context and the current origin's storage
+    async save(page) {
+        const cookies = await page.browserContext().cookies();
+        const storage = await page.evaluate(() => {
+            const dump = (store) => {
+                const out = {};
+                for (let i = 0; i < store.length; i++) {
+                    const key = store.key(i);
+                    out[key] = store.getItem(key);
+                }
+                return out;
+            };
+            return { origin: window.location.origin, localStorage: dump(window.localStorage), sessionStorage: dump(window.sessionStorage) };
+        });
+        const session = {
+            site: this.siteName,
+            account: this.account,
+            savedAt: new Date().toISOString(),
+            url: page.url(),
+            cookies,
+            origins: { [storage.origin]: { localStorage: storage.localStorage, sessionStorage: storage.sessionStorage } },
+        };
+        fs.mkdirSync(path.dirname(this.file), { recursive: true });
+        fs.writeFileSync(this.file, JSON.stringify(session, null, 2), { mode: 0o600 });
+        return session;
+    }
+
+    // Put a saved session back into a fresh page before its first navigation.
+    // Resolves to a cleanup function (call it once the first page has loaded), or null when nothing was saved.
+    async restore(page) {
+        const session = this.load();
+        if (!session) return null;
+
+        const now = Date.now() / 1000;
+        const cookies = (session.cookies || [])
+            .filter(c => c.session || c.expires === -1 || c.expires > now)
+            .map(({ name, value, domain, path: cookiePath, expires, httpOnly, secure, sameSite, partitionKey }) => ({
+                name, value, domain, path: cookiePath, expires, httpOnly, secure, sameSite, partitionKey,
+            }));
+        if (cookies.length) {
+            await page.browserContext().setCookie(...cookies);
+        }
+
+        // Storage can only be written from inside the origin, so seed it as the first document loads
+        const { identifier } = await page.evaluateOnNewDocument((origins) => {
+            const data = origins[window.location.origin];
+            if (!data) return;
+            for (const [key, value] of Object.entries(data.localStorage || {})) window.localStorage.setItem(key, value);
+            for (const [key, value] of Object.entries(data.sessionStorage || {})) window.sessionStorage.setItem(key, value);
+        }, session.origins || {});
+
+        return async () => {
+            await page.removeScriptToEvaluateOnNewDocument(identifier);
+        };
+    }
+
+    clear() {
+        fs.rmSync(this.file, { force: true });
+    }
+}
+
+module.exports = SessionStore;
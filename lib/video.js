@@ -0,0 +1,81 @@
+// Run video (--video on|failed)
+//
+// A screencast of the active page for the whole run, saved as video_<n>_<time>.webm next to the
+// screenshots. Puppeteer records one page at a time, so when the run moves to another tab
+// (Lenskart opens the product in a new one) the recording is stopped and a new file started on
+// that tab: a run may leave several numbered parts.
+//
+//   off     no recording (default)
+//   on      keep every run's video
+//   failed  record every run, but delete the video again when the run passed
+//
+// Recording needs ffmpeg on the PATH, or FFMPEG_PATH pointing at it; without it the run goes on
+// with a single warning and no video.
+
+const fs = require('fs');
+const path = require('path');
+
+const VIDEO_MODES = ['off', 'on', 'failed'];
+
+function resolveVideoMode(mode = 'off') {
+    if (!VIDEO_MODES.includes(mode)) {
+        throw new Error(`video must be one of ${VIDEO_MODES.join(', ')} (got "${mode}")`);
+    }
+    return mode;
+}
+
+class VideoRecorder {
+    constructor(dir, { ffmpegPath = process.env.FFMPEG_PATH, log = () => {} } = {}) {
+        this.dir = dir;
+        this.ffmpegPath = ffmpegPath;
+        this.log = log;
+        this.files = []; // every part written, in order
+        this.recorder = null;
+        this.disabled = false;
+    }
+
+    // Record `page` from now on, closing the part recorded on the previous page
+    async record(page) {
+        if (this.disabled) return false;
+        await this.stop();
+        const file = path.join(this.dir, `video_${String(this.files.length + 1).padStart(2, '0')}_${Date.now()}.webm`);
+        try {
+            fs.mkdirSync(this.dir, { recursive: true });
+            this.recorder = await page.screencast({ path: file, ...(this.ffmpegPath ? { ffmpegPath: this.ffmpegPath } : {}) });
+            this.files.push(file);
+            this.log(`🎥 Recording video: ${path.basename(file)}`, 'info');
+            return true;
+        } catch (error) {
+            this.disabled = true;
+            const reason = error.code === 'ENOENT' ? 'ffmpeg not found (install it or set FFMPEG_PATH)' : error.message;
+            this.log(`Video recording disabled: ${reason}`, 'warning');
+            return false;
+        }
+    }
+
+    // Finish the current part; must run before the browser closes
+    async stop() {
+        if (!this.recorder) return;
+        const recorder = this.recorder;
+        this.recorder = null;
+        try {
+            await recorder.stop();
+        } catch (error) {
+            this.log(`Failed to finish the video: ${error.message}`, 'warning');
+        }
+    }
+
+    // Delete what was recorded (--video failed after a passing run)
+    discard() {
+        for (const file of this.files) {
+            fs.rmSync(file, { force: true });
+        }
+        this.files = [];
+    }
+}
+
+module.exports = {
+    VIDEO_MODES,
+    VideoRecorder,
+    resolveVideoMode,
+};
@@ -0,0 +1,844 @@
+// Base class for site adapters
+//
+// A site adapter holds everything that is specific to one storefront (auth form,
+// search box, add-to-cart flow). EcommerceAutomation owns the browser and only
+// orchestrates the flow, calling into the adapter registered for the site in config.js.
+//
+// Adapters read the live page/utils/config through the automation instance, so a
+// page switch (e.g. Lenskart opening the product in a new tab) is seen everywhere.
+
+const selectorEngine = require('../lib/selectors');
+const { describeCartItem, matchCartLines, parseAmount } = require('../lib/cart');
+const { choose, describeCandidate, isEmpty } = require('../lib/selection');
+const { normalizeRow, rowKey } = require('../lib/scrape');
+
+// Runs in the page: the raw text of one cart item's fields. Fields without a selector are read from
+// the line's own texts: the name is the first plain text and the variant the next one, the quantity
+// is the number beside the + stepper (or a "Qty: 2") and the line total the last ₹ amount.
+// `url` is the line's product link, when it has one.
+function readCartItem(item, fields) {
+    const clean = s => (s || '').replace(/\s+/g, ' ').trim();
+    const text = (selector) => {
+        const node = selector && item.querySelector(selector);
+        return node ? clean(node.innerText || node.textContent) : null;
+    };
+    const own = el => clean(Array.from(el.childNodes).filter(n => n.nodeType === Node.TEXT_NODE).map(n => n.textContent).join(' '));
+    const texts = [item, ...item.querySelectorAll('*')].map(own).filter(Boolean);
+    const amounts = texts.map(t => (t.match(/₹\s*[\d,]+(\.\d+)?/g) || []).pop()).filter(Boolean);
+    const plain = texts.filter(t => !/₹/.test(t) && !/^([+\-−×x]|\d+|add|remove|repeat|delete|move to wishlist|customi[sz]e.*)$/i.test(t));
+
+    let quantity = null;
+    const plus = [...item.querySelectorAll('*')].find(el => own(el) === '+');
+    for (let box = plus; box && quantity == null && item.contains(box); box = box.parentElement) {
+        const count = [...box.querySelectorAll('*')].find(el => /^\d+$/.test(own(el)));
+        if (count) quantity = own(count);
+    }
+    const qty = clean(item.innerText || item.textContent).match(/\bqty\.?\s*:?\s*(\d+)/i);
+
+    const link = item.querySelector('a[href]') || item.closest('a[href]');
+    return {
+        url: link ? link.href : null,
+        name: fields.name ? text(fields.name) : plain[0] || null,
+        variant: fields.variant ? text(fields.variant) : plain[1] || null,
+        quantity: fields.quantity ? text(fields.quantity) : quantity ?? (qty ? qty[1] : null),
+        unitPrice: text(fields.unitPrice),
+        lineTotal: fields.lineTotal ? text(fields.lineTotal) : amounts[amounts.length - 1] || null,
+    };
+}
+
+// Runs in the page: label, amount and kind (data-bill, when the row has one) of a bill row
+function readBillRow(row) {
+    const cells = Array.from(row.children).map(c => (c.innerText || c.textContent || '').trim()).filter(Boolean);
+    return { kind: row.getAttribute('data-bill'), label: cells[0] || '', amount: cells[cells.length - 1] || '' };
+}
+
+// Runs in the page: the raw fields of one search result card, for the pick strategy.
+// Fields given as { text: kind } are left null here and filled from readCardText().
+function readResultCard(card, fields) {
+    const css = selector => (typeof selector === 'string' ? card.querySelector(selector) : null);
+    const text = (selector) => {
+        const node = css(selector);
+        return node ? (node.innerText || node.textContent || '').replace(/\s+/g, ' ').trim() : null;
+    };
+    // Veg marks are usually an icon: read its label and class as well as its text
+    const vegNode = css(fields.veg);
+    const vegText = vegNode ? `${vegNode.getAttribute('aria-label') || ''} ${vegNode.getAttribute('class') || ''} ${vegNode.textContent || ''}` : '';
+    return {
+        name: text(fields.name),
+        brand: text(fields.brand),
+        price: text(fields.price),
+        rating: text(fields.rating),
+        veg: !vegNode ? null : /non[-\s_]?veg/i.test(vegText) ? false : /veg/i.test(vegText) ? true : null,
+        sponsored: !!css(fields.sponsored) || /\b(sponsored|promoted)\b/i.test(card.innerText || ''),
+        url: (card.closest('a[href]') || card.querySelector('a[href]') || {}).href || null,
+    };
+}
+
+// Runs in the page: the fields of one listing card for an export (see lib/scrape.js). A field is
+// CSS or a list of fallbacks; `url` is the href of that link (or of the card's own link), `veg` a flag.
+// `available` is false for cards marked sold out or unavailable. { text: kind } fields are left null.
+function readListingCard(card, fields) {
+    const find = selectors => [].concat(selectors || []).filter(s => typeof s === 'string').map(s => card.querySelector(s)).find(Boolean) || null;
+    const row = {};
+    for (const [key, selectors] of Object.entries(fields)) {
+        const node = find(selectors);
+        if (key === 'url') {
+            const link = (node && node.closest('a[href]')) || card.closest('a[href]') || card.querySelector('a[href]');
+            row.url = link ? link.href : null;
+        } else if (key === 'veg') {
+            const text = node ? `${node.getAttribute('aria-label') || ''} ${node.getAttribute('class') || ''} ${node.textContent || ''}` : '';
+            row.veg = !node ? null : /non[-\s_]?veg/i.test(text) ? false : /veg/i.test(text) ? true : null;
+        } else {
+            row[key] = node ? (node.innerText || node.textContent || '').replace(/\s+/g, ' ').trim() : null;
+        }
+    }
+    row.available = !/\b(sold out|out of stock|currently unavailable|not available)\b/i.test(card.innerText || card.textContent || '');
+    return row;
+}
+
+// Runs in the page: what a card says, for the fields the live markup gives no hook for.
+// name is the last plain line before the first price (else the first plain line) and brand the
+// one above it; price is the first ₹ amount that is not struck out and mrp the struck-out one
+// (else the price); subtitle is the plain line after the name (a restaurant's cuisine).
+function readCardText(card) {
+    const clean = s => (s || '').replace(/\s+/g, ' ').trim();
+    const own = el => clean(Array.from(el.childNodes).filter(n => n.nodeType === Node.TEXT_NODE).map(n => n.textContent).join(' '));
+    const amount = t => (t.match(/₹\s*[\d,]+(\.\d+)?/) || [null])[0];
+    const struck = el => !!el.closest('s, del, strike') || /line-through/.test(getComputedStyle(el).textDecorationLine || '');
+    const nodes = [card, ...card.querySelectorAll('*')].filter(el => own(el));
+    const texts = nodes.map(own);
+
+    const ratingOf = t => t.match(/^★\s*(\d(?:\.\d)?)|^(\d(?:\.\d)?)\s*★|^(\d\.\d)(?=\s|\(|·|\||$)/);
+    const rating = texts.map(ratingOf).find(Boolean);
+    const time = texts.find(t => /\d+(\s*-\s*\d+)?\s*(mins?|minutes)\b/i.test(t));
+    const by = texts.find(t => /^by\s+\S/i.test(t));
+    const labels = [card, ...card.querySelectorAll('[aria-label]')].map(el => el.getAttribute('aria-label') || '');
+    const vegMark = [...labels, ...texts].find(t => /^(non[-\s_]?veg|veg)(\s+item)?\b/i.test(t));
+
+    const isPlain = t => !amount(t) && !ratingOf(t) && t !== time && t !== by && t !== vegMark
+        && !/^(add|add to cart|customi[sz]able|bestseller|sponsored|promoted|ad|new|more details|buy now|\d+% off.*)$/i.test(t);
+    const firstPrice = texts.findIndex(t => amount(t));
+    const plain = texts.filter(isPlain);
+    const before = firstPrice === -1 ? [] : texts.filter((t, i) => isPlain(t) && i < firstPrice);
+    const name = before.length ? before[before.length - 1] : plain[0] || null;
+    const prices = nodes.filter(el => amount(own(el)) && !struck(el)).map(el => amount(own(el)));
+    const struckPrices = nodes.filter(el => amount(own(el)) && struck(el)).map(el => amount(own(el)));
+
+    return {
+        name,
+        brand: before.length >= 2 ? before[before.length - 2] : null,
+        subtitle: name != null ? plain[plain.indexOf(name) + 1] || null : null,
+        price: prices[0] || null,
+        mrp: struckPrices[0] || prices[0] || null,
+        rating: rating ? rating[1] || rating[2] || rating[3] : null,
+        veg: !vegMark ? null : !/^non/i.test(vegMark),
+        restaurant: by || null,
+        deliveryTime: time || null,
+    };
+}
+
+// Fill the fields a reader left to the card's text ({ text: kind } instead of a selector)
+async function fillFromText(card, fields, raw) {
+    const kinds = Object.entries(fields).filter(([, value]) => value && value.text);
+    if (kinds.length === 0) return raw;
+    const said = await card.evaluate(readCardText);
+    for (const [key, { text }] of kinds) {
+        if (raw[key] == null) raw[key] = said[text] ?? null;
+    }
+    return raw;
+}
+
+class SiteAdapter {
+    constructor(automation) {
+        this.automation = automation;
+        this.location = null; // where setLocation() delivers to; part of the listing history key
+    }
+
+    // Selectors the adapter uses inline, as { key: selector | [fallbacks] }; checked by check-selectors
+    static get selectors() {
+        return {};
+    }
+
+    get page() {
+        return this.automation.page;
+    }
+
+    get browser() {
+        return this.automation.browser;
+    }
+
+    // The run's BrowserContext; new tabs of this run are created (and announced) here
+    get context() {
+        return this.automation.context;
+    }
+
+    get utils() {
+        return this.automation.utils;
+    }
+
+    get config() {
+        return this.automation.config;
+    }
+
+    get siteName() {
+        return this.automation.siteName;
+    }
+
+    get authMode() {
+        return this.automation.authMode;
+    }
+
+    // Close popups that would cover the sign-in trigger
+    async beforeSignin() {
+        await this.utils.closeModalIfPresent([
+            this.config.selectors.closeModal,
+            this.config.selectors.noThanksButton,
+        ]);
+    }
+
+    // Fill and submit the site's auth form once the auth modal is open
+    async fillAuthForm() {}
+
+    // Handle signup/signin with form filling and OTP wait
+    async signin() {
+        this.utils.log('Navigating to signup/signin...', 'step');
+
+        if (this.authMode === 'none') {
+            this.utils.log('Sign-in disabled (--auth none)', 'info');
+            return true;
+        }
+
+        try {
+            if (this.automation.sessionRestored) {
+                if (await this.isLoggedIn()) {
+                    this.utils.log('Still signed in from the saved session - skipping sign-in', 'success');
+                    await this.utils.screenshot('03_session_reused');
+                    return true;
+                }
+                this.utils.log('Saved session has expired - signing in again', 'warning');
+            }
+
+            await this.beforeSignin();
+
+            // Click sign-in button to open auth modal
+            const clicked = await this.utils.clickElement(
+                [this.config.selectors.signInButton, this.config.selectors.signInButtonAlt],
+                { heal: true }
+            );
+
+            if (!clicked) {
+                this.utils.log('Sign-in button not found, skipping authentication', 'warning');
+                return false;
+            }
+
+            await this.utils.wait(2000);
+            await this.utils.screenshot('03_auth_modal_login');
+
+            await this.fillAuthForm();
+
+            // Now wait for OTP entry (common path for all flows)
+            const signedIn = await this.waitForAuthCompletion();
+            if (signedIn) {
+                await this.automation.saveSession();
+            }
+
+            return true;
+        } catch (error) {
+            this.utils.log(`Sign-in/signup failed: ${error.message}`, 'error');
+            await this.utils.screenshot('error_signin');
+            return false;
+        }
+    }
+
+    // Wait for the OTP, enter it (unless the provider is manual) and continue once signed in.
+    // Resolves to whether sign-in was detected.
+    async waitForAuthCompletion() {
+        const provider = this.automation.otpProvider;
+        const requestedAt = Date.now();
+
+        if (!provider || provider.manual) {
+            return this.waitForManualOtp();
+        }
+
+        this.utils.log(`Waiting for OTP from ${provider.describe()}...`, 'info');
+        const otpShown = await this.waitForOtpScreen();
+        if (!otpShown) {
+            this.utils.log('OTP screen not detected - trying to enter the code anyway', 'warning');
+        }
+
+        const code = await provider.getCode({ since: requestedAt, timeoutMs: this.config.otp?.timeout ?? 120000 });
+        const filled = await this.utils.fillOtp(code);
+        if (!filled) {
+            throw new Error('Could not find the OTP input to type the code into');
+        }
+        await this.utils.screenshot('03_otp_entered');
+        await this.submitOtp();
+
+        if (!(await this.waitForSignedIn(60000))) {
+            throw new Error('Still not signed in after entering the OTP');
+        }
+        this.utils.log('✅ Sign-in detected! Continuing...', 'success');
+        return true;
+    }
+
+    // Whether the page shows a signed-in user; by default, whether the sign-in trigger is gone
+    async isLoggedIn() {
+        const triggers = [this.config.selectors.signInButton, this.config.selectors.signInButtonAlt].filter(Boolean);
+        for (const selector of triggers) {
+            if (await this.utils.elementExists(selector, 3000)) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    // Pause for manual OTP entry and continue as soon as the site shows a signed-in state
+    async waitForManualOtp() {
+        this.utils.log('', 'info');
+        this.utils.log('═══════════════════════════════════════════════════', 'warning');
+        this.utils.log('⏸️  PAUSED FOR MANUAL OTP ENTRY (up to 60s)', 'warning');
+        this.utils.log('═══════════════════════════════════════════════════', 'warning');
+        this.utils.log('', 'info');
+        this.utils.log('Please complete the following steps:', 'info');
+        this.utils.log('  1. Check your phone for the OTP', 'info');
+        this.utils.log('  2. Enter the OTP in the browser', 'info');
+        this.utils.log('  3. Complete the authentication process', 'info');
+        this.utils.log('', 'info');
+        this.utils.log('⏱️  Waiting up to 60 seconds, will continue as soon as verification finishes...', 'info');
+
+        // Phase A: observe OTP UI (strict) so we don't exit before it appears (up to 30s)
+        await this.waitForOtpScreen();
+
+        // Phase B: continue only when OTP UI is gone AND Sign in trigger is absent (or header indicates logged in)
+        if (await this.waitForSignedIn(60000)) {
+            this.utils.log('✅ Sign-in detected! Continuing...', 'success');
+            return true;
+        }
+        this.utils.log('⚠️ OTP wait timeout - continuing anyway', 'warning');
+        return false;
+    }
+
+    // Wait (up to 30s) for the OTP screen; returns whether it appeared
+    async waitForOtpScreen() {
+        try {
+            await this.page.waitForFunction(() => {
+                const container = document.querySelector('[role="dialog"], .modal, [class*="Modal"]');
+                if (!container) return false;
+                const text = (container.innerText || '').toLowerCase();
+                const hasText = /verify otp|didn\'t receive otp|didn’t receive otp/.test(text);
+                const inputs = Array.from(container.querySelectorAll('input'));
+                const hasOtpInputs = inputs.some(i => i.getAttribute('maxlength') === '1' || /one-time-code|otp/i.test((i.getAttribute('autocomplete')||'') + ' ' + (i.getAttribute('aria-label')||'')));
+                return hasText || hasOtpInputs;
+            }, { timeout: 30000 });
+            return true;
+        } catch {
+            return false;
+        }
+    }
+
+    // Submit the OTP when the site does not verify on its own as the last digit is typed
+    async submitOtp() {
+        await this.utils.wait(1500);
+        const stillOpen = await this.page.evaluate(() => {
+            const container = document.querySelector('[role="dialog"], .modal, [class*="Modal"]');
+            return !!(container && /otp|verify/i.test(container.innerText || ''));
+        }).catch(() => false);
+        if (!stillOpen) return;
+
+        const clicked = await this.utils.clickElement([
+            'button:has-text("Verify")',
+            'a:has-text("Verify")',
+            'button:has-text("Continue")',
+            'button[type="submit"]',
+        ], { timeout: 3000, retries: 1 });
+        if (!clicked) {
+            await this.page.keyboard.press('Enter');
+        }
+    }
+
+    // Wait for the OTP UI to close and the site to look signed in; returns false on timeout
+    async waitForSignedIn(timeout) {
+        try {
+            await this.page.waitForFunction(() => {
+                // Lenskart-specific: check if sign-in-form is gone and header is present
+                const signInForm = document.querySelector('#sign-in-form');
+                const header = document.querySelector('#header-wrapper, header[id="header"]');
+                const userButton = document.querySelector('button[aria-label*="User account menu" i]');
+
+                // If Lenskart header and user button appear, and sign-in form is gone, we're logged in
+                if (!signInForm && (header || userButton)) {
+                    return true;
+                }
+
+                // Generic check for other sites
+                const container = document.querySelector('[role="dialog"], .modal, [class*="Modal"]');
+                const otpVisible = !!(container && /otp|verify/i.test((container.innerText || '')));
+                const hasOtpInputs = !!(container && Array.from(container.querySelectorAll('input')).some(i => i.getAttribute('maxlength') === '1'));
+                const authVisible = otpVisible || hasOtpInputs;
+
+                // Sign in trigger still visible?
+                const signInNode = Array.from(document.querySelectorAll('a,button,div,span')).find(n => /\bsign\s*in\b/i.test(n.innerText || ''));
+
+                // Header-based positive signals
+                const headerEl = document.querySelector('header, [data-testid*="header" i], [class*="Header" i]');
+                const headerText = (headerEl ? headerEl.innerText : '') || '';
+                const signedInHeader = /account|profile|logout|sign out|my orders/i.test(headerText);
+
+                return (!authVisible) && (!signInNode || signedInHeader);
+            }, { timeout });
+            return true;
+        } catch {
+            return false;
+        }
+    }
+
+    // Cart markup read by getCart(): { item, name, variant, quantity, unitPrice, lineTotal, billRow }
+    // plus the steppers setCartQuantity() clicks: { increment, decrement, remove }.
+    // `item`, `billRow` and the steppers take any selector syntax (a stepper is looked up inside its
+    // line); the item fields are CSS inside one item, and are read from its texts when left out.
+    get cartSelectors() {
+        return null;
+    }
+
+    // Go to config.cartPath unless a cart item is already on the page
+    async openCartPage() {
+        if (this.config.cartPath && await selectorEngine.count(this.page, this.cartSelectors.item) === 0) {
+            const url = this.automation.resolveUrl(this.config.cartPath);
+            this.utils.log(`Opening cart page ${url}`, 'info');
+            await this.page.goto(url, { waitUntil: 'networkidle2' });
+            await this.utils.wait(this.config.timing.shortWait);
+        }
+    }
+
+    // Read the cart into { url, items, subtotal, fees, total } (see lib/cart.js).
+    // Opens config.cartPath first when no cart item is on the current page.
+    async getCart() {
+        const selectors = this.cartSelectors;
+        if (!selectors) {
+            throw new Error(`The ${this.config.name} adapter cannot read the cart (no cartSelectors)`);
+        }
+        await this.openCartPage();
+
+        const items = [];
+        for (const element of await selectorEngine.findAll(this.page, selectors.item)) {
+            const raw = await element.evaluate(readCartItem, selectors);
+            await element.dispose();
+            const quantity = parseInt(raw.quantity, 10) || 1;
+            let unitPrice = parseAmount(raw.unitPrice);
+            let lineTotal = parseAmount(raw.lineTotal);
+            if (unitPrice == null && lineTotal != null) unitPrice = lineTotal / quantity;
+            if (lineTotal == null && unitPrice != null) lineTotal = unitPrice * quantity;
+            items.push({ name: raw.name, variant: raw.variant || null, quantity, unitPrice, lineTotal });
+        }
+
+        const cart = { url: this.page.url(), items, subtotal: null, fees: [], total: null };
+        for (const element of await selectorEngine.findAll(this.page, selectors.billRow)) {
+            const row = await element.evaluate(readBillRow);
+            await element.dispose();
+            const amount = parseAmount(row.amount);
+            // Rows without data-bill are classified by their label
+            const kind = row.kind || (/item total|subtotal|total item/i.test(row.label) ? 'subtotal'
+                : /to pay|payable|grand total|^total$/i.test(row.label) ? 'total' : 'fee');
+            if (kind === 'subtotal') cart.subtotal = amount;
+            else if (kind === 'total') cart.total = amount;
+            else cart.fees.push({ label: row.label, amount });
+        }
+        if (cart.subtotal == null && items.length) {
+            cart.subtotal = items.reduce((sum, item) => sum + (item.lineTotal || 0), 0);
+        }
+        return cart;
+    }
+
+    // Search result markup read by getResults(): { card, name, brand, price, rating, veg, sponsored, target }.
+    // `card` and `target` (what gets clicked) take any selector syntax; the fields are CSS inside one
+    // card, or { text: kind } to read them from its text (see readCardText: name, price, rating...).
+    get resultSelectors() {
+        return null;
+    }
+
+    // True when config.js `pick` or --pick set a strategy; it must never fall back to "the first result"
+    get hasPickStrategy() {
+        return !isEmpty(this.automation.pick);
+    }
+
+    // Read the result cards on the page into pick candidates (see lib/selection.js), each with its card element
+    async getResults() {
+        const selectors = this.resultSelectors;
+        if (!selectors) {
+            return [];
+        }
+        const results = [];
+        const cards = await selectorEngine.findAll(this.page, selectors.card);
+        for (const [i, card] of cards.entries()) {
+            const raw = await fillFromText(card, selectors, await card.evaluate(readResultCard, selectors));
+            results.push({
+                index: i + 1,
+                name: raw.name,
+                brand: raw.brand,
+                price: parseAmount(raw.price),
+                rating: parseAmount(raw.rating),
+                veg: raw.veg,
+                sponsored: raw.sponsored,
+                url: raw.url,
+                card,
+            });
+        }
+        return results;
+    }
+
+    // Listings read by scrapeResults(), as [{ type, card, fields }] (see lib/scrape.js); none by default
+    get scrapeListings() {
+        return [];
+    }
+
+    // Read the listing on the page into export rows, scrolling for more until there are `limit` rows
+    // of each type, `maxScrolls` scrolls were made or a scroll brings nothing new. onScreen gets every
+    // row read before the first scroll (the listing history)
+    async scrapeResults({ limit = 20, maxScrolls = 5, onScreen = null } = {}) {
+        const listings = this.scrapeListings;
+        if (listings.length === 0) {
+            throw new Error(`The ${this.config.name} adapter cannot export results (no scrapeListings)`);
+        }
+        const rows = Object.fromEntries(listings.map(l => [l.type, []]));
+        const seen = new Set();
+        const full = () => listings.every(l => rows[l.type].length >= limit);
+
+        for (let scroll = 0; ; scroll++) {
+            let added = 0;
+            for (const listing of listings) {
+                for (const card of await selectorEngine.findAll(this.page, listing.card)) {
+                    const raw = await card.evaluate(readListingCard, listing.fields);
+                    const row = normalizeRow(listing.type, await fillFromText(card, listing.fields, raw));
+                    await card.dispose();
+                    const key = rowKey(row);
+                    if (!row.name || seen.has(key)) continue;
+                    seen.add(key);
+                    rows[listing.type].push(row);
+                    added++;
+                }
+            }
+            if (scroll === 0 && onScreen) onScreen(listings.flatMap(l => rows[l.type].slice()));
+            const counts = listings.map(l => `${rows[l.type].length} ${l.type}(s)`).join(', ');
+            if (full() || scroll >= maxScrolls || (scroll > 0 && added === 0)) {
+                this.utils.log(`Read ${counts}${scroll ? ` after ${scroll} scroll(s)` : ''}`, 'info');
+                break;
+            }
+            this.utils.log(`Read ${counts}, scrolling for more...`, 'info');
+            await this.page.evaluate(() => window.scrollTo(0, document.body.scrollHeight));
+            await this.page.waitForNetworkIdle({ idleTime: 500, timeout: 5000 }).catch(() => {});
+            await this.utils.wait(this.config.timing.shortWait);
+        }
+        return listings.flatMap(l => rows[l.type].slice(0, limit));
+    }
+
+    // Choose a result with the pick strategy and log why; resolves to { candidate, reason, element }
+    // (element is what to click), or null when the page has no readable result cards.
+    // Throws when there are results but none qualifies.
+    async pickResult() {
+        this.lastPicked = null;
+        const results = await this.getResults();
+        if (results.length === 0) {
+            return null;
+        }
+        const { candidate, reason } = choose(results, this.automation.pick);
+        for (const result of results) {
+            if (result !== candidate) await result.card.dispose();
+        }
+        if (!candidate) {
+            this.utils.log(`Results on the page: ${results.map(describeCandidate).join('; ')}`, 'info');
+            throw new Error(`No result matches the pick strategy: ${reason}`);
+        }
+        const target = await this.findInside(candidate.card, this.resultSelectors.target);
+        if (target) await candidate.card.dispose();
+        this.utils.log(`🎯 Picked ${describeCandidate(candidate)} (${reason})`, 'info');
+        this.lastPicked = { candidate, reason, element: target || candidate.card }; // reachQuantity() adds it again
+        return this.lastPicked;
+    }
+
+    // The first element inside `element` that matches one of the selectors (any syntax), or null
+    async findInside(element, selectors) {
+        for (const selector of [].concat(selectors || [])) {
+            const [first, ...rest] = await selectorEngine.findAll(this.page, selector, { within: element });
+            await Promise.all(rest.map(e => e.dispose()));
+            if (first) return first;
+        }
+        return null;
+    }
+
+    // Click the element of a pickResult(); false when it is gone or cannot be clicked
+    async clickPicked(picked) {
+        try {
+            await picked.element.scrollIntoView();
+            await picked.element.click();
+            return true;
+        } catch (error) {
+            this.utils.log(`Could not click the picked result: ${error.message}`, 'warning');
+            return false;
+        }
+    }
+
+    // Every line on the cart page as { element, name, quantity, url }
+    async readCartLines() {
+        const selectors = this.cartSelectors;
+        const lines = [];
+        for (const element of await selectorEngine.findAll(this.page, selectors.item)) {
+            const raw = await element.evaluate(readCartItem, selectors);
+            lines.push({ element, name: raw.name, quantity: parseInt(raw.quantity, 10) || 1, url: raw.url });
+        }
+        return lines;
+    }
+
+    // The cart line that is `item` (a name, or { name, url }; see matchCartLines in lib/cart.js) as
+    // { element, name, quantity, url }; with no `item`, the only line of the cart. Null when nothing
+    // matches; throws when `item` is needed to choose or matches several lines.
+    async findCartLine(item) {
+        const lines = await this.readCartLines();
+        let line = null;
+        if (item != null) {
+            const matches = matchCartLines(lines, item);
+            if (matches.length > 1) {
+                await Promise.all(lines.map(l => l.element.dispose()));
+                throw new Error(`${describeCartItem(item)} matches ${matches.length} cart lines (${matches.map(l => l.name).join(', ')}); be more specific`);
+            }
+            line = matches[0] || null;
+        } else if (lines.length > 1) {
+            await Promise.all(lines.map(l => l.element.dispose()));
+            throw new Error(`The cart has ${lines.length} lines (${lines.map(l => l.name).join(', ')}); say which item`);
+        } else {
+            line = lines[0] || null;
+        }
+        await Promise.all(lines.filter(l => l !== line).map(l => l.element.dispose()));
+        return line;
+    }
+
+    // "cart: Margherita Pizza ×2, Garlic Bread ×1" (or "the cart is empty"), for errors
+    async describeCartLines() {
+        const lines = await this.readCartLines();
+        await Promise.all(lines.map(l => l.element.dispose()));
+        return lines.length ? `cart: ${lines.map(l => `${l.name} ×${l.quantity}`).join(', ')}` : 'the cart is empty';
+    }
+
+    // Set a cart line to `quantity` with the cart page's +/- steppers; 0 removes the line.
+    // Every click is checked against the quantity shown afterwards.
+    async setCartQuantity(item, quantity) {
+        const selectors = this.cartSelectors;
+        if (!selectors || !selectors.increment || !selectors.decrement) {
+            throw new Error(`The ${this.config.name} adapter cannot change cart quantities (no cartSelectors.increment/decrement)`);
+        }
+        if (!Number.isInteger(quantity) || quantity < 0) {
+            throw new Error(`Quantity must be a whole number >= 0 (got ${quantity})`);
+        }
+        await this.openCartPage();
+
+        let clicksLeft = null;
+        let previous = null;
+        for (;;) {
+            const line = await this.findCartLine(item);
+            const current = line ? line.quantity : 0;
+            if (current === quantity) {
+                if (line) await line.element.dispose();
+                const what = item != null ? describeCartItem(item) : 'the item';
+                this.utils.log(quantity > 0 ? `${line.name}: quantity ${quantity}` : previous === null ? `Not in the cart: ${what}` : `Removed ${what}`, 'success');
+                return true;
+            }
+            if (!line) {
+                throw new Error(item != null ? `No cart line matches ${describeCartItem(item)} (${await this.describeCartLines()})` : 'The cart is empty');
+            }
+            if (previous === current) {
+                throw new Error(`${line.name}: quantity stayed at ${current} after clicking its stepper (wanted ${quantity})`);
+            }
+            clicksLeft = clicksLeft ?? Math.abs(current - quantity) + 2;
+            if (clicksLeft-- === 0) {
+                throw new Error(`${line.name}: quantity ${current}, could not reach ${quantity}`);
+            }
+
+            let control = null;
+            let label = current < quantity ? '+' : '-';
+            if (quantity === 0 && selectors.remove) {
+                control = await this.findInside(line.element, selectors.remove);
+                label = 'remove';
+            }
+            control = control || await this.findInside(line.element, current < quantity ? selectors.increment : selectors.decrement);
+            if (!control) {
+                throw new Error(`${line.name}: no ${label} button on the cart line`);
+            }
+            this.utils.log(`${line.name}: ${current} → ${label}`, 'info');
+            await control.click();
+            await line.element.dispose();
+            previous = current;
+            // Steppers update in place or reload the cart; wait for either to finish
+            await this.page.waitForNetworkIdle({ idleTime: 300, timeout: 5000 }).catch(() => {});
+            await this.utils.wait(this.config.timing.shortWait);
+        }
+    }
+
+    // Empty the cart with each line's remove button, or its - stepper where there is none.
+    // Every click must shrink the cart; throws when one does not.
+    async clearCart() {
+        const selectors = this.cartSelectors;
+        if (!selectors || (!selectors.remove && !selectors.decrement)) {
+            throw new Error(`The ${this.config.name} adapter cannot empty the cart (no cartSelectors.remove/decrement)`);
+        }
+        this.utils.log('Emptying the cart...', 'step');
+        await this.openCartPage();
+
+        let units = null;
+        let previous = null;
+        for (;;) {
+            const lines = await this.readCartLines();
+            const total = lines.reduce((sum, line) => sum + line.quantity, 0);
+            units = units ?? total;
+            if (lines.length === 0) {
+                this.utils.log(units ? `Cart emptied (${units} unit(s) removed)` : 'Cart is already empty', 'success');
+                return true;
+            }
+            const [line, ...rest] = lines;
+            await Promise.all(rest.map(l => l.element.dispose()));
+            if (previous !== null && total >= previous) {
+                await line.element.dispose();
+                throw new Error(`The cart still holds ${total} unit(s) after clicking ${line.name}'s remove/- button`);
+            }
+
+            const control = await this.findInside(line.element, selectors.remove)
+                || await this.findInside(line.element, selectors.decrement);
+            if (!control) {
+                await line.element.dispose();
+                throw new Error(`${line.name}: no remove or - button on the cart line`);
+            }
+            this.utils.log(`Removing ${line.name} (${line.quantity})`, 'info');
+            await control.click();
+            await line.element.dispose();
+            previous = total;
+            await this.page.waitForNetworkIdle({ idleTime: 300, timeout: 5000 }).catch(() => {});
+            await this.utils.wait(this.config.timing.shortWait);
+        }
+    }
+
+    // Add the item that was just added once more (--quantity-via repeat|choose); sites that cannot keep this
+    async addAgain() {
+        throw new Error(`${this.config.name} cannot add an item again; use --quantity-via cart`);
+    }
+
+    // Bring the item just added up to --quantity: by adding it again or with the cart steppers.
+    // Re-adding stacks on units that were in the cart before the run, so its line must have grown
+    // by every add and the steppers then settle it at exactly --quantity.
+    async reachQuantity(item) {
+        const { count, via } = this.automation.quantity;
+        if (count <= 1) {
+            return true;
+        }
+        this.utils.log(`Setting quantity to ${count} (via ${via})...`, 'step');
+        if (via === 'cart') {
+            return this.setCartQuantity(item, count);
+        }
+        for (let n = 2; n <= count; n++) {
+            await this.addAgain(via);
+            this.utils.log(`Added unit ${n} of ${count}`, 'info');
+        }
+        await this.openCartPage();
+        const line = await this.findCartLine(item);
+        const quantity = line ? line.quantity : 0;
+        if (line) await line.element.dispose();
+        if (quantity < count) {
+            const what = item != null ? describeCartItem(item) : 'the item';
+            throw new Error(`${what}: ${quantity} unit(s) in the cart after adding it ${count} times (${await this.describeCartLines()})`);
+        }
+        return this.setCartQuantity(item, count);
+    }
+
+    // Handle location selection (only sites with requiresLocation override this)
+    async setLocation() {
+        this.utils.log('Location not required for this site', 'info');
+        return true;
+    }
+
+    // Close popups that would cover the search box
+    async beforeSearch() {
+        await this.utils.closeModalIfPresent([
+            this.config.selectors.closeModal,
+            this.config.selectors.noThanksButton,
+            this.config.selectors.dismissButton,
+        ]);
+    }
+
+    // Type the search term and submit it; returns true when the query was entered
+    async enterSearchTerm(searchTerm) {
+        return this.utils.typeText(
+            [this.config.selectors.searchBar, this.config.selectors.searchBarAlt],
+            searchTerm,
+            { pressEnter: true }
+        );
+    }
+
+    // Search for a product/item
+    async search(searchTerm) {
+        this.utils.log(`Searching for "${searchTerm}"...`, 'step');
+
+        try {
+            await this.beforeSearch();
+
+            const typed = await this.enterSearchTerm(searchTerm);
+            if (!typed) {
+                this.utils.log('Failed to search', 'error');
+                return false;
+            }
+
+            await this.utils.wait(this.config.timing.pageLoad);
+            await this.utils.screenshot('04_search_results');
+            this.utils.log('Search completed successfully', 'success');
+            await this.automation.recordHistory(searchTerm);
+
+            return true;
+        } catch (error) {
+            this.utils.log(`Search failed: ${error.message}`, 'error');
+            await this.utils.screenshot('error_search');
+            return false;
+        }
+    }
+
+    // Site-specific customization steps (lens selection, food options, ...)
+    async customize() {}
+
+    // Handle product customization
+    async handleCustomization() {
+        if (!this.config.hasCustomization) {
+            return true;
+        }
+
+        this.utils.log('Checking for customization options...', 'step');
+
+        try {
+            await this.customize();
+            return true;
+        } catch (error) {
+            this.utils.log(`Customization handling failed: ${error.message}`, 'warning');
+            await this.utils.screenshot('error_customization');
+            return false;
+        }
+    }
+
+    // Site-specific add-to-cart flow; returns true when the item landed in the cart
+    async addItemToCart() {
+        return false;
+    }
+
+    // Add the picked product/item to cart (config.js `pick`, --pick; first result by default)
+    async addToCart() {
+        this.utils.log('Adding item to cart...', 'step');
+
+        try {
+            return await this.addItemToCart();
+        } catch (error) {
+            this.utils.log(`Add to cart failed: ${error.message}`, 'error');
+            await this.utils.screenshot('error_add_to_cart');
+            return false;
+        }
+    }
+
+    // Show the cart after adding (sites that end on checkout keep the default)
+    async openCart() {
+        return true;
+    }
+}
+
+module.exports = SiteAdapter;
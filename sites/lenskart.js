@@ -0,0 +1,607 @@
+// Lenskart site adapter
+//
+// Sign in/sign up through the account dialog, search via the header autocomplete box,
+// open the picked product (new tab; see lib/selection.js), pick lenses when required (lens preferences
+// in lib/customization.js) and proceed to checkout.
+
+const SiteAdapter = require('./base');
+const { chooseLensOption } = require('../lib/customization');
+
+// Selectors used inline below (config.js `selectors` holds the shared ones); listed by check-selectors
+const SELECTORS = {
+    dialog: '[role="dialog"]',
+    createAccount: [
+        '[role="button"][aria-label*="create account" i]',
+        'button[aria-label*="create account" i]',
+        'button:has-text("Create an Account")',
+        'a:has-text("Create an Account")',
+    ],
+    loginInput: [
+        'input[name="emailOrPhone"]',
+        'input[placeholder*="Mobile" i]',
+        'input[placeholder*="Email" i]',
+    ],
+    authSubmit: '#remove-button',
+    signupFirstName: 'input[name="firstName"]',
+    signupLastName: 'input[name="lastName"]',
+    signupMobile: 'input[name="mobile"]',
+    signupEmail: 'input[name="email"]',
+    signupPassword: 'input[name="password"]',
+    signInLink: ['[role="button"][aria-label="Sign In"]', 'button:has-text("Sign In")'],
+    signInButton: "xpath///button[@data-testid='button-testid' and contains(., 'Sign In')]",
+    searchInput: 'input#autocomplete-0-input, input.aa-Input[placeholder*="What are you looking for" i]',
+    productLink: [
+        'a.sc-23b7d3eb-7.gZcHRJ',
+        '.sc-23b7d3eb-8.gUutuN a',
+        'div[data-cy="plpCardContainerProductImage"]',
+        'a[class*="sc-"][class*="eb-"]',
+    ],
+    primaryButton: '#btn-primary',
+    lensTypeOption: '[data-cy="PackageItemWrapper"][role="button"]',
+    packageCard: 'div[id="package-card-wrapper"]',
+    packageContinue: 'button[data-cy="packageBtnContinue"]',
+    cartCta: 'div[data-cy="cart-cta-desktop"]',
+    accountMenu: 'button[aria-label*="User account menu" i]',
+    // Cart lines carry no stable hooks: a line is the innermost block with a Remove link and a ₹ amount
+    cartItem: 'xpath///div[.//*[normalize-space(text())="Remove"] and .//*[starts-with(normalize-space(text()), "₹")]'
+        + ' and not(.//div[.//*[normalize-space(text())="Remove"] and .//*[starts-with(normalize-space(text()), "₹")]])]',
+    cartItemIncrement: 'xpath/.//*[normalize-space(text())="+"]',
+    cartItemDecrement: 'xpath/.//*[normalize-space(text())="−" or normalize-space(text())="-"]',
+    cartItemRemove: 'xpath/.//*[normalize-space(text())="Remove"]',
+    billRow: 'xpath///*[normalize-space()="Bill Details"]/following::div[count(*) >= 2 and starts-with(normalize-space(*[last()]), "₹")]',
+    // A PLP card is the innermost block around a product image that also shows a ₹ price
+    resultCard: 'xpath///div[.//div[@data-cy="plpCardContainerProductImage"] and .//*[starts-with(normalize-space(text()), "₹")]'
+        + ' and not(.//div[.//div[@data-cy="plpCardContainerProductImage"] and .//*[starts-with(normalize-space(text()), "₹")]])]',
+    resultLink: 'a[target="_blank"], div[data-cy="plpCardContainerProductImage"]',
+};
+
+// Runs in the page: name (the heading, else the first line) and price of a lens type or package card
+function readLensOption(card) {
+    const text = (card.innerText || card.textContent || '').trim();
+    const heading = card.querySelector('h3, h4');
+    const price = text.replace(/,/g, '').match(/₹\s*(\d+(?:\.\d+)?)/);
+    return {
+        name: (heading ? heading.textContent : text.split('\n')[0]).replace(/\s+/g, ' ').trim(),
+        price: price ? Number(price[1]) : null,
+    };
+}
+
+class LenskartAdapter extends SiteAdapter {
+    static get selectors() {
+        return SELECTORS;
+    }
+
+    // Cart markup read by getCart()
+    get cartSelectors() {
+        return {
+            item: SELECTORS.cartItem,
+            billRow: SELECTORS.billRow,
+            increment: SELECTORS.cartItemIncrement,
+            decrement: SELECTORS.cartItemDecrement,
+            remove: SELECTORS.cartItemRemove,
+        };
+    }
+
+    // Search result markup read by getResults(); the card's fields are read from its text
+    get resultSelectors() {
+        return {
+            card: SELECTORS.resultCard,
+            name: { text: 'name' },
+            brand: { text: 'brand' },
+            price: { text: 'price' },
+            rating: { text: 'rating' },
+            target: SELECTORS.resultLink,
+        };
+    }
+
+    // PLP cards for the export: price is the MRP (the only price when there is no discount)
+    get scrapeListings() {
+        return [{
+            type: 'product',
+            card: SELECTORS.resultCard,
+            fields: {
+                name: { text: 'name' },
+                brand: { text: 'brand' },
+                price: { text: 'mrp' },
+                discountedPrice: { text: 'price' },
+                rating: { text: 'rating' },
+                url: SELECTORS.resultLink,
+            },
+        }];
+    }
+
+    // The cards of the open lens dialog as [{ name, price, element }]
+    async readLensOptions(selector) {
+        const options = [];
+        for (const element of await this.page.$$(selector)) {
+            options.push({ ...await element.evaluate(readLensOption), element });
+        }
+        return options;
+    }
+
+    // Go directly to Sign In without closing modals first
+    async beforeSignin() {}
+
+    // The header swaps the account link for a user menu once signed in
+    async isLoggedIn() {
+        if (await this.utils.elementExists(SELECTORS.accountMenu, 3000)) {
+            return true;
+        }
+        return super.isLoggedIn();
+    }
+
+    // Lenskart-specific auth flow: try Sign In, or Create Account based on authMode
+    async fillAuthForm() {
+        try {
+            // Wait for modal container
+            await this.page.waitForSelector(SELECTORS.dialog, { timeout: 5000 });
+
+            let didOpenSignupForm = false;
+
+            // If user requested signup explicitly, switch to Create Account immediately
+            if (this.authMode === 'signup') {
+                const opened = await this.utils.clickElement(SELECTORS.createAccount);
+                if (opened) {
+                    await this.utils.wait(600);
+                }
+                // Consider we are on signup if firstName field appears
+                try {
+                    await this.page.waitForSelector(SELECTORS.signupFirstName, { timeout: 3000 });
+                    didOpenSignupForm = true;
+                } catch {}
+            }
+
+            // Type Mobile/Email for signin mode or when staying on Sign In
+            if (this.authMode !== 'signup') {
+                let loginInput = null;
+                for (const sel of SELECTORS.loginInput) {
+                    const h = await this.page.$(sel);
+                    if (h) { loginInput = h; break; }
+                }
+                if (loginInput) {
+                    await loginInput.click();
+                    await this.utils.wait(100);
+                    await this.page.keyboard.down('Control');
+                    await this.page.keyboard.press('A');
+                    await this.page.keyboard.up('Control');
+                    await this.page.keyboard.press('Backspace');
+                    try { await loginInput.type(this.config.signupData.phone, { delay: 60 }); } catch {}
+                }
+            }
+
+            // Click Sign In button (id="remove-button")
+            let signInClickable = false;
+            if (this.authMode !== 'signup') {
+                try {
+                    this.utils.log('Clicking Sign In button...', 'info');
+                    await this.page.click(SELECTORS.authSubmit);
+                    signInClickable = true;
+                    this.utils.log('Clicked Sign In button successfully', 'success');
+                    await this.utils.wait(1500);
+                } catch (e) {
+                    this.utils.log(`Failed to click Sign In button: ${e.message}`, 'warning');
+                }
+            }
+
+            // If not already on signup form and we're allowed to signup, open it
+            if (!didOpenSignupForm && !signInClickable && this.authMode !== 'signin') {
+                // Open Create Account (only when not already open)
+                if (this.authMode === 'auto') {
+                    this.utils.log('Sign In disabled/unavailable, switching to Create Account', 'warning');
+                }
+                const opened = await this.utils.clickElement(SELECTORS.createAccount);
+                if (opened) {
+                    await this.utils.wait(800);
+                    await this.utils.screenshot('03_signup_form_lenskart');
+                    // Fill fields
+                    const map = [
+                        { sel: SELECTORS.signupFirstName, value: this.config.signupData.firstName },
+                        { sel: SELECTORS.signupLastName, value: this.config.signupData.lastName },
+                        { sel: SELECTORS.signupMobile, value: this.config.signupData.phone },
+                        { sel: SELECTORS.signupEmail, value: this.config.signupData.email },
+                        { sel: SELECTORS.signupPassword, value: this.config.signupData.password },
+                    ];
+                    for (const f of map) {
+                        try {
+                            await this.page.click(f.sel, { clickCount: 3 }).catch(()=>{});
+                            await this.page.focus(f.sel).catch(()=>{});
+                            await this.page.keyboard.type(f.value, { delay: 40 });
+                        } catch {}
+                    }
+                    // Simple submit: click the Create an Account button inside the dialog
+                    this.utils.log('Clicking Create an Account button...', 'info');
+                    await this.page.click(SELECTORS.authSubmit);
+                    await this.utils.wait(1500);
+
+                    // Check if account already exists AFTER clicking
+                    const existsMsg = await this.page.evaluate(() => {
+                        const c = document.querySelector('[role="dialog"]');
+                        if (!c) return false;
+                        const el = Array.from(c.querySelectorAll('div')).find(d => /already registered/i.test(d.textContent || ''));
+                        return !!el;
+                    });
+
+                    if (existsMsg) {
+                        this.utils.log('Phone number already registered — switching to Sign In', 'warning');
+                        await this.utils.screenshot('03_already_registered');
+                        const signInClicked = await this.utils.clickElement(SELECTORS.signInLink);
+                        if (signInClicked) {
+                            this.utils.log('Clicked Sign In link, waiting for form...', 'info');
+                            await this.utils.wait(1500);
+                            // Fill phone and submit Sign In
+                            try {
+                                await this.page.waitForSelector(SELECTORS.loginInput[0], { timeout: 3000 });
+                                await this.page.click(SELECTORS.loginInput[0]);
+                                await this.page.keyboard.down('Control');
+                                await this.page.keyboard.press('A');
+                                await this.page.keyboard.up('Control');
+                                await this.page.keyboard.press('Backspace');
+                                await this.page.type(SELECTORS.loginInput[0], this.config.signupData.phone, { delay: 60 });
+                                this.utils.log('Filled phone number for Sign In', 'info');
+                            } catch (e) {
+                                this.utils.log(`Failed to fill phone: ${e.message}`, 'warning');
+                            }
+                            try {
+                                const btn = await this.utils.findElement(SELECTORS.signInButton);
+                                if (btn) { 
+                                    await btn.click(); 
+                                    this.utils.log('Clicked Sign In button - waiting for OTP screen...', 'success');
+                                    await this.utils.wait(2000);
+                                }
+                            } catch (e) {
+                                this.utils.log(`Failed to click Sign In button: ${e.message}`, 'warning');
+                            }
+                        }
+                        // Don't set didOpenSignupForm since we switched to signin
+                    } else {
+                        didOpenSignupForm = true;
+                    }
+                }
+            }
+
+            // If we are already on signup form (from explicit authMode), fill and submit
+            if (didOpenSignupForm) {
+                try {
+                    await this.utils.screenshot('03_signup_form_lenskart');
+                    const map = [
+                        { sel: SELECTORS.signupFirstName, value: this.config.signupData.firstName },
+                        { sel: SELECTORS.signupLastName, value: this.config.signupData.lastName },
+                        { sel: SELECTORS.signupMobile, value: this.config.signupData.phone },
+                        { sel: SELECTORS.signupEmail, value: this.config.signupData.email },
+                        { sel: SELECTORS.signupPassword, value: this.config.signupData.password },
+                    ];
+                    for (const f of map) {
+                        try {
+                            await this.page.click(f.sel, { clickCount: 3 }).catch(()=>{});
+                            await this.page.focus(f.sel).catch(()=>{});
+                            await this.page.keyboard.type(f.value, { delay: 40 });
+                        } catch {}
+                    }
+                    // Simple submit: click the Create an Account button inside the dialog
+                    this.utils.log('Clicking Create an Account button...', 'info');
+                    await this.page.click(SELECTORS.authSubmit);
+                    await this.utils.wait(1500);
+
+                    // Check if account already exists AFTER clicking
+                    {
+                        const existsMsg = await this.page.evaluate(() => {
+                            const c = document.querySelector('[role="dialog"]');
+                            if (!c) return false;
+                            const el = Array.from(c.querySelectorAll('div')).find(d => /already registered/i.test(d.textContent || ''));
+                            return !!el;
+                        });
+
+                        if (existsMsg) {
+                            this.utils.log('Phone number already registered — switching to Sign In', 'warning');
+                            await this.utils.screenshot('03_already_registered');
+                            const signInClicked = await this.utils.clickElement(SELECTORS.signInLink);
+                            if (signInClicked) {
+                                this.utils.log('Clicked Sign In link, waiting for form...', 'info');
+                                await this.utils.wait(1500);
+                                // Fill phone and submit Sign In
+                                try {
+                                    await this.page.waitForSelector(SELECTORS.loginInput[0], { timeout: 3000 });
+                                    await this.page.click(SELECTORS.loginInput[0]);
+                                    await this.page.keyboard.down('Control');
+                                    await this.page.keyboard.press('A');
+                                    await this.page.keyboard.up('Control');
+                                    await this.page.keyboard.press('Backspace');
+                                    await this.page.type(SELECTORS.loginInput[0], this.config.signupData.phone, { delay: 60 });
+                                    this.utils.log('Filled phone number for Sign In', 'info');
+                                } catch (e) {
+                                    this.utils.log(`Failed to fill phone: ${e.message}`, 'warning');
+                                }
+                                try {
+                                    const btn = await this.utils.findElement(SELECTORS.signInButton);
+                                    if (btn) { 
+                                        await btn.click(); 
+                                        this.utils.log('Clicked Sign In button - waiting for OTP screen...', 'success');
+                                        await this.utils.wait(2000);
+                                    }
+                                } catch (e) {
+                                    this.utils.log(`Failed to click Sign In button: ${e.message}`, 'warning');
+                                }
+                            }
+                            // Account exists handled - will proceed to OTP wait
+                        }
+                    }
+                } catch {}
+            }
+        } catch (e) {
+            this.utils.log(`Lenskart auth handling warning: ${e.message}`,'warning');
+        }
+    }
+
+    // Skip modal closing after sign-in
+    async beforeSearch() {}
+
+    async enterSearchTerm(searchTerm) {
+        let typed = false;
+        this.utils.log('Opening Lenskart search...', 'info');
+        try {
+            // Wait for the search input to be available
+            const searchSelector = SELECTORS.searchInput;
+            await this.page.waitForSelector(searchSelector, { timeout: 5000, visible: true });
+
+            // Click and type
+            await this.page.click(searchSelector);
+            await this.utils.wait(300);
+            await this.page.keyboard.type(searchTerm, { delay: 80 });
+            await this.utils.wait(500);
+            await this.page.keyboard.press('Enter');
+            typed = true;
+            this.utils.log('Search query entered', 'success');
+        } catch (e) {
+            this.utils.log(`Lenskart search failed: ${e.message}`, 'warning');
+        }
+        return typed;
+    }
+
+    async customize() {
+        // Check if lens selection is required
+        const hasLensButton = await this.utils.elementExists(
+            this.config.selectors.selectLensesButton,
+            3000
+        );
+
+        if (hasLensButton) {
+            this.utils.log('Lens customization detected', 'info');
+            await this.utils.clickElement(this.config.selectors.selectLensesButton, { heal: true });
+            await this.utils.wait(2000);
+            await this.utils.screenshot('06_lens_customization');
+
+            // Try to select "Without Lenses" or skip
+            const skipped = await this.utils.clickElement([
+                this.config.selectors.noLensOption,
+                this.config.selectors.skipLensButton,
+            ]);
+
+            if (skipped) {
+                await this.utils.wait(1000);
+                await this.utils.clickElement(this.config.selectors.proceedButton);
+            }
+        }
+    }
+
+    // { page, cancel }: page resolves with the next tab opened in the context, or null after timeoutMs.
+    // The listener is removed either way
+    waitForNewTab(timeoutMs) {
+        let finish;
+        const page = new Promise(resolve => { finish = resolve; });
+        const onTarget = (target) => {
+            if (target.type() !== 'page') return;
+            target.page().then(finish, () => finish(null));
+        };
+        const timer = setTimeout(() => finish(null), timeoutMs);
+        this.context.on('targetcreated', onTarget);
+        const cleanup = () => {
+            clearTimeout(timer);
+            this.context.off('targetcreated', onTarget);
+        };
+        page.then(cleanup);
+        return { page, cancel: () => finish(null) };
+    }
+
+    async addItemToCart() {
+        // Click the picked product card (from search results) - opens in new tab
+        this.utils.log('Choosing a product...', 'info');
+        const picked = await this.pickResult();
+        if (!picked && this.hasPickStrategy) {
+            this.utils.log('No product cards found to apply the pick strategy to', 'error');
+            return false;
+        }
+
+        // Listen for new tab
+        const newTab = this.waitForNewTab(this.config.timing.longWait);
+
+        // Without readable cards (and no strategy) keep clicking the first product link
+        let productClicked;
+        try {
+            productClicked = picked
+                ? await this.clickPicked(picked)
+                : await this.utils.clickElement(SELECTORS.productLink);
+        } finally {
+            if (!productClicked) newTab.cancel();
+        }
+
+        if (!productClicked) {
+            this.utils.log('Failed to click product', 'error');
+            return false;
+        }
+
+        // Switch to the new tab, or stay when the product opened in this one
+        this.utils.log('Switching to product page tab...', 'info');
+        const newPage = await newTab.page;
+        if (newPage) {
+            await this.automation.switchPage(newPage); // Switch context to new tab
+        } else {
+            this.utils.log('No new tab opened; continuing on the current page', 'info');
+        }
+
+        this.utils.log('Waiting for product page to load...', 'info');
+        await this.utils.wait(3000);
+        await this.utils.screenshot('05_product_page');
+
+        // Dynamically detect and click the primary action button
+        this.utils.log('Detecting primary action button...', 'info');
+        await this.utils.wait(2000);
+
+        // Check what the primary button says
+        const buttonInfo = await this.page.evaluate(() => {
+            const primaryBtn = document.getElementById('btn-primary');
+            if (!primaryBtn) return { found: false };
+            const text = (primaryBtn.innerText || primaryBtn.textContent || '').trim().toUpperCase();
+            return {
+                found: true,
+                text: text,
+                isSelectLenses: text.includes('SELECT LENSES'),
+                isBuyNow: text.includes('BUY NOW')
+            };
+        });
+
+        if (!buttonInfo.found) {
+            this.utils.log('No primary button found!', 'error');
+            return false;
+        }
+
+        this.utils.log(`Primary button text: "${buttonInfo.text}"`, 'info');
+
+        // Click the primary button
+        await this.page.click(SELECTORS.primaryButton);
+        this.utils.log(`Clicked: ${buttonInfo.text}`, 'success');
+        await this.utils.wait(2000);
+
+        // If it was SELECT LENSES, handle customization flow
+        if (buttonInfo.isSelectLenses) {
+
+            const lenses = this.automation.lenses;
+
+            // Step 1: Check for "Select Lens Type" modal
+            this.utils.log('Checking for lens type selection modal...', 'info');
+            const hasLensTypeModal = await this.page.evaluate((dialog) => {
+                return !!document.querySelector(dialog) && document.body.innerText.includes('Select Lens Type');
+            }, SELECTORS.dialog);
+
+            if (hasLensTypeModal) {
+                const types = await this.readLensOptions(SELECTORS.lensTypeOption);
+                try {
+                    const { option, reason } = chooseLensOption('lens type', types, { name: lenses.type });
+                    this.utils.log(`Lens types: ${types.map(t => t.name).join(', ')}`, 'info');
+                    await option.element.click();
+                    this.utils.log(`Selected lens type: ${option.name} (${reason})`, 'success');
+                } finally {
+                    await Promise.all(types.map(t => t.element.dispose()));
+                }
+                await this.utils.wait(2000);
+            } else if (lenses.type) {
+                throw new Error(`Lens type "${lenses.type}" requested, but no lens type dialog opened`);
+            }
+
+            // Step 2: Check for "Choose Lens Package" modal
+            this.utils.log('Checking for lens package selection modal...', 'info');
+            const hasPackageModal = await this.page.evaluate((dialog) => {
+                return !!document.querySelector(dialog) && document.body.innerText.includes('Choose Lens Package');
+            }, SELECTORS.dialog);
+
+            if (hasPackageModal) {
+                const packages = await this.readLensOptions(SELECTORS.packageCard);
+                let clicked = false;
+                let chosen;
+                try {
+                    chosen = chooseLensOption('lens package', packages, { name: lenses.package, maxPrice: lenses.maxPrice });
+                    this.utils.log(`Lens packages: ${packages.map(p => `${p.name} (₹${p.price ?? '?'})`).join(', ')}`, 'info');
+                    const card = chosen.option.element;
+
+                    // Click the chosen package using Puppeteer's native click (more reliable)
+                    try {
+                        // Try clicking the h3 element inside the package
+                        const h3Element = await card.$('h3');
+                        if (h3Element) {
+                            await h3Element.click();
+                            clicked = true;
+                        }
+                    } catch (e) {
+                        this.utils.log(`h3 click failed: ${e.message}`, 'warning');
+                    }
+
+                    if (!clicked) {
+                        // Fallback: try clicking the role="button" element
+                        try {
+                            const buttonElement = await card.$('[role="button"]');
+                            if (buttonElement) {
+                                await buttonElement.click();
+                                clicked = true;
+                            }
+                        } catch (e) {
+                            this.utils.log(`role=button click failed: ${e.message}`, 'warning');
+                        }
+                    }
+
+                    if (!clicked) {
+                        // Last fallback: click the wrapper itself
+                        try {
+                            await card.click();
+                            clicked = true;
+                        } catch (e) {
+                            this.utils.log(`wrapper click failed: ${e.message}`, 'warning');
+                        }
+                    }
+                } finally {
+                    await Promise.all(packages.map(p => p.element.dispose()));
+                }
+                if (clicked) {
+                    this.utils.log(`Selected lens package: ${chosen.option.name} (₹${chosen.option.price ?? '?'}; ${chosen.reason})`, 'success');
+                    await this.utils.wait(2000);
+
+                    // Click CONTINUE button
+                    this.utils.log('Clicking CONTINUE button...', 'info');
+                    const continueClicked = await this.page.evaluate((button) => {
+                        const continueBtn = document.querySelector(button);
+                        if (continueBtn) {
+                            continueBtn.click();
+                            return true;
+                        }
+                        return false;
+                    }, SELECTORS.packageContinue);
+                    if (continueClicked) {
+                        this.utils.log('Clicked CONTINUE', 'success');
+                        await this.utils.wait(2000);
+                    } else {
+                        this.utils.log('CONTINUE button not found', 'warning');
+                    }
+                } else {
+                    this.utils.log('Failed to click lens package', 'warning');
+                }
+            } else if (lenses.package || lenses.maxPrice != null) {
+                throw new Error('A lens package was requested, but no lens package dialog opened');
+            }
+        } else if (Object.keys(this.automation.lenses).length) {
+            this.utils.log(`"${buttonInfo.text}" needs no lenses; lens preferences ignored`, 'warning');
+        }
+
+        // Wait for cart page
+        this.utils.log('Waiting for cart page...', 'info');
+        await this.utils.wait(3000);
+        await this.utils.screenshot('06_cart');
+
+        // --quantity: the cart steppers (Lenskart cannot add the same frame again)
+        await this.reachQuantity(picked ? { name: picked.candidate.name, url: picked.candidate.url } : null);
+
+        // Click Proceed To Checkout
+        this.utils.log('Clicking Proceed To Checkout...', 'info');
+        try {
+            await this.page.waitForSelector(SELECTORS.cartCta, { timeout: 5000 });
+            await this.page.click(SELECTORS.cartCta);
+            this.utils.log('Clicked Proceed To Checkout', 'success');
+            await this.utils.wait(2000);
+            await this.utils.screenshot('07_checkout');
+            this.utils.log('✅ Lenskart automation completed successfully!', 'success');
+            return true;
+        } catch (e) {
+            this.utils.log(`Failed to click Proceed To Checkout: ${e.message}`, 'error');
+            return false;
+        }
+    }
+}
+
+module.exports = LenskartAdapter;
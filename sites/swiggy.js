@@ -0,0 +1,1289 @@
+// Swiggy site adapter
+//
+// Phone + OTP login, location picker, homepage search overlay, ADD on the picked dish
+// (see lib/selection.js; opening a restaurant when search shows none), the "Items already in cart"
+// prompt and the multi-step customization modal.
+
+const SiteAdapter = require('./base');
+const { planGroup, describeChoice } = require('../lib/customization');
+
+// Selectors used inline below (config.js `selectors` holds the shared ones); listed by check-selectors
+const SELECTORS = {
+    modal: '[role="dialog"], .modal, [class*="Modal"]',
+    formInput: 'input:not([type="hidden"])',
+    phoneInput: [
+        'input[placeholder*="Phone"]',
+        'input[type="tel"]',
+        'input#mobile',
+        'input[name="mobile"]',
+    ],
+    otpInput: 'input[placeholder*="OTP" i]',
+    loginLink: [
+        'a:has-text("login to your account")',
+        'text/login to your account',
+        'a:has-text("Login")',
+    ],
+    searchInput: 'input[type="search"], input[placeholder*="Search" i], input[aria-label*="search" i]',
+    cartLink: ['a[href*="/checkout"]', 'a:has-text("Cart")', 'span:has-text("Cart")'],
+    addButton: ['button:has-text("Add")', 'div:has-text("Add")'],
+    restaurantLink: ['a[href*="/restaurants/"]', 'a[role="link"]:has-text("Restaurant")'],
+    customizeDialog: '[role="dialog"], .modal, [class*="Modal"], #customise-content',
+    customizeContinue: 'button[data-testid="menu-customize-continue-button"]',
+    customizeAdd: 'button[data-cy="customize-footer-add-button"]',
+    // The checkout has no stable hooks on its lines: a line is the innermost block holding a + stepper
+    // and a ₹ amount, a bill row one after "Bill Details" that ends in an amount
+    cartItem: 'xpath///div[.//*[normalize-space(text())="+"] and .//*[starts-with(normalize-space(text()), "₹")]'
+        + ' and not(.//div[.//*[normalize-space(text())="+"] and .//*[starts-with(normalize-space(text()), "₹")]])]',
+    cartItemIncrement: 'xpath/.//*[normalize-space(text())="+"]',
+    cartItemDecrement: 'xpath/.//*[normalize-space(text())="−" or normalize-space(text())="-"]',
+    billRow: 'xpath///*[normalize-space()="Bill Details"]/following::div[count(*) >= 2 and starts-with(normalize-space(*[last()]), "₹")]',
+    repeatPrompt: '[role="dialog"]:has-text("Repeat")',
+    repeatLast: ['[data-testid="repeat-customization-button"]', 'button:has-text("Repeat")'],
+    repeatChoose: ['[data-testid="choose-customization-button"]', 'button:has-text("I\'ll choose")'],
+    replaceCartPrompt: '[role="dialog"]:has-text("Items already in cart")',
+    replaceCartYes: ['[data-testid="replace-cart-yes"]', 'button:has-text("start afresh")'],
+    resultCard: '[data-testid="normal-dish-item"]',
+    resultAdd: 'button.add-button-center-container',
+    restaurantCard: '[data-testid="resturant-card"]',
+};
+
+// Runs in the page: the option groups of the customization dialog as [{ label, type, min, max,
+// options: [{ name, price, checked }] }]. The live dialog has no hooks for them: a group is the
+// inputs sharing a name (else a parent), its label and hint ("Required · Select any 1") the texts
+// between the previous group and its first option. With `select` ({ index, names }) it checks
+// exactly those options of that group and returns the names checked afterwards.
+function customizeGroups(dialog, select) {
+    const clean = text => (text || '').replace(/\s+/g, ' ').trim();
+    const visible = (el) => {
+        const r = el.getBoundingClientRect();
+        const st = getComputedStyle(el);
+        return r.width > 0 && r.height > 0 && st.visibility !== 'hidden' && st.display !== 'none';
+    };
+    const optionOf = input => input.closest('label') || input.parentElement;
+    const own = el => clean(Array.from(el.childNodes).filter(n => n.nodeType === Node.TEXT_NODE).map(n => n.textContent).join(' '));
+    const textsIn = el => [el, ...el.querySelectorAll('*')].map(own).filter(Boolean);
+    const nameOf = input => textsIn(optionOf(input)).filter(t => !/₹/.test(t)).join(' ') || clean(input.value);
+
+    const sets = new Map();
+    for (const input of dialog.querySelectorAll('input[type="radio"], input[type="checkbox"]')) {
+        if (!visible(input) && !visible(optionOf(input))) continue;
+        const key = input.name || optionOf(input).parentElement;
+        if (!sets.has(key)) sets.set(key, []);
+        sets.get(key).push(input);
+    }
+    const groups = [...sets.values()];
+    const options = groups.flat().map(optionOf);
+
+    if (select) {
+        const inputs = groups[select.index] || [];
+        // Uncheck first, so a full checkbox group re-enables the options it disabled
+        inputs.filter(i => i.type === 'checkbox' && i.checked && !select.names.includes(nameOf(i))).forEach(i => i.click());
+        inputs.filter(i => !i.checked && select.names.includes(nameOf(i))).forEach(i => i.click());
+        return inputs.filter(i => i.checked).map(nameOf);
+    }
+
+    return groups.map((inputs, index) => {
+        const first = optionOf(inputs[0]);
+        const previous = index > 0 ? optionOf(groups[index - 1][groups[index - 1].length - 1]) : null;
+        const between = el => (el.compareDocumentPosition(first) & Node.DOCUMENT_POSITION_FOLLOWING)
+            && (!previous || (previous.compareDocumentPosition(el) & Node.DOCUMENT_POSITION_FOLLOWING))
+            && !options.some(o => o.contains(el));
+        const texts = Array.from(dialog.querySelectorAll('*')).filter(between).map(own).filter(Boolean);
+        const isHint = t => /\b(required|optional|select|choose|up to)\b/i.test(t);
+        const hint = texts.filter(isHint).pop() || '';
+        const label = texts.filter(t => !isHint(t) && !/₹|^step\s*\d/i.test(t)).pop() || '';
+
+        const type = inputs.some(i => i.type === 'checkbox') ? 'checkbox' : 'radio';
+        const range = hint.match(/select (\d+) to (\d+)/i);
+        const upTo = hint.match(/(?:up to|any) (\d+)/i);
+        const required = /required/i.test(hint) || (type === 'radio' && !/optional/i.test(hint));
+        return {
+            label,
+            type,
+            min: range ? Number(range[1]) : required ? 1 : 0,
+            max: range ? Number(range[2]) : upTo ? Number(upTo[1]) : type === 'radio' ? 1 : inputs.length,
+            options: inputs.map((input) => {
+                const price = textsIn(optionOf(input)).join(' ').replace(/,/g, '').match(/₹\s*(\d+(\.\d+)?)/);
+                return { name: nameOf(input), price: price ? Number(price[1]) : 0, checked: input.checked };
+            }),
+        };
+    });
+}
+
+// Runs in the page: "Step X out of Y" from the Continue button or the dialog text
+function readCustomizeStep(dialog, continueSelector) {
+    const button = dialog.querySelector(continueSelector);
+    const text = `${(button && button.getAttribute('aria-label')) || ''} ${dialog.innerText || ''}`;
+    const match = text.match(/step\s*(\d+)\s*(?:\/|out\s*of|of)\s*(\d+)/i);
+    return match ? { current: Number(match[1]), total: Number(match[2]) } : null;
+}
+
+class SwiggyAdapter extends SiteAdapter {
+    static get selectors() {
+        return SELECTORS;
+    }
+
+    // Cart markup read by getCart()
+    get cartSelectors() {
+        return {
+            item: SELECTORS.cartItem,
+            billRow: SELECTORS.billRow,
+            increment: SELECTORS.cartItemIncrement,
+            decrement: SELECTORS.cartItemDecrement,
+        };
+    }
+
+    // Dish card markup read by getResults() (search results and restaurant menus); the card's
+    // fields have no hooks of their own, so they are read from its text
+    get resultSelectors() {
+        return {
+            card: SELECTORS.resultCard,
+            name: { text: 'name' },
+            price: { text: 'price' },
+            rating: { text: 'rating' },
+            veg: { text: 'veg' },
+            target: SELECTORS.resultAdd,
+        };
+    }
+
+    // Dish and restaurant cards for the export; a restaurant card's rating and time share one line
+    get scrapeListings() {
+        return [
+            {
+                type: 'dish',
+                card: SELECTORS.resultCard,
+                fields: {
+                    name: { text: 'name' },
+                    restaurant: { text: 'restaurant' },
+                    price: { text: 'price' },
+                    rating: { text: 'rating' },
+                    veg: { text: 'veg' },
+                    deliveryTime: { text: 'deliveryTime' },
+                },
+            },
+            {
+                type: 'restaurant',
+                card: SELECTORS.restaurantCard,
+                fields: {
+                    name: { text: 'name' },
+                    rating: { text: 'rating' },
+                    deliveryTime: { text: 'deliveryTime' },
+                    cuisine: { text: 'subtitle' },
+                    url: 'a[href]',
+                },
+            },
+        ];
+    }
+
+    // Handle location selection (for Swiggy)
+    async setLocation() {
+        if (!this.config.requiresLocation) {
+            this.utils.log('Location not required for this site', 'info');
+            return true;
+        }
+
+        this.utils.log('Setting location...', 'step');
+
+        try {
+            // Wait a bit for page to stabilize
+            await this.utils.wait(2000);
+
+            // Click on location input to focus it
+            const locationInputClicked = await this.utils.clickElement(
+                [this.config.selectors.locationInput, this.config.selectors.locationInputAlt],
+                { heal: true }
+            );
+
+            if (!locationInputClicked) {
+                this.utils.log('Location input not found', 'warning');
+                return false;
+            }
+
+            await this.utils.wait(1000);
+
+            // Clear any existing text and type location
+            await this.page.keyboard.down('Control');
+            await this.page.keyboard.press('A');
+            await this.page.keyboard.up('Control');
+            await this.page.keyboard.press('Backspace');
+
+            await this.utils.wait(500);
+
+            // Type location slowly
+            await this.page.type(
+                this.config.selectors.locationInput,
+                this.config.defaultLocation,
+                { delay: 100 }
+            );
+
+            this.utils.log(`Typed location: ${this.config.defaultLocation}`, 'info');
+            await this.utils.wait(3000); // Wait for dropdown suggestions to appear
+
+            await this.utils.screenshot('02_location_dropdown');
+
+            // Click the first search result (not "Use my current location")
+            let clicked = false;
+            try {
+                // Wait for search results to appear
+                await this.utils.wait(1000);
+
+                // Click first result using evaluate
+                clicked = await this.page.evaluate(() => {
+                    // Get all clickable elements
+                    const allButtons = Array.from(document.querySelectorAll('div[role="button"]'));
+
+                    // Filter out "Use my current location" and click first actual location
+                    for (const button of allButtons) {
+                        const text = button.textContent.toLowerCase();
+                        // Skip if it's the "use current location" button
+                        if (text.includes('current location') || text.includes('detect')) {
+                            continue;
+                        }
+                        // Click first result that has actual location text
+                        if (text.length > 5) {
+                            button.click();
+                            return true;
+                        }
+                    }
+                    return false;
+                });
+
+                if (clicked) {
+                    this.utils.log('Clicked first search result', 'success');
+                }
+            } catch (error) {
+                this.utils.log(`Error clicking search result: ${error.message}`, 'warning');
+            }
+
+            if (!clicked) {
+                // Fallback: press Enter to select first suggestion
+                this.utils.log('Pressing Enter to select first suggestion', 'info');
+                await this.page.keyboard.press('Enter');
+            }
+
+            // Wait for location to be set and page to update
+            await this.utils.wait(5000);
+            await this.utils.screenshot('02_location_set');
+
+            // Close location dropdown if still open
+            await this.page.keyboard.press('Escape');
+            await this.utils.wait(1000);
+
+            this.location = this.config.defaultLocation;
+            this.utils.log('Location set successfully', 'success');
+
+            return true;
+        } catch (error) {
+            this.utils.log(`Location setting failed: ${error.message}`, 'error');
+            await this.utils.screenshot('error_location');
+            return false;
+        }
+    }
+
+    // Read cart count from topbar (Swiggy badge shows number)
+    async getCartCount() {
+        try {
+            const count = await this.page.evaluate(() => {
+                // Primary: number inside the /checkout link
+                const badge = document.querySelector('a[href*="/checkout"] span');
+                const txt = (badge?.innerText || badge?.textContent || '').trim();
+                const n = parseInt(txt, 10);
+                if (!isNaN(n)) return n;
+                // Fallback: any element near text 'Cart' with a number
+                const node = Array.from(document.querySelectorAll('a,span,div'))
+                  .find(el => /\bcart\b/i.test(el.innerText || ''));
+                if (node) {
+                    const m = (node.innerText || '').match(/(\d+)/);
+                    if (m) return parseInt(m[1], 10);
+                }
+                return 0;
+            });
+            return typeof count === 'number' && !isNaN(count) ? count : 0;
+        } catch { return 0; }
+    }
+
+    // Open cart from top bar (post-add)
+    async openCartTopbar() {
+        this.utils.log('Opening cart...', 'step');
+        try {
+            const clicked = await this.utils.clickElement([
+                this.config.selectors.cartIcon,
+                ...SELECTORS.cartLink,
+            ], { heal: true });
+            if (!clicked) {
+                this.utils.log('Cart button not found', 'warning');
+                return false;
+            }
+            await this.utils.wait(this.config.timing.pageLoad);
+            await this.utils.screenshot('07_cart_page');
+            this.utils.log('Opened cart page', 'success');
+            return true;
+        } catch (error) {
+            this.utils.log(`Open cart failed: ${error.message}`, 'warning');
+            await this.utils.screenshot('error_open_cart');
+            return false;
+        }
+    }
+
+    // Swiggy login flow (skip signup, just phone + OTP)
+    async fillAuthForm() {
+        this.utils.log('Using login form for Swiggy', 'info');
+
+        // Fill phone in login form
+        const signupLinkClicked = false;
+
+        if (signupLinkClicked) {
+        this.utils.log('Switched to signup form', 'success');
+        await this.utils.wait(2000);
+        await this.utils.screenshot('03_signup_form');
+
+        // Fill signup form
+        this.utils.log('Filling signup form...', 'info');
+
+        // Wait for form to load and stabilize
+        await this.utils.wait(2000);
+
+        // Get inputs ONLY from the modal, not the entire page
+        // Use a more specific selector to avoid selecting homepage location input
+        const modal = await this.page.$(SELECTORS.modal);
+        let inputs;
+
+        if (modal) {
+            inputs = await modal.$$(SELECTORS.formInput);
+            this.utils.log(`Found ${inputs.length} input fields in modal`, 'info');
+        } else {
+            // Fallback: try to get inputs from form element
+            this.utils.log('Modal not found, trying form element', 'warning');
+            const form = await this.page.$('form');
+            if (form) {
+                inputs = await form.$$(SELECTORS.formInput);
+                this.utils.log(`Found ${inputs.length} input fields in form`, 'info');
+            } else {
+                this.utils.log('Form not found either, using page inputs', 'warning');
+                inputs = await this.page.$$(SELECTORS.formInput);
+            }
+        }
+
+        // Fill phone number (first field in modal)
+        if (inputs && inputs.length >= 1) {
+            await inputs[0].click();
+            await this.utils.wait(200);
+            await inputs[0].type(this.config.signupData.phone, { delay: 50 });
+            this.utils.log(`Entered phone: ${this.config.signupData.phone}`, 'info');
+        }
+
+        // Fill name (second field) - all fields are already visible
+        if (inputs && inputs.length >= 2) {
+            await inputs[1].click();
+            await this.utils.wait(200);
+            await inputs[1].type(this.config.signupData.name, { delay: 50 });
+            this.utils.log(`Entered name: ${this.config.signupData.name}`, 'info');
+        }
+
+        // Fill email (third field)
+        if (inputs && inputs.length >= 3) {
+            await inputs[2].click();
+            await this.utils.wait(200);
+            await inputs[2].type(this.config.signupData.email, { delay: 50 });
+            this.utils.log(`Entered email: ${this.config.signupData.email}`, 'info');
+        }
+
+        await this.utils.wait(1000);
+        await this.utils.screenshot('03_signup_filled');
+
+        // Debug: capture current form HTML (truncated)
+        try {
+            const formPreview = await this.page.evaluate(() => {
+                const phone = document.querySelector('input[type="tel"], input[placeholder*="Phone" i]');
+                const form = (phone && phone.closest('form')) || document.querySelector('form');
+                return form ? form.outerHTML.slice(0, 1200) : 'NO_FORM';
+            });
+            this.utils.log(`Form HTML (pre-submit, first 1200 chars):\n${formPreview}`, 'info');
+        } catch {}
+
+        // Try hardware-grade click on CONTINUE using Chromium's mouse events (trusted)
+        let hardwareClicked = false;
+        try {
+            const handle = await this.page.evaluateHandle(() => {
+                const phone = document.querySelector('input[type="tel"], input[placeholder*="Phone" i]');
+                const form = phone && phone.closest('form');
+                if (!form) return null;
+                const nodes = Array.from(form.querySelectorAll('a, button, div, span'));
+                return nodes.find(el => ((el.innerText || el.textContent || '').trim().toUpperCase() === 'CONTINUE')) || null;
+            });
+            const el = handle && handle.asElement ? handle.asElement() : null;
+            if (el) {
+                const box = await el.boundingBox();
+                if (box) {
+                    const cx = box.x + box.width / 2;
+                    const cy = box.y + box.height / 2;
+                    await this.page.mouse.move(cx, cy);
+                    await this.page.mouse.down();
+                    await this.page.mouse.up();
+                    await this.utils.wait(200);
+                    // Quick OTP/network check
+                    try {
+                        await this.page.waitForResponse(r => /otp|one[-_]?time|verify/i.test(r.url()), { timeout: 1200 });
+                        hardwareClicked = true;
+                        this.utils.log('Submitted via hardware-grade click on CONTINUE', 'success');
+                    } catch {}
+                    // Fallback: try touchscreen tap if mouse click did not trigger
+                    if (!hardwareClicked) {
+                        try {
+                            await this.page.touchscreen.tap(cx, cy);
+                            await this.utils.wait(200);
+                            await this.page.waitForResponse(r => /otp|one[-_]?time|verify/i.test(r.url()), { timeout: 1200 });
+                            hardwareClicked = true;
+                            this.utils.log('Submitted via touchscreen tap on CONTINUE', 'success');
+                        } catch {}
+                    }
+                }
+            }
+        } catch {}
+
+        // Human-like first: focus phone and press Enter twice (only if hardware click did not trigger)
+        if (!hardwareClicked) this.utils.log('Submitting via human-like Enter x2...', 'info');
+        if (!hardwareClicked) {
+        await this.page.evaluate(() => {
+            const phone = document.querySelector('input[type="tel"], input[placeholder*="Phone" i]');
+            const form = phone && phone.closest('form');
+            if (!form) throw new Error('No form found');
+            // Remove referral button to avoid focus traps
+            try {
+                let referralBtn = form.querySelector('button.zGPvY') || Array.from(form.querySelectorAll('button')).find(b => (b.textContent || '').toLowerCase().includes('referral')) || null;
+                if (referralBtn && referralBtn.parentNode) referralBtn.parentNode.removeChild(referralBtn);
+            } catch {}
+            // Flush React state
+            Array.from(form.querySelectorAll('input')).forEach(el => {
+                try {
+                    el.dispatchEvent(new Event('input', { bubbles: true }));
+                    el.dispatchEvent(new Event('change', { bubbles: true }));
+                    el.dispatchEvent(new Event('blur', { bubbles: true }));
+                } catch {}
+            });
+            phone?.focus();
+        });
+        await this.page.keyboard.press('Enter');
+        await this.utils.wait(120);
+        await this.page.keyboard.press('Enter');
+        await this.page.evaluate(() => {
+            const phone = document.querySelector('input[type="tel"], input[placeholder*="Phone" i]');
+            if (!phone) return;
+            const opts = { bubbles: true, cancelable: true, key: 'Enter', code: 'Enter', which: 13, keyCode: 13 };
+            const fire = () => {
+                phone.dispatchEvent(new KeyboardEvent('keydown', opts));
+                phone.dispatchEvent(new KeyboardEvent('keypress', opts));
+                phone.dispatchEvent(new KeyboardEvent('keyup', opts));
+            };
+            fire();
+            setTimeout(fire, 80);
+        });
+        }
+
+        // Quick check: if OTP/network not detected shortly, try React-safe requestSubmit path
+        let enterTriggered = false;
+        try {
+            await this.page.waitForResponse(resp => /otp|one[-_]?time|verify/i.test(resp.url()), { timeout: 1500 });
+            enterTriggered = true;
+        } catch {}
+
+        if (!enterTriggered) {
+            this.utils.log('Enter x2 did not trigger OTP yet, using requestSubmit()', 'warning');
+            try {
+                await this.page.evaluate(() => {
+                    const phone = document.querySelector('input[type="tel"], input[placeholder*="Phone" i]');
+                    const form = (phone && phone.closest('form')) || document.querySelector('form');
+                    if (!form) throw new Error('No form found');
+                    const submitter = form.querySelector('input[type="submit"], button[type="submit"]');
+                    if (typeof form.requestSubmit === 'function') {
+                        submitter ? form.requestSubmit(submitter) : form.requestSubmit();
+                        setTimeout(() => { try { submitter ? form.requestSubmit(submitter) : form.requestSubmit(); } catch {} }, 0);
+                        try {
+                            const ev = new SubmitEvent('submit', { bubbles: true, cancelable: true, submitter: submitter || undefined });
+                            form.dispatchEvent(ev);
+                        } catch {}
+                    } else {
+                        const ev = new Event('submit', { bubbles: true, cancelable: true });
+                        if (form.dispatchEvent(ev)) form.submit();
+                    }
+                });
+                this.utils.log('Submitted signup form via requestSubmit()', 'success');
+            } catch {
+                this.utils.log('requestSubmit path failed unexpectedly', 'warning');
+            }
+        }
+
+        // Wait for either OTP input or a specific account-exists error near the auth UI
+        this.utils.log('Waiting for OTP or error...', 'info');
+        await this.utils.screenshot('03_after_continue');
+
+        // Strong signal: wait for OTP-related network call if present
+        try {
+            await this.page.waitForResponse(resp => {
+                const url = resp.url().toLowerCase();
+                return /otp|one[-_]?time|verify/.test(url);
+            }, { timeout: 8000 });
+            this.utils.log('Observed OTP-related network request', 'info');
+        } catch {}
+
+        // Debug: capture form HTML after submit
+        try {
+            const formPreviewPost = await this.page.evaluate(() => {
+                const container = document.querySelector('[role="dialog"], .modal, [class*="Modal"], form');
+                const form = container ? (container.querySelector('form') || container.closest('form')) : document.querySelector('form');
+                return form ? form.outerHTML.slice(0, 1200) : 'NO_FORM';
+            });
+            this.utils.log(`Form HTML (post-submit, first 1200 chars):\n${formPreviewPost}`, 'info');
+        } catch {}
+
+        // Debug: inspect auth container state right after submit
+        try {
+            const debugInfo = await this.page.evaluate(() => {
+                const container = document.querySelector('[role="dialog"], .modal, [class*="Modal"], form');
+                const form = container ? container.querySelector('form') || container.closest('form') : document.querySelector('form');
+                const text = container ? (container.innerText || '').slice(0, 400) : '';
+                const hasReferral = !!(container && Array.from(container.querySelectorAll('a, button, div, span')).some(el => /referral/i.test(el.textContent || '')));
+                const otpInputs = container ? Array.from(container.querySelectorAll('input')).filter(el => {
+                    const ml = el.getAttribute('maxlength');
+                    const hint = (el.getAttribute('autocomplete') || '') + ' ' + (el.getAttribute('aria-label') || '') + ' ' + (el.getAttribute('name') || '') + ' ' + (el.getAttribute('placeholder') || '');
+                    return /one-time-code|otp/i.test(hint) || ml === '1';
+                }).length : 0;
+                return {
+                    hasContainer: !!container,
+                    hasForm: !!form,
+                    snippet: text,
+                    hasReferral,
+                    otpInputsCount: otpInputs,
+                };
+            });
+            this.utils.log(`Auth UI — container:${debugInfo.hasContainer} form:${debugInfo.hasForm} referral:${debugInfo.hasReferral} otpInputs:${debugInfo.otpInputsCount}`, 'info');
+        } catch {}
+
+        let otpVisible = false;
+        let existsError = false;
+
+        // Prefer robust OTP detection within auth container
+        try {
+            await this.page.waitForFunction(() => {
+                const container = document.querySelector('[role="dialog"], .modal, [class*="Modal"], form');
+                if (!container) return false;
+
+                // Common OTP patterns
+                const otpSelectors = [
+                    'input[autocomplete="one-time-code"]',
+                    'input[aria-label*="otp" i]',
+                    'input[name*="otp" i]',
+                    'input[placeholder*="otp" i]'
+                ];
+
+                // Direct selector match
+                if (otpSelectors.some(sel => container.querySelector(sel))) return true;
+
+                // Group of 4-6 single-char inputs (often type="tel" or text with maxlength=1)
+                const candidates = Array.from(container.querySelectorAll('input'))
+                    .filter(el => {
+                        const ml = el.getAttribute('maxlength');
+                        return ml === '1' || (ml === null && (el.type === 'tel' || el.type === 'text'));
+                    });
+                if (candidates.length >= 4 && candidates.length <= 6) return true;
+
+                return false;
+            }, { timeout: 12000 });
+            otpVisible = true;
+        } catch {}
+
+        if (!otpVisible) {
+            // Look for a specific error text within the auth modal/form only
+            existsError = await this.page.evaluate(() => {
+                const container = document.querySelector('[role="dialog"], .modal, [class*="Modal"], form');
+                if (!container) return false;
+                const text = container.innerText || '';
+                return /mobile number already exists/i.test(text) || /account already exists/i.test(text);
+            });
+        }
+
+        this.utils.log(`OTP visible: ${otpVisible} | Account exists error: ${existsError}`, 'info');
+
+        // If nothing happened, simulate a real user Enter key once
+        if (!otpVisible && !existsError) {
+            this.utils.log('No OTP or error yet, safe Enter nudge or resubmit...', 'warning');
+            try {
+                const action = await this.page.evaluate(() => {
+                    const phone = document.querySelector('input[type="tel"], input[placeholder*="Phone" i]');
+                    const form = phone && phone.closest('form');
+                    if (!form) return 'no-form';
+                    if (document.activeElement !== phone) phone?.focus();
+                    if (form.checkValidity && !form.checkValidity()) return 'resubmit';
+                    return document.activeElement === phone ? 'press-enter' : 'resubmit';
+                });
+                if (action === 'press-enter') {
+                    // Press Enter twice with a short delay
+                    await this.page.keyboard.press('Enter');
+                    await this.utils.wait(120);
+                    await this.page.keyboard.press('Enter');
+                    await this.page.evaluate(() => {
+                        const phone = document.querySelector('input[type="tel"], input[placeholder*="Phone" i]');
+                        if (!phone) return;
+                        const opts = { bubbles: true, cancelable: true, key: 'Enter', code: 'Enter', which: 13, keyCode: 13 };
+                        const fire = () => {
+                            phone.dispatchEvent(new KeyboardEvent('keydown', opts));
+                            phone.dispatchEvent(new KeyboardEvent('keypress', opts));
+                            phone.dispatchEvent(new KeyboardEvent('keyup', opts));
+                        };
+                        fire();
+                        setTimeout(fire, 80);
+                    });
+                    // Last resort: focus CONTINUE anchor and press Enter twice
+                    try {
+                        const focused = await this.page.evaluate(() => {
+                            const phone = document.querySelector('input[type="tel"], input[placeholder*="Phone" i]');
+                            const form = phone && phone.closest('form');
+                            if (!form) return false;
+                            let cont = form.querySelector('div._1cmcE a.lyOGZ') || form.querySelector('a.lyOGZ') || null;
+                            if (!cont) return false;
+                            if (!cont.hasAttribute('tabindex')) cont.setAttribute('tabindex','0');
+                            cont.focus();
+                            return document.activeElement === cont;
+                        });
+                        if (focused) {
+                            await this.page.keyboard.press('Enter');
+                            await this.utils.wait(120);
+                            await this.page.keyboard.press('Enter');
+                        }
+                    } catch {}
+                } else if (action === 'resubmit') {
+                    await this.page.evaluate(() => {
+                        const phone = document.querySelector('input[type="tel"], input[placeholder*="Phone" i]');
+                        const form = phone && phone.closest('form');
+                        if (form) form.requestSubmit();
+                    });
+                }
+            } catch {}
+
+            // Re-check quickly
+            try {
+                await this.page.waitForSelector(this.config.selectors.otpInput || SELECTORS.otpInput, { timeout: 6000, visible: true });
+                otpVisible = true;
+            } catch {}
+
+            if (!otpVisible) {
+                existsError = await this.page.evaluate(() => {
+                    const container = document.querySelector('[role="dialog"], .modal, [class*="Modal"], form');
+                    if (!container) return false;
+                    const text = container.innerText || '';
+                    return /mobile number already exists/i.test(text) || /account already exists/i.test(text);
+                });
+            }
+
+            this.utils.log(`Post-Enter check — OTP: ${otpVisible}, Exists error: ${existsError}`, 'info');
+        }
+
+        if (existsError && !otpVisible) {
+            this.utils.log('Account already exists, switching to signin...', 'warning');
+
+            // Click "login to your account" or similar link
+            const loginLinkClicked = await this.utils.clickElement(SELECTORS.loginLink);
+
+            if (loginLinkClicked) {
+                await this.utils.wait(2000);
+                await this.utils.screenshot('03_switched_to_login');
+
+                // Fill phone number in login form using modal-scoped approach
+                const loginModal = await this.page.$(SELECTORS.modal);
+                let loginInputs;
+
+                if (loginModal) {
+                    loginInputs = await loginModal.$$(SELECTORS.formInput);
+                    this.utils.log(`Found ${loginInputs.length} input fields in login modal`, 'info');
+                } else {
+                    // Fallback to form-based selection
+                    const form = await this.page.$('form');
+                    if (form) {
+                        loginInputs = await form.$$(SELECTORS.formInput);
+                        this.utils.log(`Found ${loginInputs.length} input fields in form`, 'info');
+                    }
+                }
+
+                // Fill phone number (first input)
+                if (loginInputs && loginInputs.length >= 1) {
+                    await loginInputs[0].click();
+                    await this.utils.wait(200);
+                    await loginInputs[0].type(this.config.signupData.phone, { delay: 50 });
+                    this.utils.log(`Entered phone in login: ${this.config.signupData.phone}`, 'info');
+                }
+
+                // Click LOGIN button using form submit
+                await this.utils.wait(1000);
+                await this.page.evaluate(() => {
+                    const form = document.querySelector('form');
+                    if (form) form.requestSubmit();
+                });
+                this.utils.log('Submitted login form', 'success');
+
+                await this.utils.wait(2000);
+                await this.utils.screenshot('03_otp_screen');
+            }
+        }
+        } else {
+            // Swiggy login (no signup)
+            this.utils.log('Filling login form for Swiggy', 'info');
+
+        // Fill phone in login form (use Puppeteer typing to satisfy React validation)
+        try {
+            const phoneSelectors = SELECTORS.phoneInput;
+            let phoneSel = null;
+            for (const sel of phoneSelectors) {
+                const exists = await this.utils.elementExists(sel, 3000);
+                if (exists) { phoneSel = sel; break; }
+            }
+            if (!phoneSel) {
+                this.utils.log('Login phone input not found', 'warning');
+            } else {
+                // Focus and clear any existing text, then type
+                await this.page.click(phoneSel);
+                await this.page.keyboard.down('Control');
+                await this.page.keyboard.press('A');
+                await this.page.keyboard.up('Control');
+                await this.page.keyboard.press('Backspace');
+                await this.utils.wait(100);
+                await this.page.type(phoneSel, this.config.signupData.phone, { delay: 50 });
+                // Blur to trigger React validation
+                try {
+                    await this.page.evaluate((sel) => {
+                        const el = document.querySelector(sel);
+                        if (!el) return;
+                        el.dispatchEvent(new Event('input', { bubbles: true }));
+                        el.dispatchEvent(new Event('change', { bubbles: true }));
+                        el.blur();
+                    }, phoneSel);
+                } catch {}
+                this.utils.log(`Entered phone in login: ${this.config.signupData.phone}`, 'info');
+
+                // Click LOGIN button scoped to the same form using hardware-grade click
+                let clicked = false;
+                try {
+                    const handle = await this.page.evaluateHandle((sel) => {
+                        const input = document.querySelector(sel);
+                        const form = input && input.closest('form');
+                        if (!form) return null;
+                        const nodes = Array.from(form.querySelectorAll('button, a, div, span'));
+                        return nodes.find(el => ((el.innerText || el.textContent || '').trim().toUpperCase() === 'LOGIN')) || null;
+                    }, phoneSel);
+                    const el = handle && handle.asElement ? handle.asElement() : null;
+                    if (el) {
+                        const box = await el.boundingBox();
+                        if (box) {
+                            const cx = box.x + box.width / 2;
+                            const cy = box.y + box.height / 2;
+                            await this.page.mouse.move(cx, cy);
+                            await this.page.mouse.down();
+                            await this.page.mouse.up();
+                            clicked = true;
+                        }
+                    }
+                } catch {}
+
+                if (!clicked) {
+                    // Fallback: submit the scoped form
+                    try {
+                        await this.page.evaluate((sel) => {
+                            const input = document.querySelector(sel);
+                            const form = input && input.closest('form');
+                            if (form && typeof form.requestSubmit === 'function') form.requestSubmit();
+                        }, phoneSel);
+                    } catch {}
+                }
+
+                await this.utils.wait(2000);
+            }
+        } catch (e) {
+            this.utils.log(`Login form typing failed: ${e.message}`, 'warning');
+        }
+        }
+    }
+
+    async enterSearchTerm(searchTerm) {
+        // Extra wait to ensure location is fully set
+        await this.utils.wait(2000);
+
+        let typed = false;
+        // Prefer direct homepage search for Swiggy (supports DIV opener -> input flow)
+        this.utils.log('Opening search...', 'info');
+        try {
+            // 1) Click the opener DIV if present (has the text label)
+            let opener = null;
+            try {
+                const openerHandle = await this.page.evaluateHandle(() => {
+                    const visible = el => { const r=el.getBoundingClientRect(); const s=getComputedStyle(el); return r.width>0&&r.height>0&&s.visibility!=='hidden'&&s.display!=='none'; };
+                    const textOf = el => ((el.innerText||el.textContent||'').trim().toLowerCase());
+                    const nodes = Array.from(document.querySelectorAll('div,button,a,span')).filter(visible);
+                    return nodes.find(el => textOf(el) === 'search for restaurant, item or more') || null;
+                });
+                opener = openerHandle && openerHandle.asElement ? openerHandle.asElement() : null;
+            } catch {}
+            if (opener) {
+                try { await opener.click(); } catch {}
+            }
+
+            // 2) Wait for the real input to be visible (overlay or page)
+            const inputSelector = SELECTORS.searchInput;
+            try {
+                await this.page.waitForSelector(inputSelector, { timeout: 5000, visible: true });
+            } catch {}
+
+            // 3) Focus the input and type
+            const handle = await this.page.$(inputSelector);
+            if (!handle) throw new Error('Search input not found');
+            await handle.click();
+            await this.utils.wait(120);
+            await this.page.keyboard.down('Control');
+            await this.page.keyboard.press('A');
+            await this.page.keyboard.up('Control');
+            await this.page.keyboard.press('Backspace');
+            await this.page.keyboard.type(searchTerm, { delay: 70 });
+            await this.page.keyboard.press('Enter');
+            typed = true;
+        } catch (e) {
+            this.utils.log(`Search focus failed: ${e.message}`, 'warning');
+        }
+        if (!typed) { this.utils.log('Failed to search', 'error'); return false; }
+        return typed;
+    }
+
+    // Dynamic, step-based customization handling (also handles no-customization final Add).
+    // Options come from the customization preferences (config.js, --choose, --fallback).
+    async customize() {
+        // Briefly poll for modal or direct final Add for up to ~2s
+        await this.utils.wait(600);
+        let modalPresent = false;
+        for (let i = 0; i < 4; i++) {
+            modalPresent = await this.page.evaluate(sel => !!document.querySelector(sel), SELECTORS.customizeDialog);
+            if (modalPresent) break;
+            // If final Add button exists without steps, click it directly
+            const quickAdd = await this.page.$(SELECTORS.customizeAdd);
+            if (quickAdd) {
+                this.assertChoicesApplied(new Set());
+                await quickAdd.click();
+                await this.utils.wait(900);
+                this.warnUnusedChoices(new Set());
+                return true;
+            }
+            await this.utils.wait(350);
+        }
+        if (modalPresent) {
+            this.utils.log('Food customization detected', 'info');
+            await this.utils.screenshot('05_food_customization_step1');
+
+            let completed = false;
+            const usedChoices = new Set();
+            for (let step = 0; step < 6 && !completed; step++) {
+                // Choose this step's options: customization preferences first, the fallback policy for the rest
+                const chose = await this.chooseCustomizationStep(step, usedChoices);
+
+                // Prefer the official Continue button if present
+                let continued = false;
+                try {
+                    const h = await this.page.$(SELECTORS.customizeContinue);
+                    if (h) { await h.click(); continued = true; }
+                } catch {}
+                if (continued) { await this.utils.wait(900); continue; }
+
+                // If Continue not visible, try to click Add Item to cart (final step), but not with a
+                // --choose entry still unapplied
+                this.assertChoicesApplied(usedChoices);
+                let clickedFinal = false;
+                try {
+                    const addBtn = await this.page.$(SELECTORS.customizeAdd);
+                    if (addBtn) { await addBtn.click(); clickedFinal = true; }
+                    else {
+                        const h = await this.page.evaluateHandle(() => {
+                            const dlg = document.querySelector('[role="dialog"], .modal, [class*="Modal"], #customise-content');
+                            if (!dlg) return null;
+                            const visible = el => { const r=el.getBoundingClientRect(); const s=getComputedStyle(el); return r.width>0&&r.height>0&&s.visibility!=='hidden'&&s.display!=='none'; };
+                            const byText = Array.from(dlg.querySelectorAll('button, [role="button"], span, div')).find(el => visible(el) && /\badd\s*item\s*to\s*cart\b/i.test((el.innerText||el.textContent||'')));
+                            const t = byText ? (byText.closest('button') || byText) : null;
+                            if (t) t.scrollIntoView({block:'center'});
+                            return t;
+                        });
+                        const el = h && h.asElement ? h.asElement() : null;
+                        if (el) { await el.click(); clickedFinal = true; }
+                    }
+                } catch {}
+                if (clickedFinal) { await this.utils.wait(1200); completed = true; break; }
+
+                // Groups that could not be read: pick the first visible radio then loop again
+                try {
+                    if (!chose) this.utils.log(`Step ${step + 1} · no readable option groups, choosing the first option [fallback]`, 'warning');
+                    const picked = !chose && await this.page.evaluate(() => {
+                        const dlg = document.querySelector('[role="dialog"], .modal, [class*="Modal"], #customise-content');
+                        if (!dlg) return false;
+                        const visible = el => { const r=el.getBoundingClientRect(); const s=getComputedStyle(el); return r.width>0&&r.height>0&&s.visibility!=='hidden'&&s.display!=='none'; };
+                        const radios = Array.from(dlg.querySelectorAll('input[type="radio"]')).filter(visible);
+                        const r = radios.find(x => !x.checked) || radios[0];
+                        if (r) { r.click(); return true; }
+                        return false;
+                    });
+                    if (picked) { await this.utils.wait(400); continue; }
+                } catch {}
+
+                // Last-resort: click any primary-looking footer button
+                try {
+                    const anyBtn = await this.page.evaluateHandle(() => {
+                        const dlg = document.querySelector('[role="dialog"], .modal, [class*="Modal"], #customise-content');
+                        if (!dlg) return null;
+                        return Array.from(dlg.querySelectorAll('button')).find(b => /continue|add/i.test(b.innerText||'')) || null;
+                    });
+                    const el = anyBtn && anyBtn.asElement ? anyBtn.asElement() : null;
+                    if (el) { await el.click(); await this.utils.wait(800); }
+                } catch {}
+            }
+
+            // Final attempt to click Add Item to cart by config selectors
+            if (!completed) {
+                await this.utils.clickElement([
+                    this.config.selectors.addToCartCustomize,
+                    this.config.selectors.addToCartAlt,
+                ]);
+                await this.utils.wait(1200);
+            }
+
+            this.warnUnusedChoices(usedChoices);
+            this.utils.log('Customization completed', 'success');
+            return true;
+        }
+        this.assertChoicesApplied(new Set());
+        this.warnUnusedChoices(new Set());
+    }
+
+    // Choose the options of the customization step on screen and log them per "Step X/Y".
+    // Returns false when the dialog has no readable option groups; throws when a preference cannot be met.
+    async chooseCustomizationStep(step, usedChoices) {
+        const dialog = await this.page.$(SELECTORS.customizeDialog);
+        if (!dialog) {
+            return false;
+        }
+        try {
+            const groups = await dialog.evaluate(customizeGroups, null);
+            if (groups.length === 0) {
+                return false;
+            }
+            const position = await dialog.evaluate(readCustomizeStep, SELECTORS.customizeContinue);
+            const label = position ? `Step ${position.current}/${position.total}` : `Step ${step + 1}`;
+            for (const [index, group] of groups.entries()) {
+                const { names, source, key } = planGroup(group, this.automation.customization);
+                if (key !== undefined) usedChoices.add(key);
+                const chosen = await dialog.evaluate(customizeGroups, { index, names });
+                if (chosen.length !== names.length || !names.every(n => chosen.includes(n))) {
+                    throw new Error(`${group.label}: tried to choose ${names.join(', ') || 'nothing'}, the dialog shows ${chosen.join(', ') || 'nothing'}`);
+                }
+                this.utils.log(`${label} · ${describeChoice(group, chosen)} [${source}]`, 'info');
+            }
+            await this.utils.wait(300);
+            return true;
+        } finally {
+            await dialog.dispose();
+        }
+    }
+
+    // A --choose entry (or a batch scenario's `choose`) names a group of this dish: adding the
+    // dish without applying it fails the step instead
+    assertChoicesApplied(usedChoices) {
+        const missing = this.automation.requiredChoices.filter(k => !usedChoices.has(k));
+        if (missing.length) {
+            throw new Error(`No customization group matched ${missing.map(k => `"${k}"`).join(', ')}`);
+        }
+    }
+
+    // Site-wide preferences from config.js meet many dishes, so the ones this dish has no group for are only reported
+    warnUnusedChoices(usedChoices) {
+        const unused = Object.keys(this.automation.customization.choose)
+            .filter(k => !usedChoices.has(k) && !this.automation.requiredChoices.includes(k));
+        if (unused.length) {
+            this.utils.log(`No customization group matched: ${unused.join(', ')}`, 'warning');
+        }
+    }
+
+    // Add the picked dish once more. A customized dish asks "Repeat last used customization?":
+    // via 'repeat' answers Repeat, via 'choose' answers I'll choose and walks the dialog again.
+    // Needs the picked card: the first ADD on the page may be another dish.
+    async addAgain(via) {
+        if (!this.lastPicked) {
+            throw new Error('No picked dish to add again; use --quantity-via cart');
+        }
+        const before = await this.getCartCount();
+        if (!(await this.clickPicked(this.lastPicked))) {
+            throw new Error('Could not click ADD again');
+        }
+        await this.utils.wait(1000);
+        const repeated = await this.answerRepeatPrompt(via);
+        if (!repeated && !(await this.handleCustomization())) {
+            throw new Error('Customization failed while adding the dish again');
+        }
+        await this.utils.wait(800);
+        const after = await this.getCartCount();
+        if (after <= before) {
+            throw new Error(`Cart count did not increase (before=${before}, after=${after})`);
+        }
+        return true;
+    }
+
+    // Answer the "Repeat last used customization?" prompt if it is showing; true when the
+    // last customization was repeated (no customization dialog follows)
+    async answerRepeatPrompt(via, timeout = 2000) {
+        if (!(await this.utils.elementExists(SELECTORS.repeatPrompt, timeout))) {
+            return false;
+        }
+        const answer = via === 'choose' ? "I'll choose" : 'Repeat';
+        this.utils.log(`Repeat customization prompt: ${answer}`, 'info');
+        if (!(await this.utils.clickElement(via === 'choose' ? SELECTORS.repeatChoose : SELECTORS.repeatLast))) {
+            throw new Error(`Could not click "${answer}" on the repeat customization prompt`);
+        }
+        await this.utils.wait(1000);
+        return via !== 'choose';
+    }
+
+    // Accept "Items already in cart" (the cart is locked to another restaurant) if it is showing;
+    // true when the old cart was dropped
+    async answerReplaceCartPrompt(timeout = 1000) {
+        if (!(await this.utils.elementExists(SELECTORS.replaceCartPrompt, timeout))) {
+            return false;
+        }
+        this.utils.log('Cart holds items from another restaurant: starting afresh', 'warning');
+        if (!(await this.utils.clickElement(SELECTORS.replaceCartYes))) {
+            throw new Error('Could not click "Yes, start afresh" on the replace cart prompt');
+        }
+        await this.utils.wait(1000);
+        return true;
+    }
+
+    // Retry ADD on the picked dish (or the first ADD when nothing was picked)
+    async clickAddAgain(picked) {
+        if (picked) {
+            return this.clickPicked(picked);
+        }
+        return this.utils.clickElement([
+            this.config.selectors.addButton,
+            this.config.selectors.addButtonAlt,
+        ]);
+    }
+
+    async addItemToCart() {
+        // Ensure search/menu results are rendered
+        try { await this.page.waitForFunction(() => !!document.querySelector('[data-testid*="dish" i], [data-testid*="normal-dish" i], [data-testid*="grid" i]'), { timeout: 4000 }); } catch {}
+        await this.utils.wait(800);
+        // Capture initial cart count to verify increment later
+        let preCount = await this.getCartCount();
+        // ADD on the dish the pick strategy chooses (config.js `pick`, --pick); the first dish by default
+        let picked = await this.pickResult();
+        let clicked = picked ? await this.clickPicked(picked) : false;
+        // A strategy must not fall back to whatever ADD button comes first
+        const anyAdd = !this.hasPickStrategy;
+
+        // Try to locate a visible 'ADD' control anywhere (search results or menu)
+        try {
+            // Attempt multiple scroll chunks to surface buttons
+            for (let i = 0; i < 4 && !clicked && anyAdd; i++) {
+                const handle = await this.page.evaluateHandle(() => {
+                    const visible = (el) => {
+                        if (!el) return false;
+                        const r = el.getBoundingClientRect();
+                        const st = window.getComputedStyle(el);
+                        if (st.visibility === 'hidden' || st.display === 'none' || st.opacity === '0') return false;
+                        return r.width > 0 && r.height > 0;
+                    };
+                    const textOf = (el) => ((el.innerText || el.textContent || '').trim());
+                    // Prefer Add buttons inside dish cards
+                    const dishContainers = Array.from(document.querySelectorAll('[data-testid*="dish" i], [data-testid*="normal-dish" i]'));
+                    let candidates = [];
+                    for (const c of dishContainers) {
+                        candidates.push(...Array.from(c.querySelectorAll('button, div[role="button"], div, a, span')));
+                    }
+                    if (candidates.length === 0) {
+                        candidates = Array.from(document.querySelectorAll('button, div[role="button"], div, a, span'));
+                    }
+                    // Strategy: choose the BUTTON with class *add-button-center-container* or ancestor BUTTON of a node with text 'ADD'/'Add'
+                    let btn = Array.from(document.querySelectorAll('button')).find(b => /add-button-center-container/i.test(b.className)) || null;
+                    if (!btn) {
+                        const labelNode = candidates.find(el => {
+                            const t = textOf(el);
+                            if (!t) return false;
+                            const tl = t.toLowerCase();
+                            if (tl === 'more details') return false;
+                            return tl === 'add' || tl === 'add item' || tl === 'add to cart';
+                        });
+                        if (labelNode) btn = labelNode.closest('button');
+                    }
+                    if (btn && !visible(btn)) { btn = null; }
+                    if (btn) { btn.scrollIntoView({ block: 'center' }); }
+                    if (btn) { btn.scrollIntoView({ block: 'center' }); }
+                    return btn;
+                });
+                const el = handle && handle.asElement ? handle.asElement() : null;
+                if (el) {
+                    const box = await el.boundingBox();
+                    if (box) {
+                        const cx = box.x + box.width / 2;
+                        const cy = box.y + box.height / 2;
+                        await this.page.mouse.move(cx, cy);
+                        await this.page.mouse.down();
+                        await this.page.mouse.up();
+                        clicked = true;
+                    } else {
+                        await el.click();
+                        clicked = true;
+                    }
+                } else {
+                    // Scroll to reveal more results
+                    await this.page.evaluate(() => window.scrollBy(0, 600));
+                    await this.utils?.wait?.(400);
+                }
+            }
+        } catch {}
+
+        // Fallback to simple selectors if hardware scan didn't click
+        if (!clicked && anyAdd) {
+            clicked = await this.utils.clickElement([
+                this.config.selectors.addButton,
+                this.config.selectors.addButtonAlt,
+                ...SELECTORS.addButton,
+            ]);
+        }
+
+        if (!clicked) {
+            // Likely on search/listing page; open first restaurant and then add
+            this.utils.log('ADD not found on current page, opening first restaurant...', 'info');
+            let opened = await this.utils.clickElement(SELECTORS.restaurantLink);
+            if (!opened) {
+                // Fallback: click first card-looking link
+                try {
+                    const handle = await this.page.evaluateHandle(() => {
+                        const visible = el => {
+                            const r = el.getBoundingClientRect();
+                            const st = window.getComputedStyle(el);
+                            return r.width > 0 && r.height > 0 && st.visibility !== 'hidden' && st.display !== 'none';
+                        };
+                        return Array.from(document.querySelectorAll('a'))
+                            .filter(visible)
+                            .find(a => /restaurant/i.test((a.innerText || a.textContent || '')) || /\/restaurants\//.test(a.getAttribute('href') || '')) || null;
+                    });
+                    const el = handle && handle.asElement ? handle.asElement() : null;
+                    if (el) {
+                        await el.click();
+                        opened = true;
+                    }
+                } catch {}
+            }
+
+            if (!opened) {
+                this.utils.log('Could not open a restaurant from search results', 'error');
+                return false;
+            }
+
+            await this.utils.wait(this.config.timing.pageLoad);
+            await this.utils.screenshot('05_restaurant_menu');
+
+            // Now try clicking ADD on the menu
+            picked = await this.pickResult();
+            if (picked) {
+                clicked = await this.clickPicked(picked);
+            } else if (anyAdd) {
+                clicked = await this.utils.clickElement([
+                    this.config.selectors.addButton,
+                    this.config.selectors.addButtonAlt,
+                ]);
+            }
+            if (!clicked) {
+                this.utils.log('Failed to click ADD button after opening restaurant', 'error');
+                return false;
+            }
+        }
+
+        await this.utils.wait(2000);
+
+        // The cart holds dishes from another restaurant: start afresh with this one
+        if (await this.answerReplaceCartPrompt()) {
+            preCount = 0;
+        }
+
+        // The dish is already in the cart: choose afresh, so the customization preferences apply
+        await this.answerRepeatPrompt('choose', 500);
+
+        // If a details dialog opened instead of customization, click ADD inside the dialog
+        try {
+            const hadDetails = await this.page.evaluate(() => {
+                const dlg = document.querySelector('[role="dialog"], .modal, [class*="Modal"]');
+                if (!dlg) return false;
+                const txt = (dlg.innerText || '').toLowerCase();
+                // Details dialog often has big image + an ADD on bottom-right
+                const addBtn = Array.from(dlg.querySelectorAll('button, [role="button"], div, a, span')).find(el => /\badd\b/i.test((el.innerText||el.textContent||'').trim()));
+                if (addBtn) { (addBtn instanceof HTMLElement) && addBtn.click(); return true; }
+                return false;
+            });
+            if (hadDetails) {
+                await this.utils.wait(1200);
+            }
+        } catch {}
+
+        // Handle customization; a preference that cannot be met fails the add
+        if (!(await this.handleCustomization())) {
+            this.utils.log('Customization failed, item not added as asked', 'error');
+            return false;
+        }
+
+        // Verify add actually happened; if not, try final Add once
+        await this.utils.wait(800);
+        let addedOk = false;
+        try {
+            addedOk = await this.page.evaluate(() => {
+                // Header cart count > 0
+                const header = document.querySelector('a[href*="/checkout"] span');
+                const txt = (header?.innerText || header?.textContent || '').trim();
+                const n = parseInt(txt, 10);
+                if (!isNaN(n) && n > 0) return true;
+                // Any mini cart/quantity control visible near an added item
+                return !!Array.from(document.querySelectorAll('button,div')).find(el => /\badded\b|\bqty\b|\bitem added\b/i.test(el.innerText || ''));
+            });
+        } catch {}
+
+        if (!addedOk) {
+            // Try clicking modal Add if present, else re-click ADD on the card
+            try {
+                const addInModal = await this.page.$(SELECTORS.customizeAdd);
+                if (addInModal) { await addInModal.click(); await this.utils.wait(1000); }
+                else {
+                    await this.clickAddAgain(picked);
+                    await this.utils.wait(1000);
+                }
+            } catch {}
+        }
+
+        // Final sanity: cart count should increase
+        try {
+            const postCount = await this.getCartCount();
+            if (typeof postCount === 'number' && postCount <= preCount) {
+                this.utils.log(`Cart count did not increase (before=${preCount}, after=${postCount}). Retrying add once...`, 'warning');
+                // One retry: click final Add in modal or card ADD
+                const addInModal = await this.page.$(SELECTORS.customizeAdd);
+                if (addInModal) { await addInModal.click(); await this.utils.wait(1000); }
+                else {
+                    await this.clickAddAgain(picked);
+                    await this.utils.wait(1000);
+                }
+            }
+        } catch {}
+
+        // --quantity: add the dish again or use the cart steppers
+        await this.reachQuantity(picked ? { name: picked.candidate.name, url: picked.candidate.url } : null);
+
+        await this.utils.screenshot('06_cart');
+        this.utils.log('Item added to cart successfully', 'success');
+        return true;
+    }
+
+    // Open cart from top bar after adding
+    async openCart() {
+        return this.openCartTopbar();
+    }
+}
+
+module.exports = SwiggyAdapter;
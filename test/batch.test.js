@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadScenarios, parseCsv, validateScenario, expectationSteps, formatSummary } = require('../lib/batch');
+const sites = require('../config');
+
+function tempFile(t, name, text) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'batch-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const file = path.join(dir, name);
+    fs.writeFileSync(file, text);
+    return file;
+}
+
+test('CSV fields may be quoted, hold commas, quotes and newlines, and use CRLF', () => {
+    assert.deepEqual(parseCsv('a,b,c\r\n"x, y","say ""hi""","two\nlines"\r\n'), [
+        ['a', 'b', 'c'],
+        ['x, y', 'say "hi"', 'two\nlines'],
+    ]);
+    assert.deepEqual(parseCsv('site,searchTerm\n# a comment\n\n,\nswiggy,pizza'), [['site', 'searchTerm'], ['swiggy', 'pizza']]);
+});
+
+test('CSV columns become scenario fields, picks, choices and expectations', (t) => {
+    const file = tempFile(t, 'runs.csv', [
+        'site,auth,searchTerm,reuseSession,pick.veg,choose.Toppings,lenses.maxPrice,expect.text,expect.cartItem,expect.cartQty',
+        'swiggy,none,pizza,,true,Extra Cheese|Olives,,Margherita | Pizza Palace,/pizza/i,2',
+        'lenskart,signin,sunglasses,yes,,,1500,,,',
+    ].join('\n'));
+    assert.deepEqual(loadScenarios(file), [
+        {
+            site: 'swiggy', auth: 'none', searchTerm: 'pizza',
+            pick: { veg: 'true' },
+            choose: { Toppings: ['Extra Cheese', 'Olives'] },
+            expect: { text: ['Margherita', 'Pizza Palace'], cart: { items: [{ name: '/pizza/i', quantity: 2 }] } },
+        },
+        { site: 'lenskart', auth: 'signin', searchTerm: 'sunglasses', reuseSession: true, lenses: { maxPrice: '1500' } },
+    ]);
+});
+
+test('JSON defaults apply to every scenario and merge into its picks and expectations', (t) => {
+    const file = tempFile(t, 'runs.json', JSON.stringify({
+        defaults: { site: 'swiggy', auth: 'none', pick: { veg: true }, expect: { url: '/checkout' } },
+        scenarios: [{ searchTerm: 'pizza', pick: { name: 'Margherita' } }, { site: 'lenskart', searchTerm: 'sunglasses', expect: { text: 'Aviator' } }],
+    }));
+    const [pizza, glasses] = loadScenarios(file);
+    assert.deepEqual(pizza.pick, { veg: true, name: 'Margherita' });
+    assert.equal(glasses.site, 'lenskart');
+    assert.deepEqual(glasses.expect, { url: '/checkout', text: 'Aviator' });
+    assert.throws(() => loadScenarios(tempFile(t, 'bad.json', '{ "runs": [] }')), /must hold a list of scenarios/);
+    assert.throws(() => loadScenarios(tempFile(t, 'broken.json', '[{')), /is not valid JSON/);
+});
+
+test('scenarios are checked before the browser starts', () => {
+    const ok = { site: 'swiggy', auth: 'none', searchTerm: 'pizza' };
+    assert.doesNotThrow(() => validateScenario(ok, 0, sites));
+    const cases = [
+        [{ ...ok, colour: 'red' }, /Scenario 1: unknown field\(s\) colour/],
+        [{ ...ok, expect: { title: 'x' } }, /unknown expectation\(s\) title/],
+        [{ ...ok, site: 'amazon' }, /unknown site "amazon"\. Available: lenskart, swiggy/],
+        [{ ...ok, auth: 'maybe' }, /auth must be one of/],
+        [{ ...ok, reuseSession: true }, /reuseSession cannot be combined with auth none/],
+        [{ ...ok, flow: 'wishlist' }, /flow "wishlist" is not defined for Swiggy/],
+        [{ site: 'swiggy', auth: 'none' }, /flow "default" needs a searchTerm/],
+        [{ ...ok, pick: { index: 0 } }, /pick: index must be a whole number/],
+        [{ ...ok, quantity: 0 }, /quantity must be a whole number >= 1/],
+        [{ ...ok, otp: 'sms' }, /Unknown OTP provider "sms"/],
+        [{ ...ok, expect: { cart: { totl: 5 } } }, /expect\.cart: unknown key\(s\) totl/],
+        [{ ...ok, name: 'late', expect: { status: 'maybe' } }, /Scenario 1 \(late\): expect\.status must be passed or failed/],
+    ];
+    for (const [scenario, message] of cases) {
+        assert.throws(() => validateScenario(scenario, 0, sites), message);
+    }
+});
+
+test('expectations become assert steps', () => {
+    assert.deepEqual(expectationSteps({ text: ['Margherita', 42], url: '/checkout', cart: { count: 1 } }), [
+        { name: 'expect text "Margherita"', action: 'assertText', text: 'Margherita' },
+        { name: 'expect text "42"', action: 'assertText', text: '42' },
+        { name: 'expect url /checkout', action: 'assertUrl', url: '/checkout' },
+        { name: 'expect cart', action: 'assertCart', count: 1 },
+    ]);
+    assert.deepEqual(expectationSteps(), []);
+});
+
+test('the summary is a table with one line per scenario', () => {
+    const text = formatSummary({
+        total: 2, passed: 1, failed: 1, durationMs: 61000, concurrency: 2,
+        scenarios: [
+            { ok: true, id: '01_swiggy_pizza', auth: 'none', status: 'passed', expected: 'passed', durationMs: 30000, error: null },
+            { ok: false, id: '02_lenskart_sunglasses', auth: 'signin', status: 'passed', expected: 'failed', durationMs: 31000, error: 'first line\nsecond' },
+        ],
+    });
+    assert.equal(text, [
+        'result  scenario                auth    status                    time    error',
+        '------  ----------------------  ------  ------------------------  ------  ----------',
+        'PASS    01_swiggy_pizza         none    passed                    30.0 s',
+        'FAIL    02_lenskart_sunglasses  signin  passed (expected failed)  31.0 s  first line',
+        '',
+        'Passed: 1/2  Failed: 1  Time: 61.0 s  Concurrency: 2',
+    ].join('\n'));
+});
@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { matchesUrl, RequestBlocker } = require('../lib/blocking');
+
+// Just enough of a puppeteer HTTPRequest for reason()
+function request(url, { type = 'script', navigation = false, child = false } = {}) {
+    return {
+        url: () => url,
+        resourceType: () => type,
+        isNavigationRequest: () => navigation,
+        frame: () => ({ parentFrame: () => (child ? {} : null) }),
+    };
+}
+
+test('patterns match as case-insensitive substrings or RegExps', () => {
+    assert.ok(matchesUrl(['doubleclick.net'], 'https://ad.DoubleClick.net/x.js'));
+    assert.ok(matchesUrl(/\/analytics\.js$/, 'https://www.google-analytics.com/analytics.js'));
+    assert.ok(!matchesUrl(['doubleclick.net'], 'https://www.swiggy.com/'));
+    assert.ok(!matchesUrl(undefined, 'https://www.swiggy.com/'));
+});
+
+test('requests are blocked by resource type or URL unless allowlisted', () => {
+    const blocker = new RequestBlocker({
+        block: { resourceTypes: ['media', 'font'], urls: ['googletagmanager.com', /hotjar/] },
+        allow: ['fonts.swiggy.com'],
+    });
+    assert.ok(blocker.enabled);
+    assert.equal(blocker.reason(request('https://cdn.test/intro.mp4', { type: 'media' })), 'media');
+    assert.equal(blocker.reason(request('https://www.googletagmanager.com/gtm.js')), 'url');
+    assert.equal(blocker.reason(request('https://static.hotjar.com/c.js')), 'url');
+    assert.equal(blocker.reason(request('https://fonts.swiggy.com/a.woff2', { type: 'font' })), null);
+    assert.equal(blocker.reason(request('https://www.swiggy.com/app.js')), null);
+});
+
+test('top-level navigations always pass, blocked iframes do not', () => {
+    const blocker = new RequestBlocker({ block: { urls: ['ads.test'] } });
+    assert.equal(blocker.reason(request('https://ads.test/landing', { type: 'document', navigation: true })), null);
+    assert.equal(blocker.reason(request('https://ads.test/frame', { type: 'document', navigation: true, child: true })), 'url');
+});
+
+test('the summary counts blocked requests by reason', () => {
+    const blocker = new RequestBlocker();
+    assert.equal(blocker.enabled, false);
+    blocker.counts = { font: 5, url: 30, media: 2 };
+    assert.equal(blocker.summary(), '37 request(s) blocked (url: 30, font: 5, media: 2)');
+});
@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    parseAmount, textPattern, matchCartLines, describeCartItem, validateExpectation, checkCart, resolveQuantity, resolveResetCart,
+} = require('../lib/cart');
+
+const CART = {
+    items: [
+        { name: 'Margherita Pizza', variant: 'Large', quantity: 2, unitPrice: 499, lineTotal: 998 },
+        { name: 'Garlic Bread', variant: null, quantity: 1, unitPrice: 129, lineTotal: 129 },
+    ],
+    subtotal: 1127,
+    total: 1195,
+};
+
+test('amounts and text patterns', () => {
+    assert.equal(parseAmount('₹1,299.50'), 1299.5);
+    assert.equal(parseAmount('free'), null);
+    assert.equal(parseAmount(42), 42);
+    assert.ok(textPattern('pizza').test('Margherita PIZZA'));
+    assert.ok(textPattern('a.b').test('a.b'));
+    assert.ok(!textPattern('a.b').test('axb'));
+    assert.deepEqual(textPattern('/^garlic/i'), /^garlic/i);
+});
+
+test('cart expectations report every mismatch', () => {
+    assert.deepEqual(checkCart(CART, { items: [{ name: /pizza/i, quantity: 2 }], count: 2, quantity: 3, total: { max: 1200 } }), []);
+    assert.deepEqual(checkCart(CART, { empty: true, quantity: { min: 5 }, subtotal: 1000 }), [
+        'expected an empty cart, found 2 item(s)',
+        'expected quantity >= 5, found 3',
+        'expected subtotal 1000, found 1127',
+    ]);
+    assert.deepEqual(checkCart({ items: [] }, { items: [{ name: 'Pizza' }], total: 10 }), [
+        'no item with name Pizza',
+        'expected total 10, found none',
+    ]);
+});
+
+test('misspelled expectation keys throw', () => {
+    assert.throws(() => validateExpectation({ totl: 100 }), /unknown key\(s\) totl/);
+    assert.throws(() => validateExpectation({}), /nothing to check/);
+    assert.throws(() => validateExpectation({ items: [{ qty: 1 }] }), /unknown item key\(s\) qty/);
+    assert.doesNotThrow(() => validateExpectation({ items: [{ name: 'x', quantity: 1 }], total: { max: 5 } }));
+});
+
+test('cart lines match by link, then exact name, then prefix', () => {
+    const lines = [
+        { name: 'Vincent Chase Gold Aviator Sunglasses', url: '/lenskart/product/vc-aviator' },
+        { name: 'Margherita Pizza', url: null },
+        { name: 'Margherita Pizza (Medium)', url: null },
+        { name: 'Chicken Pepperoni Piz...', url: null },
+    ];
+    assert.deepEqual(matchCartLines(lines, { name: 'Something else', url: 'http://x/lenskart/product/vc-aviator/' }), [lines[0]]);
+    assert.deepEqual(matchCartLines(lines, 'margherita pizza'), [lines[1]]);
+    assert.deepEqual(matchCartLines(lines, 'Margherita'), [lines[1], lines[2]]);
+    assert.deepEqual(matchCartLines(lines, 'Chicken Pepperoni Pizza'), [lines[3]]);
+    assert.deepEqual(matchCartLines(lines, /medium/i), [lines[2]]);
+    assert.deepEqual(matchCartLines(lines, '/^vincent/i'), [lines[0]]);
+    assert.deepEqual(matchCartLines(lines, 'Pizza'), []);
+    assert.deepEqual(matchCartLines(lines, ''), []);
+    assert.equal(describeCartItem({ name: 'Margherita Pizza', url: '/x' }), '"Margherita Pizza"');
+    assert.equal(describeCartItem(/pizza/i), '/pizza/i');
+});
+
+test('quantity and reset-cart options', () => {
+    assert.deepEqual(resolveQuantity(), { count: 1, via: 'cart' });
+    assert.deepEqual(resolveQuantity('3', 'repeat'), { count: 3, via: 'repeat' });
+    assert.throws(() => resolveQuantity(0), /quantity must be a whole number >= 1/);
+    assert.throws(() => resolveQuantity(2, 'magic'), /quantity via must be one of/);
+    assert.deepEqual(resolveResetCart('both'), { before: true, after: true });
+    assert.deepEqual(resolveResetCart(), { before: false, after: false });
+    assert.throws(() => resolveResetCart('sometimes'), /resetCart must be one of/);
+});
@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseArgs, CliError, COMMANDS, main } = require('../lib/cli');
+
+const RUN = COMMANDS.run.options;
+
+test('options, values and positionals', () => {
+    const { options, positionals } = parseArgs(
+        ['swiggy', 'veg', 'pizza', '--headless', '--quantity', '3', '--pick=veg', '--pick', 'price=-300', '--base-url=http://localhost:4100/swiggy'],
+        RUN,
+    );
+    assert.deepEqual(positionals, ['swiggy', 'veg', 'pizza']);
+    assert.deepEqual(options, { headless: true, quantity: 3, pick: ['veg', 'price=-300'], 'base-url': 'http://localhost:4100/swiggy' });
+});
+
+test('"--" ends the options and -h is --help', () => {
+    assert.deepEqual(parseArgs(['swiggy', '--', '--headless'], RUN).positionals, ['swiggy', '--headless']);
+    assert.deepEqual(parseArgs(['-h'], RUN).options, { help: true });
+});
+
+test('mistakes are CliErrors naming the flag', () => {
+    const cases = [
+        [['--nope'], /Unknown option --nope/],
+        [['--headless=yes'], /--headless does not take a value/],
+        [['--quantity'], /--quantity needs a value/],
+        [['--quantity', '--headless'], /--quantity needs a value/],
+        [['--quantity', 'two'], /--quantity must be a number/],
+        [['--auth', 'maybe'], /--auth must be one of auto, signin, signup, none/],
+    ];
+    for (const [argv, message] of cases) {
+        assert.throws(() => parseArgs(argv, RUN), error => error instanceof CliError && message.test(error.message), argv.join(' '));
+    }
+});
+
+test('every command has help, and a CLI mistake exits 2', async (t) => {
+    for (const [name, command] of Object.entries(COMMANDS)) {
+        assert.ok(command.usage && command.summary && command.options.length, name);
+    }
+    t.mock.method(console, 'log', () => {});
+    t.mock.method(console, 'error', () => {});
+    assert.equal(await main(['run', '--help']), 0);
+    assert.equal(await main(['run', 'swiggy', '--nope']), 2);
+});
+
+test('scrape rejects --otp without sign-in, like run', async (t) => {
+    const errors = [];
+    t.mock.method(console, 'log', () => {});
+    t.mock.method(console, 'error', message => errors.push(message));
+    assert.equal(await main(['scrape', 'swiggy', 'pizza', '--otp', 'env']), 2);
+    assert.match(errors.join('\n'), /--otp does nothing with --auth none/);
+    errors.length = 0;
+    assert.equal(await main(['run', 'swiggy', 'pizza', '--auth', 'none', '--otp', 'env']), 2);
+    assert.match(errors.join('\n'), /--otp does nothing with --auth none/);
+});
@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    parseChooseOptions, resolveCustomization, planGroup, describeChoice, resolveLenses, chooseLensOption,
+} = require('../lib/customization');
+
+const SIZE = {
+    label: 'Size', type: 'radio', min: 1, max: 1,
+    options: [{ name: 'Regular', price: 0, checked: true }, { name: 'Medium', price: 150 }, { name: 'Large', price: 250 }],
+};
+const TOPPINGS = {
+    label: 'Toppings', type: 'checkbox', min: 0, max: 2,
+    options: [{ name: 'Extra Cheese', price: 60 }, { name: 'Olives', price: 40, checked: true }, { name: 'Jalapenos', price: 40 }],
+};
+
+test('--choose values group by name and an empty value clears the group', () => {
+    assert.deepEqual(parseChooseOptions(['Size=Large', 'Toppings=Extra Cheese', 'Toppings=Olives', 'Add-ons=']), {
+        Size: ['Large'],
+        Toppings: ['Extra Cheese', 'Olives'],
+        'Add-ons': [],
+    });
+    assert.throws(() => parseChooseOptions(['Large']), /--choose must look like group=option/);
+});
+
+test('layers merge per group and the fallback is checked', () => {
+    const merged = resolveCustomization({ choose: { Size: 'Medium' }, fallback: 'cheapest' }, { choose: { Size: 'Large' } });
+    assert.deepEqual(merged, { choose: { Size: 'Large' }, fallback: 'cheapest' });
+    assert.throws(() => resolveCustomization({ fallback: 'random' }), /fallback must be one of/);
+    assert.throws(() => resolveCustomization({ choose: { Size: 3 } }), /choose\["Size"\] must be an option label/);
+});
+
+test('choose picks named options and enforces min/max', () => {
+    const plan = planGroup(SIZE, resolveCustomization({ choose: { size: '/larg/i' } }));
+    assert.deepEqual(plan, { names: ['Large'], source: 'choose "size"', key: 'size' });
+    assert.throws(() => planGroup(SIZE, resolveCustomization({ choose: { Size: 'Huge' } })), /Size: no option matches "Huge"/);
+    assert.throws(() => planGroup(SIZE, resolveCustomization({ choose: { Size: [] } })), /choose at least 1/);
+    assert.throws(
+        () => planGroup(TOPPINGS, resolveCustomization({ choose: { Toppings: ['cheese', 'olives', 'jalap'] } })),
+        /choose at most 2/,
+    );
+});
+
+test('fallbacks cover the groups choose does not name', () => {
+    assert.deepEqual(planGroup(SIZE, resolveCustomization()).names, ['Regular']);
+    assert.deepEqual(planGroup({ ...SIZE, options: SIZE.options.slice(1) }, resolveCustomization({ fallback: 'cheapest' })).names, ['Medium']);
+    assert.deepEqual(planGroup(TOPPINGS, resolveCustomization()).names, ['Olives']);
+    assert.deepEqual(planGroup(TOPPINGS, resolveCustomization({ fallback: 'skip-optional' })).names, []);
+});
+
+test('choices describe themselves with their prices', () => {
+    assert.equal(describeChoice(TOPPINGS, ['Extra Cheese', 'Olives']), 'Toppings: Extra Cheese (+₹60), Olives (+₹40)');
+    assert.equal(describeChoice(TOPPINGS, []), 'Toppings: none');
+});
+
+test('lens preferences pick by name and price ceiling', () => {
+    const lenses = resolveLenses({ type: 'Single Vision', maxPrice: '2000' }, { package: '/blu/i' });
+    assert.deepEqual(lenses, { type: 'Single Vision', maxPrice: 2000, package: '/blu/i' });
+    assert.throws(() => resolveLenses({ colour: 'blue' }), /Unknown lens preference\(s\) colour/);
+    assert.throws(() => resolveLenses({ maxPrice: -1 }), /lens maxPrice must be a number >= 0/);
+
+    const packages = [{ name: 'Hydrophobic', price: 1000 }, { name: 'BLU Screen', price: 1500 }, { name: 'BLU Premium', price: 3000 }];
+    assert.equal(chooseLensOption('package', packages).option.name, 'Hydrophobic');
+    assert.equal(chooseLensOption('package', packages, { name: lenses.package, maxPrice: 2000 }).option.name, 'BLU Screen');
+    assert.throws(() => chooseLensOption('package', packages, { maxPrice: 500 }), /No package matches at most ₹500/);
+    assert.throws(() => chooseLensOption('type', []), /No type options found/);
+});
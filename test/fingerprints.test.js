@@ -0,0 +1,118 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const FingerprintStore = require('../lib/fingerprints');
+
+const SEARCH = 'https://www.swiggy.com/search?query=pizza';
+const fingerprint = text => ({ tag: 'button', text, classes: [], path: 'body > button:nth-of-type(1)' });
+
+function tempDir(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fingerprints-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+test('fingerprints are keyed by page and selector list', () => {
+    assert.equal(FingerprintStore.pageFor('https://www.swiggy.com/search/?query=pizza#top'), 'https://www.swiggy.com/search');
+    assert.equal(FingerprintStore.pageFor('https://www.swiggy.com'), 'https://www.swiggy.com/');
+    assert.equal(FingerprintStore.keyFor(['a.x', 'text/Go']), 'a.x || text/Go');
+    assert.equal(FingerprintStore.keyFor('a.x'), 'a.x');
+});
+
+test('record() keeps fingerprints in memory until save()', (t) => {
+    const dir = tempDir(t);
+    const store = new FingerprintStore('swiggy', dir);
+    store.record(['button.add'], 'button.add', fingerprint('ADD'), SEARCH);
+    assert.equal(store.get(['button.add'], 'https://www.swiggy.com/search?query=burger').text, 'ADD');
+    assert.equal(store.get(['button.add'], 'https://www.swiggy.com/'), null);
+    assert.equal(fs.existsSync(store.file), false);
+
+    assert.equal(store.save(), true);
+    assert.equal(store.save(), false);
+    const saved = JSON.parse(fs.readFileSync(store.file, 'utf8'));
+    assert.deepEqual(Object.keys(saved), ['https://www.swiggy.com/search']);
+    assert.equal(saved['https://www.swiggy.com/search']['button.add'].selector, 'button.add');
+});
+
+test('parallel stores sharing the file keep each other\'s fingerprints', (t) => {
+    const dir = tempDir(t);
+    const first = new FingerprintStore('swiggy', dir);
+    const second = new FingerprintStore('swiggy', dir);
+    first.load();
+    second.load();
+    first.record(['button.add'], 'button.add', fingerprint('ADD'), SEARCH);
+    second.record(['a.cart'], 'a.cart', fingerprint('Cart'), SEARCH);
+    second.record(['button.login'], 'button.login', fingerprint('Sign in'), 'https://www.swiggy.com/');
+    first.save();
+    second.save();
+
+    const reread = new FingerprintStore('swiggy', dir);
+    assert.equal(reread.get(['button.add'], SEARCH).text, 'ADD');
+    assert.equal(reread.get(['a.cart'], SEARCH).text, 'Cart');
+    assert.equal(reread.get(['button.login'], 'https://www.swiggy.com/').text, 'Sign in');
+});
+
+// A page whose in-page search returns `result`, counting the handles left undisposed
+function fakePage(result) {
+    const live = new Set();
+    const handle = (value) => {
+        const h = {
+            evaluate: async fn => fn(value),
+            getProperty: async name => handle(value[name]),
+            jsonValue: async () => value,
+            asElement: () => h,
+            dispose: async () => { live.delete(h); },
+        };
+        live.add(h);
+        return h;
+    };
+    return { live, url: () => SEARCH, evaluateHandle: async () => handle(result) };
+}
+
+test('heal() hands back only the element handle', async (t) => {
+    const store = new FingerprintStore('swiggy', tempDir(t));
+    store.record(['button.add'], 'button.add', fingerprint('ADD'), SEARCH);
+
+    const page = fakePage({ element: { tag: 'button' }, meta: { score: 0.9, selector: 'button:has-text("ADD")', description: '<button> "ADD"' } });
+    const healed = await store.heal(page, ['button.add']);
+    assert.equal(healed.score, 0.9);
+    assert.equal(healed.selector, 'button:has-text("ADD")');
+    assert.deepEqual([...page.live], [healed.element]);
+
+    const nothing = fakePage(null);
+    assert.equal(await store.heal(nothing, ['button.add']), null);
+    assert.equal(nothing.live.size, 0);
+    assert.equal(await store.heal(fakePage(null), ['a.unknown']), null);
+});
+
+test('heal() scores candidates in Chrome', async (t) => {
+    let browser;
+    try {
+        browser = await require('puppeteer').launch({ headless: true, args: ['--no-sandbox'] });
+    } catch (error) {
+        t.skip(`Chrome does not start here: ${error.message.split('\n')[0]}`);
+        return;
+    }
+    t.after(() => browser.close());
+    const page = await browser.newPage();
+    const store = new FingerprintStore('swiggy', tempDir(t));
+    const html = body => `<!doctype html><body>${body}</body>`;
+
+    await page.setContent(html('<div><button class="lyOGZ" data-testid="add">ADD</button><button>Remove</button></div>'));
+    const recorded = await page.$('button.lyOGZ');
+    store.record(['button.lyOGZ'], 'button.lyOGZ', await store.capture(recorded), page.url());
+    await recorded.dispose();
+
+    // The hashed class changed; the test id and text did not
+    await page.setContent(html('<div><button class="xQ9z" data-testid="add">ADD</button><button>Remove</button></div>'));
+    const healed = await store.heal(page, ['button.lyOGZ']);
+    assert.ok(healed.score >= 0.6, `score ${healed.score}`);
+    assert.equal(healed.selector, 'button[data-testid="add"]');
+    await healed.element.dispose();
+
+    // Same place, different label: not the same control
+    await page.setContent(html('<div><button class="xQ9z">DELETE</button></div>'));
+    assert.equal(await store.heal(page, ['button.lyOGZ']), null);
+});
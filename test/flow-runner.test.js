@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const FlowRunner = require('../lib/flow-runner');
+
+// A run with an adapter that records its calls; no browser behind it
+function runner({ authMode = 'auto', adapter = {} } = {}) {
+    const calls = [];
+    const record = name => async (...args) => {
+        calls.push([name, ...args]);
+        return true;
+    };
+    const automation = {
+        authMode,
+        config: { name: 'Test', timing: { longWait: 100 } },
+        utils: { logLines: [], screenshots: [], log() {}, wait: async () => {} },
+        adapter: { signin: record('signin'), search: record('search'), addItemToCart: record('addItemToCart'), ...adapter },
+    };
+    return { runner: new FlowRunner(automation), calls };
+}
+
+const FLOW = [
+    { name: 'signin', action: 'callAdapter', method: 'signin' },
+    { name: 'search', action: 'callAdapter', method: 'search', args: ['{searchTerm}'] },
+    { action: 'wait', ms: 10 },
+    { action: 'callAdapter', method: 'addItemToCart' },
+];
+
+test('steps are checked before anything runs', () => {
+    const { runner: flow } = runner();
+    assert.throws(() => flow.validate([], 'default'), /Flow "default" must be a non-empty list of steps/);
+    assert.throws(() => flow.validate([{ action: 'hover' }], 'default'), /step 1: unknown action "hover"/);
+    assert.throws(() => flow.validate([{ action: 'type', selector: '#q' }], 'default'), /step 1 \(type\): missing "text"/);
+    assert.throws(() => flow.validate([{ action: 'click', selector: 'role=nope' }], 'default'), /step 1 \(click\): Invalid selector/);
+    assert.throws(() => flow.validate([{ action: 'callAdapter', method: 'fly' }], 'default'), /adapter for Test has no method "fly"/);
+    assert.doesNotThrow(() => flow.validate(FLOW, 'default'));
+});
+
+test('placeholders are filled through nested steps', () => {
+    const { runner: flow } = runner();
+    const step = flow.interpolate({ args: ['{searchTerm}', { near: '{city}' }], text: /{keep}/, n: 2, missing: '{nope}' }, { searchTerm: 'pizza', city: 'Pune' });
+    assert.deepEqual(step, { args: ['pizza', { near: 'Pune' }], text: /{keep}/, n: 2, missing: '{nope}' });
+    assert.equal(flow.stepName({ action: 'callAdapter', method: 'search' }, 0), 'search');
+    assert.equal(flow.stepName({ action: 'wait', ms: 1 }, 2), 'wait_3');
+});
+
+test('steps run in order and record their results', async () => {
+    const { runner: flow, calls } = runner();
+    const results = await flow.run(FLOW, { searchTerm: 'pizza' });
+    assert.deepEqual(calls, [['signin'], ['search', 'pizza'], ['addItemToCart']]);
+    assert.deepEqual(results.map(r => [r.name, r.status]), [['signin', 'passed'], ['search', 'passed'], ['wait_3', 'passed'], ['addItemToCart', 'passed']]);
+});
+
+test('a failing step stops the flow unless it is optional', async () => {
+    const failing = runner({ adapter: { search: async () => false } });
+    await assert.rejects(failing.runner.run(FLOW, { searchTerm: 'pizza' }), /Step "search" failed/);
+    assert.deepEqual(failing.runner.results.map(r => r.status), ['passed', 'failed']);
+    assert.deepEqual(failing.calls, [['signin']]);
+
+    const optional = runner({ adapter: { search: async () => { throw new Error('no results'); } } });
+    const steps = FLOW.map(step => (step.name === 'search' ? { ...step, optional: true } : step));
+    const results = await optional.runner.run(steps, { searchTerm: 'pizza' });
+    assert.deepEqual(results.map(r => r.status), ['passed', 'warning', 'passed', 'passed']);
+    assert.equal(results[1].error, 'no results');
+});
+
+test('--from, --to and --skip leave steps out by name or number', () => {
+    const { runner: flow } = runner();
+    assert.deepEqual(flow.plan(FLOW, { from: 'search', to: 3 }), ['before --from search', null, null, 'after --to wait_3']);
+    assert.deepEqual(flow.plan(FLOW, { skip: ['wait_3', '1'] }), ['--skip', null, '--skip', null]);
+    assert.deepEqual(flow.plan(FLOW), [null, null, null, null]);
+});
+
+test('step references that do not exist fail before the run', () => {
+    const { runner: flow } = runner();
+    assert.throws(() => flow.plan(FLOW, { from: 'checkout' }, 'default'), /--from "checkout" is not a step of flow "default"\. Steps: signin, search, wait_3, addItemToCart/);
+    assert.throws(() => flow.plan(FLOW, { skip: ['9'] }), /--skip "9" is not a step/);
+    assert.throws(() => flow.plan(FLOW, { from: 'addItemToCart', to: 'search' }), /--from addItemToCart comes after --to search/);
+});
+
+test('--auth none leaves out the signin step', () => {
+    const { runner: flow } = runner({ authMode: 'none' });
+    assert.deepEqual(flow.plan(FLOW), ['--auth none', null, null, null]);
+});
+
+test('steps left out are reported as skipped', async () => {
+    const { runner: flow, calls } = runner({ authMode: 'none' });
+    const results = await flow.run(FLOW, { searchTerm: 'pizza' }, 'default', { to: 'search' });
+    assert.deepEqual(calls, [['search', 'pizza']]);
+    assert.deepEqual(results.map(r => [r.name, r.status, r.reason]), [
+        ['signin', 'skipped', '--auth none'],
+        ['search', 'passed', undefined],
+        ['wait_3', 'skipped', 'after --to search'],
+        ['addItemToCart', 'skipped', 'after --to search'],
+    ]);
+});
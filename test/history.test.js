@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { HistoryStore, diffSnapshots, formatDiff, isEmptyDiff, itemKey } = require('../lib/history');
+
+const snapshot = (observedAt, items) => ({ site: 'swiggy', query: 'pizza', location: 'Koramangala', observedAt, items });
+
+const BEFORE = snapshot('2026-10-01T10:00:00.000Z', [
+    { type: 'dish', name: 'Margherita Pizza', restaurant: 'Pizza Palace', price: 249, rating: 4.2, available: true },
+    { type: 'dish', name: 'Farmhouse Pizza', restaurant: 'Pizza Palace', price: 329, rating: 4.4, available: true },
+    { type: 'dish', name: 'Paneer Pizza', restaurant: 'Pizza Palace', price: 299, rating: 4.0 },
+]);
+const AFTER = snapshot('2026-10-02T10:00:00.000Z', [
+    { type: 'dish', name: 'MARGHERITA PIZZA', restaurant: 'Pizza Palace', price: 279, rating: 4.25, available: false },
+    { type: 'dish', name: 'Farmhouse Pizza', restaurant: 'Pizza Palace', price: 329, rating: 4.6, available: true },
+    { type: 'dish', name: 'Pepperoni Pizza', restaurant: 'Pizza Palace', price: 399 },
+]);
+
+test('items are keyed by kind, name and restaurant, ignoring case', () => {
+    assert.equal(itemKey(BEFORE.items[0]), itemKey(AFTER.items[0]));
+    assert.equal(itemKey({ type: 'product', name: 'Aviator', brand: 'Vincent Chase' }), 'product|aviator|vincent chase');
+});
+
+test('diff finds price, rating and availability changes and items that came and went', () => {
+    const diff = diffSnapshots(BEFORE, AFTER);
+    assert.deepEqual(diff.prices.map(c => [c.item.name, c.from, c.to]), [['MARGHERITA PIZZA', 249, 279]]);
+    assert.deepEqual(diff.ratings.map(c => [c.item.name, c.from, c.to]), [['Farmhouse Pizza', 4.4, 4.6]]);
+    assert.deepEqual(diff.availability.map(c => [c.from, c.to]), [[true, false]]);
+    assert.deepEqual(diff.added.map(i => i.name), ['Pepperoni Pizza']);
+    assert.deepEqual(diff.removed.map(i => i.name), ['Paneer Pizza']);
+    assert.equal(diffSnapshots(BEFORE, AFTER, { ratingChange: 0.05 }).ratings.length, 2);
+});
+
+test('products are matched by brand and unknown fields are not changes', () => {
+    const lenskart = (observedAt, items) => ({ site: 'lenskart', query: 'sunglasses', observedAt, items });
+    const before = lenskart('2026-10-01T10:00:00.000Z', [
+        { type: 'product', name: 'Aviator', brand: 'Vincent Chase', price: 1500, rating: 4.5, available: true },
+        { type: 'product', name: 'Aviator', brand: 'John Jacobs', price: 3500, rating: null },
+    ]);
+    const after = lenskart('2026-10-02T10:00:00.000Z', [
+        { type: 'product', name: 'Aviator', brand: 'Vincent Chase', price: null, rating: 4.4, available: null },
+        { type: 'product', name: 'Aviator', brand: 'John Jacobs', price: 3200, rating: 4.1 },
+    ]);
+    const diff = diffSnapshots(before, after);
+    assert.deepEqual(diff.prices.map(c => [c.item.brand, c.from, c.to]), [['John Jacobs', 3500, 3200]]);
+    assert.deepEqual(diff.ratings.map(c => [c.item.brand, c.from, c.to]), [['Vincent Chase', 4.5, 4.4]]);
+    assert.deepEqual(diff.availability, []);
+    assert.deepEqual([diff.added, diff.removed], [[], []]);
+    assert.deepEqual(diffSnapshots(before, after, { ratingChange: 0.2 }).ratings, []);
+});
+
+test('a snapshot without items diffs as empty', () => {
+    const diff = diffSnapshots(snapshot('2026-10-01T10:00:00.000Z'), AFTER);
+    assert.equal(diff.added.length, 3);
+    assert.ok(isEmptyDiff(diffSnapshots(snapshot('a'), snapshot('b'))));
+});
+
+test('an unchanged listing is an empty diff', () => {
+    const diff = diffSnapshots(BEFORE, BEFORE);
+    assert.ok(isEmptyDiff(diff));
+    assert.deepEqual(formatDiff(diff, BEFORE, BEFORE).slice(-1), ['No changes']);
+});
+
+test('the report names every change', () => {
+    const text = formatDiff(diffSnapshots(BEFORE, AFTER), BEFORE, AFTER).join('\n');
+    assert.match(text, /"pizza" @ Koramangala/);
+    assert.match(text, /₹249 → ₹279 \(\+12\.0%\)/);
+    assert.match(text, /Pepperoni Pizza/);
+    assert.match(text, /Paneer Pizza/);
+});
+
+test('snapshots are stored per query and location, oldest first', (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'history-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const store = new HistoryStore('swiggy', 'Chicken Biryani', 'Koramangala, Bangalore', dir);
+    assert.equal(store.dir, path.join(dir, 'swiggy', 'chicken-biryani@koramangala-bangalore'));
+    assert.deepEqual(store.list(), []);
+
+    store.save({ url: 'http://x/search', items: BEFORE.items, observedAt: new Date(BEFORE.observedAt) });
+    store.save({ url: 'http://x/search', items: AFTER.items, observedAt: new Date(AFTER.observedAt) });
+    assert.deepEqual(store.list().map(s => s.id), ['2026-10-01T10-00-00-000Z', '2026-10-02T10-00-00-000Z']);
+    assert.equal(store.load(store.find('latest').file).items[2].name, 'Pepperoni Pizza');
+    assert.equal(store.find(1).id, '2026-10-01T10-00-00-000Z');
+    assert.throws(() => store.find(3), /No snapshot "3"/);
+});
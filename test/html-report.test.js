@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const renderHtmlReport = require('../lib/html-report');
+
+// A 1x1 PNG
+const PIXEL = Buffer.from('iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=', 'base64');
+
+function report(steps, extra = {}) {
+    return {
+        siteName: 'Swiggy', flow: 'default', status: 'failed', searchTerm: 'pizza', baseUrl: 'http://localhost:4100/swiggy',
+        startedAt: '2026-10-19T10:00:00.000Z', durationMs: 4200, error: null,
+        summary: { total: steps.length }, steps, videos: [], har: null, blocked: { total: 0 }, teardownErrors: [],
+        ...extra,
+    };
+}
+
+function step(name, status, extra = {}) {
+    return { name, action: 'callAdapter', status, durationMs: 800, error: null, url: null, screenshots: [], logs: [], failedRequests: [], pageErrors: [], ...extra };
+}
+
+test('screenshots are inlined and listed on the timeline', (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'html-report-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    fs.mkdirSync(path.join(dir, 'shots'));
+    fs.writeFileSync(path.join(dir, 'shots', '04_search_results_1712345678901.png'), PIXEL);
+
+    const html = renderHtmlReport(report([
+        step('search', 'passed', { screenshots: ['shots/04_search_results_1712345678901.png'] }),
+        step('addToCart', 'failed', { error: 'No ADD button', screenshots: ['shots/error_final_1712345679999.png'] }),
+    ]), dir);
+    assert.ok(html.includes(`src="data:image/png;base64,${PIXEL.toString('base64')}"`));
+    assert.match(html, /<li><a href="#step0-shot0">04_search_results<\/a><span>search<\/span><\/li>/);
+    assert.match(html, /<li class="timeline-error"><a href="#step1-shot0">error_final<\/a>/);
+    assert.match(html, /Screenshot not found: shots\/error_final_1712345679999.png/);
+    assert.match(html, /<details class="step" open id="step1">/);
+});
+
+test('step details are escaped and the run extras shown', () => {
+    const html = renderHtmlReport(report([
+        step('search', 'failed', {
+            error: '<script>alert(1)</script>',
+            logs: [{ timestamp: Date.parse('2026-10-19T10:00:01.250Z'), level: 'warning', line: 'Price "₹249" & more' }],
+            failedRequests: [{ method: 'POST', url: 'http://x/api/cart', status: 409, statusText: 'Conflict' }],
+            pageErrors: [{ type: 'console', text: 'Widget <crashed>' }],
+        }),
+        step('signin', 'skipped', { reason: '--auth none' }),
+    ], {
+        har: '/reports/swiggy/swiggy_2026.har',
+        videos: ['swiggy_2026/page-1.webm'],
+        blocked: { total: 12 },
+        teardownErrors: ['browser: already closed'],
+    }), '/reports/swiggy');
+    assert.ok(!html.includes('<script>alert(1)</script>'));
+    assert.match(html, /&lt;script&gt;alert\(1\)&lt;\/script&gt;/);
+    assert.match(html, /<span class="log-time">10:00:01.250<\/span> Price &quot;₹249&quot; &amp; more/);
+    assert.match(html, /<li>POST http:\/\/x\/api\/cart → 409 Conflict<\/li>/);
+    assert.match(html, /<li>console: Widget &lt;crashed&gt;<\/li>/);
+    assert.match(html, /Skipped: --auth none/);
+    assert.match(html, /<a href="swiggy_2026.har">/);
+    assert.match(html, /<video src="swiggy_2026\/page-1.webm"/);
+    assert.match(html, /Blocked: 12 request\(s\)/);
+    assert.match(html, /Cleanup failed:\nbrowser: already closed/);
+    assert.match(html, /No screenshots captured/);
+});
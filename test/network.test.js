@@ -0,0 +1,104 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { NetworkLog, redactUrl, redactJson, redactHeaders, describeRequest } = require('../lib/network');
+
+test('sensitive query parameters are redacted, the rest kept', () => {
+    assert.equal(redactUrl('https://x.test/api/verify?otp=123456&page=2'), 'https://x.test/api/verify?otp=[redacted]&page=2');
+    assert.equal(redactUrl('https://x.test/a?access_token=abc'), 'https://x.test/a?access_token=[redacted]');
+    assert.equal(redactUrl('https://x.test/search?query=pizza'), 'https://x.test/search?query=pizza');
+    assert.equal(redactUrl('not a url'), 'not a url');
+});
+
+test('sensitive JSON keys are redacted at any depth', () => {
+    const body = JSON.parse(redactJson(JSON.stringify({ phone: '9999999999', otp: '123456', user: { password: 'x', name: 'A' }, items: [{ token: 't' }] })));
+    assert.deepEqual(body, { phone: '[redacted]', otp: '[redacted]', user: { password: '[redacted]', name: 'A' }, items: [{ token: '[redacted]' }] });
+    assert.equal(redactJson('{"otp": null}'), '{"otp":null}');
+    assert.equal(redactJson('otp=123456'), 'otp=123456');
+});
+
+test('phone numbers, emails and addresses are redacted', () => {
+    const body = JSON.parse(redactJson(JSON.stringify({ mobileNumber: '9876543210', email: 'a@b.in', address: '12 MG Road', deliveryAddress: { line1: 'x' }, city: 'Bangalore' })));
+    assert.deepEqual(body, { mobileNumber: '[redacted]', email: '[redacted]', address: '[redacted]', deliveryAddress: '[redacted]', city: 'Bangalore' });
+    assert.equal(redactUrl('https://x.test/api/user?phone=9876543210&country=in'), 'https://x.test/api/user?phone=[redacted]&country=in');
+});
+
+test('cookie, auth and token headers are redacted', () => {
+    assert.deepEqual(redactHeaders({ Cookie: 'a=1', Authorization: 'Bearer x', 'X-CSRF-Token': 'y', 'Content-Type': 'application/json', 'Content-Length': 10 }), [
+        { name: 'Cookie', value: '[redacted]' },
+        { name: 'Authorization', value: '[redacted]' },
+        { name: 'X-CSRF-Token', value: '[redacted]' },
+        { name: 'Content-Type', value: 'application/json' },
+        { name: 'Content-Length', value: '10' },
+    ]);
+});
+
+test('requests describe themselves on one line', () => {
+    assert.equal(describeRequest({ method: 'POST', url: 'http://x/api/cart', status: 409, statusText: 'Conflict' }), 'POST http://x/api/cart → 409 Conflict');
+    assert.equal(describeRequest({ method: 'GET', url: 'http://x/', status: 200 }), 'GET http://x/ → 200');
+});
+
+// A log entry as NetworkLog records it, with CDP ResourceTiming offsets in ms from the request start
+function entry(overrides) {
+    return {
+        step: { name: 'search' },
+        startedAt: Date.parse('2026-10-19T10:00:00.000Z'),
+        respondedAt: null,
+        finishedAt: null,
+        method: 'GET',
+        url: 'https://x.test/api/search?query=pizza',
+        resourceType: 'fetch',
+        requestHeaders: {},
+        postData: null,
+        status: 200,
+        statusText: 'OK',
+        responseHeaders: { 'content-type': 'application/json' },
+        mimeType: 'application/json',
+        timing: null,
+        error: null,
+        body: null,
+        ...overrides,
+    };
+}
+
+test('HAR timings are the length of each phase', () => {
+    const log = new NetworkLog();
+    const startedAt = Date.parse('2026-10-19T10:00:00.000Z');
+    log.entries.push(entry({
+        timing: { dnsStart: 4, dnsEnd: 14, connectStart: 14, connectEnd: 54, sslStart: 30, sslEnd: 54, sendStart: 55, sendEnd: 56, receiveHeadersEnd: 156 },
+        respondedAt: startedAt + 170,
+        finishedAt: startedAt + 190,
+    }));
+    log.entries.push(entry({
+        // a kept-alive connection: no DNS, connect or SSL phase
+        timing: { dnsStart: -1, dnsEnd: -1, connectStart: -1, connectEnd: -1, sslStart: -1, sslEnd: -1, sendStart: 2, sendEnd: 3, receiveHeadersEnd: 43 },
+        respondedAt: startedAt + 50,
+        finishedAt: startedAt + 50,
+    }));
+    log.entries.push(entry({ status: null, error: 'net::ERR_FAILED', finishedAt: startedAt + 12 }));
+
+    const [fresh, reused, failed] = log.toHar().log.entries;
+    assert.deepEqual(fresh.timings, { blocked: 4, dns: 10, connect: 40, ssl: 24, send: 1, wait: 100, receive: 20 });
+    assert.equal(fresh.time, 175);
+    assert.deepEqual(reused.timings, { blocked: 2, dns: -1, connect: -1, ssl: -1, send: 1, wait: 40, receive: 0 });
+    assert.equal(reused.time, 43);
+    assert.deepEqual(failed.timings, { blocked: -1, dns: -1, connect: -1, ssl: -1, send: -1, wait: -1, receive: -1 });
+    assert.equal(failed.time, 12);
+    assert.equal(failed._error, 'net::ERR_FAILED');
+});
+
+test('HAR bodies and query strings are redacted', () => {
+    const log = new NetworkLog({ bodies: true });
+    log.entries.push(entry({
+        method: 'POST',
+        url: 'https://x.test/api/otp/send?phone=9876543210',
+        requestHeaders: { 'content-type': 'application/json', cookie: 'sid=abc; theme=dark' },
+        postData: JSON.stringify({ phone: '9876543210' }),
+        body: JSON.stringify({ sent: true, mobile: '9876543210' }),
+    }));
+    const [har] = log.toHar().log.entries;
+    assert.equal(har.request.url, 'https://x.test/api/otp/send?phone=[redacted]');
+    assert.deepEqual(har.request.queryString, [{ name: 'phone', value: '[redacted]' }]);
+    assert.deepEqual(har.request.cookies, [{ name: 'sid', value: '[redacted]' }, { name: 'theme', value: '[redacted]' }]);
+    assert.equal(har.request.postData.text, '{"phone":"[redacted]"}');
+    assert.equal(har.response.content.text, '{"sent":true,"mobile":"[redacted]"}');
+});
@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { TotpOtpProvider, createOtpProvider, parseOtpSpec } = require('../lib/otp');
+
+// RFC 6238 appendix B: the ASCII seeds, base32-encoded for the provider
+function base32(text) {
+    const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+    const bits = Array.from(Buffer.from(text), byte => byte.toString(2).padStart(8, '0')).join('');
+    return bits.match(/.{1,5}/g).map(chunk => alphabet[parseInt(chunk.padEnd(5, '0'), 2)]).join('');
+}
+
+const SEEDS = {
+    sha1: '12345678901234567890',
+    sha256: '12345678901234567890123456789012',
+    sha512: '1234567890123456789012345678901234567890123456789012345678901234',
+};
+
+const VECTORS = [
+    [59, { sha1: '94287082', sha256: '46119246', sha512: '90693936' }],
+    [1111111109, { sha1: '07081804', sha256: '68084774', sha512: '25091201' }],
+    [1111111111, { sha1: '14050471', sha256: '67062674', sha512: '99943326' }],
+    [1234567890, { sha1: '89005924', sha256: '91819424', sha512: '93441116' }],
+    [2000000000, { sha1: '69279037', sha256: '90698825', sha512: '38618901' }],
+    [20000000000, { sha1: '65353130', sha256: '77737706', sha512: '47863826' }],
+];
+
+test('TOTP matches the RFC 6238 test vectors', () => {
+    for (const algorithm of Object.keys(SEEDS)) {
+        const provider = new TotpOtpProvider({ secret: base32(SEEDS[algorithm]), digits: 8, algorithm });
+        for (const [seconds, codes] of VECTORS) {
+            assert.equal(provider.generate(seconds * 1000), codes[algorithm], `${algorithm} at ${seconds}s`);
+        }
+    }
+});
+
+test('TOTP defaults to 6 digits and rejects bad secrets', () => {
+    const provider = new TotpOtpProvider({ secret: base32(SEEDS.sha1) });
+    assert.equal(provider.generate(59 * 1000), '287082');
+    assert.throws(() => new TotpOtpProvider({ secret: 'not base32!' }), /Invalid base32/);
+});
+
+test('OTP specs parse into provider options', () => {
+    assert.deepEqual(parseOtpSpec('manual'), { provider: 'manual' });
+    assert.deepEqual(parseOtpSpec('env:MY_OTP'), { provider: 'env', variable: 'MY_OTP' });
+    assert.deepEqual(parseOtpSpec('file:/tmp/otp'), { provider: 'file', path: '/tmp/otp' });
+    assert.deepEqual(parseOtpSpec('http:4181'), { provider: 'http', port: '4181' });
+    assert.deepEqual(parseOtpSpec('totp:GEZDGNBV'), { provider: 'totp', secret: 'GEZDGNBV' });
+    assert.throws(() => createOtpProvider('sms'), /Unknown OTP provider "sms"/);
+});
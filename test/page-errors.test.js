@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+const { PageErrorLog, describeError, resolvePageErrorPolicy } = require('../lib/page-errors');
+const { PageWatchers } = require('../lib/page-watch');
+
+// Just enough of a puppeteer Page to emit its events
+function fakePage() {
+    const page = new EventEmitter();
+    page.url = () => 'https://www.swiggy.com/search';
+    return page;
+}
+
+const consoleMessage = (type, text, url) => ({ type: () => type, text: () => text, location: () => ({ url }) });
+const failedRequest = (url, errorText) => ({ method: () => 'GET', url: () => url, failure: () => ({ errorText }) });
+
+async function watched(options) {
+    const log = new PageErrorLog(options);
+    const watchers = new PageWatchers([log]);
+    const page = fakePage();
+    await watchers.attach(page);
+    return { log, watchers, page };
+}
+
+test('exceptions, console errors and failed loads are kept per step', async () => {
+    const { log, watchers, page } = await watched();
+    const search = watchers.beginStep('search');
+    page.emit('pageerror', new Error("Cannot read properties of undefined (reading 'price')"));
+    page.emit('console', consoleMessage('error', 'Widget crashed', 'https://www.swiggy.com/app.js'));
+    page.emit('console', consoleMessage('warning', 'Deprecated API', null));
+    page.emit('console', consoleMessage('error', 'Failed to load resource: the server responded with a status of 404', null));
+    const add = watchers.beginStep('addToCart');
+    page.emit('requestfailed', failedRequest('https://cdn.test/menu.json', 'net::ERR_CONNECTION_RESET'));
+
+    assert.deepEqual(log.during(search), [
+        { type: 'pageerror', text: "Cannot read properties of undefined (reading 'price')", url: 'https://www.swiggy.com/search' },
+        { type: 'console', text: 'Widget crashed', url: 'https://www.swiggy.com/app.js' },
+    ]);
+    assert.deepEqual(log.during(add).map(describeError), ['requestfailed: GET https://cdn.test/menu.json → net::ERR_CONNECTION_RESET']);
+});
+
+test('blocked and aborted requests are not errors', async () => {
+    const { log, watchers, page } = await watched();
+    const step = watchers.beginStep('search');
+    page.emit('requestfailed', failedRequest('https://ads.test/x.js', 'net::ERR_BLOCKED_BY_CLIENT'));
+    page.emit('requestfailed', failedRequest('https://www.swiggy.com/api/suggest?q=pi', 'net::ERR_ABORTED'));
+    assert.deepEqual(log.during(step), []);
+});
+
+test('ignoreErrors drops matching messages and URLs', async () => {
+    const { log, watchers, page } = await watched({ ignore: [/ResizeObserver loop/, 'googletagmanager.com'] });
+    const step = watchers.beginStep('search');
+    page.emit('pageerror', new Error('ResizeObserver loop limit exceeded'));
+    page.emit('console', consoleMessage('error', 'gtm failed', 'https://www.GoogleTagManager.com/gtm.js'));
+    page.emit('pageerror', new Error('real problem'));
+    assert.deepEqual(log.during(step).map(e => e.text), ['real problem']);
+    assert.equal(log.ignored, 2);
+});
+
+test('the policy is warn or fail', () => {
+    assert.equal(resolvePageErrorPolicy(), 'warn');
+    assert.equal(resolvePageErrorPolicy('fail'), 'fail');
+    assert.throws(() => resolvePageErrorPolicy('crash'), /pageErrors must be one of warn, fail/);
+});
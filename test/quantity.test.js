@@ -0,0 +1,64 @@
+// reachQuantity() and Swiggy's addAgain() against a stand-in cart; no browser needed
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const SiteAdapter = require('../sites/base');
+const SwiggyAdapter = require('../sites/swiggy');
+
+const quiet = { log() {}, wait: async () => {} };
+
+// An adapter whose cart is a { name: quantity } map; addAgain() adds `perAdd` units to `addsTo`
+function adapter(cart, { count, via = 'repeat', addsTo = 'Margherita Pizza', perAdd = 1 } = {}) {
+    const site = new SiteAdapter({ utils: quiet, config: { name: 'Test' }, quantity: { count, via } });
+    const calls = [];
+    site.addAgain = async () => {
+        calls.push('add');
+        cart[addsTo] = (cart[addsTo] || 0) + perAdd;
+    };
+    site.openCartPage = async () => {};
+    site.readCartLines = async () => Object.entries(cart).map(([name, quantity]) => ({ name, quantity, element: { dispose: async () => {} } }));
+    site.setCartQuantity = async (item, quantity) => {
+        calls.push(`set ${quantity}`);
+        cart[item.name] = quantity;
+        return true;
+    };
+    return { site, calls };
+}
+
+test('repeat adds count-1 units and settles the line at --quantity', async () => {
+    const cart = { 'Margherita Pizza': 1 };
+    const { site, calls } = adapter(cart, { count: 3 });
+    assert.equal(await site.reachQuantity({ name: 'Margherita Pizza' }), true);
+    assert.deepEqual(calls, ['add', 'add', 'set 3']);
+    assert.equal(cart['Margherita Pizza'], 3);
+});
+
+test('units already in the cart before the run are taken back off', async () => {
+    const cart = { 'Margherita Pizza': 2 }; // 1 from before the run + the one just added
+    const { site } = adapter(cart, { count: 3 });
+    await site.reachQuantity({ name: 'Margherita Pizza' });
+    assert.equal(cart['Margherita Pizza'], 3);
+});
+
+test('adds that land on another line fail the step', async () => {
+    const cart = { 'Margherita Pizza': 1, 'Garlic Bread': 1 };
+    const { site, calls } = adapter(cart, { count: 3, addsTo: 'Garlic Bread' });
+    await assert.rejects(
+        site.reachQuantity({ name: 'Margherita Pizza' }),
+        /"Margherita Pizza": 1 unit\(s\) in the cart after adding it 3 times \(cart: Margherita Pizza ×1, Garlic Bread ×3\)/,
+    );
+    assert.ok(!calls.includes('set 3'));
+});
+
+test('--quantity-via cart goes straight to the steppers', async () => {
+    const cart = { 'Margherita Pizza': 1 };
+    const { site, calls } = adapter(cart, { count: 2, via: 'cart' });
+    await site.reachQuantity({ name: 'Margherita Pizza' });
+    assert.deepEqual(calls, ['set 2']);
+});
+
+test('Swiggy only adds again on the picked dish', async () => {
+    const swiggy = new SwiggyAdapter({ utils: quiet, config: { name: 'Swiggy' } });
+    swiggy.lastPicked = null;
+    swiggy.getCartCount = async () => assert.fail('must not read the cart before checking the pick');
+    await assert.rejects(swiggy.addAgain('repeat'), /No picked dish to add again/);
+});
@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const RunReport = require('../lib/report');
+
+function step(name, status, extra = {}) {
+    return { name, action: 'callAdapter', optional: status === 'warning', status, durationMs: 1500, error: null, url: 'http://localhost:4100/swiggy', screenshots: [], logs: [], failedRequests: [], pageErrors: [], ...extra };
+}
+
+function tempDir(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'report-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+function finished(dir) {
+    const report = new RunReport({ site: 'swiggy', siteName: 'Swiggy', flow: 'default', searchTerm: 'pizza & "pasta"', baseUrl: 'http://localhost:4100/swiggy' });
+    report.finish([
+        step('signin', 'skipped', { reason: '--auth none' }),
+        step('search', 'passed', { screenshots: [path.join(dir, 'shots', '04_search_results_1712345678901.png')] }),
+        step('applyCoupon', 'warning', { error: 'No coupon field' }),
+        step('addToCart', 'failed', {
+            error: 'Cart count did not increase <before=0>',
+            failedRequests: [{ method: 'POST', url: 'http://localhost:4100/swiggy/api/cart', status: 409, statusText: 'Conflict' }],
+            pageErrors: [{ type: 'pageerror', text: 'TypeError: x is undefined', url: null }],
+        }),
+    ], new Error('Step "addToCart" failed'));
+    return report;
+}
+
+test('the JSON counts steps by status and keeps paths relative to the report', (t) => {
+    const dir = tempDir(t);
+    const data = finished(dir).toJSON(dir);
+    assert.equal(data.status, 'failed');
+    assert.equal(data.error, 'Step "addToCart" failed');
+    assert.deepEqual(data.summary, { total: 4, passed: 1, failed: 1, warning: 1, skipped: 1 });
+    assert.deepEqual(data.steps[1].screenshots, [path.join('shots', '04_search_results_1712345678901.png')]);
+    assert.match(data.id, /^swiggy_\d{4}-\d\d-\d\dT\d\d-\d\d-\d\d-\d{3}Z$/);
+});
+
+test('a run with only passed and optional steps passes', () => {
+    const report = new RunReport({ site: 'swiggy', siteName: 'Swiggy', flow: 'default' });
+    report.finish([step('search', 'passed'), step('applyCoupon', 'warning')]);
+    assert.equal(report.status, 'passed');
+});
+
+test('JUnit has a failure, a skip and the step details, escaped', (t) => {
+    const dir = tempDir(t);
+    const xml = finished(dir).toJUnit(dir);
+    assert.match(xml, /<testsuites name="e2e-auto" tests="4" failures="1"/);
+    assert.match(xml, /skipped="1"/);
+    assert.match(xml, /<property name="searchTerm" value="pizza &amp; &quot;pasta&quot;"\/>/);
+    assert.match(xml, /<testcase classname="swiggy.default" name="signin" time="1.500">\n      <skipped message="--auth none"\/>/);
+    assert.match(xml, /<failure message="Cart count did not increase &lt;before=0&gt;" type="StepFailure">/);
+    assert.match(xml, /failed request: POST http:\/\/localhost:4100\/swiggy\/api\/cart → 409 Conflict/);
+    assert.match(xml, /browser error: pageerror: TypeError: x is undefined/);
+    assert.match(xml, /<system-err>Optional step failed: No coupon field<\/system-err>/);
+});
+
+test('write() saves JSON, JUnit and HTML that read back the same', (t) => {
+    const dir = tempDir(t);
+    const report = finished(dir);
+    const files = report.write(dir);
+    assert.deepEqual(Object.values(files).map(f => path.basename(f)), ['json', 'xml', 'html'].map(ext => `${report.id}.${ext}`));
+
+    const data = JSON.parse(fs.readFileSync(files.json, 'utf8'));
+    const reread = RunReport.fromJSON(data, dir);
+    assert.equal(reread.id, report.id);
+    assert.equal(reread.status, 'failed');
+    assert.deepEqual(reread.steps[1].screenshots, report.steps[1].screenshots);
+    assert.deepEqual(reread.toJSON(dir), data);
+});
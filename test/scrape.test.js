@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { normalizeRow, rowKey, formatFor, toCsv, writeResults } = require('../lib/scrape');
+
+test('card texts become typed values', () => {
+    assert.deepEqual(normalizeRow('dish', {
+        name: 'Margherita Pizza',
+        restaurant: 'By Pizza Palace',
+        price: '₹1,249',
+        rating: '★ 4.3 · 25-30 mins',
+        deliveryTime: '★ 4.3 · 25-30 mins',
+        veg: true,
+        url: undefined,
+    }), {
+        type: 'dish', name: 'Margherita Pizza', restaurant: 'Pizza Palace', price: 1249, rating: 4.3, deliveryTime: '25-30 mins', veg: true, url: null,
+    });
+    assert.deepEqual(normalizeRow('product', { rating: '4.5★', discountedPrice: 'Rs. 999', price: null }), {
+        type: 'product', rating: 4.5, discountedPrice: 999, price: null,
+    });
+    assert.equal(normalizeRow('restaurant', { deliveryTime: 'Closed' }).deliveryTime, 'Closed');
+});
+
+test('a result seen again after scrolling has the same key', () => {
+    const row = { type: 'dish', url: null, name: 'Garlic Bread', restaurant: 'Pizza Palace', price: 129 };
+    assert.equal(rowKey(row), rowKey({ ...row, rating: 4.1 }));
+    assert.notEqual(rowKey(row), rowKey({ ...row, price: 139 }));
+});
+
+test('the format comes from --format, else the extension, else json', () => {
+    assert.equal(formatFor('out/pizza.CSV'), 'csv');
+    assert.equal(formatFor('out/pizza.csv', 'json'), 'json');
+    assert.equal(formatFor(undefined), 'json');
+    assert.throws(() => formatFor('pizza.xlsx'), /Export format must be one of json, csv \(got "xlsx"\)/);
+});
+
+test('CSV has every key as a column and quotes what needs it', () => {
+    const csv = toCsv([
+        { type: 'dish', name: 'Pizza, "Large"', price: 499 },
+        { type: 'restaurant', name: 'Pizza Palace', cuisine: 'Pizzas\nItalian' },
+    ]);
+    assert.equal(csv, 'type,name,price,cuisine\ndish,"Pizza, ""Large""",499,\nrestaurant,Pizza Palace,,"Pizzas\nItalian"\n');
+});
+
+test('results are written as JSON with their metadata, or as CSV', (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'scrape-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const rows = [{ type: 'dish', name: 'Garlic Bread', price: 129 }];
+
+    const json = writeResults(path.join(dir, 'swiggy', 'pizza.json'), rows, { meta: { site: 'swiggy', query: 'pizza' } });
+    assert.deepEqual(JSON.parse(fs.readFileSync(json, 'utf8')), { site: 'swiggy', query: 'pizza', count: 1, results: rows });
+    const csv = writeResults(path.join(dir, 'pizza.txt'), rows, { format: 'csv' });
+    assert.equal(fs.readFileSync(csv, 'utf8'), 'type,name,price\ndish,Garlic Bread,129\n');
+});
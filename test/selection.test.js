@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeStrategy, parsePickOptions, choose, describeCandidate, isEmpty } = require('../lib/selection');
+
+const CANDIDATES = [
+    { index: 1, name: 'Pepperoni Pizza', price: 399, rating: 4.0, veg: false, sponsored: true },
+    { index: 2, name: 'Margherita Pizza', price: 249, rating: 4.2, veg: true },
+    { index: 3, name: 'Farmhouse Pizza', price: 329, rating: 4.4, veg: true },
+    { index: 4, name: 'Garlic Bread', price: 129, rating: 4.1, veg: true },
+];
+
+test('--pick values become a strategy', () => {
+    const strategy = normalizeStrategy(parsePickOptions(['name=/pizza/i', 'veg', 'price=200-350', 'sponsored=no', 'index=2']));
+    assert.deepEqual(strategy.name, /pizza/i);
+    assert.equal(strategy.veg, true);
+    assert.deepEqual(strategy.price, { min: 200, max: 350 });
+    assert.equal(strategy.sponsored, false);
+    assert.equal(strategy.index, 2);
+    assert.deepEqual(normalizeStrategy({ price: '-500' }).price, { min: null, max: 500 });
+    assert.deepEqual(normalizeStrategy({ price: '1000-' }).price, { min: 1000, max: null });
+    assert.equal(normalizeStrategy({ veg: 'non-veg' }).veg, false);
+});
+
+test('bad strategies throw', () => {
+    assert.throws(() => normalizeStrategy({ colour: 'red' }), /Unknown pick option\(s\) colour/);
+    assert.throws(() => normalizeStrategy({ index: 0 }), /index must be a whole number/);
+    assert.throws(() => normalizeStrategy({ price: 'cheap' }), /price must look like/);
+    assert.throws(() => normalizeStrategy({ veg: 'maybe' }), /veg must be true or false/);
+});
+
+test('filters apply in order and index counts what is left', () => {
+    const { candidate, reason } = choose(CANDIDATES, normalizeStrategy({ name: 'pizza', veg: true, index: 2 }));
+    assert.equal(candidate.name, 'Farmhouse Pizza');
+    assert.match(reason, /2 of 4 matched, took match 2/);
+    assert.equal(choose(CANDIDATES, normalizeStrategy({ minRating: 4.3 })).candidate.index, 3);
+    assert.equal(choose(CANDIDATES, {}).candidate.index, 1);
+});
+
+test('nothing left explains why', () => {
+    const none = choose(CANDIDATES, normalizeStrategy({ price: '-100' }));
+    assert.equal(none.candidate, null);
+    assert.match(none.reason, /no result left after price <= 100 \(4 result\(s\) on the page\)/);
+    assert.match(choose(CANDIDATES, normalizeStrategy({ index: 9 })).reason, /index 9 asked for, but only 4/);
+});
+
+test('candidates describe themselves on one line', () => {
+    assert.equal(describeCandidate(CANDIDATES[0]), '#1 "Pepperoni Pizza" ₹399 ★4 non-veg sponsored');
+    assert.equal(isEmpty({}), true);
+    assert.equal(isEmpty({ index: 1 }), false);
+});
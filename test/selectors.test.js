@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseSelector, SelectorSyntaxError } = require('../lib/selectors');
+
+test('plain CSS passes through', () => {
+    assert.deepEqual(parseSelector(' #search input '), { kind: 'css', css: '#search input', texts: [], source: ' #search input ' });
+});
+
+test(':has-text() is split off the CSS', () => {
+    const spec = parseSelector('button:has-text("Add")');
+    assert.equal(spec.kind, 'css');
+    assert.equal(spec.css, 'button');
+    assert.deepEqual(spec.texts, ['Add']);
+});
+
+test('text/, xpath/, aria/ and role= prefixes', () => {
+    assert.deepEqual(parseSelector('text/Checkout'), { kind: 'text', text: 'Checkout', source: 'text/Checkout' });
+    assert.equal(parseSelector('xpath/.//div[@data-x]').expression, './/div[@data-x]');
+
+    const aria = parseSelector('aria/Search[role="searchbox"]');
+    assert.equal(aria.kind, 'aria');
+    assert.equal(aria.name, 'Search');
+    assert.equal(aria.role, 'searchbox');
+    assert.equal(aria.exact, true);
+
+    const role = parseSelector('role=button[name="Add"]');
+    assert.equal(role.role, 'button');
+    assert.equal(role.name, 'Add');
+    assert.equal(role.exact, false);
+});
+
+test('bad selectors throw SelectorSyntaxError', () => {
+    for (const bad of ['', '   ', 'text/', 'xpath/', 'aria/', 'role=nope', 'aria/x[foo=1]', 'role=button[name="x"', '.a >> .b']) {
+        assert.throws(() => parseSelector(bad), SelectorSyntaxError, bad);
+    }
+    assert.throws(() => parseSelector(null), SelectorSyntaxError);
+});
+
+test('">>" inside quotes is not chaining', () => {
+    assert.equal(parseSelector('[title=">> next"]').css, '[title=">> next"]');
+});
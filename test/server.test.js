@@ -0,0 +1,109 @@
+// Smoke test of the mock storefronts: the HTTP flow always runs, the browser flow only where Chrome starts
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const MockStorefrontServer = require('../fixtures/server');
+
+// fetch() with the session cookie the mock hands out kept between calls
+function client(base) {
+    let cookie = '';
+    return async (pathname, { method = 'GET', body } = {}) => {
+        const res = await fetch(`${base}${pathname}`, {
+            method,
+            redirect: 'manual',
+            headers: { ...(cookie ? { Cookie: cookie } : {}), ...(body ? { 'Content-Type': 'application/json' } : {}) },
+            body: body ? JSON.stringify(body) : undefined,
+        });
+        const setCookie = res.headers.get('set-cookie');
+        if (setCookie) cookie = setCookie.split(';')[0];
+        const type = res.headers.get('content-type') || '';
+        return { status: res.status, headers: res.headers, body: type.includes('json') ? await res.json() : await res.text() };
+    };
+}
+
+test('mock storefronts', async (t) => {
+    const server = new MockStorefrontServer({ port: 0, otp: '654321' });
+    const url = await server.start();
+    t.after(() => server.stop());
+
+    await t.test('a busy port is reported', async () => {
+        const other = new MockStorefrontServer({ port: server.port });
+        await assert.rejects(other.start(), new RegExp(`Port ${server.port} is already in use; pass --port or set MOCK_PORT`));
+    });
+
+    await t.test('swiggy: search, sign in, add to cart and check out', async () => {
+        const get = client(`${url}/swiggy`);
+        const search = await get('/search?query=pizza');
+        assert.equal(search.status, 200);
+        assert.match(search.body, /Margherita Pizza/);
+        assert.doesNotMatch(search.body, /Chicken Biryani/);
+
+        assert.equal((await get('/api/otp/verify', { method: 'POST', body: { otp: '654321' } })).status, 401);
+        assert.equal((await get('/api/otp/send', { method: 'POST', body: { phone: '9876543210' } })).status, 200);
+        assert.equal((await get('/api/otp/verify', { method: 'POST', body: { otp: '000000' } })).status, 401);
+        assert.equal((await get('/api/otp/verify', { method: 'POST', body: { otp: '654321' } })).status, 200);
+        assert.equal((await get('/api/session')).body.loggedIn, true);
+
+        let cart = (await get('/api/cart', { method: 'POST', body: { dishId: 'garlic-bread' } })).body;
+        cart = (await get('/api/cart', { method: 'POST', body: { dishId: 'garlic-bread' } })).body;
+        assert.equal(cart.items.length, 1);
+        assert.equal(cart.count, 2);
+        assert.equal(cart.subtotal, 258);
+
+        const conflict = await get('/api/cart', { method: 'POST', body: { dishId: 'chicken-biryani' } });
+        assert.equal(conflict.status, 409);
+
+        const checkout = await get('/checkout');
+        assert.match(checkout.body, /Bill Details/);
+        assert.match(checkout.body, /Garlic Bread/);
+
+        cart = (await get(`/api/cart/${cart.items[0].id}`, { method: 'PATCH', body: { quantity: 0 } })).body;
+        assert.equal(cart.items.length, 0);
+        assert.equal(cart.restaurantId, null);
+    });
+
+    await t.test('lenskart: add a frame with lenses and open the cart', async () => {
+        const get = client(`${url}/lenskart`);
+        assert.match((await get('/search?q=sunglasses')).body, /Vincent Chase Gold Aviator Sunglasses/);
+        assert.equal((await get('/checkout')).status, 302);
+
+        const cart = (await get('/api/cart', { method: 'POST', body: { productId: 'vc-aviator' } })).body;
+        assert.equal(cart.total, 1000);
+        const page = await get('/cart');
+        assert.match(page.body, /href="\/lenskart\/product\/vc-aviator"/);
+        assert.equal((await get('/checkout')).status, 200);
+    });
+
+    await t.test('sessions do not share carts', async () => {
+        const cart = (await client(`${url}/lenskart`)('/api/cart')).body;
+        assert.equal(cart.items.length, 0);
+    });
+
+    await t.test('a swiggy run against the mock passes in Chrome', async (t) => {
+        let browser;
+        try {
+            browser = await require('puppeteer').launch({ headless: true, args: ['--no-sandbox'] });
+        } catch (error) {
+            t.skip(`Chrome does not start here: ${error.message.split('\n')[0]}`);
+            return;
+        }
+        await browser.close();
+
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mock-run-'));
+        t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+        const args = [
+            'automation.js', 'run', 'swiggy', 'pizza', '--headless',
+            '--base-url', `${url}/swiggy`, '--otp', 'env',
+            '--screenshots', dir, '--report-dir', dir,
+        ];
+        const { code, output } = await new Promise(resolve => execFile(process.execPath, args, {
+            cwd: path.join(__dirname, '..'),
+            env: { ...process.env, OTP_CODE: '654321' },
+            timeout: 180000,
+        }, (error, stdout, stderr) => resolve({ code: error ? error.code : 0, output: stdout + stderr })));
+        assert.equal(code, 0, output);
+    });
+});
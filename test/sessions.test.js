@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const SessionStore = require('../lib/sessions');
+
+const NOW = Date.now() / 1000;
+
+// A page whose context holds `cookies` and whose origin's storage is `storage`; records what restore() does
+function fakePage({ cookies = [], storage = {} } = {}) {
+    const page = {
+        restored: [],
+        scripts: new Map(),
+        url: () => 'https://www.swiggy.com/',
+        browserContext: () => ({
+            cookies: async () => cookies,
+            setCookie: async (...set) => { page.restored.push(...set); },
+        }),
+        evaluate: async () => ({ origin: 'https://www.swiggy.com', localStorage: storage, sessionStorage: { tab: '1' } }),
+        evaluateOnNewDocument: async (fn, arg) => {
+            const identifier = String(page.scripts.size + 1);
+            page.scripts.set(identifier, () => fn(arg));
+            return { identifier };
+        },
+        removeScriptToEvaluateOnNewDocument: async (identifier) => { page.scripts.delete(identifier); },
+    };
+    return page;
+}
+
+function tempDir(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sessions-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+test('sessions are filed per site and account', (t) => {
+    const dir = tempDir(t);
+    assert.equal(new SessionStore('swiggy', '+91 98765 43210', dir).file, path.join(dir, 'swiggy', '919876543210.json'));
+    assert.equal(new SessionStore('lenskart', 'me@example.com', dir).account, 'me@example.com');
+    assert.equal(new SessionStore('swiggy', '**********', dir).account, 'default');
+    assert.equal(new SessionStore('swiggy', undefined, dir).account, 'default');
+});
+
+test('save() keeps cookies and storage readable by the owner only', async (t) => {
+    const dir = tempDir(t);
+    const store = new SessionStore('swiggy', '9876543210', dir);
+    assert.equal(store.exists(), false);
+    assert.equal(store.load(), null);
+
+    await store.save(fakePage({ cookies: [{ name: '_session_tid', value: 'abc', domain: '.swiggy.com', path: '/', expires: NOW + 3600 }], storage: { token: 'xyz' } }));
+    assert.equal(store.exists(), true);
+    assert.equal(fs.statSync(store.file).mode & 0o777, 0o600);
+    const saved = store.load();
+    assert.equal(saved.account, '9876543210');
+    assert.deepEqual(saved.origins, { 'https://www.swiggy.com': { localStorage: { token: 'xyz' }, sessionStorage: { tab: '1' } } });
+
+    store.clear();
+    assert.equal(store.exists(), false);
+});
+
+test('restore() puts back live cookies and seeds storage until cleaned up', async (t) => {
+    const dir = tempDir(t);
+    const store = new SessionStore('swiggy', '9876543210', dir);
+    assert.equal(await store.restore(fakePage()), null);
+
+    await store.save(fakePage({
+        cookies: [
+            { name: 'live', value: '1', domain: '.swiggy.com', path: '/', expires: NOW + 3600, size: 5 },
+            { name: 'browser', value: '2', domain: '.swiggy.com', path: '/', expires: -1, session: true },
+            { name: 'expired', value: '3', domain: '.swiggy.com', path: '/', expires: NOW - 60 },
+        ],
+        storage: { token: 'xyz' },
+    }));
+    const page = fakePage();
+    const cleanup = await store.restore(page);
+    assert.deepEqual(page.restored.map(c => c.name), ['live', 'browser']);
+    assert.equal('size' in page.restored[0], false);
+
+    const seeded = {};
+    const storageOf = target => ({ setItem: (key, value) => { target[key] = value; } });
+    global.window = { location: { origin: 'https://www.swiggy.com' }, localStorage: storageOf(seeded), sessionStorage: storageOf({}) };
+    try {
+        [...page.scripts.values()].forEach(run => run());
+    } finally {
+        delete global.window;
+    }
+    assert.deepEqual(seeded, { token: 'xyz' });
+
+    await cleanup();
+    assert.equal(page.scripts.size, 0);
+});
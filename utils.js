@@ -2,12 +2,21 @@
 
 const fs = require('fs');
 const path = require('path');
+const selectorEngine = require('./lib/selectors');
+const FingerprintStore = require('./lib/fingerprints');
+
+const { SelectorSyntaxError } = selectorEngine;
 
 class Utils {
-    constructor(page, siteName) {
+    constructor(page, siteName, options = {}) {
         this.page = page;
         this.siteName = siteName;
-        this.screenshotDir = path.join(__dirname, 'screenshots', siteName);
+        this.selfHealing = options.selfHealing !== false;
+        this.logPrefix = options.logPrefix || ''; // e.g. "[3 swiggy pizza]" when scenarios run in parallel
+        this.fingerprints = new FingerprintStore(siteName, options.fingerprintDir);
+        this.screenshotDir = options.screenshotDir ? path.resolve(options.screenshotDir) : path.join(__dirname, 'screenshots', siteName);
+        this.screenshots = []; // { name, path, timestamp } for every screenshot taken
+        this.logLines = []; // { timestamp, level, line } for every line printed, used by run reports
 
         // Create screenshot directory if it doesn't exist
         if (!fs.existsSync(this.screenshotDir)) {
@@ -28,10 +37,11 @@ class Utils {
 
         try {
             await this.page.screenshot({ path: filepath, fullPage: true });
-            console.log(`📸 Screenshot saved: ${filename}`);
+            this.screenshots.push({ name, path: filepath, timestamp });
+            this.print(`📸 Screenshot saved: ${filename}`);
             return filepath;
         } catch (error) {
-            console.error(`❌ Failed to take screenshot: ${error.message}`);
+            this.print(`❌ Failed to take screenshot: ${error.message}`, 'error');
             return null;
         }
     }
@@ -42,36 +52,56 @@ class Utils {
 
         for (const selector of selectorArray) {
             try {
-                console.log(`⏳ Waiting for selector: ${selector}`);
-                await this.page.waitForSelector(selector, { timeout, visible: true });
-                console.log(`✅ Found selector: ${selector}`);
+                this.print(`⏳ Waiting for selector: ${selector}`);
+                const element = await selectorEngine.waitFor(this.page, selector, { timeout });
+                await element.dispose();
+                this.print(`✅ Found selector: ${selector}`);
                 return selector;
             } catch (error) {
-                console.log(`⚠️  Selector not found: ${selector}`);
+                this.selectorFailed(error, `⚠️  Selector not found: ${selector}`);
             }
         }
 
         throw new Error(`None of the selectors found: ${selectorArray.join(', ')}`);
     }
 
-    // Click element with retry logic
+    // First visible element matching the selector (any syntax lib/selectors understands), or null
+    async findElement(selector, timeout = 3000) {
+        try {
+            return await selectorEngine.waitFor(this.page, selector, { timeout });
+        } catch (error) {
+            this.selectorFailed(error);
+            return null;
+        }
+    }
+
+    // Click element with retry logic; { heal: true } falls back to the element's fingerprint (lib/fingerprints.js)
     async clickElement(selectors, options = {}) {
-        const { timeout = 10000, retries = 3 } = options;
+        const { timeout = 10000, retries = 3, heal = false } = options;
         const selectorArray = Array.isArray(selectors) ? selectors : [selectors];
+        const invalid = new Set();
 
         for (let attempt = 1; attempt <= retries; attempt++) {
             for (const selector of selectorArray) {
+                if (invalid.has(selector)) continue;
                 try {
-                    console.log(`🖱️  Attempting to click: ${selector} (attempt ${attempt}/${retries})`);
+                    this.print(`🖱️  Attempting to click: ${selector} (attempt ${attempt}/${retries})`);
 
-                    await this.page.waitForSelector(selector, { timeout: timeout / retries, visible: true });
-                    await this.page.click(selector);
+                    const element = await selectorEngine.waitFor(this.page, selector, { timeout: timeout / retries });
+                    const fingerprint = await this.fingerprints.capture(element).catch(() => null);
+                    await element.click();
+                    await element.dispose();
+                    if (fingerprint) {
+                        this.fingerprints.record(selectorArray, selector, fingerprint, this.page.url());
+                    }
 
-                    console.log(`✅ Clicked: ${selector}`);
+                    this.print(`✅ Clicked: ${selector}`);
                     await this.wait(500); // Small wait after click
                     return true;
                 } catch (error) {
-                    console.log(`⚠️  Failed to click ${selector}: ${error.message}`);
+                    if (this.selectorFailed(error, `⚠️  Failed to click ${selector}: ${error.message}`)) {
+                        invalid.add(selector);
+                    }
                 }
             }
 
@@ -80,10 +110,35 @@ class Utils {
             }
         }
 
-        console.error(`❌ Failed to click any selector after ${retries} attempts`);
+        if (heal && this.selfHealing && await this.clickByFingerprint(selectorArray)) {
+            return true;
+        }
+
+        this.print(`❌ Failed to click any selector after ${retries} attempts`, 'error');
         return false;
     }
 
+    // Last resort for clickElement: click the element closest to the one these selectors hit on an earlier run
+    async clickByFingerprint(selectorArray) {
+        try {
+            const healed = await this.fingerprints.heal(this.page, selectorArray);
+            if (!healed) return false;
+
+            try {
+                await healed.element.click();
+            } finally {
+                await healed.element.dispose();
+            }
+            this.print(`🩹 Healed click: none of [${selectorArray.join(', ')}] matched; clicked ${healed.description} by fingerprint (score ${healed.score})`, 'warning');
+            this.print(`💡 Suggested selector: ${healed.selector}`, 'warning');
+            await this.wait(500);
+            return true;
+        } catch (error) {
+            this.print(`⚠️  Fingerprint fallback failed: ${error.message}`);
+            return false;
+        }
+    }
+
     // Type text into input field
     async typeText(selectors, text, options = {}) {
         const { timeout = 10000, clearFirst = true, pressEnter = false } = options;
@@ -91,42 +146,104 @@ class Utils {
 
         for (const selector of selectorArray) {
             try {
-                console.log(`⌨️  Typing into: ${selector}`);
+                this.print(`⌨️  Typing into: ${selector}`);
 
-                await this.page.waitForSelector(selector, { timeout, visible: true });
+                const element = await selectorEngine.waitFor(this.page, selector, { timeout });
 
                 if (clearFirst) {
-                    await this.page.click(selector, { clickCount: 3 }); // Select all
+                    await element.click({ clickCount: 3 }); // Select all
                 }
 
-                await this.page.type(selector, text, { delay: 50 });
+                await element.type(text, { delay: 50 });
+                await element.dispose();
 
                 if (pressEnter) {
                     await this.page.keyboard.press('Enter');
                 }
 
-                console.log(`✅ Typed text: ${text}`);
+                this.print(`✅ Typed text: ${text}`);
                 await this.wait(500);
                 return true;
             } catch (error) {
-                console.log(`⚠️  Failed to type into ${selector}: ${error.message}`);
+                this.selectorFailed(error, `⚠️  Failed to type into ${selector}: ${error.message}`);
             }
         }
 
-        console.error(`❌ Failed to type into any selector`);
+        this.print(`❌ Failed to type into any selector`, 'error');
         return false;
     }
 
     // Check if element exists on page
     async elementExists(selector, timeout = 3000) {
         try {
-            await this.page.waitForSelector(selector, { timeout, visible: true });
+            const element = await selectorEngine.waitFor(this.page, selector, { timeout });
+            await element.dispose();
             return true;
-        } catch {
+        } catch (error) {
+            this.selectorFailed(error);
             return false;
         }
     }
 
+    // Type an OTP into the visible OTP input: one field, or a grid of maxlength=1 boxes (one digit each)
+    async fillOtp(code) {
+        const digits = String(code);
+        const handle = await this.page.evaluateHandle(() => {
+            const visible = (el) => {
+                const r = el.getBoundingClientRect();
+                const st = window.getComputedStyle(el);
+                return r.width > 0 && r.height > 0 && st.visibility !== 'hidden' && st.display !== 'none';
+            };
+            const scope = Array.from(document.querySelectorAll('[role="dialog"], .modal, [class*="Modal"], form')).find(visible) || document;
+            const inputs = Array.from(scope.querySelectorAll('input:not([type="hidden"])')).filter(visible);
+            const boxes = inputs.filter(i => i.getAttribute('maxlength') === '1');
+            if (boxes.length >= 4) return boxes;
+            const hint = i => `${i.getAttribute('autocomplete') || ''} ${i.getAttribute('name') || ''} ${i.getAttribute('aria-label') || ''} ${i.getAttribute('placeholder') || ''}`;
+            const single = inputs.find(i => /one-time-code|otp/i.test(hint(i)));
+            return single ? [single] : [];
+        });
+        const inputs = [];
+        for (const property of (await handle.getProperties()).values()) {
+            const element = property.asElement();
+            if (element) inputs.push(element);
+        }
+        await handle.dispose();
+
+        if (inputs.length === 0) {
+            this.print('❌ No OTP input found on the page', 'error');
+            return false;
+        }
+
+        if (inputs.length === 1) {
+            await inputs[0].click({ clickCount: 3 });
+            await inputs[0].type(digits, { delay: 60 });
+        } else {
+            if (inputs.length !== digits.length) {
+                this.print(`⚠️  OTP has ${digits.length} digits but the page shows ${inputs.length} boxes`);
+            }
+            for (let i = 0; i < Math.min(inputs.length, digits.length); i++) {
+                await inputs[i].click();
+                await inputs[i].type(digits[i], { delay: 60 });
+            }
+        }
+        await Promise.all(inputs.map(input => input.dispose()));
+        this.print(`✅ Entered OTP into ${inputs.length === 1 ? 'the OTP field' : `${inputs.length} OTP boxes`}`);
+        return true;
+    }
+
+    // Report a failed lookup; invalid selectors are always printed as errors.
+    // Returns true when the selector itself is broken (retrying it is pointless).
+    selectorFailed(error, message = null) {
+        if (error instanceof SelectorSyntaxError) {
+            this.print(`❌ ${error.message}`, 'error');
+            return true;
+        }
+        if (message) {
+            this.print(message);
+        }
+        return false;
+    }
+
     // Close modal/popup if present
     async closeModalIfPresent(selectors) {
         const selectorArray = Array.isArray(selectors) ? selectors : [selectors];
@@ -134,7 +251,7 @@ class Utils {
         for (const selector of selectorArray) {
             const exists = await this.elementExists(selector, 2000);
             if (exists) {
-                console.log(`🚫 Closing modal with: ${selector}`);
+                this.print(`🚫 Closing modal with: ${selector}`);
                 await this.clickElement(selector);
                 await this.wait(1000);
                 return true;
@@ -145,7 +262,7 @@ class Utils {
         try {
             await this.page.keyboard.press('Escape');
             await this.wait(500);
-            console.log(`🚫 Pressed Escape to close modal`);
+            this.print(`🚫 Pressed Escape to close modal`);
             return true;
         } catch {
             return false;
@@ -155,20 +272,31 @@ class Utils {
     // Scroll element into view
     async scrollToElement(selector) {
         try {
-            await this.page.evaluate((sel) => {
-                const element = document.querySelector(sel);
-                if (element) {
-                    element.scrollIntoView({ behavior: 'smooth', block: 'center' });
-                }
-            }, selector);
+            const [element, ...rest] = await selectorEngine.findAll(this.page, selector);
+            await Promise.all(rest.map(e => e.dispose()));
+            if (element) {
+                await element.evaluate(el => el.scrollIntoView({ behavior: 'smooth', block: 'center' }));
+                await element.dispose();
+            }
             await this.wait(500);
             return true;
         } catch (error) {
-            console.error(`❌ Failed to scroll to element: ${error.message}`);
+            this.print(`❌ Failed to scroll to element: ${error.message}`, 'error');
             return false;
         }
     }
 
+    // Print a line to the console and keep it for the run report
+    print(line, level = 'info') {
+        this.logLines.push({ timestamp: Date.now(), level, line });
+        const text = this.logPrefix ? line.replace(/^\n*/, m => `${m}${this.logPrefix} `) : line;
+        if (level === 'error') {
+            console.error(text);
+        } else {
+            console.log(text);
+        }
+    }
+
     // Log step with formatting
     log(message, type = 'info') {
         const icons = {
@@ -177,10 +305,11 @@ class Utils {
             error: '❌',
             warning: '⚠️',
             step: '👉',
+            skip: '⏭️',
         };
 
         const icon = icons[type] || icons.info;
-        console.log(`${icon} ${message}`);
+        this.print(`${icon} ${message}`, type);
     }
 }
 